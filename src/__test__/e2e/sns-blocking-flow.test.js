@@ -35,7 +35,7 @@ describe("E2E: SNS Blocking User Experience", () => {
       action === "add"
         ? {
             addRules: expect.arrayContaining([expect.any(Object)]),
-            removeRuleIds: [],
+            removeRuleIds: expect.any(Array),
           }
         : {
             addRules: [],
@@ -128,7 +128,7 @@ describe("E2E: SNS Blocking User Experience", () => {
 
         setupTabMocks(testCase.snsTabs, testCase.activeTabId);
 
-        const result = await bgClient.start(30);
+        const result = await bgClient.start({ minutes: 30 });
         expect(result.success).toBe(true);
 
         const timer = getTimer();
@@ -153,7 +153,7 @@ describe("E2E: SNS Blocking User Experience", () => {
       setupTabMocks([{ id: 1, url: "https://twitter.com", active: false }], 2);
 
       // Start work session
-      await bgClient.start(60);
+      await bgClient.start({ minutes: 60 });
       expect(getTimer().sessionType).toBe(SESSION_TYPES.WORK);
       expectBlockingRules("add");
 
@@ -175,7 +175,7 @@ describe("E2E: SNS Blocking User Experience", () => {
     it("should not affect blocking during pause/resume operations", async () => {
       setupTabMocks();
 
-      await bgClient.start(40);
+      await bgClient.start({ minutes: 40 });
       chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
 
       // Pause/resume during work - no blocking changes
@@ -204,7 +204,7 @@ describe("E2E: SNS Blocking User Experience", () => {
       setupTabMocks();
 
       // Test reset
-      await bgClient.start(35);
+      await bgClient.start({ minutes: 35 });
       chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
 
       await bgClient.reset();
@@ -212,7 +212,7 @@ describe("E2E: SNS Blocking User Experience", () => {
       expectBlockingRules("remove");
 
       // Test completion
-      await bgClient.start(30);
+      await bgClient.start({ minutes: 30 });
       const timer = getTimer();
       chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
 
@@ -275,7 +275,7 @@ describe("E2E: SNS Blocking User Experience", () => {
         await initTimer();
         scenario.setup();
 
-        let result = await bgClient.start(25);
+        let result = await bgClient.start({ minutes: 25 });
 
         expect(result.success).toBe(false);
         expect(alert).toHaveBeenCalled();
@@ -297,7 +297,7 @@ describe("E2E: SNS Blocking User Experience", () => {
         [{ id: 60, url: "https://youtube.com", active: false }],
         null
       );
-      let result = await bgClient.start(15);
+      let result = await bgClient.start({ minutes: 15 });
       expect(result.success).toBe(true);
       expect(chromeMock.tabs.remove).toHaveBeenCalledWith(60);
       expect(chromeMock.tabs.reload).not.toHaveBeenCalled();
@@ -307,7 +307,7 @@ describe("E2E: SNS Blocking User Experience", () => {
 
       // No SNS tabs
       setupTabMocks([], 99);
-      result = await bgClient.start(20);
+      result = await bgClient.start({ minutes: 20 });
       expect(result.success).toBe(true);
       expect(chromeMock.tabs.reload).not.toHaveBeenCalled();
       expect(chromeMock.tabs.remove).not.toHaveBeenCalled();
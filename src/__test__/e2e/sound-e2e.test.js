@@ -71,7 +71,7 @@ describe("Sound End-to-End Tests", () => {
 
       // Enable sound and start timer
       await bgClient.saveSoundSettings({ soundEnabled: true, soundVolume: 80 });
-      await bgClient.start(25);
+      await bgClient.start({ minutes: 25 });
 
       const timer = getTimer();
       expect(timer.soundEnabled).toBe(true);
@@ -101,7 +101,7 @@ describe("Sound End-to-End Tests", () => {
       chromeMock.storage.local.set.mockResolvedValue(undefined);
 
       await bgClient.saveSoundSettings({ soundEnabled: true, soundVolume: 60 });
-      await bgClient.start(25);
+      await bgClient.start({ minutes: 25 });
       expect(isPlaying).toBe(true);
 
       await bgClient.pause();
@@ -114,7 +114,7 @@ describe("Sound End-to-End Tests", () => {
       chromeMock.storage.local.set.mockResolvedValue(undefined);
 
       await bgClient.saveSoundSettings({ soundEnabled: false, soundVolume: 0 });
-      await bgClient.start(25);
+      await bgClient.start({ minutes: 25 });
 
       expect(getTimer().soundEnabled).toBe(false);
       expect(getTimer().soundVolume).toBe(0);
@@ -59,7 +59,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const breakDuration = DURATIONS.BREAK_SESSION;
 
       // Step 1: Start timer
-      const startResult = await bgClient.start(totalMinutes);
+      const startResult = await bgClient.start({ minutes: totalMinutes });
       expect(startResult.success).toBe(true);
 
       let timer = getTimer();
@@ -146,7 +146,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const totalMinutes = 60;
 
       // Start timer
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       let timer = getTimer();
       const startTime = timer.totalStartTime;
 
@@ -192,7 +192,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const totalMinutes = 45;
 
       // Start timer and simulate some progress
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       let timer = getTimer();
       const startTime = timer.totalStartTime;
 
@@ -222,7 +222,7 @@ describe("E2E: Complete User Timer Workflow", () => {
 
     it("should maintain state consistency across multiple sessions", async () => {
       // First session
-      await bgClient.start(25);
+      await bgClient.start({ minutes: 25 });
       let timer = getTimer();
       const firstStartTime = timer.totalStartTime;
 
@@ -243,7 +243,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const secondSessionTime = firstCompleteTime + 5 * 60 * 1000;
       vi.setSystemTime(secondSessionTime);
 
-      await bgClient.start(30);
+      await bgClient.start({ minutes: 30 });
       timer = getTimer();
       expect(timer.mode).toBe(TIMER_MODES.RUNNING);
       expect(timer.totalDuration).toBe(30 * 60 * 1000);
@@ -264,7 +264,7 @@ describe("E2E: Complete User Timer Workflow", () => {
     it("should handle edge case: very short timer duration", async () => {
       const totalMinutes = 5; // Minimum allowed duration
 
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       let timer = getTimer();
       const startTime = timer.totalStartTime;
 
@@ -299,7 +299,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const totalMinutes = 60;
 
       // Start timer
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       const timer = getTimer();
       const startTime = timer.totalStartTime;
 
@@ -343,7 +343,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const totalMinutes = 30;
 
       // Start timer
-      const startResult = await bgClient.start(totalMinutes);
+      const startResult = await bgClient.start({ minutes: totalMinutes });
       expect(startResult.success).toBe(true);
 
       const timer = getTimer();
@@ -378,7 +378,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const totalMinutes = 30;
 
       // Start timer - should enable blocking
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
 
       // Verify declarativeNetRequest rules were updated
       expect(
@@ -393,7 +393,7 @@ describe("E2E: Complete User Timer Workflow", () => {
     it("should disable site blocking during break sessions", async () => {
       const totalMinutes = 30;
 
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       const timer = getTimer();
 
       chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
@@ -416,7 +416,7 @@ describe("E2E: Complete User Timer Workflow", () => {
     it("should disable site blocking on timer reset", async () => {
       const totalMinutes = 30;
 
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
 
       // Reset timer
@@ -437,7 +437,7 @@ describe("E2E: Complete User Timer Workflow", () => {
       const totalMinutes = 45;
 
       // Start timer and make some progress
-      await bgClient.start(totalMinutes);
+      await bgClient.start({ minutes: totalMinutes });
       let timer = getTimer();
       const startTime = timer.totalStartTime;
 
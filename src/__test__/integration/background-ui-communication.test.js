@@ -47,7 +47,7 @@ describe("Background-UI Communication Integration", () => {
         success: true,
       });
 
-      const result = await bgClient.start(minutes);
+      const result = await bgClient.start({ minutes });
 
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "timer/start",
@@ -146,12 +146,24 @@ describe("Background-UI Communication Integration", () => {
 
     it("should validate minutes parameter in start command", async () => {
       // Test invalid minutes values
-      await expect(bgClient.start(-1)).rejects.toThrow("Invalid minutes");
-      await expect(bgClient.start(0)).rejects.toThrow("Invalid minutes");
-      await expect(bgClient.start(4)).rejects.toThrow("Invalid minutes");
-      await expect(bgClient.start(301)).rejects.toThrow("Invalid minutes");
-      await expect(bgClient.start("25")).rejects.toThrow("Invalid minutes");
-      await expect(bgClient.start(NaN)).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.start({ minutes: -1 })).rejects.toThrow(
+        "Invalid minutes"
+      );
+      await expect(bgClient.start({ minutes: 0 })).rejects.toThrow(
+        "Invalid minutes"
+      );
+      await expect(bgClient.start({ minutes: 4 })).rejects.toThrow(
+        "Invalid minutes"
+      );
+      await expect(bgClient.start({ minutes: 301 })).rejects.toThrow(
+        "Invalid minutes"
+      );
+      await expect(bgClient.start({ minutes: "25" })).rejects.toThrow(
+        "Invalid minutes"
+      );
+      await expect(bgClient.start({ minutes: NaN })).rejects.toThrow(
+        "Invalid minutes"
+      );
     });
 
     it("should handle sound/save message", async () => {
@@ -0,0 +1,228 @@
+/**
+ * Integration tests for precise session-boundary alarms.
+ * chrome.alarms is backed by the fake clock so that alarms fire
+ * exactly at their scheduled `when` (or every `periodInMinutes`).
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { setupChromeMock } from "../setup.chrome.js";
+import Constants from "@/constants.js";
+
+const { TIMER_MODES, SESSION_TYPES, DURATIONS } = Constants;
+
+const MOCK_TIME = new Date("2021-01-01T00:00:00Z").getTime();
+const ONE_SECOND = 1000;
+
+/**
+ * Replace chrome.alarms with an implementation driven by fake timers.
+ */
+function installFakeAlarms(chromeMock) {
+  const handles = new Map();
+  const listeners = [];
+
+  const fire = (name) => listeners.forEach((fn) => fn({ name }));
+
+  const clear = (name) => {
+    const handle = handles.get(name);
+    if (!handle) return false;
+    clearTimeout(handle);
+    clearInterval(handle);
+    handles.delete(name);
+    return true;
+  };
+
+  chromeMock.alarms.create.mockImplementation((name, info) => {
+    clear(name);
+    if (info.periodInMinutes) {
+      handles.set(
+        name,
+        setInterval(() => fire(name), info.periodInMinutes * 60 * 1000)
+      );
+    } else {
+      handles.set(
+        name,
+        setTimeout(() => {
+          handles.delete(name);
+          fire(name);
+        }, Math.max(0, info.when - Date.now()))
+      );
+    }
+  });
+  chromeMock.alarms.clear.mockImplementation(async (name) => clear(name));
+  chromeMock.alarms.onAlarm.addListener.mockImplementation((fn) =>
+    listeners.push(fn)
+  );
+
+  return { handles };
+}
+
+describe("Session Alarms Integration", () => {
+  let chromeMock;
+  let alarms;
+  let handleEvents, getTimer;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(MOCK_TIME);
+    vi.resetModules();
+    chromeMock = setupChromeMock();
+    alarms = installFakeAlarms(chromeMock);
+
+    ({ handleEvents } = await import("@/background/events.js"));
+    ({ getTimer } = await import("@/background/timer-store.js"));
+    const { setupAlarms } = await import("@/background/setup-alarms.js");
+    setupAlarms();
+  });
+
+  afterEach(() => {
+    vi.clearAllTimers();
+    vi.useRealTimers();
+  });
+
+  const switchNotifications = () =>
+    chromeMock.notifications.create.mock.calls.filter(([id]) =>
+      id.startsWith("switch")
+    );
+
+  test("should switch to break exactly when the work session ends", async () => {
+    await handleEvents("timer/start", { minutes: 60 });
+    chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
+
+    // One second before the boundary nothing has happened yet
+    await vi.advanceTimersByTimeAsync(DURATIONS.WORK_SESSION - ONE_SECOND);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.WORK);
+    expect(switchNotifications()).toHaveLength(0);
+
+    await vi.advanceTimersByTimeAsync(ONE_SECOND);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.BREAK);
+    expect(getTimer().sessionStartTime).toBe(
+      MOCK_TIME + DURATIONS.WORK_SESSION
+    );
+    expect(switchNotifications()).toHaveLength(1);
+    expect(
+      chromeMock.declarativeNetRequest.updateDynamicRules
+    ).toHaveBeenCalledWith(expect.objectContaining({ addRules: [] }));
+  });
+
+  test("should switch back to work exactly when the break ends", async () => {
+    await handleEvents("timer/start", { minutes: 60 });
+
+    await vi.advanceTimersByTimeAsync(DURATIONS.WORK_SESSION);
+    chromeMock.declarativeNetRequest.updateDynamicRules.mockClear();
+
+    await vi.advanceTimersByTimeAsync(DURATIONS.BREAK_SESSION - ONE_SECOND);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.BREAK);
+
+    await vi.advanceTimersByTimeAsync(ONE_SECOND);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.WORK);
+    expect(
+      chromeMock.declarativeNetRequest.updateDynamicRules
+    ).toHaveBeenCalledWith(
+      expect.objectContaining({
+        addRules: expect.arrayContaining([expect.any(Object)]),
+      })
+    );
+  });
+
+  test("should complete exactly when the total duration ends", async () => {
+    // Ends 30 seconds into a minute, between two safety-net ticks
+    await handleEvents("timer/start", { minutes: 7 });
+    await vi.advanceTimersByTimeAsync(30 * ONE_SECOND);
+    await handleEvents("timer/pause");
+    await vi.advanceTimersByTimeAsync(30 * ONE_SECOND);
+    await handleEvents("timer/resume");
+
+    await vi.advanceTimersByTimeAsync(6.5 * 60 * 1000 - ONE_SECOND);
+    expect(getTimer().mode).toBe(TIMER_MODES.RUNNING);
+
+    await vi.advanceTimersByTimeAsync(ONE_SECOND);
+    expect(getTimer().mode).toBe(TIMER_MODES.COMPLETED);
+    expect(chromeMock.notifications.create).toHaveBeenCalledWith(
+      expect.stringMatching(/^complete\d+$/),
+      expect.any(Object)
+    );
+    expect(alarms.handles.size).toBe(0);
+  });
+
+  test("should shift the boundary by the paused time", async () => {
+    const pauseLength = 3 * 60 * 1000;
+    await handleEvents("timer/start", { minutes: 60 });
+
+    await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+    await handleEvents("timer/pause");
+    expect(alarms.handles.size).toBe(0);
+
+    await vi.advanceTimersByTimeAsync(pauseLength);
+    await handleEvents("timer/resume");
+
+    await vi.advanceTimersByTimeAsync(15 * 60 * 1000 - ONE_SECOND);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.WORK);
+
+    await vi.advanceTimersByTimeAsync(ONE_SECOND);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.BREAK);
+    expect(getTimer().sessionStartTime).toBe(
+      MOCK_TIME + DURATIONS.WORK_SESSION + pauseLength
+    );
+  });
+
+  test("should move the boundary when the session is extended", async () => {
+    await handleEvents("timer/start", { minutes: 60 });
+    await handleEvents("timer/extend", { minutes: 5 });
+
+    await vi.advanceTimersByTimeAsync(DURATIONS.WORK_SESSION);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.WORK);
+
+    await vi.advanceTimersByTimeAsync(5 * 60 * 1000);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.BREAK);
+  });
+
+  test("should schedule the next boundary after a skip", async () => {
+    await handleEvents("timer/start", { minutes: 60 });
+    await vi.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+    await handleEvents("timer/skip");
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.BREAK);
+
+    await vi.advanceTimersByTimeAsync(DURATIONS.BREAK_SESSION);
+    expect(getTimer().sessionType).toBe(SESSION_TYPES.WORK);
+    expect(switchNotifications()).toHaveLength(2);
+  });
+
+  test("should play the warning a minute before the session ends, then the chime", async () => {
+    chromeMock.storage.local.get.mockImplementation(async (key) =>
+      key === "pomodoroAlertSettings"
+        ? { [key]: { warning: { enabled: true, volume: 40 } } }
+        : {}
+    );
+    const chimes = () =>
+      chromeMock.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .filter(({ action }) => action === "CHIME")
+        .map(({ chime, volume }) => [chime, volume]);
+    await handleEvents("timer/start", { minutes: 60 });
+
+    await vi.advanceTimersByTimeAsync(
+      DURATIONS.WORK_SESSION - 60 * ONE_SECOND - ONE_SECOND
+    );
+    expect(chimes()).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(ONE_SECOND);
+    expect(chimes()).toEqual([["warning", 40]]);
+
+    await vi.advanceTimersByTimeAsync(60 * ONE_SECOND);
+    expect(chimes()).toEqual([
+      ["warning", 40],
+      ["switch", 50],
+    ]);
+  });
+
+  test("should clear all timer alarms on reset", async () => {
+    await handleEvents("timer/start", { minutes: 60 });
+    expect(alarms.handles.size).toBe(4);
+
+    await handleEvents("timer/reset");
+    expect(alarms.handles.size).toBe(0);
+
+    await vi.advanceTimersByTimeAsync(DURATIONS.WORK_SESSION);
+    expect(switchNotifications()).toHaveLength(0);
+  });
+});
@@ -30,15 +30,16 @@ describe("SNS Blocking Integration", () => {
             priority: 1,
             action: {
               type: "redirect",
-              redirect: { extensionPath: "/src/ui/ui.html" },
+              redirect: { regexSubstitution: "src/ui/blocked.html#\\0" },
             },
             condition: {
-              urlFilter: expect.stringContaining("x.com"),
+              regexFilter: expect.stringContaining("x\\.com"),
               resourceTypes: ["main_frame"],
             },
           }),
         ]),
-        removeRuleIds: [],
+        // Rules that are already applied are replaced, not duplicated
+        removeRuleIds: expect.arrayContaining([expect.any(Number)]),
       });
     });
 
@@ -60,6 +61,27 @@ describe("SNS Blocking Integration", () => {
         ]),
       });
     });
+
+    it("should go back to the user's block mode after a focus preset run", async () => {
+      await handleEvents("timer/start", {
+        minutes: 25,
+        blockMode: "allowlist",
+      });
+      await handleEvents("timer/reset");
+
+      await handleEvents("timer/start", { minutes: 60, presetId: "writing" });
+      expect(getTimer().blockMode).toBe("blocklist");
+      vi.clearAllMocks();
+      await handleEvents("timer/reset");
+
+      expect(getTimer().blockMode).toBe("allowlist");
+      // The preset's rules are lifted, not the allowlist's
+      const { removeRuleIds } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(removeRuleIds).toEqual([
+        10100, 10101, 10102, 10103, 10104, 10105, 10106,
+      ]);
+    });
   });
 
   describe("Active vs Inactive Tab Handling", () => {
@@ -146,6 +146,38 @@ describe("Sound Integration - handleEvents Flow", () => {
       expect(getTimer().soundVolume).toBe(0);
     });
 
+    test("should go back to the user's sound settings after a focus preset run", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      const { handleEvents } = await import("@/background/events.js");
+      const { getTimer } = await import("@/background/timer-store.js");
+
+      await handleEvents("sound/save", {
+        soundEnabled: false,
+        soundVolume: 70,
+      });
+
+      // The default Writing preset plays sound at 40
+      await handleEvents("timer/start", { minutes: 60, presetId: "writing" });
+      expect(getTimer()).toMatchObject({ soundEnabled: true, soundVolume: 40 });
+      await handleEvents("timer/reset");
+      expect(getTimer()).toMatchObject({
+        soundEnabled: false,
+        soundVolume: 70,
+      });
+
+      vi.clearAllMocks();
+      await handleEvents("timer/start", { minutes: 25 });
+
+      expect(getTimer()).toMatchObject({
+        soundEnabled: false,
+        soundVolume: 70,
+      });
+      expect(chromeMock.runtime.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ action: "PLAY" })
+      );
+    });
+
     test("should validate sound volume range", async () => {
       const { handleEvents } = await import("@/background/events.js");
 
@@ -29,6 +29,8 @@ export function setupChromeMock() {
 
   const declarativeNetRequest = {
     updateDynamicRules: vi.fn().mockResolvedValue(undefined),
+    getDynamicRules: vi.fn().mockResolvedValue([]),
+    isRegexSupported: vi.fn().mockResolvedValue({ isSupported: true }),
   };
 
   // Tabs API mock for synchronization testing
@@ -37,6 +39,15 @@ export function setupChromeMock() {
     reload: vi.fn().mockResolvedValue(undefined),
     update: vi.fn().mockResolvedValue(undefined),
     remove: vi.fn().mockResolvedValue(undefined),
+    discard: vi.fn().mockResolvedValue(undefined),
+    create: vi.fn().mockResolvedValue({ id: 100 }),
+    onActivated: { addListener: vi.fn() },
+    onUpdated: { addListener: vi.fn() },
+  };
+
+  const windows = {
+    getLastFocused: vi.fn().mockResolvedValue({ focused: false, tabs: [] }),
+    onFocusChanged: { addListener: vi.fn() },
   };
 
   const offscreen = {
@@ -51,9 +62,37 @@ export function setupChromeMock() {
     notifications,
     declarativeNetRequest,
     tabs,
+    windows,
     offscreen,
   };
 
   vi.stubGlobal("chrome", chromeMock);
   return chromeMock;
 }
+
+/**
+ * Back the mocked chrome.storage.local with an object, so what one call
+ * stores the next one reads. Items are copied in and out like the real API.
+ * Call after setupChromeMock().
+ * @param {Object} [data] - Items stored to begin with
+ * @returns {Object} The stored items, for seeding and assertions
+ */
+export function useStorage(data = {}) {
+  const { local } = chrome.storage;
+  const keysOf = (keys) => (keys == null ? Object.keys(data) : [keys].flat());
+
+  local.get.mockImplementation(async (keys) =>
+    Object.fromEntries(
+      keysOf(keys)
+        .filter((key) => key in data)
+        .map((key) => [key, structuredClone(data[key])])
+    )
+  );
+  local.set.mockImplementation(async (items) => {
+    Object.assign(data, structuredClone(items));
+  });
+  local.remove.mockImplementation(async (keys) => {
+    keysOf(keys).forEach((key) => delete data[key]);
+  });
+  return data;
+}
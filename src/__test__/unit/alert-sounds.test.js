@@ -0,0 +1,90 @@
+/**
+ * Unit tests for alert-sounds.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import { setupChromeMock, useStorage } from "../setup.chrome.js";
+import {
+  getAlertSettings,
+  saveAlertSettings,
+  playAlert,
+} from "@/background/alert-sounds.js";
+import { playChime } from "@/background/sound-controller.js";
+
+vi.mock("@/background/sound-controller.js", () => ({
+  playChime: vi.fn().mockResolvedValue(undefined),
+}));
+
+const ALERT_SETTINGS_KEY = "pomodoroAlertSettings";
+
+const DEFAULTS = {
+  switch: { enabled: true, volume: 50 },
+  complete: { enabled: true, volume: 50 },
+  warning: { enabled: false, volume: 50 },
+};
+
+describe("AlertSounds", () => {
+  let chromeMock;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    chromeMock = setupChromeMock();
+  });
+
+  describe("getAlertSettings()", () => {
+    test("should default to chimes on and the warning off", async () => {
+      expect(await getAlertSettings()).toEqual(DEFAULTS);
+    });
+
+    test("should fill in sounds and fields missing from storage", async () => {
+      useStorage({
+        [ALERT_SETTINGS_KEY]: {
+          complete: { enabled: false, volume: 20 },
+          warning: { enabled: true },
+        },
+      });
+
+      expect(await getAlertSettings()).toEqual({
+        switch: { enabled: true, volume: 50 },
+        complete: { enabled: false, volume: 20 },
+        warning: { enabled: true, volume: 50 },
+      });
+    });
+  });
+
+  describe("saveAlertSettings()", () => {
+    test("should write the settings to chrome.storage.local", async () => {
+      await saveAlertSettings(DEFAULTS);
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [ALERT_SETTINGS_KEY]: DEFAULTS,
+      });
+    });
+  });
+
+  describe("playAlert()", () => {
+    test("should play the chime at its own volume", async () => {
+      useStorage({
+        [ALERT_SETTINGS_KEY]: {
+          ...DEFAULTS,
+          switch: { enabled: true, volume: 80 },
+        },
+      });
+
+      await playAlert("switch");
+
+      expect(playChime).toHaveBeenCalledWith("switch", 80);
+    });
+
+    test("should stay silent when the sound is off", async () => {
+      await playAlert("warning");
+
+      expect(playChime).not.toHaveBeenCalled();
+    });
+
+    test("should fail when the chime cannot play", async () => {
+      playChime.mockRejectedValueOnce(new Error("Offscreen error"));
+
+      await expect(playAlert("complete")).rejects.toThrow("Offscreen error");
+    });
+  });
+});
@@ -4,6 +4,7 @@
 import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
 import { BGClient } from "@/ui/bg-client.js";
 import { setupChromeMock } from "../setup.chrome.js";
+import Constants from "@/constants.js";
 
 vi.stubGlobal("alert", vi.fn());
 
@@ -64,7 +65,7 @@ describe("BGClient", () => {
     test("should send timer/start message with valid minutes", async () => {
       chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
 
-      const result = await bgClient.start(25);
+      const result = await bgClient.start({ minutes: 25 });
 
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "timer/start",
@@ -74,26 +75,145 @@ describe("BGClient", () => {
     });
 
     test("should throw error for invalid minutes - too low", async () => {
-      await expect(bgClient.start(3)).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.start({ minutes: 3 })).rejects.toThrow(
+        "Invalid minutes"
+      );
     });
 
     test("should throw error for invalid minutes - too high", async () => {
-      await expect(bgClient.start(350)).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.start({ minutes: 350 })).rejects.toThrow(
+        "Invalid minutes"
+      );
     });
 
     test("should throw error for non-number minutes", async () => {
-      await expect(bgClient.start("25")).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.start({ minutes: "25" })).rejects.toThrow(
+        "Invalid minutes"
+      );
     });
 
     test("should throw error for NaN minutes", async () => {
-      await expect(bgClient.start(NaN)).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.start({ minutes: NaN })).rejects.toThrow(
+        "Invalid minutes"
+      );
     });
 
     test("should accept boundary values", async () => {
       chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
 
-      await expect(bgClient.start(5)).resolves.toEqual({ success: true });
-      await expect(bgClient.start(300)).resolves.toEqual({ success: true });
+      await expect(bgClient.start({ minutes: 5 })).resolves.toEqual({
+        success: true,
+      });
+      await expect(bgClient.start({ minutes: 300 })).resolves.toEqual({
+        success: true,
+      });
+    });
+
+    test("should send session lengths when provided", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.start({ minutes: 120, workMinutes: 50, breakMinutes: 10 });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/start",
+        minutes: 120,
+        workMinutes: 50,
+        breakMinutes: 10,
+      });
+    });
+
+    test("should send cycle count in cycles mode", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.start({ startMode: "cycles", cycles: 4, workMinutes: 50 });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/start",
+        startMode: "cycles",
+        cycles: 4,
+        workMinutes: 50,
+      });
+    });
+
+    test("should send the block mode when provided", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.start({ minutes: 60, blockMode: "allowlist" });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/start",
+        minutes: 60,
+        blockMode: "allowlist",
+      });
+    });
+
+    test("should throw error for an unknown block mode", async () => {
+      await expect(
+        bgClient.start({ minutes: 60, blockMode: "everything" })
+      ).rejects.toThrow("Invalid block mode");
+    });
+
+    test("should send strict mode when provided", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.start({
+        minutes: 60,
+        blockMode: "blocklist",
+        strictMode: true,
+      });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/start",
+        minutes: 60,
+        blockMode: "blocklist",
+        strictMode: true,
+      });
+    });
+
+    test("should throw error for a non-boolean strict mode", async () => {
+      await expect(
+        bgClient.start({
+          minutes: 60,
+          blockMode: "blocklist",
+          strictMode: "yes",
+        })
+      ).rejects.toThrow("Invalid strict mode");
+    });
+
+    test("should send the focus preset when provided", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.start({ minutes: 60, presetId: "coding" });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/start",
+        minutes: 60,
+        presetId: "coding",
+      });
+    });
+
+    test("should throw error for an empty preset ID", async () => {
+      await expect(
+        bgClient.start({ minutes: 60, presetId: "" })
+      ).rejects.toThrow("Invalid preset");
+    });
+
+    test("should throw error for invalid cycle count", async () => {
+      await expect(
+        bgClient.start({ startMode: "cycles", cycles: 0 })
+      ).rejects.toThrow("Invalid cycles");
+      await expect(
+        bgClient.start({ startMode: "cycles", cycles: 2.5 })
+      ).rejects.toThrow("Invalid cycles");
+    });
+
+    test("should throw error for invalid session lengths", async () => {
+      await expect(
+        bgClient.start({ minutes: 60, workMinutes: 0 })
+      ).rejects.toThrow("Invalid work minutes");
+      await expect(
+        bgClient.start({ minutes: 60, breakMinutes: 61 })
+      ).rejects.toThrow("Invalid break minutes");
     });
   });
 
@@ -136,6 +256,376 @@ describe("BGClient", () => {
     });
   });
 
+  describe("skip()", () => {
+    test("should send timer/skip message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      const result = await bgClient.skip();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/skip",
+      });
+      expect(result).toEqual({ success: true });
+    });
+  });
+
+  describe("extend()", () => {
+    test("should send timer/extend message with minutes", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.extend(10);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/extend",
+        minutes: 10,
+      });
+    });
+
+    test("should default to the standard extension length", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.extend();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "timer/extend",
+        minutes: 5,
+      });
+    });
+
+    test("should throw error for invalid minutes", async () => {
+      await expect(bgClient.extend(0)).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.extend(61)).rejects.toThrow("Invalid minutes");
+      await expect(bgClient.extend(1.5)).rejects.toThrow("Invalid minutes");
+    });
+  });
+
+  describe("getHistory()", () => {
+    test("should send history/query message with the filter", async () => {
+      const history = [{ id: "1-work" }];
+      chromeMock.runtime.sendMessage.mockResolvedValue({
+        success: true,
+        history,
+      });
+
+      const result = await bgClient.getHistory({ from: 1000, limit: 10 });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "history/query",
+        from: 1000,
+        limit: 10,
+      });
+      expect(result.history).toEqual(history);
+    });
+  });
+
+  describe("importHistory()", () => {
+    test("should send history/import message with the export contents", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({
+        success: true,
+        imported: 1,
+        skipped: 0,
+      });
+
+      await bgClient.importHistory({
+        version: 1,
+        exportedAt: "2021-01-01T00:00:00.000Z",
+        sessions: [{ id: "1-work" }],
+      });
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "history/import",
+        version: 1,
+        sessions: [{ id: "1-work" }],
+      });
+    });
+
+    test("should throw error for data that is not an export object", async () => {
+      await expect(bgClient.importHistory([])).rejects.toThrow(
+        "Invalid history file"
+      );
+      await expect(bgClient.importHistory(null)).rejects.toThrow(
+        "Invalid history file"
+      );
+      expect(chromeMock.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getBlockList()", () => {
+    test("should send blocklist/get message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({
+        success: true,
+        sites: ["example.com"],
+      });
+
+      const result = await bgClient.getBlockList();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "blocklist/get",
+      });
+      expect(result.sites).toEqual(["example.com"]);
+    });
+  });
+
+  describe("saveBlockList()", () => {
+    test("should send blocklist/save message with the sites", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.saveBlockList(["example.com"]);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "blocklist/save",
+        sites: ["example.com"],
+      });
+    });
+
+    test("should throw error for a list that is not an array", async () => {
+      await expect(bgClient.saveBlockList("example.com")).rejects.toThrow(
+        "Invalid block list"
+      );
+    });
+  });
+
+  describe("getAllowList()", () => {
+    test("should send allowlist/get message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({
+        success: true,
+        sites: ["github.com"],
+      });
+
+      const result = await bgClient.getAllowList();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "allowlist/get",
+      });
+      expect(result.sites).toEqual(["github.com"]);
+    });
+  });
+
+  describe("saveAllowList()", () => {
+    test("should send allowlist/save message with the sites", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.saveAllowList(["github.com"]);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "allowlist/save",
+        sites: ["github.com"],
+      });
+    });
+
+    test("should throw error for a list that is not an array", async () => {
+      await expect(bgClient.saveAllowList(null)).rejects.toThrow(
+        "Invalid allowlist"
+      );
+    });
+  });
+
+  describe("unlockSite()", () => {
+    const request = {
+      domain: "docs.example.com",
+      minutes: 5,
+      reason: "API reference",
+      confirmation: Constants.UNLOCK.CONFIRM_PHRASE,
+    };
+
+    test("should send unlock/start message with the request", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.unlockSite(request);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "unlock/start",
+        ...request,
+      });
+    });
+
+    test.each([0, 31, 2.5, NaN])(
+      "should throw error for %s minutes",
+      async (minutes) => {
+        await expect(
+          bgClient.unlockSite({ ...request, minutes })
+        ).rejects.toThrow("Invalid minutes");
+      }
+    );
+  });
+
+  describe("getUnlocks()", () => {
+    test("should send unlock/get message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.getUnlocks();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "unlock/get",
+      });
+    });
+  });
+
+  describe("getBudgets()", () => {
+    test("should send budgets/get message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.getBudgets();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "budgets/get",
+      });
+    });
+  });
+
+  describe("saveBudgets()", () => {
+    test("should send budgets/save message with the budgets", async () => {
+      const budgets = [{ domain: "youtube.com", minutes: 30 }];
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.saveBudgets(budgets);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "budgets/save",
+        budgets,
+      });
+    });
+
+    test("should throw error when budgets is not an array", async () => {
+      await expect(bgClient.saveBudgets("youtube.com")).rejects.toThrow(
+        "Invalid budgets"
+      );
+    });
+  });
+
+  describe("getSchedules()", () => {
+    test("should send schedules/get message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.getSchedules();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "schedules/get",
+      });
+    });
+  });
+
+  describe("saveSchedules()", () => {
+    test("should send schedules/save message with the windows", async () => {
+      const schedules = [{ days: [1, 2], start: "09:00", end: "12:00" }];
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.saveSchedules(schedules);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "schedules/save",
+        schedules,
+      });
+    });
+
+    test("should throw error when schedules is not an array", async () => {
+      await expect(bgClient.saveSchedules({})).rejects.toThrow(
+        "Invalid schedules"
+      );
+    });
+  });
+
+  describe("getPresets()", () => {
+    test("should send presets/get message", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.getPresets();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "presets/get",
+      });
+    });
+  });
+
+  describe("savePresets()", () => {
+    test("should send presets/save message with the presets", async () => {
+      const presets = [
+        {
+          id: "coding",
+          name: "Coding",
+          workMinutes: 25,
+          breakMinutes: 5,
+          blockList: ["x.com"],
+          soundEnabled: false,
+          soundVolume: 50,
+        },
+      ];
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.savePresets(presets);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "presets/save",
+        presets,
+      });
+    });
+
+    test("should throw error when presets is not an array", async () => {
+      await expect(bgClient.savePresets(null)).rejects.toThrow(
+        "Invalid presets"
+      );
+    });
+  });
+
+  describe("returnLater()", () => {
+    test("should send blocked/return-later message with the URL", async () => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient.returnLater("https://x.com/home");
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "blocked/return-later",
+        url: "https://x.com/home",
+      });
+    });
+
+    test("should throw error for a missing URL", async () => {
+      await expect(bgClient.returnLater("")).rejects.toThrow("Invalid URL");
+    });
+  });
+
+  describe("scrubbed tabs", () => {
+    test.each([
+      ["getScrubSettings", [], { type: "tabs/settings/get" }],
+      [
+        "saveScrubSettings",
+        [{ scrubAction: "discard", autoRestoreTabs: true }],
+        {
+          type: "tabs/settings/save",
+          scrubAction: "discard",
+          autoRestoreTabs: true,
+        },
+      ],
+      ["getClosedTabs", [], { type: "tabs/closed/get" }],
+      ["restoreClosedTabs", [], { type: "tabs/closed/restore" }],
+    ])("%s() should send %j", async (method, args, message) => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient[method](...args);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith(message);
+    });
+  });
+
+  describe("alert sounds", () => {
+    const settings = {
+      switch: { enabled: true, volume: 50 },
+      complete: { enabled: false, volume: 30 },
+      warning: { enabled: true, volume: 80 },
+    };
+
+    test.each([
+      ["getAlertSettings", [], { type: "alerts/get" }],
+      ["saveAlertSettings", [settings], { type: "alerts/save", ...settings }],
+    ])("%s() should send %j", async (method, args, message) => {
+      chromeMock.runtime.sendMessage.mockResolvedValue({ success: true });
+
+      await bgClient[method](...args);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith(message);
+    });
+  });
+
   describe("_send()", () => {
     test("should send message with payload", async () => {
       chromeMock.runtime.sendMessage.mockResolvedValue({
@@ -187,5 +677,21 @@ describe("BGClient", () => {
       expect(result).toEqual(mockReturnValue);
       expect(alert).toHaveBeenCalledWith(mockReturnValue.error);
     });
+
+    test("should return strict mode rejections without an alert", async () => {
+      const mockReturnValue = {
+        success: false,
+        severity: "fatal",
+        error: "Strict mode: cannot pause during a work session",
+        locked: true,
+        lockedUntil: 1609459800000,
+      };
+      chromeMock.runtime.sendMessage.mockResolvedValue(mockReturnValue);
+
+      const result = await bgClient.pause();
+
+      expect(result).toEqual(mockReturnValue);
+      expect(alert).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for block-list-store.js
+ */
+import { describe, test, expect, beforeEach } from "vitest";
+import { setupChromeMock } from "../setup.chrome.js";
+import {
+  getBlockList,
+  saveBlockList,
+  getAllowList,
+  saveAllowList,
+} from "@/background/block-list-store.js";
+import Constants from "@/constants.js";
+
+const BLOCK_LIST_KEY = "pomodoroBlockList";
+const ALLOW_LIST_KEY = "pomodoroAllowList";
+
+describe("BlockListStore", () => {
+  let chromeMock;
+
+  beforeEach(() => {
+    chromeMock = setupChromeMock();
+  });
+
+  describe("getBlockList()", () => {
+    test("should read the list from chrome.storage.local", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [BLOCK_LIST_KEY]: ["example.com"],
+      });
+
+      const sites = await getBlockList();
+
+      expect(chromeMock.storage.local.get).toHaveBeenCalledWith(BLOCK_LIST_KEY);
+      expect(sites).toEqual(["example.com"]);
+    });
+
+    test("should return the default list when nothing is stored", async () => {
+      const sites = await getBlockList();
+
+      expect(sites).toEqual(Constants.BLOCK_SITES);
+      // Callers may modify the result without touching the defaults
+      expect(sites).not.toBe(Constants.BLOCK_SITES);
+    });
+
+    test("should keep an empty list that the user saved", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({ [BLOCK_LIST_KEY]: [] });
+
+      expect(await getBlockList()).toEqual([]);
+    });
+  });
+
+  describe("saveBlockList()", () => {
+    test("should write the list to chrome.storage.local", async () => {
+      await saveBlockList(["example.com", "example.org"]);
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [BLOCK_LIST_KEY]: ["example.com", "example.org"],
+      });
+    });
+
+    test("should throw when writing fails", async () => {
+      chromeMock.storage.local.set.mockRejectedValue(new Error("Quota"));
+
+      await expect(saveBlockList([])).rejects.toThrow("Quota");
+    });
+  });
+
+  describe("getAllowList()", () => {
+    test("should read the allowlist from its own key", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [ALLOW_LIST_KEY]: ["github.com"],
+      });
+
+      const sites = await getAllowList();
+
+      expect(chromeMock.storage.local.get).toHaveBeenCalledWith(ALLOW_LIST_KEY);
+      expect(sites).toEqual(["github.com"]);
+    });
+
+    test("should return the default allowlist when nothing is stored", async () => {
+      const sites = await getAllowList();
+
+      expect(sites).toEqual(Constants.ALLOW_SITES);
+      expect(sites).not.toBe(Constants.ALLOW_SITES);
+    });
+  });
+
+  describe("saveAllowList()", () => {
+    test("should write the allowlist to chrome.storage.local", async () => {
+      await saveAllowList(["github.com"]);
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [ALLOW_LIST_KEY]: ["github.com"],
+      });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for block-schedule.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import { setupChromeMock, useStorage } from "../setup.chrome.js";
+import {
+  getSchedules,
+  saveSchedules,
+  getScheduleState,
+  updateSchedule,
+  SCHEDULE_ALARM,
+} from "@/background/block-schedule.js";
+
+const SCHEDULE_STATE_KEY = "pomodoroScheduleState";
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+// Monday 2021-01-04, local time
+const at = (day, hours, minutes = 0) =>
+  new Date(2021, 0, day, hours, minutes).getTime();
+
+describe("BlockSchedule", () => {
+  let chromeMock;
+  let storage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    chromeMock = setupChromeMock();
+    storage = useStorage();
+  });
+
+  test("should start with no windows and outside of them", async () => {
+    expect(await getSchedules()).toEqual([]);
+    expect(await getScheduleState()).toEqual({ active: false, endsAt: null });
+  });
+
+  describe("updateSchedule()", () => {
+    beforeEach(async () => {
+      await saveSchedules([{ days: WEEKDAYS, start: "09:00", end: "12:00" }]);
+    });
+
+    test("should wake up when the next window opens", async () => {
+      const result = await updateSchedule(at(4, 8));
+
+      expect(result).toEqual({ wasActive: false, active: false, endsAt: null });
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(SCHEDULE_ALARM, {
+        when: at(4, 9),
+      });
+    });
+
+    test("should report and store an open window with its end", async () => {
+      const result = await updateSchedule(at(4, 9));
+
+      expect(result).toEqual({
+        wasActive: false,
+        active: true,
+        endsAt: at(4, 12),
+      });
+      expect(storage[SCHEDULE_STATE_KEY]).toEqual({
+        active: true,
+        endsAt: at(4, 12),
+      });
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(SCHEDULE_ALARM, {
+        when: at(4, 12),
+      });
+    });
+
+    test("should close the window at its end and remember it was open", async () => {
+      await updateSchedule(at(4, 10));
+
+      const result = await updateSchedule(at(4, 12));
+
+      expect(result).toEqual({ wasActive: true, active: false, endsAt: null });
+      expect(chromeMock.alarms.create).toHaveBeenLastCalledWith(
+        SCHEDULE_ALARM,
+        { when: at(5, 9) }
+      );
+    });
+
+    test("should skip the days the window is not on", async () => {
+      // Friday afternoon: the next window is on Monday
+      await updateSchedule(at(8, 13));
+
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(SCHEDULE_ALARM, {
+        when: at(11, 9),
+      });
+    });
+
+    test("should read back-to-back windows as one", async () => {
+      await saveSchedules([
+        { days: WEEKDAYS, start: "09:00", end: "12:00" },
+        { days: [1], start: "11:00", end: "13:00" },
+        { days: [1], start: "13:00", end: "14:30" },
+      ]);
+
+      const result = await updateSchedule(at(4, 9));
+
+      expect(result.endsAt).toBe(at(4, 14, 30));
+    });
+
+    test("should clear the alarm when there are no windows", async () => {
+      await saveSchedules([]);
+
+      await updateSchedule(at(4, 9));
+
+      expect(chromeMock.alarms.clear).toHaveBeenCalledWith(SCHEDULE_ALARM);
+      expect(chromeMock.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test("should fail when the alarm cannot be cleared", async () => {
+      await saveSchedules([]);
+      chromeMock.alarms.clear.mockRejectedValueOnce(new Error("Clear failed"));
+
+      await expect(updateSchedule(at(4, 9))).rejects.toThrow("Clear failed");
+    });
+  });
+});
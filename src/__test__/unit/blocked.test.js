@@ -0,0 +1,396 @@
+/**
+ * Unit tests for blocked.js
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import Constants from "@/constants.js";
+
+const { TIMER_MODES, SESSION_TYPES } = Constants;
+
+// Mock BGClient
+const mockBGClient = {
+  update: vi.fn(),
+  returnLater: vi.fn(),
+  unlockSite: vi.fn(),
+  getBudgets: vi.fn(),
+};
+
+const MockBGClient = vi.fn(() => mockBGClient);
+
+vi.mock("@/ui/bg-client.js", () => ({
+  BGClient: MockBGClient,
+}));
+
+/**
+ * Minimal element that records what blocked.js renders into it.
+ */
+function createElement(tag) {
+  return {
+    tag,
+    children: [],
+    textContent: "",
+    hidden: false,
+    disabled: false,
+    open: false,
+    value: "",
+    addEventListener: vi.fn(),
+    replaceChildren(...nodes) {
+      this.children = nodes;
+    },
+  };
+}
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const BLOCKED_URL = "https://x.com/home?tab=following";
+
+describe("Blocked page", () => {
+  const ids = [
+    "blocked-title",
+    "blocked-url",
+    "budget-info",
+    "schedule-info",
+    "session-info",
+    "time-left",
+    "return-later-button",
+    "return-status",
+    "unlock-section",
+    "unlock-domain",
+    "unlock-minutes",
+    "unlock-reason",
+    "unlock-phrase",
+    "unlock-confirmation",
+    "unlock-button",
+    "unlock-status",
+  ];
+  let elements;
+
+  beforeEach(() => {
+    vi.resetModules();
+    vi.clearAllMocks();
+    vi.useFakeTimers({ toFake: ["setInterval", "clearInterval", "Date"] });
+
+    elements = Object.fromEntries(ids.map((id) => [id, createElement("div")]));
+    vi.stubGlobal("document", {
+      getElementById: vi.fn((id) => elements[id]),
+      createElement: vi.fn((tag) => createElement(tag)),
+    });
+    vi.stubGlobal("location", { hash: `#${BLOCKED_URL}`, replace: vi.fn() });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  const loadPage = async () => {
+    await import("@/ui/blocked.js");
+    await flushPromises();
+  };
+
+  const workSession = (overrides = {}) => ({
+    success: true,
+    mode: TIMER_MODES.RUNNING,
+    sessionType: SESSION_TYPES.WORK,
+    sessionRemaining: 12 * 60 * 1000 + 5 * 1000,
+    ...overrides,
+  });
+
+  const listener = (id, type) =>
+    elements[id].addEventListener.mock.calls.find(
+      ([event]) => event === type
+    )[1];
+
+  const clickReturnLater = () => listener("return-later-button", "click")();
+
+  test("should show the blocked URL and the time left in the session", async () => {
+    mockBGClient.update.mockResolvedValue(workSession());
+
+    await loadPage();
+
+    expect(elements["blocked-url"].textContent).toBe(BLOCKED_URL);
+    expect(elements["time-left"].textContent).toBe("12:05");
+    expect(elements["session-info"].hidden).toBe(false);
+  });
+
+  test("should count down while the session is running", async () => {
+    mockBGClient.update.mockResolvedValue(workSession());
+
+    await loadPage();
+    vi.advanceTimersByTime(3000);
+
+    expect(elements["time-left"].textContent).toBe("12:02");
+  });
+
+  test("should not count down while the session is paused", async () => {
+    mockBGClient.update.mockResolvedValue(
+      workSession({ mode: TIMER_MODES.PAUSED })
+    );
+
+    await loadPage();
+    vi.advanceTimersByTime(3000);
+
+    expect(elements["time-left"].textContent).toBe("12:05");
+  });
+
+  test("should link to the page once the session is over", async () => {
+    mockBGClient.update
+      .mockResolvedValueOnce(workSession({ sessionRemaining: 2000 }))
+      .mockResolvedValueOnce(workSession({ sessionType: SESSION_TYPES.BREAK }));
+
+    await loadPage();
+    vi.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(mockBGClient.update).toHaveBeenCalledTimes(2);
+    expect(elements["session-info"].hidden).toBe(true);
+    expect(elements["return-later-button"].hidden).toBe(true);
+    const [link] = elements["blocked-url"].children;
+    expect(link.tag).toBe("a");
+    expect(link.href).toBe(BLOCKED_URL);
+  });
+
+  test("should not link to a URL that is not a web page", async () => {
+    location.hash = "#javascript:alert(1)";
+    mockBGClient.update.mockResolvedValue({
+      success: true,
+      mode: TIMER_MODES.SETUP,
+    });
+
+    await loadPage();
+
+    expect(elements["blocked-url"].textContent).toBe("");
+    expect(elements["blocked-url"].children).toEqual([]);
+    expect(elements["return-later-button"].disabled).toBe(true);
+  });
+
+  test("should queue the URL when return later is clicked", async () => {
+    mockBGClient.update.mockResolvedValue(workSession());
+    mockBGClient.returnLater.mockResolvedValue({ success: true });
+
+    await loadPage();
+    await clickReturnLater();
+
+    expect(mockBGClient.returnLater).toHaveBeenCalledWith(BLOCKED_URL);
+    expect(elements["return-later-button"].disabled).toBe(true);
+    expect(elements["return-status"].textContent).toContain(
+      "休憩が始まったらこのページを開きます"
+    );
+  });
+
+  test("should report a failure to queue the URL", async () => {
+    mockBGClient.update.mockResolvedValue(workSession());
+    mockBGClient.returnLater.mockResolvedValue({ success: false });
+
+    await loadPage();
+    await clickReturnLater();
+
+    expect(elements["return-later-button"].disabled).toBe(false);
+    expect(elements["return-status"].textContent).toBe("予約できませんでした");
+  });
+
+  describe("emergency unlock", () => {
+    const { WAIT_SECONDS, CONFIRM_PHRASE } = Constants.UNLOCK;
+
+    const openUnlockForm = () => {
+      elements["unlock-section"].open = true;
+      listener("unlock-section", "toggle")();
+    };
+
+    const fillUnlockForm = (reason, confirmation) => {
+      elements["unlock-minutes"].value = "10";
+      elements["unlock-reason"].value = reason;
+      listener("unlock-reason", "input")();
+      elements["unlock-confirmation"].value = confirmation;
+      listener("unlock-confirmation", "input")();
+    };
+
+    beforeEach(() => {
+      mockBGClient.update.mockResolvedValue(workSession());
+    });
+
+    test("should prefill the blocked domain and the phrase to type", async () => {
+      await loadPage();
+
+      expect(elements["unlock-domain"].value).toBe("x.com");
+      expect(elements["unlock-phrase"].textContent).toBe(CONFIRM_PHRASE);
+      expect(elements["unlock-button"].disabled).toBe(true);
+    });
+
+    test("should enable unlocking only after the wait, a reason and the phrase", async () => {
+      await loadPage();
+      openUnlockForm();
+      fillUnlockForm("Checking a bug report", CONFIRM_PHRASE);
+
+      expect(elements["unlock-button"].disabled).toBe(true);
+      expect(elements["unlock-button"].textContent).toBe(
+        `Unlock (${WAIT_SECONDS})`
+      );
+
+      vi.advanceTimersByTime(WAIT_SECONDS * 1000);
+      expect(elements["unlock-button"].disabled).toBe(false);
+      expect(elements["unlock-button"].textContent).toBe("Unlock");
+
+      fillUnlockForm("Checking a bug report", "i need this");
+      expect(elements["unlock-button"].disabled).toBe(true);
+    });
+
+    test("should not start the wait until the form is opened", async () => {
+      await loadPage();
+      vi.advanceTimersByTime(WAIT_SECONDS * 1000);
+      fillUnlockForm("reason", CONFIRM_PHRASE);
+
+      expect(elements["unlock-button"].disabled).toBe(true);
+    });
+
+    test("should unlock and go back to the page", async () => {
+      mockBGClient.unlockSite.mockResolvedValue({ success: true });
+      await loadPage();
+      openUnlockForm();
+      vi.advanceTimersByTime(WAIT_SECONDS * 1000);
+      fillUnlockForm("Checking a bug report", CONFIRM_PHRASE);
+
+      await listener("unlock-button", "click")();
+
+      expect(mockBGClient.unlockSite).toHaveBeenCalledWith({
+        domain: "x.com",
+        minutes: 10,
+        reason: "Checking a bug report",
+        confirmation: CONFIRM_PHRASE,
+      });
+      expect(location.replace).toHaveBeenCalledWith(BLOCKED_URL);
+    });
+
+    test("should stay on the block page when unlocking fails", async () => {
+      mockBGClient.unlockSite.mockResolvedValue({ success: false });
+      await loadPage();
+
+      await listener("unlock-button", "click")();
+
+      expect(location.replace).not.toHaveBeenCalled();
+      expect(elements["unlock-status"].textContent).toBe(
+        "解除できませんでした"
+      );
+    });
+
+    test("should show why the background refused the unlock", async () => {
+      mockBGClient.unlockSite.mockResolvedValue({
+        success: false,
+        error: "Wrong confirmation phrase",
+      });
+      await loadPage();
+
+      await listener("unlock-button", "click")();
+
+      expect(elements["unlock-status"].textContent).toBe(
+        "解除できませんでした: Wrong confirmation phrase"
+      );
+    });
+
+    test("should show why the request could not be sent", async () => {
+      mockBGClient.unlockSite.mockRejectedValue(new Error("Invalid minutes"));
+      await loadPage();
+
+      await listener("unlock-button", "click")();
+
+      expect(location.replace).not.toHaveBeenCalled();
+      expect(elements["unlock-status"].textContent).toBe(
+        "解除できませんでした: Invalid minutes"
+      );
+    });
+  });
+
+  describe("scheduled block", () => {
+    const WINDOW_LEFT = 90 * 60 * 1000;
+
+    test("should say until when the schedule blocks outside a session", async () => {
+      mockBGClient.update.mockResolvedValue(
+        workSession({
+          sessionType: SESSION_TYPES.BREAK,
+          scheduleEndsAt: Date.now() + WINDOW_LEFT,
+        })
+      );
+
+      await loadPage();
+
+      expect(elements["blocked-title"].textContent).toBe(
+        "Blocked by your schedule"
+      );
+      expect(elements["schedule-info"].hidden).toBe(false);
+      expect(elements["schedule-info"].textContent).toMatch(
+        /^Sites on your block list are blocked until .+\.$/
+      );
+      expect(elements["session-info"].hidden).toBe(true);
+      expect(elements["blocked-url"].children).toEqual([]);
+    });
+
+    test("should link to the page once the window closes", async () => {
+      mockBGClient.update
+        .mockResolvedValueOnce(
+          workSession({
+            mode: TIMER_MODES.SETUP,
+            scheduleEndsAt: Date.now() + 2000,
+          })
+        )
+        .mockResolvedValueOnce(
+          workSession({ mode: TIMER_MODES.SETUP, scheduleEndsAt: null })
+        );
+
+      await loadPage();
+      vi.advanceTimersByTime(2000);
+      await flushPromises();
+
+      expect(elements["schedule-info"].hidden).toBe(true);
+      const [link] = elements["blocked-url"].children;
+      expect(link.href).toBe(BLOCKED_URL);
+    });
+  });
+
+  describe("daily budget", () => {
+    const budget = (overrides = {}) => ({
+      success: true,
+      budgets: [
+        {
+          domain: "x.com",
+          minutes: 30,
+          usedMs: 30 * 60 * 1000,
+          remainingMs: 0,
+          exhausted: true,
+          ...overrides,
+        },
+      ],
+    });
+
+    beforeEach(() => {
+      location.search = "?reason=budget";
+    });
+
+    test("should explain that the budget is used up instead of the session", async () => {
+      mockBGClient.getBudgets.mockResolvedValue(budget());
+
+      await loadPage();
+
+      expect(mockBGClient.update).not.toHaveBeenCalled();
+      expect(elements["blocked-title"].textContent).toBe(
+        "Daily budget used up"
+      );
+      expect(elements["budget-info"].hidden).toBe(false);
+      expect(elements["budget-info"].textContent).toBe(
+        "Your 30 min on x.com for today are used up. It opens again at midnight."
+      );
+      expect(elements["session-info"].hidden).toBe(true);
+      expect(elements["return-later-button"].hidden).toBe(true);
+      expect(elements["unlock-section"].hidden).toBe(true);
+    });
+
+    test("should link to the page once the budget is no longer used up", async () => {
+      mockBGClient.getBudgets.mockResolvedValue(
+        budget({ remainingMs: 60 * 1000, exhausted: false })
+      );
+
+      await loadPage();
+
+      const [link] = elements["blocked-url"].children;
+      expect(link.href).toBe(BLOCKED_URL);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for emergency-unlock.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import { setupChromeMock, useStorage } from "../setup.chrome.js";
+import {
+  unlockSite,
+  expireUnlock,
+  getActiveUnlocks,
+  getUnlockLog,
+  UNLOCK_ALARM_PREFIX,
+} from "@/background/emergency-unlock.js";
+import { addUnlockRule, removeUnlockRule } from "@/background/sites-guard.js";
+import Constants from "@/constants.js";
+
+vi.mock("@/background/sites-guard.js", () => ({
+  addUnlockRule: vi.fn().mockResolvedValue(undefined),
+  removeUnlockRule: vi.fn().mockResolvedValue(undefined),
+}));
+
+const ACTIVE_UNLOCKS_KEY = "pomodoroActiveUnlocks";
+const UNLOCK_LOG_KEY = "pomodoroUnlockLog";
+const NOW = 1609459200000; // 2021-01-01T00:00:00Z
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+describe("EmergencyUnlock", () => {
+  let chromeMock;
+  let storage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    chromeMock = setupChromeMock();
+    storage = useStorage();
+  });
+
+  describe("unlockSite()", () => {
+    test("should add an allow rule, remember the unlock and schedule its end", async () => {
+      const unlock = await unlockSite(
+        { domain: "docs.example.com", minutes: 5, reason: "API reference" },
+        NOW
+      );
+
+      expect(unlock).toEqual({
+        domain: "docs.example.com",
+        slot: 0,
+        reason: "API reference",
+        unlockedAt: NOW,
+        expiresAt: NOW + FIVE_MINUTES,
+      });
+      expect(addUnlockRule).toHaveBeenCalledWith(0, "docs.example.com");
+      expect(await getActiveUnlocks()).toEqual([unlock]);
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(
+        `${UNLOCK_ALARM_PREFIX}0`,
+        { when: NOW + FIVE_MINUTES }
+      );
+    });
+
+    test("should log every unlock with its time and reason", async () => {
+      await unlockSite({ domain: "a.com", minutes: 5, reason: "one" }, NOW);
+      await unlockSite(
+        { domain: "a.com", minutes: 10, reason: "two" },
+        NOW + 1
+      );
+
+      expect(await getUnlockLog()).toEqual([
+        {
+          domain: "a.com",
+          minutes: 5,
+          reason: "one",
+          unlockedAt: NOW,
+          expiresAt: NOW + FIVE_MINUTES,
+        },
+        {
+          domain: "a.com",
+          minutes: 10,
+          reason: "two",
+          unlockedAt: NOW + 1,
+          expiresAt: NOW + 1 + 2 * FIVE_MINUTES,
+        },
+      ]);
+    });
+
+    test("should restart the time of a domain that is already unlocked", async () => {
+      await unlockSite({ domain: "a.com", minutes: 5, reason: "r" }, NOW);
+      await unlockSite({ domain: "b.com", minutes: 5, reason: "r" }, NOW);
+      await unlockSite({ domain: "a.com", minutes: 5, reason: "r" }, NOW + 1);
+
+      const unlocks = await getActiveUnlocks();
+      expect(unlocks.map(({ domain, slot }) => [domain, slot])).toEqual([
+        ["b.com", 1],
+        ["a.com", 0],
+      ]);
+    });
+
+    test("should refuse more unlocks than there are rule slots", async () => {
+      storage[ACTIVE_UNLOCKS_KEY] = Array.from(
+        { length: Constants.UNLOCK.MAX_ACTIVE },
+        (_, slot) => ({ domain: `site${slot}.com`, slot })
+      );
+
+      await expect(
+        unlockSite({ domain: "a.com", minutes: 5, reason: "r" }, NOW)
+      ).rejects.toThrow("sites can be unlocked at the same time");
+      expect(addUnlockRule).not.toHaveBeenCalled();
+    });
+
+    test("should keep only the newest log entries", async () => {
+      const max = Constants.UNLOCK.MAX_LOG_ENTRIES;
+      storage[UNLOCK_LOG_KEY] = Array.from({ length: max }, (_, i) => ({
+        domain: `site${i}.com`,
+      }));
+
+      await unlockSite({ domain: "a.com", minutes: 5, reason: "r" }, NOW);
+
+      const log = await getUnlockLog();
+      expect(log).toHaveLength(max);
+      expect(log[0].domain).toBe("site1.com");
+      expect(log.at(-1).domain).toBe("a.com");
+    });
+  });
+
+  describe("expireUnlock()", () => {
+    test("should remove the rule and forget the unlock", async () => {
+      await unlockSite({ domain: "a.com", minutes: 5, reason: "r" }, NOW);
+      await unlockSite({ domain: "b.com", minutes: 5, reason: "r" }, NOW);
+
+      await expireUnlock(`${UNLOCK_ALARM_PREFIX}0`);
+
+      expect(removeUnlockRule).toHaveBeenCalledWith(0);
+      expect((await getActiveUnlocks()).map((u) => u.domain)).toEqual([
+        "b.com",
+      ]);
+      // The log keeps both
+      expect(await getUnlockLog()).toHaveLength(2);
+    });
+
+    test.each([["POMODORO_TICK"], [UNLOCK_ALARM_PREFIX], [undefined]])(
+      "should ignore the alarm name %j",
+      async (alarmName) => {
+        await expireUnlock(alarmName);
+
+        expect(removeUnlockRule).not.toHaveBeenCalled();
+      }
+    );
+  });
+});
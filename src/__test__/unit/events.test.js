@@ -6,6 +6,7 @@ import {
   test,
   expect,
   beforeEach,
+  afterEach,
   beforeAll,
   afterAll,
   vi,
@@ -21,27 +22,109 @@ const { TIMER_MODES, SESSION_TYPES } = Constants;
 vi.mock("@/background/setup-alarms.js", () => ({
   startTick: vi.fn().mockResolvedValue(undefined),
   stopTick: vi.fn().mockResolvedValue(undefined),
+  scheduleBoundaries: vi.fn(),
 }));
 
 vi.mock("@/background/sites-guard.js", () => ({
   enableBlock: vi.fn(),
   disableBlock: vi.fn(),
+  isBlockingSession: vi.fn((type) => type === "work"),
+  checkRegexSupport: vi.fn(),
+  reconcileRules: vi.fn().mockResolvedValue({ added: [], removed: [] }),
 }));
 
 vi.mock("@/background/timer-store.js", () => ({
   initTimer: vi.fn().mockResolvedValue(undefined),
   getTimer: vi.fn(),
   saveSnapshot: vi.fn().mockResolvedValue(undefined),
+  consumeRestoreResult: vi.fn().mockReturnValue(null),
 }));
 
 vi.mock("@/background/sound-controller.js", () => ({
   handleSound: vi.fn().mockResolvedValue(undefined),
 }));
 
+vi.mock("@/background/alert-sounds.js", () => ({
+  getAlertSettings: vi.fn().mockResolvedValue({
+    switch: { enabled: true, volume: 50 },
+    complete: { enabled: true, volume: 50 },
+    warning: { enabled: false, volume: 50 },
+  }),
+  saveAlertSettings: vi.fn().mockResolvedValue(undefined),
+  playAlert: vi.fn().mockResolvedValue(undefined),
+}));
+
 vi.mock("@/background/notification.js", () => ({
   notify: vi.fn().mockResolvedValue(undefined),
 }));
 
+vi.mock("@/background/block-list-store.js", () => ({
+  getBlockList: vi.fn().mockResolvedValue(["example.com"]),
+  saveBlockList: vi.fn().mockResolvedValue(undefined),
+  getAllowList: vi.fn().mockResolvedValue(["github.com"]),
+  saveAllowList: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("@/background/return-queue.js", () => ({
+  queueReturn: vi.fn().mockResolvedValue(undefined),
+  openQueuedReturns: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("@/background/emergency-unlock.js", () => ({
+  unlockSite: vi.fn(async ({ domain }) => ({
+    domain,
+    slot: 0,
+    expiresAt: 1609459500000,
+  })),
+  expireUnlock: vi.fn().mockResolvedValue(undefined),
+  getActiveUnlocks: vi.fn().mockResolvedValue([]),
+  getUnlockLog: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("@/background/site-budgets.js", () => ({
+  saveBudgets: vi.fn().mockResolvedValue(undefined),
+  refreshBudgets: vi.fn().mockResolvedValue(undefined),
+  getBudgetStatus: vi.fn().mockResolvedValue([]),
+  getBlockedBudgetDomains: vi.fn().mockResolvedValue([]),
+}));
+
+vi.mock("@/background/block-schedule.js", () => ({
+  getSchedules: vi.fn().mockResolvedValue([]),
+  saveSchedules: vi.fn().mockResolvedValue(undefined),
+  getScheduleState: vi.fn().mockResolvedValue({ active: false, endsAt: null }),
+  updateSchedule: vi
+    .fn()
+    .mockResolvedValue({ wasActive: false, active: false, endsAt: null }),
+}));
+
+vi.mock("@/background/focus-presets.js", () => ({
+  getPresets: vi.fn().mockResolvedValue([]),
+  getPreset: vi.fn().mockResolvedValue(null),
+  savePresets: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("@/background/scrubbed-tabs.js", () => ({
+  getScrubSettings: vi
+    .fn()
+    .mockResolvedValue({ scrubAction: "close", autoRestoreTabs: false }),
+  saveScrubSettings: vi.fn().mockResolvedValue(undefined),
+  getClosedTabs: vi.fn().mockResolvedValue([]),
+  restoreClosedTabs: vi.fn().mockResolvedValue({ restored: 0 }),
+  autoRestoreClosedTabs: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("@/background/history-store.js", () => ({
+  recordSession: vi.fn().mockResolvedValue(undefined),
+  getHistory: vi.fn().mockResolvedValue([]),
+  importSessions: vi.fn().mockResolvedValue({ imported: 0, skipped: 0 }),
+}));
+
+const mockGetUserTrack = vi.fn().mockResolvedValue(null);
+vi.mock("@/sound-library.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getUserTrack: (...args) => mockGetUserTrack(...args),
+}));
+
 // Test constants
 const MOCK_TOTAL_REMAINING = 123;
 const MOCK_SESSION_REMAINING = 45;
@@ -51,20 +134,42 @@ const MOCK_TIME = 1609459200000; // 2021-01-01T00:00:00Z
 function initializeTimerStateMock() {
   return {
     start: vi.fn(),
+    startCycles: vi.fn(),
     pause: vi.fn(),
     resume: vi.fn(),
     reset: vi.fn(),
     update: vi.fn(),
+    skip: vi.fn(),
+    extend: vi.fn().mockReturnValue(5 * 60 * 1000),
+    getSessionRecord: vi.fn().mockReturnValue(null),
     mode: "start",
     getTotalRemaining: vi.fn().mockReturnValue(MOCK_TOTAL_REMAINING),
     sessionType: "work",
+    blockMode: "blocklist",
+    strictMode: false,
+    presetId: null,
+    getStrictLockEnd: vi.fn().mockReturnValue(null),
     getSessionRemaining: vi.fn().mockReturnValue(MOCK_SESSION_REMAINING),
+    getSessionEndTime: vi.fn().mockReturnValue(null),
+    applyRunSound: vi.fn(),
+    applyRunBlockMode: vi.fn(),
   };
 }
 
 let fakeTimer;
-let mockStartTick, mockStopTick, mockEnableBlock, mockDisableBlock;
+let mockStartTick, mockStopTick, mockScheduleBoundaries;
+let mockEnableBlock, mockDisableBlock, mockCheckRegexSupport;
+let mockReconcileRules;
 let mockInitTimer, mockSaveSnapshot, mockHandleSound, mockNotify;
+let mockRecordSession, mockGetHistory, mockImportSessions;
+let mockGetBlockList, mockSaveBlockList, mockSaveAllowList;
+let mockQueueReturn, mockOpenQueuedReturns;
+let mockSaveScrubSettings, mockRestoreClosedTabs, mockAutoRestoreClosedTabs;
+let mockUnlockSite, mockExpireUnlock, mockGetUnlockLog;
+let mockSaveBudgets, mockRefreshBudgets, mockGetBudgetStatus;
+let mockSaveSchedules, mockGetScheduleState, mockUpdateSchedule;
+let mockGetPresets, mockGetPreset, mockSavePresets;
+let mockPlayAlert, mockSaveAlertSettings;
 
 beforeAll(() => {
   vi.useFakeTimers();
@@ -84,15 +189,52 @@ beforeEach(async () => {
   const timerStoreModule = await import("@/background/timer-store.js");
   const soundController = await import("@/background/sound-controller.js");
   const notificationModule = await import("@/background/notification.js");
+  const historyStore = await import("@/background/history-store.js");
+  const blockListStore = await import("@/background/block-list-store.js");
+  const returnQueue = await import("@/background/return-queue.js");
+  const scrubbedTabs = await import("@/background/scrubbed-tabs.js");
+  const emergencyUnlock = await import("@/background/emergency-unlock.js");
+  const siteBudgets = await import("@/background/site-budgets.js");
+  const blockSchedule = await import("@/background/block-schedule.js");
+  const focusPresets = await import("@/background/focus-presets.js");
+  const alertSounds = await import("@/background/alert-sounds.js");
 
   mockStartTick = setupAlarms.startTick;
   mockStopTick = setupAlarms.stopTick;
+  mockScheduleBoundaries = setupAlarms.scheduleBoundaries;
   mockEnableBlock = sitesGuard.enableBlock;
   mockDisableBlock = sitesGuard.disableBlock;
+  mockCheckRegexSupport = sitesGuard.checkRegexSupport;
+  mockReconcileRules = sitesGuard.reconcileRules;
   mockInitTimer = timerStoreModule.initTimer;
   mockSaveSnapshot = timerStoreModule.saveSnapshot;
   mockHandleSound = soundController.handleSound;
   mockNotify = notificationModule.notify;
+  mockRecordSession = historyStore.recordSession;
+  mockGetHistory = historyStore.getHistory;
+  mockImportSessions = historyStore.importSessions;
+  mockGetBlockList = blockListStore.getBlockList;
+  mockSaveBlockList = blockListStore.saveBlockList;
+  mockSaveAllowList = blockListStore.saveAllowList;
+  mockQueueReturn = returnQueue.queueReturn;
+  mockOpenQueuedReturns = returnQueue.openQueuedReturns;
+  mockSaveScrubSettings = scrubbedTabs.saveScrubSettings;
+  mockRestoreClosedTabs = scrubbedTabs.restoreClosedTabs;
+  mockAutoRestoreClosedTabs = scrubbedTabs.autoRestoreClosedTabs;
+  mockUnlockSite = emergencyUnlock.unlockSite;
+  mockExpireUnlock = emergencyUnlock.expireUnlock;
+  mockGetUnlockLog = emergencyUnlock.getUnlockLog;
+  mockSaveBudgets = siteBudgets.saveBudgets;
+  mockRefreshBudgets = siteBudgets.refreshBudgets;
+  mockGetBudgetStatus = siteBudgets.getBudgetStatus;
+  mockSaveSchedules = blockSchedule.saveSchedules;
+  mockGetScheduleState = blockSchedule.getScheduleState;
+  mockUpdateSchedule = blockSchedule.updateSchedule;
+  mockGetPresets = focusPresets.getPresets;
+  mockGetPreset = focusPresets.getPreset;
+  mockSavePresets = focusPresets.savePresets;
+  mockPlayAlert = alertSounds.playAlert;
+  mockSaveAlertSettings = alertSounds.saveAlertSettings;
 
   fakeTimer = initializeTimerStateMock();
   vi.spyOn(timerStore, "getTimer").mockReturnValue(fakeTimer);
@@ -103,7 +245,85 @@ describe("Events", () => {
     test('should call start with minutes when "timer/start" is invoked', async () => {
       await handleEvents("timer/start", { minutes: 25 });
 
-      expect(fakeTimer.start).toHaveBeenCalledWith(25);
+      expect(fakeTimer.start).toHaveBeenCalledWith(25, {});
+    });
+
+    test('should pass session lengths to start when "timer/start" is invoked with them', async () => {
+      await handleEvents("timer/start", {
+        minutes: 120,
+        workMinutes: 50,
+        breakMinutes: 10,
+      });
+
+      expect(fakeTimer.start).toHaveBeenCalledWith(120, {
+        workMinutes: 50,
+        breakMinutes: 10,
+      });
+    });
+
+    test('should set the block mode before blocking when "timer/start" is invoked with one', async () => {
+      mockEnableBlock.mockImplementationOnce(() => {
+        expect(fakeTimer.blockMode).toBe(Constants.BLOCK_MODES.ALLOWLIST);
+      });
+
+      await handleEvents("timer/start", {
+        minutes: 60,
+        blockMode: Constants.BLOCK_MODES.ALLOWLIST,
+      });
+
+      expect(fakeTimer.start).toHaveBeenCalledWith(60, {});
+      expect(mockEnableBlock).toHaveBeenCalled();
+    });
+
+    test('should set strict mode when "timer/start" is invoked with it', async () => {
+      await handleEvents("timer/start", { minutes: 60, strictMode: true });
+
+      expect(fakeTimer.strictMode).toBe(true);
+      expect(fakeTimer.start).toHaveBeenCalledWith(60, {});
+    });
+
+    test('should turn strict mode off when "timer/start" omits it', async () => {
+      fakeTimer.strictMode = true;
+
+      await handleEvents("timer/start", { minutes: 60 });
+
+      expect(fakeTimer.strictMode).toBe(false);
+    });
+
+    test('should return fatal error when "timer/start" is called with an unknown block mode', async () => {
+      const result = await handleEvents("timer/start", {
+        minutes: 60,
+        blockMode: "everything",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(fakeTimer.blockMode).toBe(Constants.BLOCK_MODES.BLOCKLIST);
+      expect(fakeTimer.start).not.toHaveBeenCalled();
+    });
+
+    test('should return fatal error when "timer/start" is called with workMinutes out of range', async () => {
+      const result = await handleEvents("timer/start", {
+        minutes: 60,
+        workMinutes: 0,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("Too small");
+      expect(fakeTimer.start).not.toHaveBeenCalled();
+    });
+
+    test('should return fatal error when "timer/start" is called with breakMinutes out of range', async () => {
+      const result = await handleEvents("timer/start", {
+        minutes: 60,
+        breakMinutes: 61,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("Too big");
+      expect(fakeTimer.start).not.toHaveBeenCalled();
     });
 
     test('should call pause when "timer/pause" is invoked', async () => {
@@ -124,6 +344,73 @@ describe("Events", () => {
       expect(fakeTimer.reset).toHaveBeenCalled();
     });
 
+    test('should call skip and notify the switch when "timer/skip" is invoked', async () => {
+      fakeTimer.skip.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+
+      const result = await handleEvents("timer/skip");
+
+      expect(result.success).toBe(true);
+      expect(fakeTimer.skip).toHaveBeenCalled();
+      expect(notification.notify).toHaveBeenCalledWith(
+        expect.objectContaining({ title: "休憩開始" })
+      );
+      expect(mockDisableBlock).toHaveBeenCalled();
+      expect(mockScheduleBoundaries).toHaveBeenCalled();
+    });
+
+    test('should enable block when "timer/skip" starts a work session', async () => {
+      fakeTimer.skip.mockReturnValue({
+        sessionType: SESSION_TYPES.WORK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/skip");
+
+      expect(mockEnableBlock).toHaveBeenCalled();
+    });
+
+    test('should complete the timer when "timer/skip" skips the last session', async () => {
+      fakeTimer.skip.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
+
+      await handleEvents("timer/skip");
+
+      expect(notification.notify).toHaveBeenCalledWith(
+        expect.objectContaining({ title: "ポモドーロ完了" })
+      );
+      expect(mockDisableBlock).toHaveBeenCalled();
+      expect(mockStopTick).toHaveBeenCalled();
+    });
+
+    test('should do nothing when "timer/skip" is invoked while not running', async () => {
+      fakeTimer.skip.mockReturnValue(undefined);
+
+      const result = await handleEvents("timer/skip");
+
+      expect(result.success).toBe(true);
+      expect(notification.notify).not.toHaveBeenCalled();
+    });
+
+    test('should extend and reschedule when "timer/extend" is invoked', async () => {
+      const result = await handleEvents("timer/extend", { minutes: 5 });
+
+      expect(fakeTimer.extend).toHaveBeenCalledWith(5);
+      expect(mockScheduleBoundaries).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.extendedBy).toBe(5 * 60 * 1000);
+    });
+
+    test('should return fatal error when "timer/extend" is called with invalid minutes', async () => {
+      const result = await handleEvents("timer/extend", { minutes: 0 });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(fakeTimer.extend).not.toHaveBeenCalled();
+      expect(mockScheduleBoundaries).not.toHaveBeenCalled();
+    });
+
     test('should call update and return timer state when "timer/update" is invoked', async () => {
       fakeTimer.update.mockReturnValue({});
 
@@ -136,8 +423,14 @@ describe("Events", () => {
         totalRemaining: MOCK_TOTAL_REMAINING,
         sessionType: "work",
         sessionRemaining: MOCK_SESSION_REMAINING,
+        blockMode: "blocklist",
+        scheduleEndsAt: null,
+        strictMode: false,
+        presetId: null,
+        lockedUntil: null,
         soundEnabled: void 0,
         soundVolume: void 0,
+        soundTrack: void 0,
       });
     });
 
@@ -154,6 +447,74 @@ describe("Events", () => {
       );
     });
 
+    test("should play the completion sound when timer is completed", async () => {
+      fakeTimer.update.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
+
+      await handleEvents("timer/update");
+
+      expect(mockPlayAlert).toHaveBeenCalledTimes(1);
+      expect(mockPlayAlert).toHaveBeenCalledWith("complete");
+    });
+
+    test("should play the chime when a session switches", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockPlayAlert).toHaveBeenCalledTimes(1);
+      expect(mockPlayAlert).toHaveBeenCalledWith("switch");
+    });
+
+    test("should still switch sessions when the chime fails", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+      mockPlayAlert.mockRejectedValueOnce(new Error("Offscreen error"));
+
+      const result = await handleEvents("timer/update");
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.WARNING);
+      expect(mockDisableBlock).toHaveBeenCalled();
+      expect(mockScheduleBoundaries).toHaveBeenCalled();
+    });
+
+    test("should not play any alert while nothing switches", async () => {
+      fakeTimer.update.mockReturnValue(undefined);
+
+      await handleEvents("timer/update");
+
+      expect(mockPlayAlert).not.toHaveBeenCalled();
+    });
+
+    test('should play the warning when "timer/warn" fires a minute before the session ends', async () => {
+      fakeTimer.getSessionEndTime.mockReturnValue(MOCK_TIME + 60 * 1000);
+
+      const result = await handleEvents("timer/warn");
+
+      expect(result.success).toBe(true);
+      expect(mockPlayAlert).toHaveBeenCalledWith("warning");
+    });
+
+    test.each([
+      ["the timer is not running", null],
+      [
+        "the session ends later, e.g. after an extension",
+        MOCK_TIME + 5 * 60000,
+      ],
+      ["the session has already ended", MOCK_TIME],
+    ])('should ignore "timer/warn" when %s', async (_label, sessionEnd) => {
+      fakeTimer.getSessionEndTime.mockReturnValue(sessionEnd);
+
+      const result = await handleEvents("timer/warn");
+
+      expect(result.success).toBe(true);
+      expect(mockPlayAlert).not.toHaveBeenCalled();
+    });
+
     test('should notify "switch" when work session is complete', async () => {
       fakeTimer.update.mockReturnValue({
         sessionType: SESSION_TYPES.WORK,
@@ -254,164 +615,1535 @@ describe("Events", () => {
       expect(mockStopTick).toHaveBeenCalled();
     });
 
-    test("should disable block and stop tick when timer is completed", async () => {
-      fakeTimer.update.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
+    test("should record the abandoned session on reset", async () => {
+      const record = { id: "1-work", endReason: "reset" };
+      fakeTimer.getSessionRecord.mockReturnValue(record);
 
-      await handleEvents("timer/update");
+      await handleEvents("timer/reset");
 
-      expect(mockDisableBlock).toHaveBeenCalled();
-      expect(mockStopTick).toHaveBeenCalled();
+      expect(fakeTimer.getSessionRecord).toHaveBeenCalledWith(
+        Constants.SESSION_END_REASONS.RESET
+      );
+      expect(
+        fakeTimer.getSessionRecord.mock.invocationCallOrder[0]
+      ).toBeLessThan(fakeTimer.reset.mock.invocationCallOrder[0]);
+      expect(mockRecordSession).toHaveBeenCalledWith(record);
     });
 
-    test("should enable block when work session is complete", async () => {
-      fakeTimer.update.mockReturnValue({
-        sessionType: SESSION_TYPES.WORK,
-        isSessionComplete: true,
-      });
-
-      await handleEvents("timer/update");
+    test("should not record anything when resetting an idle timer", async () => {
+      await handleEvents("timer/reset");
 
-      expect(mockEnableBlock).toHaveBeenCalled();
+      expect(mockRecordSession).not.toHaveBeenCalled();
     });
 
-    test("should disable block when break session is complete", async () => {
+    test("should record the ended session when a session switches", async () => {
+      const record = { id: "1-work", endReason: "completed" };
       fakeTimer.update.mockReturnValue({
         sessionType: SESSION_TYPES.BREAK,
         isSessionComplete: true,
+        endedSession: record,
       });
 
       await handleEvents("timer/update");
 
-      expect(mockDisableBlock).toHaveBeenCalled();
-    });
-
-    test("should include complete notification message", async () => {
-      fakeTimer.update.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
-
-      await handleEvents("timer/update");
-
-      expect(notification.notify).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: "お疲れ様！また頑張ろう",
-        })
-      );
+      expect(mockRecordSession).toHaveBeenCalledWith(record);
     });
 
-    test("should include work session notification message", async () => {
+    test("should record the last session when the timer completes", async () => {
+      const record = { id: "1-work", endReason: "completed" };
       fakeTimer.update.mockReturnValue({
-        sessionType: SESSION_TYPES.WORK,
-        isSessionComplete: true,
+        mode: TIMER_MODES.COMPLETED,
+        endedSession: record,
       });
 
       await handleEvents("timer/update");
 
-      expect(notification.notify).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: "SNSをブロックしたよ。作業に集中しよう",
-        })
-      );
+      expect(mockRecordSession).toHaveBeenCalledWith(record);
     });
 
-    test("should include break session notification message", async () => {
-      fakeTimer.update.mockReturnValue({
+    test("should return warning when recording history fails", async () => {
+      fakeTimer.skip.mockReturnValue({
         sessionType: SESSION_TYPES.BREAK,
         isSessionComplete: true,
+        endedSession: { id: "1-work", endReason: "skipped" },
       });
+      mockRecordSession.mockRejectedValueOnce(new Error("Quota exceeded"));
 
-      await handleEvents("timer/update");
-
-      expect(notification.notify).toHaveBeenCalledWith(
-        expect.objectContaining({
-          message: "ブロックを解除したよ。肩の力を抜こう",
-        })
-      );
-    });
-
-    test("should not call any handlers when update returns null", async () => {
-      fakeTimer.update.mockReturnValue(null);
-
-      await handleEvents("timer/update");
+      const result = await handleEvents("timer/skip");
 
-      expect(notification.notify).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.WARNING);
+      expect(result.error).toContain("Quota exceeded");
       expect(mockEnableBlock).not.toHaveBeenCalled();
-      expect(mockDisableBlock).not.toHaveBeenCalled();
-      expect(mockStopTick).not.toHaveBeenCalled();
+      expect(mockDisableBlock).toHaveBeenCalled();
     });
 
-    test("should not call any handlers when update returns undefined", async () => {
-      fakeTimer.update.mockReturnValue(undefined);
+    test('should return matching records when "history/query" is invoked', async () => {
+      const history = [{ id: "1-work" }];
+      mockGetHistory.mockResolvedValueOnce(history);
 
-      await handleEvents("timer/update");
+      const result = await handleEvents("history/query", {
+        type: "history/query",
+        from: MOCK_TIME,
+        sessionType: SESSION_TYPES.WORK,
+      });
 
-      expect(notification.notify).not.toHaveBeenCalled();
-      expect(mockEnableBlock).not.toHaveBeenCalled();
-      expect(mockDisableBlock).not.toHaveBeenCalled();
-      expect(mockStopTick).not.toHaveBeenCalled();
+      expect(mockGetHistory).toHaveBeenCalledWith({
+        from: MOCK_TIME,
+        sessionType: SESSION_TYPES.WORK,
+      });
+      expect(result.success).toBe(true);
+      expect(result.history).toEqual(history);
     });
 
-    test('should save sound settings when "sound/save"', async () => {
-      let result = await handleEvents("sound/save", {
-        soundEnabled: true,
-        soundVolume: 100,
+    test("should reject an invalid history filter", async () => {
+      const result = await handleEvents("history/query", {
+        endReason: "abandoned",
       });
 
-      expect(fakeTimer.soundEnabled).toBe(true);
-      expect(result.soundEnabled).toBe(true);
-      expect(fakeTimer.soundVolume).toBe(100);
-      expect(result.soundVolume).toBe(100);
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(mockGetHistory).not.toHaveBeenCalled();
+    });
 
-      result = await handleEvents("sound/save", {
-        soundEnabled: false,
-        soundVolume: 0,
+    test('should import validated records when "history/import" is invoked', async () => {
+      const record = {
+        id: `${MOCK_TIME}-work`,
+        sessionType: SESSION_TYPES.WORK,
+        startTime: MOCK_TIME,
+        endTime: MOCK_TIME + 25 * 60 * 1000,
+        plannedDuration: 25 * 60 * 1000,
+        actualDuration: 25 * 60 * 1000,
+        pausedDuration: 0,
+        endReason: Constants.SESSION_END_REASONS.COMPLETED,
+      };
+      mockImportSessions.mockResolvedValueOnce({ imported: 1, skipped: 0 });
+
+      const result = await handleEvents("history/import", {
+        type: "history/import",
+        version: Constants.HISTORY.EXPORT_VERSION,
+        sessions: [{ ...record, note: "dropped" }],
       });
 
-      expect(fakeTimer.soundEnabled).toBe(false);
-      expect(result.soundEnabled).toBe(false);
-      expect(fakeTimer.soundVolume).toBe(0);
-      expect(result.soundVolume).toBe(0);
+      expect(mockImportSessions).toHaveBeenCalledWith([record]);
+      expect(result.success).toBe(true);
+      expect(result.imported).toBe(1);
     });
 
-    test('should return fatal error when "sound/save" is called without soundEnabled', async () => {
-      const result = await handleEvents("sound/save", { soundVolume: 50 });
+    test.each([
+      ["an unknown version", { version: 99, sessions: [] }],
+      ["missing sessions", { version: 1 }],
+      [
+        "an invalid record",
+        {
+          version: 1,
+          sessions: [{ id: "x", sessionType: "nap", startTime: 0 }],
+        },
+      ],
+      [
+        "a record that ends before it starts",
+        {
+          version: 1,
+          sessions: [
+            {
+              id: "x",
+              sessionType: SESSION_TYPES.WORK,
+              startTime: MOCK_TIME,
+              endTime: MOCK_TIME - 1,
+              plannedDuration: 0,
+              actualDuration: 0,
+              pausedDuration: 0,
+              endReason: "completed",
+            },
+          ],
+        },
+      ],
+    ])("should reject an import with %s", async (_label, payload) => {
+      const result = await handleEvents("history/import", payload);
 
       expect(result.success).toBe(false);
       expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
-      expect(result.error).toContain("expected boolean, received undefined");
+      expect(mockImportSessions).not.toHaveBeenCalled();
     });
 
-    test('should return fatal error when "sound/save" is called without soundVolume', async () => {
-      const result = await handleEvents("sound/save", { soundEnabled: true });
+    test('should return the block list when "blocklist/get" is invoked', async () => {
+      mockGetBlockList.mockResolvedValueOnce(["example.com", "example.org"]);
 
-      expect(result.success).toBe(false);
-      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
-      expect(result.error).toContain("expected number, received undefined");
+      const result = await handleEvents("blocklist/get");
+
+      expect(result.success).toBe(true);
+      expect(result.sites).toEqual(["example.com", "example.org"]);
     });
 
-    test('should return fatal error when "sound/save" is called with invalid soundEnabled type', async () => {
-      const result = await handleEvents("sound/save", {
-        soundEnabled: "yes",
-        soundVolume: 50,
+    test("should save the block list without touching rules when idle", async () => {
+      fakeTimer.mode = TIMER_MODES.SETUP;
+
+      const result = await handleEvents("blocklist/save", {
+        sites: ["example.com", "read.amazon.co.jp/manga"],
       });
 
-      expect(result.success).toBe(false);
-      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
-      expect(result.error).toContain("expected boolean, received string");
+      expect(mockSaveBlockList).toHaveBeenCalledWith([
+        "example.com",
+        "read.amazon.co.jp/manga",
+      ]);
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+      expect(mockEnableBlock).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.sites).toEqual(["example.com", "read.amazon.co.jp/manga"]);
     });
 
-    test('should return fatal error when "sound/save" is called with invalid soundVolume type', async () => {
-      const result = await handleEvents("sound/save", {
-        soundEnabled: true,
-        soundVolume: "50",
-      });
+    test.each([TIMER_MODES.RUNNING, TIMER_MODES.PAUSED])(
+      "should swap the blocking rules around the save while %s in a work session",
+      async (mode) => {
+        fakeTimer.mode = mode;
+        fakeTimer.sessionType = SESSION_TYPES.WORK;
 
-      expect(result.success).toBe(false);
-      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
-      expect(result.error).toContain("expected number, received string");
-    });
+        await handleEvents("blocklist/save", { sites: ["example.com"] });
 
-    test('should return fatal error when "sound/save" is called with soundVolume below minimum', async () => {
-      const result = await handleEvents("sound/save", {
-        soundEnabled: true,
+        const order = [
+          mockDisableBlock,
+          mockSaveBlockList,
+          mockEnableBlock,
+        ].map((fn) => fn.mock.invocationCallOrder[0]);
+        expect(order).toEqual([...order].sort((a, b) => a - b));
+      }
+    );
+
+    test("should not enable blocking when saving during a break", async () => {
+      fakeTimer.mode = TIMER_MODES.RUNNING;
+      fakeTimer.sessionType = SESSION_TYPES.BREAK;
+
+      await handleEvents("blocklist/save", { sites: ["example.com"] });
+
+      expect(mockSaveBlockList).toHaveBeenCalled();
+      expect(mockEnableBlock).not.toHaveBeenCalled();
+    });
+
+    test("should save path, wildcard and regex patterns", async () => {
+      const sites = [
+        "read.amazon.co.jp/manga",
+        "youtube.com/shorts*",
+        "/^https:\\/\\/example\\.com\\/(a|b)/",
+      ];
+
+      const result = await handleEvents("blocklist/save", { sites });
+
+      expect(result.success).toBe(true);
+      expect(mockCheckRegexSupport).toHaveBeenCalledWith(sites);
+      expect(mockSaveBlockList).toHaveBeenCalledWith(sites);
+    });
+
+    test("should reject a regex the browser cannot compile before touching rules", async () => {
+      fakeTimer.mode = TIMER_MODES.RUNNING;
+      mockCheckRegexSupport.mockRejectedValueOnce(
+        new Error("Unsupported regular expression /a/: memoryLimitExceeded")
+      );
+
+      const result = await handleEvents("blocklist/save", { sites: ["/a/"] });
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("memoryLimitExceeded");
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+      expect(mockSaveBlockList).not.toHaveBeenCalled();
+    });
+
+    test("should not touch the rules when saving the block list in allowlist mode", async () => {
+      fakeTimer.mode = TIMER_MODES.RUNNING;
+      fakeTimer.blockMode = Constants.BLOCK_MODES.ALLOWLIST;
+
+      await handleEvents("blocklist/save", { sites: ["example.com"] });
+
+      expect(mockSaveBlockList).toHaveBeenCalled();
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+      expect(mockEnableBlock).not.toHaveBeenCalled();
+    });
+
+    test('should return the allowlist when "allowlist/get" is invoked', async () => {
+      const result = await handleEvents("allowlist/get");
+
+      expect(result.success).toBe(true);
+      expect(result.sites).toEqual(["github.com"]);
+    });
+
+    test("should swap the blocking rules around an allowlist save in allowlist mode", async () => {
+      fakeTimer.mode = TIMER_MODES.RUNNING;
+      fakeTimer.blockMode = Constants.BLOCK_MODES.ALLOWLIST;
+
+      const result = await handleEvents("allowlist/save", {
+        sites: ["github.com", "docs.example.com"],
+      });
+
+      expect(mockSaveAllowList).toHaveBeenCalledWith([
+        "github.com",
+        "docs.example.com",
+      ]);
+      expect(mockSaveBlockList).not.toHaveBeenCalled();
+      const order = [mockDisableBlock, mockSaveAllowList, mockEnableBlock].map(
+        (fn) => fn.mock.invocationCallOrder[0]
+      );
+      expect(order).toEqual([...order].sort((a, b) => a - b));
+      expect(result.sites).toEqual(["github.com", "docs.example.com"]);
+    });
+
+    test("should not touch the rules when saving the allowlist in blocklist mode", async () => {
+      fakeTimer.mode = TIMER_MODES.RUNNING;
+
+      await handleEvents("allowlist/save", { sites: ["github.com"] });
+
+      expect(mockSaveAllowList).toHaveBeenCalled();
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+    });
+
+    test("should reject an invalid allowlist", async () => {
+      const result = await handleEvents("allowlist/save", {
+        sites: ["github.com", "github.com"],
+      });
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("Duplicate domain");
+      expect(mockSaveAllowList).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ["a malformed domain", ["not a domain"]],
+      ["an invalid regex", ["/(unclosed/"]],
+      ["a regex with lookahead", ["/a(?=b)/"]],
+      ["a duplicate domain", ["example.com", "example.com"]],
+      ["a list that is not an array", "example.com"],
+    ])("should reject %s before touching rules", async (_label, sites) => {
+      fakeTimer.mode = TIMER_MODES.RUNNING;
+
+      const result = await handleEvents("blocklist/save", { sites });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+      expect(mockSaveBlockList).not.toHaveBeenCalled();
+    });
+
+    test('should queue the URL when "blocked/return-later" is invoked', async () => {
+      const result = await handleEvents("blocked/return-later", {
+        url: "https://x.com/home?tab=1",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.url).toBe("https://x.com/home?tab=1");
+      expect(mockQueueReturn).toHaveBeenCalledWith("https://x.com/home?tab=1");
+    });
+
+    test.each([
+      ["a non-web URL", "javascript:alert(1)"],
+      ["a malformed URL", "not a url"],
+      ["a missing URL", undefined],
+    ])("should reject %s for return later", async (_label, url) => {
+      const result = await handleEvents("blocked/return-later", { url });
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(mockQueueReturn).not.toHaveBeenCalled();
+    });
+
+    test("should reopen queued pages when a break starts", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockOpenQueuedReturns).toHaveBeenCalled();
+      expect(mockDisableBlock.mock.invocationCallOrder[0]).toBeLessThan(
+        mockOpenQueuedReturns.mock.invocationCallOrder[0]
+      );
+    });
+
+    test("should keep queued pages while the next session is work", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.WORK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockOpenQueuedReturns).not.toHaveBeenCalled();
+    });
+
+    test("should reopen queued pages when the timer completes or is reset", async () => {
+      fakeTimer.update.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
+      await handleEvents("timer/update");
+      await handleEvents("timer/reset");
+
+      expect(mockOpenQueuedReturns).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not fail the reset when queued pages cannot be reopened", async () => {
+      mockOpenQueuedReturns.mockRejectedValueOnce(new Error("No window"));
+
+      const result = await handleEvents("timer/reset");
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.WARNING);
+      expect(result.error).toContain("No window");
+      expect(mockStopTick).toHaveBeenCalled();
+    });
+
+    test("should try to reopen closed tabs whenever blocking ends", async () => {
+      fakeTimer.update.mockReturnValueOnce({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+      await handleEvents("timer/update");
+      fakeTimer.update.mockReturnValueOnce({ mode: TIMER_MODES.COMPLETED });
+      await handleEvents("timer/update");
+      await handleEvents("timer/reset");
+
+      expect(mockAutoRestoreClosedTabs).toHaveBeenCalledTimes(3);
+    });
+
+    test("should not reopen closed tabs when a work session starts", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.WORK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockAutoRestoreClosedTabs).not.toHaveBeenCalled();
+    });
+
+    test('should return the scrub settings when "tabs/settings/get" is invoked', async () => {
+      const result = await handleEvents("tabs/settings/get");
+
+      expect(result).toEqual({
+        success: true,
+        scrubAction: "close",
+        autoRestoreTabs: false,
+      });
+    });
+
+    test('should save valid scrub settings when "tabs/settings/save" is invoked', async () => {
+      const settings = { scrubAction: "discard", autoRestoreTabs: true };
+
+      const result = await handleEvents("tabs/settings/save", settings);
+
+      expect(result.success).toBe(true);
+      expect(mockSaveScrubSettings).toHaveBeenCalledWith(settings);
+    });
+
+    test("should reject an unknown scrub action", async () => {
+      const result = await handleEvents("tabs/settings/save", {
+        scrubAction: "hide",
+        autoRestoreTabs: false,
+      });
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("Invalid scrub action");
+      expect(mockSaveScrubSettings).not.toHaveBeenCalled();
+    });
+
+    test('should return the alert settings when "alerts/get" is invoked', async () => {
+      const result = await handleEvents("alerts/get");
+
+      expect(result).toEqual({
+        success: true,
+        switch: { enabled: true, volume: 50 },
+        complete: { enabled: true, volume: 50 },
+        warning: { enabled: false, volume: 50 },
+      });
+    });
+
+    test('should save valid alert settings when "alerts/save" is invoked', async () => {
+      const settings = {
+        switch: { enabled: false, volume: 50 },
+        complete: { enabled: true, volume: 100 },
+        warning: { enabled: true, volume: 0 },
+      };
+
+      const result = await handleEvents("alerts/save", {
+        type: "alerts/save",
+        ...settings,
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockSaveAlertSettings).toHaveBeenCalledWith(settings);
+    });
+
+    test.each([
+      ["a volume out of range", { volume: 101 }],
+      ["a missing on/off setting", { enabled: undefined }],
+    ])("should reject alert settings with %s", async (_label, change) => {
+      const result = await handleEvents("alerts/save", {
+        switch: { enabled: true, volume: 50, ...change },
+        complete: { enabled: true, volume: 50 },
+        warning: { enabled: false, volume: 50 },
+      });
+
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(mockSaveAlertSettings).not.toHaveBeenCalled();
+    });
+
+    test('should list closed tabs when "tabs/closed/get" is invoked', async () => {
+      const result = await handleEvents("tabs/closed/get");
+
+      expect(result).toEqual({ success: true, closedTabs: [] });
+    });
+
+    test('should reopen closed tabs when "tabs/closed/restore" is invoked', async () => {
+      mockRestoreClosedTabs.mockResolvedValueOnce({ restored: 2 });
+
+      const result = await handleEvents("tabs/closed/restore");
+
+      expect(result).toEqual({ success: true, restored: 2 });
+    });
+
+    describe("strict mode", () => {
+      const LOCK_END = MOCK_TIME + 10 * 60 * 1000;
+
+      test.each([
+        ["timer/pause", "pause"],
+        ["timer/reset", "reset"],
+        ["timer/skip", "skip"],
+      ])(
+        'should reject "%s" until the work session ends',
+        async (type, method) => {
+          fakeTimer.getStrictLockEnd.mockReturnValue(LOCK_END);
+
+          const result = await handleEvents(type);
+
+          expect(result).toEqual({
+            success: false,
+            severity: Constants.SEVERITY_LEVELS.FATAL,
+            error: `Strict mode: cannot ${method} during a work session`,
+            locked: true,
+            lockedUntil: LOCK_END,
+          });
+          expect(fakeTimer[method]).not.toHaveBeenCalled();
+          expect(mockStopTick).not.toHaveBeenCalled();
+          expect(mockDisableBlock).not.toHaveBeenCalled();
+          expect(mockSaveSnapshot).not.toHaveBeenCalled();
+        }
+      );
+
+      test('should reject "timer/start" until the work session ends', async () => {
+        fakeTimer.getStrictLockEnd.mockReturnValue(LOCK_END);
+
+        const result = await handleEvents("timer/start", { minutes: 60 });
+
+        expect(result).toEqual({
+          success: false,
+          severity: Constants.SEVERITY_LEVELS.FATAL,
+          error: "Strict mode: cannot reset during a work session",
+          locked: true,
+          lockedUntil: LOCK_END,
+        });
+        expect(fakeTimer.start).not.toHaveBeenCalled();
+        expect(mockEnableBlock).not.toHaveBeenCalled();
+        expect(mockSaveSnapshot).not.toHaveBeenCalled();
+      });
+
+      test("should allow the controls once the lock has run out", async () => {
+        // The session is over but no update has switched it yet
+        fakeTimer.getStrictLockEnd.mockReturnValue(MOCK_TIME);
+
+        const result = await handleEvents("timer/pause");
+
+        expect(result.success).toBe(true);
+        expect(fakeTimer.pause).toHaveBeenCalled();
+      });
+
+      test('should report until when the controls are locked on "timer/update"', async () => {
+        fakeTimer.update.mockReturnValue({});
+        fakeTimer.strictMode = true;
+        fakeTimer.getStrictLockEnd.mockReturnValue(LOCK_END);
+
+        const result = await handleEvents("timer/update");
+
+        expect(result).toMatchObject({
+          strictMode: true,
+          lockedUntil: LOCK_END,
+        });
+      });
+    });
+
+    describe("emergency unlock", () => {
+      const request = {
+        domain: "docs.example.com",
+        minutes: 5,
+        reason: "API reference",
+        confirmation: Constants.UNLOCK.CONFIRM_PHRASE,
+      };
+
+      beforeEach(() => {
+        fakeTimer.mode = TIMER_MODES.RUNNING;
+        fakeTimer.sessionType = SESSION_TYPES.WORK;
+      });
+
+      test('should unlock the domain when "unlock/start" is invoked', async () => {
+        const result = await handleEvents("unlock/start", request);
+
+        expect(result).toEqual({
+          success: true,
+          domain: "docs.example.com",
+          expiresAt: 1609459500000,
+        });
+        expect(mockUnlockSite).toHaveBeenCalledWith({
+          domain: "docs.example.com",
+          minutes: 5,
+          reason: "API reference",
+        });
+      });
+
+      test.each([
+        ["a wrong phrase", { confirmation: "yes" }, "phrase does not match"],
+        ["a blank reason", { reason: "   " }, "A reason is required"],
+        ["a domain with a path", { domain: "example.com/a" }, "Invalid domain"],
+        ["a regex", { domain: "/example/" }, "Invalid domain"],
+        ["too many minutes", { minutes: 31 }, ""],
+      ])("should reject %s", async (_label, override, message) => {
+        const result = await handleEvents("unlock/start", {
+          ...request,
+          ...override,
+        });
+
+        expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+        expect(result.error).toContain(message);
+        expect(mockUnlockSite).not.toHaveBeenCalled();
+      });
+
+      test("should reject an unlock outside a work session", async () => {
+        fakeTimer.sessionType = SESSION_TYPES.BREAK;
+
+        const result = await handleEvents("unlock/start", request);
+
+        expect(result.error).toBe(
+          "No work session or schedule is blocking sites"
+        );
+        expect(mockUnlockSite).not.toHaveBeenCalled();
+      });
+
+      test('should expire the unlock named by the alarm on "unlock/expire"', async () => {
+        await handleEvents("unlock/expire", {
+          alarmName: "POMODORO_UNLOCK_0",
+        });
+
+        expect(mockExpireUnlock).toHaveBeenCalledWith("POMODORO_UNLOCK_0");
+      });
+
+      test('should return the active unlocks and the log on "unlock/get"', async () => {
+        const entry = { domain: "a.com", minutes: 5, reason: "r" };
+        mockGetUnlockLog.mockResolvedValueOnce([entry]);
+
+        const result = await handleEvents("unlock/get");
+
+        expect(result).toEqual({ success: true, unlocks: [], log: [entry] });
+      });
+    });
+
+    describe("site budgets", () => {
+      const budgets = [
+        { domain: "youtube.com", minutes: 30 },
+        { domain: "reddit.com", minutes: 10 },
+      ];
+
+      test('should save the budgets and apply them on "budgets/save"', async () => {
+        const result = await handleEvents("budgets/save", { budgets });
+
+        expect(result).toEqual({ success: true, budgets });
+        expect(mockSaveBudgets).toHaveBeenCalledWith(budgets);
+        expect(mockRefreshBudgets).toHaveBeenCalled();
+      });
+
+      test.each([
+        [
+          "a domain with a path",
+          [{ domain: "a.com/b", minutes: 5 }],
+          "Invalid domain",
+        ],
+        ["zero minutes", [{ domain: "a.com", minutes: 0 }], ""],
+        ["fractional minutes", [{ domain: "a.com", minutes: 1.5 }], ""],
+        [
+          "a duplicate domain",
+          [
+            { domain: "a.com", minutes: 5 },
+            { domain: "a.com", minutes: 10 },
+          ],
+          "Duplicate domain",
+        ],
+      ])("should reject %s", async (_label, invalid, message) => {
+        const result = await handleEvents("budgets/save", {
+          budgets: invalid,
+        });
+
+        expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+        expect(result.error).toContain(message);
+        expect(mockSaveBudgets).not.toHaveBeenCalled();
+      });
+
+      test('should return the budgets with the time left on "budgets/get"', async () => {
+        const status = [
+          {
+            domain: "youtube.com",
+            minutes: 30,
+            usedMs: 0,
+            remainingMs: 30 * 60 * 1000,
+            exhausted: false,
+          },
+        ];
+        mockGetBudgetStatus.mockResolvedValueOnce(status);
+
+        const result = await handleEvents("budgets/get");
+
+        expect(result).toEqual({ success: true, budgets: status });
+      });
+
+      test('should refresh the blocks on "budgets/refresh"', async () => {
+        await handleEvents("budgets/refresh");
+
+        expect(mockRefreshBudgets).toHaveBeenCalled();
+      });
+    });
+
+    describe("blocking schedule", () => {
+      const { BLOCKLIST, ALLOWLIST } = Constants.BLOCK_MODES;
+      // The schedule's rules never reset the timer when they fail
+      const SCHEDULE_OPTIONS = { resetTimer: false };
+      const WINDOW_END = MOCK_TIME + 3 * 60 * 60 * 1000;
+      const schedules = [
+        { days: [1, 2, 3, 4, 5], start: "09:00", end: "12:00" },
+      ];
+
+      const openWindow = () => {
+        mockGetScheduleState.mockResolvedValue({
+          active: true,
+          endsAt: WINDOW_END,
+        });
+      };
+
+      afterEach(() => {
+        mockGetScheduleState.mockResolvedValue({ active: false, endsAt: null });
+      });
+
+      test('should save the schedule and apply it on "schedules/save"', async () => {
+        mockUpdateSchedule.mockResolvedValueOnce({
+          wasActive: false,
+          active: true,
+          endsAt: WINDOW_END,
+        });
+
+        const result = await handleEvents("schedules/save", { schedules });
+
+        expect(result).toMatchObject({
+          success: true,
+          schedules,
+          active: true,
+          endsAt: WINDOW_END,
+        });
+        expect(mockSaveSchedules).toHaveBeenCalledWith(schedules);
+        expect(mockEnableBlock).toHaveBeenCalledWith(
+          BLOCKLIST,
+          SCHEDULE_OPTIONS
+        );
+      });
+
+      test.each([
+        ["no days", { days: [] }, "Pick at least one day"],
+        ["a day out of range", { days: [7] }, ""],
+        ["a malformed time", { start: "9:00" }, "Invalid time"],
+        [
+          "an end before the start",
+          { end: "08:00" },
+          "End must be after start",
+        ],
+      ])("should reject %s", async (_label, override, message) => {
+        const result = await handleEvents("schedules/save", {
+          schedules: [{ ...schedules[0], ...override }],
+        });
+
+        expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+        expect(result.error).toContain(message);
+        expect(mockSaveSchedules).not.toHaveBeenCalled();
+      });
+
+      test("should block the block list when a window opens outside a session", async () => {
+        mockUpdateSchedule.mockResolvedValueOnce({
+          wasActive: false,
+          active: true,
+          endsAt: WINDOW_END,
+        });
+
+        await handleEvents("schedules/refresh");
+
+        expect(mockEnableBlock).toHaveBeenCalledWith(
+          BLOCKLIST,
+          SCHEDULE_OPTIONS
+        );
+      });
+
+      test("should only warn when the block list cannot be applied as a window opens", async () => {
+        mockUpdateSchedule.mockResolvedValueOnce({
+          wasActive: false,
+          active: true,
+          endsAt: WINDOW_END,
+        });
+        mockEnableBlock.mockRejectedValueOnce(
+          new Error("Failed to enable blocking rules: Quota exceeded")
+        );
+
+        const result = await handleEvents("schedules/refresh");
+
+        expect(result).toMatchObject({
+          success: false,
+          severity: Constants.SEVERITY_LEVELS.WARNING,
+          error: "Failed to enable blocking rules: Quota exceeded",
+          active: true,
+          endsAt: WINDOW_END,
+        });
+        expect(fakeTimer.reset).not.toHaveBeenCalled();
+        expect(mockSaveSnapshot).toHaveBeenCalled();
+      });
+
+      test("should unblock and reopen waiting pages when a window closes", async () => {
+        mockUpdateSchedule.mockResolvedValueOnce({
+          wasActive: true,
+          active: false,
+          endsAt: null,
+        });
+
+        await handleEvents("schedules/refresh");
+
+        expect(mockDisableBlock).toHaveBeenCalledWith(BLOCKLIST);
+        expect(mockOpenQueuedReturns).toHaveBeenCalled();
+        expect(mockAutoRestoreClosedTabs).toHaveBeenCalled();
+      });
+
+      test("should leave the rules to a running work session", async () => {
+        fakeTimer.mode = TIMER_MODES.RUNNING;
+        fakeTimer.sessionType = SESSION_TYPES.WORK;
+        mockUpdateSchedule.mockResolvedValueOnce({
+          wasActive: true,
+          active: false,
+          endsAt: null,
+        });
+
+        await handleEvents("schedules/refresh");
+
+        expect(mockDisableBlock).not.toHaveBeenCalled();
+      });
+
+      test("should not touch the rules when no window opened or closed", async () => {
+        await handleEvents("schedules/refresh");
+
+        expect(mockEnableBlock).not.toHaveBeenCalled();
+        expect(mockDisableBlock).not.toHaveBeenCalled();
+      });
+
+      test("should keep sites blocked during a break inside a window", async () => {
+        openWindow();
+        fakeTimer.update.mockReturnValue({
+          sessionType: SESSION_TYPES.BREAK,
+          isSessionComplete: true,
+        });
+
+        await handleEvents("timer/update");
+
+        expect(mockDisableBlock).not.toHaveBeenCalled();
+        expect(mockOpenQueuedReturns).not.toHaveBeenCalled();
+      });
+
+      test("should swap an allowlist run's rules for the block list at a break", async () => {
+        openWindow();
+        fakeTimer.blockMode = ALLOWLIST;
+        fakeTimer.update.mockReturnValue({
+          sessionType: SESSION_TYPES.BREAK,
+          isSessionComplete: true,
+        });
+
+        await handleEvents("timer/update");
+
+        expect(mockDisableBlock).toHaveBeenCalledWith();
+        expect(mockEnableBlock).toHaveBeenCalledWith(
+          BLOCKLIST,
+          SCHEDULE_OPTIONS
+        );
+        expect(mockOpenQueuedReturns).not.toHaveBeenCalled();
+      });
+
+      test("should keep the block list when a run is reset inside a window", async () => {
+        openWindow();
+
+        await handleEvents("timer/reset");
+
+        expect(mockDisableBlock).not.toHaveBeenCalled();
+        expect(mockStopTick).toHaveBeenCalled();
+      });
+
+      test("should not apply the block list twice when a run starts inside a window", async () => {
+        openWindow();
+
+        await handleEvents("timer/start", { minutes: 60 });
+
+        expect(mockEnableBlock).not.toHaveBeenCalled();
+        expect(mockStartTick).toHaveBeenCalled();
+      });
+
+      test("should swap the block list for the allowlist when an allowlist run starts", async () => {
+        openWindow();
+
+        await handleEvents("timer/start", {
+          minutes: 60,
+          blockMode: ALLOWLIST,
+        });
+
+        expect(mockDisableBlock).toHaveBeenCalledWith(BLOCKLIST);
+        expect(mockEnableBlock).toHaveBeenCalledWith();
+      });
+
+      test("should swap the block list's rules around a save inside a window", async () => {
+        openWindow();
+
+        await handleEvents("blocklist/save", { sites: ["example.com"] });
+
+        expect(mockDisableBlock).toHaveBeenCalledWith(BLOCKLIST);
+        expect(mockEnableBlock).toHaveBeenCalledWith(
+          BLOCKLIST,
+          SCHEDULE_OPTIONS
+        );
+      });
+
+      test("should allow an emergency unlock inside a window", async () => {
+        openWindow();
+
+        const result = await handleEvents("unlock/start", {
+          domain: "docs.example.com",
+          minutes: 5,
+          reason: "API reference",
+          confirmation: Constants.UNLOCK.CONFIRM_PHRASE,
+        });
+
+        expect(result.success).toBe(true);
+      });
+
+      test('should report when the open window closes on "timer/update"', async () => {
+        openWindow();
+
+        const result = await handleEvents("timer/update");
+
+        expect(result.scheduleEndsAt).toBe(WINDOW_END);
+      });
+    });
+
+    describe("focus presets", () => {
+      const { BLOCKLIST, ALLOWLIST } = Constants.BLOCK_MODES;
+      const coding = {
+        id: "coding",
+        name: "Coding",
+        workMinutes: 40,
+        breakMinutes: 8,
+        blockList: ["x.com", "reddit.com"],
+        soundEnabled: true,
+        soundVolume: 30,
+      };
+
+      const usePreset = () => {
+        mockGetPreset.mockImplementation(async (id) =>
+          id === coding.id ? coding : null
+        );
+      };
+
+      const runPreset = () => {
+        fakeTimer.mode = TIMER_MODES.RUNNING;
+        fakeTimer.presetId = coding.id;
+      };
+
+      afterEach(() => {
+        mockGetPreset.mockResolvedValue(null);
+        mockGetScheduleState.mockResolvedValue({ active: false, endsAt: null });
+      });
+
+      test('should start with the preset\'s lengths, block list and sound on "timer/start"', async () => {
+        usePreset();
+        fakeTimer.blockMode = ALLOWLIST;
+
+        const result = await handleEvents("timer/start", {
+          minutes: 120,
+          presetId: "coding",
+        });
+
+        expect(result).toMatchObject({ success: true, presetId: "coding" });
+        expect(fakeTimer.start).toHaveBeenCalledWith(120, {
+          workMinutes: 40,
+          breakMinutes: 8,
+        });
+        expect(fakeTimer.presetId).toBe("coding");
+        // For this run only, after start() has put back the user's settings
+        expect(fakeTimer.applyRunBlockMode).toHaveBeenCalledWith(BLOCKLIST);
+        expect(fakeTimer.applyRunSound).toHaveBeenCalledWith(coding);
+        expect(fakeTimer.start.mock.invocationCallOrder[0]).toBeLessThan(
+          fakeTimer.applyRunBlockMode.mock.invocationCallOrder[0]
+        );
+        expect(fakeTimer.start.mock.invocationCallOrder[0]).toBeLessThan(
+          fakeTimer.applyRunSound.mock.invocationCallOrder[0]
+        );
+        // The run's rules, which sites-guard builds from the preset's list
+        expect(mockEnableBlock).toHaveBeenCalledWith();
+      });
+
+      test("should switch to the preset's ambient track if it has one", async () => {
+        mockGetPreset.mockResolvedValue({
+          ...coding,
+          soundTrack: "pink-noise",
+        });
+
+        await handleEvents("timer/start", { minutes: 60, presetId: "coding" });
+
+        expect(fakeTimer.applyRunSound).toHaveBeenCalledWith(
+          expect.objectContaining({ soundTrack: "pink-noise" })
+        );
+      });
+
+      test("should let lengths in the payload override the preset's", async () => {
+        usePreset();
+
+        await handleEvents("timer/start", {
+          startMode: Constants.START_MODES.CYCLES,
+          cycles: 3,
+          presetId: "coding",
+          workMinutes: 60,
+          longBreakMinutes: 20,
+        });
+
+        expect(fakeTimer.startCycles).toHaveBeenCalledWith(3, {
+          workMinutes: 60,
+          breakMinutes: 8,
+          longBreakMinutes: 20,
+        });
+      });
+
+      test("should forget the preset when a run starts without one", async () => {
+        fakeTimer.presetId = "coding";
+
+        await handleEvents("timer/start", { minutes: 60 });
+
+        expect(fakeTimer.presetId).toBeNull();
+        expect(fakeTimer.applyRunBlockMode).not.toHaveBeenCalled();
+        expect(fakeTimer.applyRunSound).not.toHaveBeenCalled();
+      });
+
+      test("should reject an unknown preset", async () => {
+        const result = await handleEvents("timer/start", {
+          minutes: 60,
+          presetId: "missing",
+        });
+
+        expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+        expect(result.error).toBe("Unknown focus preset");
+        expect(fakeTimer.start).not.toHaveBeenCalled();
+      });
+
+      test("should reject a preset in allowlist mode", async () => {
+        usePreset();
+
+        const result = await handleEvents("timer/start", {
+          minutes: 60,
+          presetId: "coding",
+          blockMode: ALLOWLIST,
+        });
+
+        expect(result.error).toBe(
+          "A focus preset cannot run in allowlist mode"
+        );
+        expect(fakeTimer.start).not.toHaveBeenCalled();
+      });
+
+      test("should swap the scheduled block list for the preset's inside a window", async () => {
+        usePreset();
+        mockGetScheduleState.mockResolvedValue({
+          active: true,
+          endsAt: MOCK_TIME + 60 * 60 * 1000,
+        });
+
+        await handleEvents("timer/start", { minutes: 60, presetId: "coding" });
+
+        expect(mockDisableBlock).toHaveBeenCalledWith(BLOCKLIST);
+        expect(mockEnableBlock).toHaveBeenCalledWith();
+      });
+
+      test("should leave the rules alone when the block list is saved during a preset run", async () => {
+        runPreset();
+
+        await handleEvents("blocklist/save", { sites: ["example.com"] });
+
+        expect(mockSaveBlockList).toHaveBeenCalledWith(["example.com"]);
+        expect(mockDisableBlock).not.toHaveBeenCalled();
+        expect(mockEnableBlock).not.toHaveBeenCalled();
+      });
+
+      test('should read the presets on "presets/get"', async () => {
+        mockGetPresets.mockResolvedValueOnce([coding]);
+
+        const result = await handleEvents("presets/get");
+
+        expect(result).toMatchObject({ success: true, presets: [coding] });
+      });
+
+      test('should check and save the presets on "presets/save"', async () => {
+        const presets = [
+          { ...coding, name: "  Coding  " },
+          { ...coding, id: "study", blockList: ["x.com", "/^https:\\/\\/a/"] },
+        ];
+
+        const result = await handleEvents("presets/save", { presets });
+
+        expect(mockCheckRegexSupport).toHaveBeenCalledWith([
+          "x.com",
+          "reddit.com",
+          "/^https:\\/\\/a/",
+        ]);
+        expect(mockSavePresets).toHaveBeenCalledWith([coding, presets[1]]);
+        expect(result.presets[0].name).toBe("Coding");
+        expect(mockDisableBlock).not.toHaveBeenCalled();
+      });
+
+      test("should swap the rules around a save during a preset run", async () => {
+        runPreset();
+
+        await handleEvents("presets/save", { presets: [coding] });
+
+        expect(mockDisableBlock).toHaveBeenCalledWith();
+        expect(mockEnableBlock).toHaveBeenCalledWith();
+        expect(mockDisableBlock.mock.invocationCallOrder[0]).toBeLessThan(
+          mockSavePresets.mock.invocationCallOrder[0]
+        );
+      });
+
+      test.each([
+        ["a missing name", { name: " " }, "A name is required"],
+        ["a bad site", { blockList: ["not a domain"] }, ""],
+        ["a session too long", { workMinutes: 500 }, ""],
+      ])(
+        "should reject a preset with %s",
+        async (_label, override, message) => {
+          const result = await handleEvents("presets/save", {
+            presets: [{ ...coding, ...override }],
+          });
+
+          expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+          expect(result.error).toContain(message);
+          expect(mockSavePresets).not.toHaveBeenCalled();
+        }
+      );
+
+      test("should reject presets that share an ID", async () => {
+        const result = await handleEvents("presets/save", {
+          presets: [coding, coding],
+        });
+
+        expect(result.error).toBe("Duplicate preset");
+      });
+
+      test("should reconcile against the preset's list during its work session", async () => {
+        runPreset();
+
+        await handleEvents("rules/reconcile");
+
+        expect(mockReconcileRules).toHaveBeenCalledWith(
+          expect.objectContaining({ blockMode: BLOCKLIST, presetId: "coding" })
+        );
+      });
+    });
+
+    describe("rule reconciliation", () => {
+      test("should rebuild the rules of a restored work session", async () => {
+        const emergencyUnlock = await import(
+          "@/background/emergency-unlock.js"
+        );
+        const siteBudgets = await import("@/background/site-budgets.js");
+        fakeTimer.mode = TIMER_MODES.RUNNING;
+        emergencyUnlock.getActiveUnlocks.mockResolvedValueOnce([
+          { slot: 0, domain: "docs.example.com", expiresAt: MOCK_TIME + 1 },
+          { slot: 1, domain: "old.example.com", expiresAt: MOCK_TIME - 1 },
+        ]);
+        siteBudgets.getBlockedBudgetDomains.mockResolvedValueOnce([
+          "youtube.com",
+        ]);
+
+        const result = await handleEvents("rules/reconcile");
+
+        expect(result.success).toBe(true);
+        expect(mockReconcileRules).toHaveBeenCalledWith({
+          blockMode: Constants.BLOCK_MODES.BLOCKLIST,
+          presetId: null,
+          unlocks: [
+            { slot: 0, domain: "docs.example.com", expiresAt: MOCK_TIME + 1 },
+          ],
+          budgetDomains: ["youtube.com"],
+        });
+      });
+
+      test("should ask for no block rules outside a session or window", async () => {
+        await handleEvents("rules/reconcile");
+
+        expect(mockReconcileRules).toHaveBeenCalledWith(
+          expect.objectContaining({ blockMode: null })
+        );
+      });
+
+      test("should log the rules it had to fix", async () => {
+        const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+        mockReconcileRules.mockResolvedValueOnce({
+          added: [10100],
+          removed: [10150],
+        });
+
+        await handleEvents("rules/reconcile");
+
+        expect(warnSpy).toHaveBeenCalledWith(
+          "Reconciled blocking rules: added [10100], removed [10150]"
+        );
+        warnSpy.mockRestore();
+      });
+
+      test("should stay quiet when the rules already match", async () => {
+        const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+        await handleEvents("rules/reconcile");
+
+        expect(warnSpy).not.toHaveBeenCalled();
+        warnSpy.mockRestore();
+      });
+    });
+
+    test("should disable block and stop tick when timer is completed", async () => {
+      fakeTimer.update.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
+
+      await handleEvents("timer/update");
+
+      expect(mockDisableBlock).toHaveBeenCalled();
+      expect(mockStopTick).toHaveBeenCalled();
+    });
+
+    test("should enable block when work session is complete", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.WORK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockEnableBlock).toHaveBeenCalled();
+    });
+
+    test("should schedule the next session boundary when a session switches", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockScheduleBoundaries).toHaveBeenCalled();
+    });
+
+    test("should not schedule boundaries when no session switched", async () => {
+      fakeTimer.update.mockReturnValue(undefined);
+
+      await handleEvents("timer/update");
+
+      expect(mockScheduleBoundaries).not.toHaveBeenCalled();
+    });
+
+    test("should return warning when scheduleBoundaries throws", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+      mockScheduleBoundaries.mockImplementationOnce(() => {
+        throw new Error("Schedule failed");
+      });
+
+      const result = await handleEvents("timer/update");
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.WARNING);
+      expect(result.error).toContain("Schedule failed");
+    });
+
+    test("should disable block when break session is complete", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(mockDisableBlock).toHaveBeenCalled();
+    });
+
+    test("should notify and disable block when long break starts", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.LONG_BREAK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(notification.notify).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: expect.stringContaining("switch"),
+          title: "長い休憩開始",
+        })
+      );
+      expect(mockDisableBlock).toHaveBeenCalled();
+      expect(mockEnableBlock).not.toHaveBeenCalled();
+    });
+
+    test("should pass long break settings to start", async () => {
+      await handleEvents("timer/start", {
+        minutes: 180,
+        longBreakMinutes: 20,
+        longBreakInterval: 3,
+      });
+
+      expect(fakeTimer.start).toHaveBeenCalledWith(180, {
+        longBreakMinutes: 20,
+        longBreakInterval: 3,
+      });
+    });
+
+    test('should call startCycles when "timer/start" is invoked in cycles mode', async () => {
+      await handleEvents("timer/start", {
+        startMode: "cycles",
+        cycles: 4,
+        workMinutes: 50,
+      });
+
+      expect(fakeTimer.startCycles).toHaveBeenCalledWith(4, {
+        workMinutes: 50,
+      });
+      expect(fakeTimer.start).not.toHaveBeenCalled();
+    });
+
+    test('should return fatal error when "timer/start" is called in cycles mode without cycles', async () => {
+      const result = await handleEvents("timer/start", { startMode: "cycles" });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("expected number, received undefined");
+      expect(fakeTimer.startCycles).not.toHaveBeenCalled();
+    });
+
+    test('should return fatal error when "timer/start" is called with an unknown start mode', async () => {
+      const result = await handleEvents("timer/start", {
+        startMode: "laps",
+        minutes: 25,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+    });
+
+    test('should return fatal error when "timer/start" is called with invalid longBreakInterval', async () => {
+      const result = await handleEvents("timer/start", {
+        minutes: 60,
+        longBreakInterval: 0,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(fakeTimer.start).not.toHaveBeenCalled();
+    });
+
+    test("should include complete notification message", async () => {
+      fakeTimer.update.mockReturnValue({ mode: TIMER_MODES.COMPLETED });
+
+      await handleEvents("timer/update");
+
+      expect(notification.notify).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "お疲れ様！また頑張ろう",
+        })
+      );
+    });
+
+    test("should include work session notification message", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.WORK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(notification.notify).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "SNSをブロックしたよ。作業に集中しよう",
+        })
+      );
+    });
+
+    test("should include break session notification message", async () => {
+      fakeTimer.update.mockReturnValue({
+        sessionType: SESSION_TYPES.BREAK,
+        isSessionComplete: true,
+      });
+
+      await handleEvents("timer/update");
+
+      expect(notification.notify).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "ブロックを解除したよ。肩の力を抜こう",
+        })
+      );
+    });
+
+    test("should not call any handlers when update returns null", async () => {
+      fakeTimer.update.mockReturnValue(null);
+
+      await handleEvents("timer/update");
+
+      expect(notification.notify).not.toHaveBeenCalled();
+      expect(mockEnableBlock).not.toHaveBeenCalled();
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+      expect(mockStopTick).not.toHaveBeenCalled();
+    });
+
+    test("should not call any handlers when update returns undefined", async () => {
+      fakeTimer.update.mockReturnValue(undefined);
+
+      await handleEvents("timer/update");
+
+      expect(notification.notify).not.toHaveBeenCalled();
+      expect(mockEnableBlock).not.toHaveBeenCalled();
+      expect(mockDisableBlock).not.toHaveBeenCalled();
+      expect(mockStopTick).not.toHaveBeenCalled();
+    });
+
+    test('should save sound settings when "sound/save"', async () => {
+      let result = await handleEvents("sound/save", {
+        soundEnabled: true,
+        soundVolume: 100,
+      });
+
+      expect(fakeTimer.soundEnabled).toBe(true);
+      expect(result.soundEnabled).toBe(true);
+      expect(fakeTimer.soundVolume).toBe(100);
+      expect(result.soundVolume).toBe(100);
+
+      result = await handleEvents("sound/save", {
+        soundEnabled: false,
+        soundVolume: 0,
+      });
+
+      expect(fakeTimer.soundEnabled).toBe(false);
+      expect(result.soundEnabled).toBe(false);
+      expect(fakeTimer.soundVolume).toBe(0);
+      expect(result.soundVolume).toBe(0);
+    });
+
+    test('should save the ambient track when "sound/save"', async () => {
+      fakeTimer.soundTrack = "nature";
+
+      const result = await handleEvents("sound/save", {
+        soundEnabled: true,
+        soundVolume: 50,
+        soundTrack: "brown-noise",
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.soundTrack).toBe("brown-noise");
+      expect(fakeTimer.soundTrack).toBe("brown-noise");
+    });
+
+    test('should keep the ambient track when "sound/save" leaves it out', async () => {
+      fakeTimer.soundTrack = "white-noise";
+
+      await handleEvents("sound/save", { soundEnabled: true, soundVolume: 50 });
+
+      expect(fakeTimer.soundTrack).toBe("white-noise");
+    });
+
+    test('should return fatal error when "sound/save" is called with an unknown track', async () => {
+      fakeTimer.soundTrack = "nature";
+
+      const result = await handleEvents("sound/save", {
+        soundEnabled: true,
+        soundVolume: 50,
+        soundTrack: "whale-song",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toBe("Unknown sound track");
+      expect(fakeTimer.soundTrack).toBe("nature");
+    });
+
+    test('should save an uploaded track when "sound/save"', async () => {
+      mockGetUserTrack.mockResolvedValueOnce({ id: "user-abc", name: "Loop" });
+
+      const result = await handleEvents("sound/save", {
+        soundEnabled: true,
+        soundVolume: 50,
+        soundTrack: "user-abc",
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockGetUserTrack).toHaveBeenCalledWith("user-abc");
+      expect(fakeTimer.soundTrack).toBe("user-abc");
+    });
+
+    test('should return fatal error when "sound/save" is called with a deleted upload', async () => {
+      fakeTimer.soundTrack = "nature";
+      mockGetUserTrack.mockResolvedValueOnce(null);
+
+      const result = await handleEvents("sound/save", {
+        soundEnabled: true,
+        soundVolume: 50,
+        soundTrack: "user-gone",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Unknown sound track");
+      expect(fakeTimer.soundTrack).toBe("nature");
+    });
+
+    test('should return fatal error when "sound/save" is called without soundEnabled', async () => {
+      const result = await handleEvents("sound/save", { soundVolume: 50 });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("expected boolean, received undefined");
+    });
+
+    test('should return fatal error when "sound/save" is called without soundVolume', async () => {
+      const result = await handleEvents("sound/save", { soundEnabled: true });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("expected number, received undefined");
+    });
+
+    test('should return fatal error when "sound/save" is called with invalid soundEnabled type', async () => {
+      const result = await handleEvents("sound/save", {
+        soundEnabled: "yes",
+        soundVolume: 50,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("expected boolean, received string");
+    });
+
+    test('should return fatal error when "sound/save" is called with invalid soundVolume type', async () => {
+      const result = await handleEvents("sound/save", {
+        soundEnabled: true,
+        soundVolume: "50",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.FATAL);
+      expect(result.error).toContain("expected number, received string");
+    });
+
+    test('should return fatal error when "sound/save" is called with soundVolume below minimum', async () => {
+      const result = await handleEvents("sound/save", {
+        soundEnabled: true,
         soundVolume: -1,
       });
 
@@ -445,6 +2177,22 @@ describe("Events", () => {
       });
     });
 
+    test("should report a discarded snapshot as a warning and keep going", async () => {
+      timerStore.consumeRestoreResult.mockReturnValueOnce({
+        success: false,
+        severity: Constants.SEVERITY_LEVELS.WARNING,
+        error: "Saved timer state could not be restored: corrupt",
+      });
+
+      const result = await handleEvents("timer/pause");
+
+      expect(fakeTimer.pause).toHaveBeenCalled();
+      expect(mockSaveSnapshot).toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.severity).toBe(Constants.SEVERITY_LEVELS.WARNING);
+      expect(result.error).toContain("could not be restored");
+    });
+
     test("should return fatal error when enableBlock throws in timer/start", async () => {
       mockEnableBlock.mockRejectedValueOnce(new Error("Block failed"));
 
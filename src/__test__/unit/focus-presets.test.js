@@ -0,0 +1,78 @@
+/**
+ * Unit tests for focus-presets.js
+ */
+import { describe, test, expect, beforeEach } from "vitest";
+import { setupChromeMock } from "../setup.chrome.js";
+import {
+  getPresets,
+  getPreset,
+  savePresets,
+} from "@/background/focus-presets.js";
+import Constants from "@/constants.js";
+
+const PRESETS_KEY = "pomodoroFocusPresets";
+
+const WRITING = {
+  id: "writing",
+  name: "Writing",
+  workMinutes: 50,
+  breakMinutes: 10,
+  blockList: ["news.example.com"],
+  soundEnabled: true,
+  soundVolume: 40,
+};
+
+describe("FocusPresets", () => {
+  let chromeMock;
+
+  beforeEach(() => {
+    chromeMock = setupChromeMock();
+  });
+
+  describe("getPresets()", () => {
+    test("should read the presets from chrome.storage.local", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [PRESETS_KEY]: [WRITING],
+      });
+
+      expect(await getPresets()).toEqual([WRITING]);
+      expect(chromeMock.storage.local.get).toHaveBeenCalledWith(PRESETS_KEY);
+    });
+
+    test("should return the default presets when nothing is stored", async () => {
+      const presets = await getPresets();
+
+      expect(presets).toEqual(Constants.FOCUS_PRESETS);
+      // Callers may modify the result without touching the defaults
+      presets[0].blockList.push("example.com");
+      expect(Constants.FOCUS_PRESETS[0].blockList).not.toContain("example.com");
+    });
+
+    test("should keep an empty list that the user saved", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({ [PRESETS_KEY]: [] });
+
+      expect(await getPresets()).toEqual([]);
+    });
+  });
+
+  describe("getPreset()", () => {
+    test("should find a preset by its ID", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [PRESETS_KEY]: [WRITING],
+      });
+
+      expect(await getPreset("writing")).toEqual(WRITING);
+      expect(await getPreset("coding")).toBeNull();
+    });
+  });
+
+  describe("savePresets()", () => {
+    test("should write the presets to chrome.storage.local", async () => {
+      await savePresets([WRITING]);
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [PRESETS_KEY]: [WRITING],
+      });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for history-export.js
+ */
+import { describe, test, expect } from "vitest";
+import { toCSV, toJSON, toICS } from "@/ui/history-export.js";
+import Constants from "@/constants.js";
+
+const { SESSION_TYPES, SESSION_END_REASONS, HISTORY } = Constants;
+
+const ONE_MINUTE = 60 * 1000;
+const START = Date.UTC(2021, 0, 1, 9, 0, 0);
+const NOW = Date.UTC(2021, 0, 2, 12, 0, 0);
+
+const work = {
+  id: `${START}-work`,
+  sessionType: SESSION_TYPES.WORK,
+  startTime: START,
+  endTime: START + 30 * ONE_MINUTE,
+  plannedDuration: 25 * ONE_MINUTE,
+  actualDuration: 25 * ONE_MINUTE,
+  pausedDuration: 5 * ONE_MINUTE,
+  endReason: SESSION_END_REASONS.COMPLETED,
+};
+
+const shortBreak = {
+  id: `${START + 30 * ONE_MINUTE}-break`,
+  sessionType: SESSION_TYPES.BREAK,
+  startTime: START + 30 * ONE_MINUTE,
+  endTime: START + 32 * ONE_MINUTE,
+  plannedDuration: 5 * ONE_MINUTE,
+  actualDuration: 2 * ONE_MINUTE,
+  pausedDuration: 0,
+  endReason: SESSION_END_REASONS.SKIPPED,
+};
+
+describe("HistoryExport", () => {
+  describe("toCSV()", () => {
+    test("should write a header and one row per session", () => {
+      const lines = toCSV([work, shortBreak]).split("\r\n");
+
+      expect(lines).toEqual([
+        "id,sessionType,startTime,endTime,plannedMinutes,actualMinutes,pausedMinutes,endReason",
+        `${work.id},work,2021-01-01T09:00:00.000Z,2021-01-01T09:30:00.000Z,25.00,25.00,5.00,completed`,
+        `${shortBreak.id},break,2021-01-01T09:30:00.000Z,2021-01-01T09:32:00.000Z,5.00,2.00,0.00,skipped`,
+      ]);
+    });
+
+    test("should quote fields that contain delimiters", () => {
+      const csv = toCSV([{ ...work, id: 'a,"b"' }]);
+
+      expect(csv.split("\r\n")[1]).toMatch(/^"a,""b""",/);
+    });
+
+    test("should write only the header for an empty history", () => {
+      expect(toCSV([]).split("\r\n")).toHaveLength(1);
+    });
+  });
+
+  describe("toJSON()", () => {
+    test("should wrap the sessions with the format version", () => {
+      const data = JSON.parse(toJSON([work], NOW));
+
+      expect(data).toEqual({
+        version: HISTORY.EXPORT_VERSION,
+        exportedAt: "2021-01-02T12:00:00.000Z",
+        sessions: [work],
+      });
+    });
+  });
+
+  describe("toICS()", () => {
+    test("should write one VEVENT per work session", () => {
+      const ics = toICS([work, shortBreak], NOW);
+      const lines = ics.split("\r\n");
+
+      expect(lines[0]).toBe("BEGIN:VCALENDAR");
+      expect(lines).toContain("VERSION:2.0");
+      expect(lines.filter((l) => l === "BEGIN:VEVENT")).toHaveLength(1);
+      expect(lines).toContain(`UID:${work.id}@pomodoro-new-tab`);
+      expect(lines).toContain("DTSTAMP:20210102T120000Z");
+      expect(lines).toContain("DTSTART:20210101T090000Z");
+      expect(lines).toContain("DTEND:20210101T093000Z");
+      expect(lines).toContain("SUMMARY:Pomodoro (completed)");
+      expect(lines).toContain("DESCRIPTION:Focus 25.00 min\\, paused 5.00 min");
+      expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+    });
+
+    test("should write an empty calendar when there are no work sessions", () => {
+      const lines = toICS([shortBreak], NOW).split("\r\n");
+
+      expect(lines).not.toContain("BEGIN:VEVENT");
+      expect(lines).toContain("END:VCALENDAR");
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Unit tests for history-store.js
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { setupChromeMock } from "../setup.chrome.js";
+import Constants from "@/constants.js";
+
+const { SESSION_TYPES, SESSION_END_REASONS, HISTORY } = Constants;
+
+const HISTORY_KEY = "pomodoroSessionHistory";
+const MOCK_TIME = new Date("2021-01-01T00:00:00Z").getTime();
+const ONE_MINUTE = 60 * 1000;
+const ONE_DAY = 24 * 60 * ONE_MINUTE;
+
+function makeRecord(startTime, overrides = {}) {
+  const sessionType = overrides.sessionType ?? SESSION_TYPES.WORK;
+  return {
+    id: `${startTime}-${sessionType}`,
+    sessionType,
+    startTime,
+    endTime: startTime + 25 * ONE_MINUTE,
+    plannedDuration: 25 * ONE_MINUTE,
+    actualDuration: 25 * ONE_MINUTE,
+    pausedDuration: 0,
+    endReason: SESSION_END_REASONS.COMPLETED,
+    ...overrides,
+  };
+}
+
+describe("HistoryStore", () => {
+  let chromeMock;
+  let stored;
+  let recordSession, importSessions, getHistory, clearHistory;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(MOCK_TIME);
+    vi.resetModules();
+    chromeMock = setupChromeMock();
+
+    // Back chrome.storage.local with a plain object
+    stored = {};
+    chromeMock.storage.local.get.mockImplementation(async (key) =>
+      key in stored ? { [key]: stored[key] } : {}
+    );
+    chromeMock.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(stored, structuredClone(items));
+    });
+    chromeMock.storage.local.remove.mockImplementation(async (key) => {
+      delete stored[key];
+    });
+
+    ({ recordSession, importSessions, getHistory, clearHistory } = await import(
+      "@/background/history-store.js"
+    ));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("recordSession()", () => {
+    test("should append records in order", async () => {
+      const first = makeRecord(MOCK_TIME - 2 * ONE_DAY);
+      const second = makeRecord(MOCK_TIME - ONE_DAY);
+
+      await recordSession(first);
+      await recordSession(second);
+
+      expect(stored[HISTORY_KEY]).toEqual([first, second]);
+    });
+
+    test("should ignore a missing record", async () => {
+      await recordSession(null);
+
+      expect(chromeMock.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test("should not lose records written concurrently", async () => {
+      await Promise.all([
+        recordSession(makeRecord(MOCK_TIME - 3 * ONE_DAY)),
+        recordSession(makeRecord(MOCK_TIME - 2 * ONE_DAY)),
+        recordSession(makeRecord(MOCK_TIME - ONE_DAY)),
+      ]);
+
+      expect(stored[HISTORY_KEY]).toHaveLength(3);
+    });
+
+    test("should drop records older than the retention period", async () => {
+      const expired = makeRecord(
+        MOCK_TIME - (HISTORY.RETENTION_DAYS + 1) * ONE_DAY
+      );
+      const kept = makeRecord(MOCK_TIME - ONE_DAY);
+      stored[HISTORY_KEY] = [expired];
+
+      await recordSession(kept);
+
+      expect(stored[HISTORY_KEY]).toEqual([kept]);
+    });
+
+    test("should keep only the newest records beyond the entry limit", async () => {
+      stored[HISTORY_KEY] = Array.from(
+        { length: HISTORY.MAX_ENTRIES },
+        (_, i) => makeRecord(MOCK_TIME - ONE_DAY + i)
+      );
+      const newest = makeRecord(MOCK_TIME);
+
+      await recordSession(newest);
+
+      expect(stored[HISTORY_KEY]).toHaveLength(HISTORY.MAX_ENTRIES);
+      expect(stored[HISTORY_KEY][0].startTime).toBe(MOCK_TIME - ONE_DAY + 1);
+      expect(stored[HISTORY_KEY].at(-1)).toEqual(newest);
+    });
+
+    test("should keep accepting writes after a failed one", async () => {
+      chromeMock.storage.local.set.mockRejectedValueOnce(new Error("Quota"));
+
+      await expect(recordSession(makeRecord(MOCK_TIME))).rejects.toThrow(
+        "Quota"
+      );
+      await recordSession(makeRecord(MOCK_TIME + 1));
+
+      expect(stored[HISTORY_KEY]).toHaveLength(1);
+    });
+  });
+
+  describe("importSessions()", () => {
+    test("should merge new records in start order", async () => {
+      const existing = makeRecord(MOCK_TIME - 2 * ONE_DAY);
+      const older = makeRecord(MOCK_TIME - 3 * ONE_DAY);
+      const newer = makeRecord(MOCK_TIME - ONE_DAY);
+      stored[HISTORY_KEY] = [existing];
+
+      const result = await importSessions([newer, older]);
+
+      expect(result).toEqual({ imported: 2, skipped: 0 });
+      expect(stored[HISTORY_KEY]).toEqual([older, existing, newer]);
+    });
+
+    test("should skip records that already exist or repeat", async () => {
+      const existing = makeRecord(MOCK_TIME - 2 * ONE_DAY);
+      const added = makeRecord(MOCK_TIME - ONE_DAY);
+      stored[HISTORY_KEY] = [existing];
+
+      const result = await importSessions([existing, added, added]);
+
+      expect(result).toEqual({ imported: 1, skipped: 2 });
+      expect(stored[HISTORY_KEY]).toEqual([existing, added]);
+    });
+
+    test("should count records past the retention period as skipped", async () => {
+      const expired = makeRecord(
+        MOCK_TIME - (HISTORY.RETENTION_DAYS + 1) * ONE_DAY
+      );
+
+      const result = await importSessions([expired]);
+
+      expect(result).toEqual({ imported: 0, skipped: 1 });
+      expect(stored[HISTORY_KEY]).toEqual([]);
+    });
+  });
+
+  describe("getHistory()", () => {
+    const work = makeRecord(MOCK_TIME - 3 * ONE_DAY);
+    const skippedBreak = makeRecord(MOCK_TIME - 2 * ONE_DAY, {
+      sessionType: SESSION_TYPES.BREAK,
+      endReason: SESSION_END_REASONS.SKIPPED,
+    });
+    const resetWork = makeRecord(MOCK_TIME - ONE_DAY, {
+      endReason: SESSION_END_REASONS.RESET,
+    });
+
+    beforeEach(() => {
+      stored[HISTORY_KEY] = [work, skippedBreak, resetWork];
+    });
+
+    test("should return every record when no filter is given", async () => {
+      expect(await getHistory()).toEqual([work, skippedBreak, resetWork]);
+    });
+
+    test("should return an empty list when nothing is stored", async () => {
+      delete stored[HISTORY_KEY];
+
+      expect(await getHistory()).toEqual([]);
+    });
+
+    test("should filter by start time range", async () => {
+      const result = await getHistory({
+        from: skippedBreak.startTime,
+        to: resetWork.startTime,
+      });
+
+      expect(result).toEqual([skippedBreak]);
+    });
+
+    test("should filter by session type and end reason", async () => {
+      expect(await getHistory({ sessionType: SESSION_TYPES.WORK })).toEqual([
+        work,
+        resetWork,
+      ]);
+      expect(
+        await getHistory({ endReason: SESSION_END_REASONS.SKIPPED })
+      ).toEqual([skippedBreak]);
+    });
+
+    test("should return the newest records up to the limit", async () => {
+      expect(await getHistory({ limit: 2 })).toEqual([skippedBreak, resetWork]);
+    });
+  });
+
+  describe("clearHistory()", () => {
+    test("should remove the history key", async () => {
+      stored[HISTORY_KEY] = [makeRecord(MOCK_TIME)];
+
+      await clearHistory();
+
+      expect(chromeMock.storage.local.remove).toHaveBeenCalledWith(HISTORY_KEY);
+      expect(await getHistory()).toEqual([]);
+    });
+  });
+});
@@ -24,6 +24,12 @@ vi.mock("@/background/sound-controller.js", () => ({
   setupSound: setupSoundMock,
 }));
 
+// Mock site-budgets
+const setupBudgetTrackingMock = vi.fn();
+vi.mock("@/background/site-budgets.js", () => ({
+  setupBudgetTracking: setupBudgetTrackingMock,
+}));
+
 // Mock events handleEvents
 const handleEventsMock = vi
   .fn()
@@ -53,10 +59,20 @@ describe("BackgroundIndex", () => {
     test("should register onInstalled and onStartup listeners", async () => {
       await import("@/background/index.js");
 
-      expect(runtime.onInstalled.addListener).toHaveBeenCalledWith(
-        initTimerMock
+      const [[onInstalled]] = runtime.onInstalled.addListener.mock.calls;
+      const [[onStartup]] = runtime.onStartup.addListener.mock.calls;
+      expect(onStartup).toBe(onInstalled);
+
+      await onStartup();
+
+      expect(initTimerMock).toHaveBeenCalled();
+      expect(handleEventsMock.mock.calls.map(([type]) => type)).toEqual([
+        "schedules/refresh",
+        "rules/reconcile",
+      ]);
+      expect(initTimerMock.mock.invocationCallOrder[0]).toBeLessThan(
+        handleEventsMock.mock.invocationCallOrder[0]
       );
-      expect(runtime.onStartup.addListener).toHaveBeenCalledWith(initTimerMock);
     });
 
     test("should call setupAlarms on module load", async () => {
@@ -65,6 +81,12 @@ describe("BackgroundIndex", () => {
       expect(setupAlarmsMock).toHaveBeenCalled();
     });
 
+    test("should start tracking site budgets on module load", async () => {
+      await import("@/background/index.js");
+
+      expect(setupBudgetTrackingMock).toHaveBeenCalled();
+    });
+
     test("should register onMessage listener", async () => {
       await import("@/background/index.js");
 
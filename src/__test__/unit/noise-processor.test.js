@@ -0,0 +1,83 @@
+/**
+ * Unit tests for noise-processor.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+
+const BLOCK_SIZE = 128;
+
+describe("NoiseProcessor", () => {
+  let NoiseProcessor;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    vi.stubGlobal(
+      "AudioWorkletProcessor",
+      class {
+        port = { onmessage: null };
+      }
+    );
+    vi.stubGlobal(
+      "registerProcessor",
+      vi.fn((_name, processor) => {
+        NoiseProcessor = processor;
+      })
+    );
+
+    await import("@/offscreen/noise-processor.js");
+  });
+
+  const render = (processor, blocks = 1, channels = 1) => {
+    const samples = [];
+    for (let i = 0; i < blocks; i++) {
+      const output = Array.from(
+        { length: channels },
+        () => new Float32Array(BLOCK_SIZE)
+      );
+      expect(processor.process([], [output])).toBe(true);
+      samples.push(output);
+    }
+    return samples;
+  };
+
+  const create = (color) => new NoiseProcessor({ processorOptions: { color } });
+
+  test("should register as noise-processor", () => {
+    expect(registerProcessor).toHaveBeenCalledWith(
+      "noise-processor",
+      expect.any(Function)
+    );
+  });
+
+  test.each(["white", "pink", "brown"])(
+    "should fill the output with %s noise within range",
+    (color) => {
+      const [[samples]] = render(create(color));
+
+      expect(samples.some((sample) => sample !== 0)).toBe(true);
+      expect(samples.every((sample) => Math.abs(sample) <= 1.5)).toBe(true);
+    }
+  );
+
+  test("should make brown noise change more slowly than white noise", () => {
+    const meanStep = (color) => {
+      const [[samples]] = render(create(color));
+      let total = 0;
+      for (let i = 1; i < samples.length; i++) {
+        total += Math.abs(samples[i] - samples[i - 1]);
+      }
+      return total / (samples.length - 1);
+    };
+
+    expect(meanStep("brown")).toBeLessThan(meanStep("white") / 4);
+  });
+
+  test("should copy the noise to every channel", () => {
+    const [[left, right]] = render(create("pink"), 1, 2);
+
+    expect(Array.from(right)).toEqual(Array.from(left));
+  });
+
+  test("should default to white noise", () => {
+    expect(new NoiseProcessor().color).toBe("white");
+  });
+});
@@ -1,17 +1,70 @@
 /**
  * Simplified unit tests for offscreen.js
  */
-import { describe, test, expect, beforeEach, vi } from "vitest";
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
 import { setupChromeMock } from "../setup.chrome.js";
 
+const mockGetUserTrackBlob = vi.fn();
+
+vi.mock("@/sound-library.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getUserTrackBlob: mockGetUserTrackBlob,
+}));
+
+// Nodes connect in a chain, so connect() hands back its target
+const createNode = (props = {}) => ({
+  ...props,
+  connect: vi.fn((target) => target),
+  disconnect: vi.fn(),
+});
+const createParam = (value) => ({
+  value,
+  setValueAtTime: vi.fn(),
+  linearRampToValueAtTime: vi.fn(),
+  exponentialRampToValueAtTime: vi.fn(),
+  cancelAndHoldAtTime: vi.fn(),
+});
+
 describe("Offscreen Audio Controller", () => {
   let chromeMock;
+  let context;
+
+  // The first GainNode is the bus every ambient source plays through;
+  // each source then gets a volume gain and a fade gain, in that order
+  const gains = () => global.GainNode.mock.results.map(({ value }) => value);
+  const ambientBus = () => gains()[0];
 
   beforeEach(() => {
     vi.clearAllMocks();
     vi.resetModules();
     chromeMock = setupChromeMock();
 
+    context = {
+      state: "suspended",
+      currentTime: 12,
+      destination: { name: "destination" },
+      resume: vi.fn().mockResolvedValue(undefined),
+      audioWorklet: { addModule: vi.fn().mockResolvedValue(undefined) },
+    };
+    global.AudioContext = vi.fn(() => context);
+    global.AudioWorkletNode = vi.fn((ctx, name, options) =>
+      createNode({ name, options, port: { postMessage: vi.fn() } })
+    );
+    global.GainNode = vi.fn((ctx, { gain }) =>
+      createNode({ context: ctx, gain: createParam(gain) })
+    );
+    global.OscillatorNode = vi.fn((ctx, { frequency }) =>
+      createNode({
+        frequency: createParam(frequency),
+        start: vi.fn(),
+        stop: vi.fn(),
+      })
+    );
+    global.ChannelMergerNode = vi.fn(() => createNode());
+    global.MediaElementAudioSourceNode = vi.fn((ctx, { mediaElement }) =>
+      createNode({ mediaElement })
+    );
+
     // Mock Audio constructor
     global.Audio = vi.fn().mockImplementation((src) => ({
       src,
@@ -237,4 +290,504 @@ describe("Offscreen Audio Controller", () => {
       "chrome-extension://test/resources/nature-sound.mp3"
     );
   });
+
+  test("should replay a loaded track without loading it again", async () => {
+    await import("@/offscreen/offscreen.js");
+
+    const messageListener =
+      chromeMock.runtime.onMessage.addListener.mock.calls[0][0];
+    const play = (trackId, soundFile) => {
+      messageListener(
+        { type: "AUDIO_CONTROL", action: "PLAY", trackId, soundFile },
+        {},
+        vi.fn()
+      );
+      return new Promise((resolve) => setTimeout(resolve, 50));
+    };
+
+    await play("rain", "resources/sounds/rain.mp3");
+    await play("rain", "resources/sounds/rain.mp3");
+    expect(global.Audio).toHaveBeenCalledTimes(1);
+    expect(global.Audio.mock.results[0].value.play).toHaveBeenCalledTimes(2);
+
+    await play("forest", "resources/sounds/forest.mp3");
+    expect(global.Audio).toHaveBeenCalledTimes(2);
+    expect(global.Audio).toHaveBeenLastCalledWith(
+      "chrome-extension://test/resources/sounds/forest.mp3"
+    );
+  });
+
+  describe("uploaded sounds", () => {
+    let listener;
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    const play = async (trackId) => {
+      const sendResponse = vi.fn();
+      listener(
+        { type: "AUDIO_CONTROL", action: "PLAY", trackId, volume: 50 },
+        {},
+        sendResponse
+      );
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return sendResponse.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+      let count = 0;
+      vi.spyOn(URL, "createObjectURL").mockImplementation(
+        () => `blob:chrome-extension://test/${++count}`
+      );
+      vi.spyOn(URL, "revokeObjectURL").mockImplementation(() => {});
+      mockGetUserTrackBlob.mockResolvedValue(
+        new Blob(["audio"], { type: "audio/mpeg" })
+      );
+
+      await import("@/offscreen/offscreen.js");
+      listener = chromeMock.runtime.onMessage.addListener.mock.calls[0][0];
+    });
+
+    test("should play an uploaded track from a blob URL", async () => {
+      const response = await play("user-abc");
+
+      expect(response).toEqual({ success: true });
+      expect(mockGetUserTrackBlob).toHaveBeenCalledWith("user-abc");
+      expect(global.Audio).toHaveBeenCalledWith(
+        "blob:chrome-extension://test/1"
+      );
+      expect(chromeMock.runtime.getURL).not.toHaveBeenCalled();
+    });
+
+    test("should release the blob URL when another track replaces it", async () => {
+      await play("user-abc");
+
+      await play("user-def");
+
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith(
+        "blob:chrome-extension://test/1"
+      );
+      expect(global.Audio).toHaveBeenLastCalledWith(
+        "blob:chrome-extension://test/2"
+      );
+    });
+
+    test("should fail when the uploaded track has been deleted", async () => {
+      mockGetUserTrackBlob.mockResolvedValue(null);
+
+      const response = await play("user-gone");
+
+      expect(response).toEqual({
+        success: false,
+        error: "Uploaded sound not found",
+      });
+      expect(global.Audio).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("generated sound", () => {
+    let listener;
+
+    const send = async (message) => {
+      const sendResponse = vi.fn();
+      listener({ type: "AUDIO_CONTROL", ...message }, {}, sendResponse);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return sendResponse.mock.calls[0][0];
+    };
+
+    beforeEach(async () => {
+      await import("@/offscreen/offscreen.js");
+      listener = chromeMock.runtime.onMessage.addListener.mock.calls[0][0];
+    });
+
+    test("should generate noise through the noise worklet", async () => {
+      const response = await send({
+        action: "NOISE_START",
+        color: "brown",
+        volume: 40,
+      });
+
+      expect(response).toEqual({ success: true });
+      expect(context.audioWorklet.addModule).toHaveBeenCalledWith(
+        "noise-processor.js"
+      );
+      expect(context.resume).toHaveBeenCalled();
+      expect(global.AudioWorkletNode).toHaveBeenCalledWith(
+        context,
+        "noise-processor",
+        { outputChannelCount: [1], processorOptions: { color: "brown" } }
+      );
+      const [bus, volumeGain, fadeGain] = gains();
+      expect(volumeGain.gain.value).toBeCloseTo(0.2);
+      expect(fadeGain.connect).toHaveBeenCalledWith(bus);
+      expect(bus.connect).toHaveBeenCalledWith(context.destination);
+    });
+
+    test("should set the AudioContext up once", async () => {
+      await send({ action: "NOISE_START", color: "white" });
+      await send({ action: "NOISE_START", color: "pink" });
+
+      expect(global.AudioContext).toHaveBeenCalledTimes(1);
+      expect(context.audioWorklet.addModule).toHaveBeenCalledTimes(1);
+      // The first noise is replaced, not layered
+      const first = global.AudioWorkletNode.mock.results[0].value;
+      expect(first.disconnect).toHaveBeenCalled();
+    });
+
+    test("should reject an unknown noise color", async () => {
+      const response = await send({ action: "NOISE_START", color: "purple" });
+
+      expect(response).toEqual({
+        success: false,
+        error: "Invalid noise color",
+      });
+      expect(global.AudioWorkletNode).not.toHaveBeenCalled();
+    });
+
+    test("should play binaural tones with the beat in the right ear", async () => {
+      await send({
+        action: "BINAURAL_START",
+        carrierHz: 220,
+        beatHz: 6,
+        volume: 30,
+      });
+
+      const [left, right] = global.OscillatorNode.mock.results.map(
+        ({ value }) => value
+      );
+      expect(left.frequency.value).toBe(220);
+      expect(right.frequency.value).toBe(226);
+      const merger = global.ChannelMergerNode.mock.results[0].value;
+      expect(left.connect).toHaveBeenCalledWith(merger, 0, 0);
+      expect(right.connect).toHaveBeenCalledWith(merger, 0, 1);
+      expect(left.start).toHaveBeenCalled();
+      expect(right.start).toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ carrierHz: 5, beatHz: 10 }],
+      [{ carrierHz: 200, beatHz: 100 }],
+      [{ carrierHz: "200", beatHz: 10 }],
+    ])("should reject binaural tones at %j", async (frequencies) => {
+      const response = await send({ action: "BINAURAL_START", ...frequencies });
+
+      expect(response).toEqual({
+        success: false,
+        error: "Invalid binaural frequencies",
+      });
+    });
+
+    test("should stop generated sound along with the file on STOP", async () => {
+      await send({ action: "NOISE_START", color: "white" });
+      await send({ action: "BINAURAL_START", carrierHz: 200, beatHz: 10 });
+
+      await send({ action: "STOP" });
+
+      const source = global.AudioWorkletNode.mock.results[0].value;
+      const [left, right] = global.OscillatorNode.mock.results.map(
+        ({ value }) => value
+      );
+      expect(source.disconnect).toHaveBeenCalled();
+      expect(left.stop).toHaveBeenCalled();
+      expect(right.stop).toHaveBeenCalled();
+    });
+
+    test("should keep the file playing when only the noise stops", async () => {
+      await send({
+        action: "PLAY",
+        soundFile: "resources/nature-sound.mp3",
+        volume: 50,
+      });
+      await send({ action: "NOISE_START", color: "brown" });
+
+      await send({ action: "NOISE_STOP" });
+
+      const fileAudio = global.Audio.mock.results[0].value;
+      expect(fileAudio.pause).not.toHaveBeenCalled();
+      expect(
+        global.AudioWorkletNode.mock.results[0].value.disconnect
+      ).toHaveBeenCalled();
+    });
+
+    test("should apply UPDATE_VOLUME to generated sound too", async () => {
+      await send({ action: "NOISE_START", color: "white", volume: 50 });
+
+      await send({ action: "UPDATE_VOLUME", volume: 20 });
+
+      const [, volumeGain] = gains();
+      expect(volumeGain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(
+        expect.closeTo(0.1),
+        expect.closeTo(12.3)
+      );
+    });
+
+    test("should play a chime as a rising and fading note per pitch", async () => {
+      const response = await send({
+        action: "CHIME",
+        chime: "switch",
+        volume: 80,
+      });
+
+      expect(response).toEqual({ success: true });
+      expect(
+        global.OscillatorNode.mock.calls.map(([, { frequency }]) => frequency)
+      ).toEqual([659.25, 987.77]);
+      const [oscillator] = global.OscillatorNode.mock.results.map(
+        ({ value }) => value
+      );
+      const [, gain] = gains();
+      expect(gain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(
+        expect.closeTo(0.4),
+        expect.closeTo(12.01)
+      );
+      expect(gain.connect).toHaveBeenCalledWith(context.destination);
+      expect(gain.gain.exponentialRampToValueAtTime).toHaveBeenCalledWith(
+        expect.any(Number),
+        13.5
+      );
+      expect(oscillator.start).toHaveBeenCalledWith(12);
+      expect(oscillator.stop).toHaveBeenCalledWith(13.5);
+    });
+
+    test("should let a chime ring over the loop stopping", async () => {
+      await send({ action: "CHIME", chime: "complete", volume: 50 });
+
+      await send({ action: "STOP" });
+
+      for (const { value } of global.OscillatorNode.mock.results) {
+        expect(value.stop).toHaveBeenCalledTimes(1);
+      }
+      expect(global.OscillatorNode).toHaveBeenCalledTimes(4);
+    });
+
+    test("should reject an unknown chime", async () => {
+      const response = await send({ action: "CHIME", chime: "gong" });
+
+      expect(response).toEqual({ success: false, error: "Unknown chime" });
+      expect(global.OscillatorNode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("fades and ducking", () => {
+    let listener;
+
+    const send = async (message) => {
+      const sendResponse = vi.fn();
+      listener({ type: "AUDIO_CONTROL", ...message }, {}, sendResponse);
+      await vi.advanceTimersByTimeAsync(20);
+      return sendResponse.mock.calls[0]?.[0];
+    };
+    const play = (trackId, fadeInMs) =>
+      send({
+        action: "PLAY",
+        trackId,
+        soundFile: `resources/sounds/${trackId}.mp3`,
+        volume: 50,
+        fadeInMs,
+      });
+    const audios = () => global.Audio.mock.results.map(({ value }) => value);
+
+    beforeEach(async () => {
+      vi.useFakeTimers();
+      await import("@/offscreen/offscreen.js");
+      listener = chromeMock.runtime.onMessage.addListener.mock.calls[0][0];
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    test("should play the file through Web Audio and fade it in", async () => {
+      expect(await play("rain", 2000)).toEqual({ success: true });
+
+      const [audio] = audios();
+      const [bus, volumeGain, fadeGain] = gains();
+      expect(global.MediaElementAudioSourceNode).toHaveBeenCalledWith(context, {
+        mediaElement: audio,
+      });
+      expect(audio.volume).toBe(1);
+      expect(volumeGain.gain.value).toBeCloseTo(0.25);
+      expect(fadeGain.gain.value).toBe(0);
+      expect(fadeGain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(
+        1,
+        14
+      );
+      expect(fadeGain.connect).toHaveBeenCalledWith(bus);
+    });
+
+    test("should fade out on STOP before pausing", async () => {
+      await play("rain", 2000);
+      const [audio] = audios();
+      const [, , fadeGain] = gains();
+
+      await send({ action: "STOP", fadeOutMs: 1500 });
+
+      expect(fadeGain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(
+        0,
+        13.5
+      );
+      expect(audio.pause).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(1500);
+      expect(audio.pause).toHaveBeenCalledTimes(1);
+      expect(audio.currentTime).toBe(0);
+    });
+
+    test("should fade out from where a fade-in got to when STOP interrupts it", async () => {
+      await play("rain", 2000);
+      const [, , fadeGain] = gains();
+      fadeGain.gain.cancelAndHoldAtTime.mockClear();
+
+      await send({ action: "STOP", fadeOutMs: 1000 });
+
+      // Holding the current value keeps the level from jumping
+      expect(fadeGain.gain.cancelAndHoldAtTime).toHaveBeenCalledWith(12);
+      expect(fadeGain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(
+        0,
+        13
+      );
+    });
+
+    test("should fade the same track back in when PLAY arrives during the fade-out", async () => {
+      await play("rain", 2000);
+      const [audio] = audios();
+      const [, , fadeGain] = gains();
+      await send({ action: "STOP", fadeOutMs: 1500 });
+
+      await play("rain", 2000);
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(global.Audio).toHaveBeenCalledTimes(1);
+      expect(audio.pause).not.toHaveBeenCalled();
+      expect(fadeGain.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(
+        1,
+        14
+      );
+    });
+
+    test.each([
+      ["before the file is opened", 0],
+      ["while the file is loading", 5],
+    ])("should not play when STOP arrives %s", async (_label, delayMs) => {
+      const playResponse = vi.fn();
+      listener(
+        {
+          type: "AUDIO_CONTROL",
+          action: "PLAY",
+          trackId: "nature",
+          soundFile: "resources/nature-sound.mp3",
+          volume: 50,
+          fadeInMs: 2000,
+        },
+        {},
+        playResponse
+      );
+      await vi.advanceTimersByTimeAsync(delayMs);
+
+      await send({ action: "STOP", fadeOutMs: 1500 });
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(playResponse).toHaveBeenCalledWith({ success: true });
+      for (const audio of audios()) {
+        expect(audio.play).not.toHaveBeenCalled();
+      }
+    });
+
+    test("should play only the newest track when PLAY arrives during a load", async () => {
+      const firstResponse = vi.fn();
+      listener(
+        {
+          type: "AUDIO_CONTROL",
+          action: "PLAY",
+          trackId: "rain",
+          soundFile: "resources/sounds/rain.mp3",
+          volume: 50,
+        },
+        {},
+        firstResponse
+      );
+
+      expect(await play("forest", 0)).toEqual({ success: true });
+
+      const [rain, forest] = audios();
+      const [, , rainFade] = gains();
+      expect(firstResponse).toHaveBeenCalledWith({ success: true });
+      expect(rain.play).not.toHaveBeenCalled();
+      expect(rainFade.disconnect).toHaveBeenCalled();
+      expect(forest.play).toHaveBeenCalled();
+    });
+
+    test("should crossfade when another track replaces the playing one", async () => {
+      await play("rain", 1000);
+      const [rain] = audios();
+      const [, , rainFade] = gains();
+
+      await play("forest", 1000);
+
+      expect(rainFade.gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(
+        0,
+        13
+      );
+      expect(rain.pause).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(rain.pause).toHaveBeenCalled();
+      expect(rainFade.disconnect).toHaveBeenCalled();
+      expect(audios()[1].play).toHaveBeenCalled();
+    });
+
+    test("should ramp the file's volume instead of jumping", async () => {
+      await play("rain", 0);
+      const [audio] = audios();
+      const [, volumeGain] = gains();
+
+      await send({ action: "UPDATE_VOLUME", volume: 20 });
+
+      expect(volumeGain.gain.cancelAndHoldAtTime).toHaveBeenCalledWith(12);
+      expect(volumeGain.gain.linearRampToValueAtTime).toHaveBeenCalledWith(
+        expect.closeTo(0.1),
+        expect.closeTo(12.3)
+      );
+      expect(audio.volume).toBe(1);
+    });
+
+    test("should fade generated sound out on STOP before releasing it", async () => {
+      await send({ action: "NOISE_START", color: "pink", fadeInMs: 500 });
+      await send({ action: "BINAURAL_START", fadeInMs: 500 });
+      const source = global.AudioWorkletNode.mock.results[0].value;
+      const [left, right] = global.OscillatorNode.mock.results.map(
+        ({ value }) => value
+      );
+
+      await send({ action: "STOP", fadeOutMs: 800 });
+
+      expect(source.disconnect).not.toHaveBeenCalled();
+      expect(left.stop).toHaveBeenCalledWith(12.8);
+      expect(right.stop).toHaveBeenCalledWith(12.8);
+      await vi.advanceTimersByTimeAsync(800);
+      expect(source.disconnect).toHaveBeenCalled();
+    });
+
+    test("should duck the ambient sound while a chime plays", async () => {
+      await play("rain", 0);
+
+      await send({ action: "CHIME", chime: "switch", volume: 50 });
+
+      // The last note starts at 0.2 s and rings for 1.5 s
+      const { gain } = ambientBus();
+      expect(gain.cancelAndHoldAtTime).toHaveBeenCalledWith(12);
+      expect(gain.linearRampToValueAtTime).toHaveBeenCalledWith(
+        0.3,
+        expect.closeTo(12.05)
+      );
+      expect(gain.setValueAtTime).toHaveBeenCalledWith(
+        0.3,
+        expect.closeTo(13.7)
+      );
+      expect(gain.linearRampToValueAtTime).toHaveBeenLastCalledWith(
+        1,
+        expect.closeTo(14.3)
+      );
+    });
+  });
 });
@@ -0,0 +1,907 @@
+/**
+ * Unit tests for options.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import Constants from "@/constants.js";
+
+// Mock BGClient
+const mockBGClient = {
+  getBlockList: vi.fn(),
+  saveBlockList: vi.fn(),
+  getAllowList: vi.fn(),
+  saveAllowList: vi.fn(),
+  getScrubSettings: vi.fn(),
+  saveScrubSettings: vi.fn(),
+  getUnlocks: vi.fn(),
+  getBudgets: vi.fn(),
+  saveBudgets: vi.fn(),
+  getSchedules: vi.fn(),
+  saveSchedules: vi.fn(),
+  getPresets: vi.fn(),
+  savePresets: vi.fn(),
+  getAlertSettings: vi.fn(),
+  saveAlertSettings: vi.fn(),
+};
+
+const MockBGClient = vi.fn(() => mockBGClient);
+
+vi.mock("@/ui/bg-client.js", () => ({
+  BGClient: MockBGClient,
+}));
+
+const mockSoundLibrary = {
+  listUserTracks: vi.fn(),
+  addUserTrack: vi.fn(),
+  deleteUserTrack: vi.fn(),
+};
+
+vi.mock("@/sound-library.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  listUserTracks: (...args) => mockSoundLibrary.listUserTracks(...args),
+  addUserTrack: (...args) => mockSoundLibrary.addUserTrack(...args),
+  deleteUserTrack: (...args) => mockSoundLibrary.deleteUserTrack(...args),
+}));
+
+// Mock BroadcastChannel
+const mockSettingsChannel = { postMessage: vi.fn() };
+const MockBroadcastChannel = vi.fn(() => mockSettingsChannel);
+
+/**
+ * Minimal element that records what options.js draws into it.
+ */
+function createElement(tag) {
+  return {
+    tag,
+    children: [],
+    style: {},
+    textContent: "",
+    value: "",
+    disabled: false,
+    addEventListener: vi.fn(),
+    click: vi.fn(),
+    append(...nodes) {
+      this.children.push(...nodes);
+    },
+    replaceChildren(...nodes) {
+      this.children = nodes;
+    },
+  };
+}
+
+const WRITING = {
+  id: "writing",
+  name: "Writing",
+  workMinutes: 50,
+  breakMinutes: 10,
+  blockList: ["x.com", "reddit.com"],
+  soundEnabled: true,
+  soundVolume: 40,
+};
+
+const LOFI = {
+  id: "user-lofi",
+  name: "Lo-fi loop",
+  type: "audio/mpeg",
+  size: 3 * 1024 * 1024,
+  addedAt: 1000,
+};
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Options", () => {
+  const ids = [
+    "block-list",
+    "new-site",
+    "add-site-button",
+    "reset-sites-button",
+    "site-error",
+    "save-status",
+    "allow-list",
+    "new-allow-site",
+    "add-allow-site-button",
+    "reset-allow-sites-button",
+    "allow-site-error",
+    "allow-save-status",
+    "scrub-action",
+    "auto-restore-tabs",
+    "scrub-save-status",
+    "unlock-log",
+    "unlock-log-empty",
+    "budget-list",
+    "new-budget-site",
+    "new-budget-minutes",
+    "add-budget-button",
+    "budget-error",
+    "budget-save-status",
+    ...[0, 1, 2, 3, 4, 5, 6].map((day) => `schedule-day-${day}`),
+    "new-schedule-start",
+    "new-schedule-end",
+    "add-schedule-button",
+    "schedule-list",
+    "schedule-error",
+    "schedule-save-status",
+    "new-preset-name",
+    "new-preset-work",
+    "new-preset-break",
+    "new-preset-sites",
+    "new-preset-sound",
+    "new-preset-volume",
+    "add-preset-button",
+    "preset-list",
+    "preset-error",
+    "preset-save-status",
+    "new-sound-file",
+    "new-sound-name",
+    "add-sound-button",
+    "sound-list",
+    "sound-error",
+    "sound-save-status",
+    "alert-switch-enabled",
+    "alert-switch-volume",
+    "alert-complete-enabled",
+    "alert-complete-volume",
+    "alert-warning-enabled",
+    "alert-warning-volume",
+    "alert-save-status",
+  ];
+  let elements;
+
+  beforeEach(() => {
+    vi.resetModules();
+    vi.clearAllMocks();
+
+    elements = Object.fromEntries(ids.map((id) => [id, createElement("div")]));
+    vi.stubGlobal("BroadcastChannel", MockBroadcastChannel);
+    vi.stubGlobal("document", {
+      getElementById: vi.fn((id) => elements[id]),
+      createElement: vi.fn((tag) => createElement(tag)),
+    });
+
+    mockBGClient.getBlockList.mockResolvedValue({
+      success: true,
+      sites: ["example.com", "example.org"],
+    });
+    mockBGClient.saveBlockList.mockImplementation(async (sites) => ({
+      success: true,
+      sites,
+    }));
+    mockBGClient.getAllowList.mockResolvedValue({
+      success: true,
+      sites: ["github.com"],
+    });
+    mockBGClient.saveAllowList.mockImplementation(async (sites) => ({
+      success: true,
+      sites,
+    }));
+    mockBGClient.getScrubSettings.mockResolvedValue({
+      success: true,
+      scrubAction: "close",
+      autoRestoreTabs: true,
+    });
+    mockBGClient.getUnlocks.mockResolvedValue({
+      success: true,
+      unlocks: [],
+      log: [],
+    });
+    mockBGClient.getBudgets.mockResolvedValue({
+      success: true,
+      budgets: [
+        {
+          domain: "youtube.com",
+          minutes: 20,
+          usedMs: 0,
+          remainingMs: 20 * 60 * 1000,
+          exhausted: false,
+        },
+      ],
+    });
+    mockBGClient.saveBudgets.mockImplementation(async (budgets) => ({
+      success: true,
+      budgets,
+    }));
+    mockBGClient.getSchedules.mockResolvedValue({
+      success: true,
+      schedules: [{ days: [1, 2, 3, 4, 5], start: "09:00", end: "12:00" }],
+      active: false,
+      endsAt: null,
+    });
+    mockBGClient.saveSchedules.mockImplementation(async (schedules) => ({
+      success: true,
+      schedules,
+    }));
+    mockBGClient.getAlertSettings.mockResolvedValue({
+      success: true,
+      switch: { enabled: true, volume: 50 },
+      complete: { enabled: true, volume: 70 },
+      warning: { enabled: false, volume: 30 },
+    });
+    mockBGClient.saveAlertSettings.mockImplementation(async (settings) => ({
+      success: true,
+      ...settings,
+    }));
+    mockSoundLibrary.listUserTracks.mockResolvedValue([LOFI]);
+    mockSoundLibrary.addUserTrack.mockImplementation(async (name, blob) => ({
+      id: "user-new",
+      name,
+      type: blob.type,
+      size: blob.size,
+      addedAt: 2000,
+    }));
+    mockSoundLibrary.deleteUserTrack.mockResolvedValue(undefined);
+    mockBGClient.getPresets.mockResolvedValue({
+      success: true,
+      presets: [WRITING],
+    });
+    mockBGClient.savePresets.mockImplementation(async (presets) => ({
+      success: true,
+      presets,
+    }));
+    mockBGClient.saveScrubSettings.mockImplementation(async (settings) => ({
+      success: true,
+      ...settings,
+    }));
+  });
+
+  const loadPage = async () => {
+    await import("@/ui/options.js");
+    await flushPromises();
+  };
+
+  const clickHandler = (element) =>
+    element.addEventListener.mock.calls.find(([event]) => event === "click")[1];
+
+  const renderedSites = () =>
+    elements["block-list"].children.map((item) => item.children[0].textContent);
+
+  const itemButtons = (index) =>
+    elements["block-list"].children[index].children.slice(1);
+
+  const addSite = async (value) => {
+    elements["new-site"].value = value;
+    await clickHandler(elements["add-site-button"])();
+  };
+
+  test("should render the stored block list", async () => {
+    await loadPage();
+
+    expect(mockBGClient.getBlockList).toHaveBeenCalled();
+    expect(renderedSites()).toEqual(["example.com", "example.org"]);
+  });
+
+  test("should disable moving the first item up and the last item down", async () => {
+    await loadPage();
+
+    const [firstUp, firstDown] = itemButtons(0);
+    const [lastUp, lastDown] = itemButtons(1);
+    expect([firstUp.disabled, firstDown.disabled]).toEqual([true, false]);
+    expect([lastUp.disabled, lastDown.disabled]).toEqual([false, true]);
+  });
+
+  describe("adding a site", () => {
+    test("should normalize and save a pasted URL", async () => {
+      await loadPage();
+
+      await addSite("  https://www.News.Example.net/  ");
+
+      expect(mockBGClient.saveBlockList).toHaveBeenCalledWith([
+        "example.com",
+        "example.org",
+        "news.example.net",
+      ]);
+      expect(renderedSites()).toContain("news.example.net");
+      expect(elements["new-site"].value).toBe("");
+      expect(elements["save-status"].textContent).toBe("保存しました");
+    });
+
+    test("should accept a site with a path", async () => {
+      await loadPage();
+
+      await addSite("read.amazon.co.jp/manga");
+
+      expect(mockBGClient.saveBlockList).toHaveBeenCalledWith(
+        expect.arrayContaining(["read.amazon.co.jp/manga"])
+      );
+    });
+
+    test("should keep a regex pattern as typed", async () => {
+      await loadPage();
+
+      await addSite("  /^https:\\/\\/Example\\.com\\/A/  ");
+
+      expect(mockBGClient.saveBlockList).toHaveBeenCalledWith(
+        expect.arrayContaining(["/^https:\\/\\/Example\\.com\\/A/"])
+      );
+    });
+
+    test.each([
+      ["", "ドメインを入力してください"],
+      ["/(unclosed/", "この正規表現は使用できません"],
+      ["not a domain", "ドメインの形式が正しくありません"],
+      ["localhost", "ドメインの形式が正しくありません"],
+      ["www.example.com", "既に登録されています"],
+    ])("should reject %j without saving", async (value, error) => {
+      await loadPage();
+
+      await addSite(value);
+
+      expect(mockBGClient.saveBlockList).not.toHaveBeenCalled();
+      expect(elements["site-error"].textContent).toBe(error);
+      expect(elements["site-error"].style.display).toBe("block");
+    });
+
+    test("should reject sites beyond the limit", async () => {
+      mockBGClient.getBlockList.mockResolvedValue({
+        success: true,
+        sites: Array.from(
+          { length: Constants.BLOCK_LIST.MAX_SITES },
+          (_, i) => `site${i}.example`
+        ),
+      });
+      await loadPage();
+
+      await addSite("example.com");
+
+      expect(mockBGClient.saveBlockList).not.toHaveBeenCalled();
+      expect(elements["site-error"].textContent).toBe(
+        `${Constants.BLOCK_LIST.MAX_SITES}件まで登録できます`
+      );
+    });
+
+    test("should keep the input when saving fails", async () => {
+      mockBGClient.saveBlockList.mockResolvedValue({
+        success: false,
+        error: "Storage error",
+      });
+      await loadPage();
+
+      await addSite("example.net");
+
+      expect(elements["new-site"].value).toBe("example.net");
+      expect(elements["save-status"].textContent).toBe("保存できませんでした");
+      expect(renderedSites()).toEqual(["example.com", "example.org"]);
+    });
+  });
+
+  test("should move a site down and save the new order", async () => {
+    await loadPage();
+
+    const [, down] = itemButtons(0);
+    await clickHandler(down)();
+
+    expect(mockBGClient.saveBlockList).toHaveBeenCalledWith([
+      "example.org",
+      "example.com",
+    ]);
+    expect(renderedSites()).toEqual(["example.org", "example.com"]);
+  });
+
+  test("should remove a site", async () => {
+    await loadPage();
+
+    const [, , remove] = itemButtons(0);
+    await clickHandler(remove)();
+
+    expect(mockBGClient.saveBlockList).toHaveBeenCalledWith(["example.org"]);
+    expect(renderedSites()).toEqual(["example.org"]);
+  });
+
+  test("should restore the default block list", async () => {
+    await loadPage();
+
+    await clickHandler(elements["reset-sites-button"])();
+
+    expect(mockBGClient.saveBlockList).toHaveBeenCalledWith(
+      Constants.BLOCK_SITES
+    );
+  });
+
+  describe("allowlist", () => {
+    test("should render the stored allowlist separately", async () => {
+      await loadPage();
+
+      expect(
+        elements["allow-list"].children.map(
+          (item) => item.children[0].textContent
+        )
+      ).toEqual(["github.com"]);
+    });
+
+    test("should save added sites to the allowlist only", async () => {
+      await loadPage();
+
+      elements["new-allow-site"].value = "docs.example.com";
+      await clickHandler(elements["add-allow-site-button"])();
+
+      expect(mockBGClient.saveAllowList).toHaveBeenCalledWith([
+        "github.com",
+        "docs.example.com",
+      ]);
+      expect(mockBGClient.saveBlockList).not.toHaveBeenCalled();
+      expect(elements["allow-save-status"].textContent).toBe("保存しました");
+      expect(elements["save-status"].textContent).toBe("");
+    });
+
+    test("should restore the default allowlist", async () => {
+      await loadPage();
+
+      await clickHandler(elements["reset-allow-sites-button"])();
+
+      expect(mockBGClient.saveAllowList).toHaveBeenCalledWith(
+        Constants.ALLOW_SITES
+      );
+    });
+  });
+
+  describe("open blocked tabs", () => {
+    const changeHandler = (element) =>
+      element.addEventListener.mock.calls.find(
+        ([event]) => event === "change"
+      )[1];
+
+    test("should show the stored scrub settings", async () => {
+      await loadPage();
+
+      expect(elements["scrub-action"].value).toBe("close");
+      expect(elements["auto-restore-tabs"].checked).toBe(true);
+      expect(elements["auto-restore-tabs"].disabled).toBe(false);
+    });
+
+    test("should save the chosen action and disable auto restore unless closing", async () => {
+      await loadPage();
+
+      elements["scrub-action"].value = "discard";
+      await changeHandler(elements["scrub-action"])();
+
+      expect(mockBGClient.saveScrubSettings).toHaveBeenCalledWith({
+        scrubAction: "discard",
+        autoRestoreTabs: true,
+      });
+      expect(elements["auto-restore-tabs"].disabled).toBe(true);
+      expect(elements["scrub-save-status"].textContent).toBe("保存しました");
+    });
+
+    test("should report a failed save", async () => {
+      mockBGClient.saveScrubSettings.mockResolvedValue({ success: false });
+      await loadPage();
+
+      elements["auto-restore-tabs"].checked = false;
+      await changeHandler(elements["auto-restore-tabs"])();
+
+      expect(elements["scrub-save-status"].textContent).toBe(
+        "保存できませんでした"
+      );
+    });
+  });
+
+  describe("emergency unlocks", () => {
+    test("should list logged unlocks newest first", async () => {
+      mockBGClient.getUnlocks.mockResolvedValue({
+        success: true,
+        unlocks: [],
+        log: [
+          { domain: "a.com", minutes: 5, reason: "first", unlockedAt: 1 },
+          { domain: "b.com", minutes: 10, reason: "second", unlockedAt: 2 },
+        ],
+      });
+
+      await loadPage();
+
+      const items = elements["unlock-log"].children.map((c) => c.textContent);
+      expect(items).toHaveLength(2);
+      expect(items[0]).toContain("b.com (10 min): second");
+      expect(items[1]).toContain("a.com (5 min): first");
+      expect(elements["unlock-log-empty"].hidden).toBe(true);
+    });
+
+    test("should say when nothing was unlocked", async () => {
+      await loadPage();
+
+      expect(elements["unlock-log"].children).toEqual([]);
+      expect(elements["unlock-log-empty"].hidden).toBe(false);
+    });
+  });
+
+  describe("daily site budgets", () => {
+    const renderedBudgets = () =>
+      elements["budget-list"].children.map(
+        (item) => item.children[0].textContent
+      );
+
+    const addBudget = async (site, minutes) => {
+      elements["new-budget-site"].value = site;
+      elements["new-budget-minutes"].value = minutes;
+      await clickHandler(elements["add-budget-button"])();
+    };
+
+    test("should render the stored budgets", async () => {
+      await loadPage();
+
+      expect(renderedBudgets()).toEqual(["youtube.com (20 min/day)"]);
+    });
+
+    test("should normalize and save a new budget", async () => {
+      await loadPage();
+
+      await addBudget(" https://www.Reddit.com/ ", "15");
+
+      expect(mockBGClient.saveBudgets).toHaveBeenCalledWith([
+        { domain: "youtube.com", minutes: 20 },
+        { domain: "reddit.com", minutes: 15 },
+      ]);
+      expect(elements["new-budget-site"].value).toBe("");
+      expect(elements["budget-save-status"].textContent).toBe("保存しました");
+    });
+
+    test.each([
+      ["", "20", "ドメインを入力してください"],
+      ["reddit.com/r/all", "20", "ドメインの形式が正しくありません"],
+      ["reddit.com", "0", "1〜720分で指定してください"],
+      ["reddit.com", "1.5", "1〜720分で指定してください"],
+      ["youtube.com", "20", "既に登録されています"],
+    ])(
+      "should reject %j for %s minutes without saving",
+      async (site, minutes, error) => {
+        await loadPage();
+
+        await addBudget(site, minutes);
+
+        expect(mockBGClient.saveBudgets).not.toHaveBeenCalled();
+        expect(elements["budget-error"].textContent).toBe(error);
+        expect(elements["budget-error"].style.display).toBe("block");
+      }
+    );
+
+    test("should remove a budget", async () => {
+      await loadPage();
+
+      const [removeButton] =
+        elements["budget-list"].children[0].children.slice(1);
+      await clickHandler(removeButton)();
+
+      expect(mockBGClient.saveBudgets).toHaveBeenCalledWith([]);
+      expect(renderedBudgets()).toEqual([]);
+    });
+  });
+
+  describe("blocking schedule", () => {
+    const renderedSchedules = () =>
+      elements["schedule-list"].children.map(
+        (item) => item.children[0].textContent
+      );
+
+    const addSchedule = async (days, start, end) => {
+      for (let day = 0; day < 7; day++) {
+        elements[`schedule-day-${day}`].checked = days.includes(day);
+      }
+      elements["new-schedule-start"].value = start;
+      elements["new-schedule-end"].value = end;
+      await clickHandler(elements["add-schedule-button"])();
+    };
+
+    test("should render the stored windows from Monday on", async () => {
+      await loadPage();
+
+      expect(renderedSchedules()).toEqual([
+        "Mon, Tue, Wed, Thu, Fri 09:00–12:00",
+      ]);
+    });
+
+    test("should save a new window with its days from Monday on", async () => {
+      await loadPage();
+
+      await addSchedule([0, 6], "10:00", "18:30");
+
+      expect(mockBGClient.saveSchedules).toHaveBeenCalledWith([
+        { days: [1, 2, 3, 4, 5], start: "09:00", end: "12:00" },
+        { days: [6, 0], start: "10:00", end: "18:30" },
+      ]);
+      expect(renderedSchedules()[1]).toBe("Sat, Sun 10:00–18:30");
+      expect(elements["schedule-save-status"].textContent).toBe("保存しました");
+    });
+
+    test.each([
+      [[], "09:00", "12:00", "曜日を選んでください"],
+      [[1], "", "12:00", "時刻を入力してください"],
+      [[1], "12:00", "09:00", "終了時刻は開始時刻より後にしてください"],
+      [[1, 2, 3, 4, 5], "09:00", "12:00", "既に登録されています"],
+    ])(
+      "should reject %j from %j to %j without saving",
+      async (days, start, end, error) => {
+        await loadPage();
+
+        await addSchedule(days, start, end);
+
+        expect(mockBGClient.saveSchedules).not.toHaveBeenCalled();
+        expect(elements["schedule-error"].textContent).toBe(error);
+      }
+    );
+
+    test("should remove a window", async () => {
+      await loadPage();
+
+      const [removeButton] =
+        elements["schedule-list"].children[0].children.slice(1);
+      await clickHandler(removeButton)();
+
+      expect(mockBGClient.saveSchedules).toHaveBeenCalledWith([]);
+      expect(renderedSchedules()).toEqual([]);
+    });
+  });
+
+  describe("focus presets", () => {
+    const renderedPresets = () =>
+      elements["preset-list"].children.map(
+        (item) => item.children[0].textContent
+      );
+
+    const addPreset = async ({
+      name = "Reading",
+      work = "30",
+      rest = "5",
+      sites = "",
+      sound = false,
+      volume = "60",
+    } = {}) => {
+      elements["new-preset-name"].value = name;
+      elements["new-preset-work"].value = work;
+      elements["new-preset-break"].value = rest;
+      elements["new-preset-sites"].value = sites;
+      elements["new-preset-sound"].checked = sound;
+      elements["new-preset-volume"].value = volume;
+      await clickHandler(elements["add-preset-button"])();
+    };
+
+    test("should render the stored presets", async () => {
+      await loadPage();
+
+      expect(renderedPresets()).toEqual([
+        "Writing: 50/10 min, 2 sites, sound 40%",
+      ]);
+    });
+
+    test("should save a new preset with its sites normalized", async () => {
+      await loadPage();
+
+      await addPreset({
+        sites: "https://www.YouTube.com/\n\nx.com\nx.com",
+      });
+
+      expect(mockBGClient.savePresets).toHaveBeenCalledWith([
+        WRITING,
+        {
+          id: expect.stringMatching(/^custom-/),
+          name: "Reading",
+          workMinutes: 30,
+          breakMinutes: 5,
+          blockList: ["youtube.com", "x.com"],
+          soundEnabled: false,
+          soundVolume: 60,
+        },
+      ]);
+      expect(renderedPresets()[1]).toBe("Reading: 30/5 min, 2 sites, no sound");
+      expect(elements["new-preset-name"].value).toBe("");
+      expect(elements["preset-save-status"].textContent).toBe("保存しました");
+      expect(mockSettingsChannel.postMessage).toHaveBeenCalledWith(
+        Constants.SETTINGS_CHANNEL.PRESETS
+      );
+    });
+
+    test.each([
+      [{ name: " " }, "名前を入力してください"],
+      [{ work: "0" }, "作業は1〜180分で指定してください"],
+      [{ rest: "61" }, "休憩は1〜60分で指定してください"],
+      [{ sites: "not a site" }, "not a site はブロックできない形式です"],
+      [{ name: "Writing" }, "既に登録されています"],
+    ])("should reject %j without saving", async (fields, error) => {
+      await loadPage();
+
+      await addPreset(fields);
+
+      expect(mockBGClient.savePresets).not.toHaveBeenCalled();
+      expect(mockSettingsChannel.postMessage).not.toHaveBeenCalled();
+      expect(elements["preset-error"].textContent).toBe(error);
+    });
+
+    test("should remove a preset", async () => {
+      await loadPage();
+
+      const [removeButton] =
+        elements["preset-list"].children[0].children.slice(1);
+      await clickHandler(removeButton)();
+
+      expect(mockBGClient.savePresets).toHaveBeenCalledWith([]);
+      expect(renderedPresets()).toEqual([]);
+    });
+  });
+
+  describe("uploaded sounds", () => {
+    const MP3_HEADER = [0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 0, 0, 0];
+    const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+    const audioFile = ({
+      name = "rain at night.mp3",
+      header = MP3_HEADER,
+      size = 1024,
+    } = {}) => {
+      const bytes = new Uint8Array(Math.max(size, header.length));
+      bytes.set(header);
+      return new File([bytes], name, { type: "audio/mpeg" });
+    };
+
+    const renderedSounds = () =>
+      elements["sound-list"].children.map(
+        (item) => item.children[0].textContent
+      );
+
+    const addSound = async ({ file = audioFile(), name = "" } = {}) => {
+      elements["new-sound-file"].files = file ? [file] : [];
+      elements["new-sound-name"].value = name;
+      await clickHandler(elements["add-sound-button"])();
+    };
+
+    test("should render the uploaded sounds", async () => {
+      await loadPage();
+
+      expect(renderedSounds()).toEqual(["Lo-fi loop (3.0 MB)"]);
+    });
+
+    test("should store a new sound named after its file", async () => {
+      await loadPage();
+      const file = audioFile();
+
+      await addSound({ file });
+
+      expect(mockSoundLibrary.addUserTrack).toHaveBeenCalledWith(
+        "rain at night",
+        file
+      );
+      expect(renderedSounds()).toEqual([
+        "Lo-fi loop (3.0 MB)",
+        "rain at night (0.0 MB)",
+      ]);
+      expect(elements["new-sound-file"].value).toBe("");
+      expect(elements["sound-save-status"].textContent).toBe("保存しました");
+      expect(mockSettingsChannel.postMessage).toHaveBeenCalledWith(
+        Constants.SETTINGS_CHANNEL.SOUNDS
+      );
+    });
+
+    test("should use the given name", async () => {
+      await loadPage();
+
+      await addSound({ name: "  Rain  " });
+
+      expect(mockSoundLibrary.addUserTrack).toHaveBeenCalledWith(
+        "Rain",
+        expect.any(File)
+      );
+    });
+
+    test.each([
+      ["no file", { file: null }, "ファイルを選んでください"],
+      [
+        "a file over the size limit",
+        { file: audioFile({ size: 30 * 1024 * 1024 + 1 }) },
+        "30MBまでのファイルを選んでください",
+      ],
+      [
+        "a file that is not audio",
+        { file: audioFile({ name: "photo.mp3", header: PNG_HEADER }) },
+        "対応していない形式です（MP3, OGG, FLAC, WAV, M4A, WebM に対応しています）",
+      ],
+      [
+        "a name that is too long",
+        { name: "a".repeat(61) },
+        "名前は60文字までです",
+      ],
+    ])("should reject %s without saving", async (_label, fields, error) => {
+      await loadPage();
+
+      await addSound(fields);
+
+      expect(mockSoundLibrary.addUserTrack).not.toHaveBeenCalled();
+      expect(elements["sound-error"].textContent).toBe(error);
+    });
+
+    test("should reject a sound past the track limit", async () => {
+      mockSoundLibrary.listUserTracks.mockResolvedValue(
+        Array.from({ length: 20 }, (_, i) => ({ ...LOFI, id: `user-${i}` }))
+      );
+      await loadPage();
+
+      await addSound();
+
+      expect(mockSoundLibrary.addUserTrack).not.toHaveBeenCalled();
+      expect(elements["sound-error"].textContent).toBe("20件まで登録できます");
+    });
+
+    test("should reject a sound past the storage limit", async () => {
+      mockSoundLibrary.listUserTracks.mockResolvedValue([
+        { ...LOFI, size: 190 * 1024 * 1024 },
+      ]);
+      await loadPage();
+
+      await addSound({ file: audioFile({ size: 11 * 1024 * 1024 }) });
+
+      expect(mockSoundLibrary.addUserTrack).not.toHaveBeenCalled();
+      expect(elements["sound-error"].textContent).toBe(
+        "合計200MBまで保存できます"
+      );
+    });
+
+    test("should report a sound that could not be stored", async () => {
+      mockSoundLibrary.addUserTrack.mockRejectedValue(
+        new Error("QuotaExceededError")
+      );
+      await loadPage();
+
+      await addSound();
+
+      expect(renderedSounds()).toEqual(["Lo-fi loop (3.0 MB)"]);
+      expect(elements["sound-save-status"].textContent).toBe(
+        "保存できませんでした"
+      );
+      expect(mockSettingsChannel.postMessage).not.toHaveBeenCalled();
+    });
+
+    test("should delete a sound", async () => {
+      await loadPage();
+
+      const [removeButton] =
+        elements["sound-list"].children[0].children.slice(1);
+      await clickHandler(removeButton)();
+
+      expect(mockSoundLibrary.deleteUserTrack).toHaveBeenCalledWith(
+        "user-lofi"
+      );
+      expect(renderedSounds()).toEqual([]);
+      expect(elements["sound-save-status"].textContent).toBe("削除しました");
+      expect(mockSettingsChannel.postMessage).toHaveBeenCalledWith(
+        Constants.SETTINGS_CHANNEL.SOUNDS
+      );
+    });
+  });
+
+  describe("alert sounds", () => {
+    const changeHandler = (element) =>
+      element.addEventListener.mock.calls.find(
+        ([event]) => event === "change"
+      )[1];
+
+    test("should show the stored settings", async () => {
+      await loadPage();
+
+      expect(elements["alert-complete-enabled"].checked).toBe(true);
+      expect(elements["alert-complete-volume"].value).toBe("70");
+      expect(elements["alert-warning-enabled"].checked).toBe(false);
+      expect(elements["alert-warning-volume"].value).toBe("30");
+    });
+
+    test("should save every sound when one setting changes", async () => {
+      await loadPage();
+
+      elements["alert-warning-enabled"].checked = true;
+      await changeHandler(elements["alert-warning-enabled"])();
+      elements["alert-switch-volume"].value = "90";
+      await changeHandler(elements["alert-switch-volume"])();
+
+      expect(mockBGClient.saveAlertSettings).toHaveBeenLastCalledWith({
+        switch: { enabled: true, volume: 90 },
+        complete: { enabled: true, volume: 70 },
+        warning: { enabled: true, volume: 30 },
+      });
+      expect(elements["alert-save-status"].textContent).toBe("保存しました");
+    });
+
+    test("should report settings that could not be saved", async () => {
+      mockBGClient.saveAlertSettings.mockResolvedValue({ success: false });
+      await loadPage();
+
+      await changeHandler(elements["alert-complete-enabled"])();
+
+      expect(elements["alert-save-status"].textContent).toBe(
+        "保存できませんでした"
+      );
+    });
+  });
+});
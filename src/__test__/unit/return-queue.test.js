@@ -0,0 +1,108 @@
+/**
+ * Unit tests for return-queue.js
+ */
+import { describe, test, expect, beforeEach } from "vitest";
+import { setupChromeMock } from "../setup.chrome.js";
+import { queueReturn, openQueuedReturns } from "@/background/return-queue.js";
+import Constants from "@/constants.js";
+
+const RETURN_QUEUE_KEY = "pomodoroReturnQueue";
+
+describe("ReturnQueue", () => {
+  let chromeMock;
+
+  beforeEach(() => {
+    chromeMock = setupChromeMock();
+  });
+
+  describe("queueReturn()", () => {
+    test("should append the URL to the stored queue", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [RETURN_QUEUE_KEY]: ["https://example.com/a"],
+      });
+
+      await queueReturn("https://example.com/b");
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [RETURN_QUEUE_KEY]: ["https://example.com/a", "https://example.com/b"],
+      });
+    });
+
+    test("should move an already queued URL to the end instead of duplicating it", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [RETURN_QUEUE_KEY]: ["https://example.com/a", "https://example.com/b"],
+      });
+
+      await queueReturn("https://example.com/a");
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [RETURN_QUEUE_KEY]: ["https://example.com/b", "https://example.com/a"],
+      });
+    });
+
+    test("should keep only the newest URLs", async () => {
+      const max = Constants.BLOCK_PAGE.MAX_RETURN_URLS;
+      const queued = Array.from(
+        { length: max },
+        (_, i) => `https://example.com/${i}`
+      );
+      chromeMock.storage.local.get.mockResolvedValue({
+        [RETURN_QUEUE_KEY]: queued,
+      });
+
+      await queueReturn("https://example.com/new");
+
+      const saved =
+        chromeMock.storage.local.set.mock.calls[0][0][RETURN_QUEUE_KEY];
+      expect(saved).toHaveLength(max);
+      expect(saved[0]).toBe("https://example.com/1");
+      expect(saved.at(-1)).toBe("https://example.com/new");
+    });
+  });
+
+  describe("openQueuedReturns()", () => {
+    test("should open each queued URL in a background tab and clear the queue", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [RETURN_QUEUE_KEY]: ["https://example.com/a", "https://example.com/b"],
+      });
+
+      await openQueuedReturns();
+
+      expect(chromeMock.storage.local.remove).toHaveBeenCalledWith(
+        RETURN_QUEUE_KEY
+      );
+      expect(chromeMock.tabs.create).toHaveBeenCalledWith({
+        url: "https://example.com/a",
+        active: false,
+      });
+      expect(chromeMock.tabs.create).toHaveBeenCalledWith({
+        url: "https://example.com/b",
+        active: false,
+      });
+    });
+
+    test("should do nothing when the queue is empty", async () => {
+      await openQueuedReturns();
+
+      expect(chromeMock.storage.local.remove).not.toHaveBeenCalled();
+      expect(chromeMock.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test("should throw after opening the other tabs when some fail", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        [RETURN_QUEUE_KEY]: ["https://example.com/a", "https://example.com/b"],
+      });
+      chromeMock.tabs.create
+        .mockRejectedValueOnce(new Error("No window"))
+        .mockResolvedValueOnce({ id: 101 });
+
+      await expect(openQueuedReturns()).rejects.toThrow(
+        "Failed to reopen 1 out of 2 blocked pages"
+      );
+      expect(chromeMock.tabs.create).toHaveBeenCalledTimes(2);
+      expect(chromeMock.storage.local.remove).toHaveBeenCalledWith(
+        RETURN_QUEUE_KEY
+      );
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for scrubbed-tabs.js
+ */
+import { describe, test, expect, beforeEach } from "vitest";
+import { setupChromeMock, useStorage } from "../setup.chrome.js";
+import {
+  getScrubSettings,
+  saveScrubSettings,
+  recordClosedTabs,
+  getClosedTabs,
+  restoreClosedTabs,
+  autoRestoreClosedTabs,
+} from "@/background/scrubbed-tabs.js";
+import Constants from "@/constants.js";
+
+const SCRUB_SETTINGS_KEY = "pomodoroScrubSettings";
+const CLOSED_TABS_KEY = "pomodoroClosedTabs";
+
+const closedTab = (index, windowId = 1) => ({
+  url: `https://reddit.com/r/${index}`,
+  title: `Thread ${index}`,
+  windowId,
+  index,
+});
+
+describe("ScrubbedTabs", () => {
+  let chromeMock;
+
+  beforeEach(() => {
+    chromeMock = setupChromeMock();
+  });
+
+  describe("getScrubSettings()", () => {
+    test("should default to closing tabs and reopening them on request", async () => {
+      expect(await getScrubSettings()).toEqual({
+        scrubAction: Constants.SCRUB_ACTIONS.CLOSE,
+        autoRestoreTabs: false,
+      });
+    });
+
+    test("should read the stored settings", async () => {
+      useStorage({
+        [SCRUB_SETTINGS_KEY]: { scrubAction: "discard", autoRestoreTabs: true },
+      });
+
+      expect(await getScrubSettings()).toEqual({
+        scrubAction: "discard",
+        autoRestoreTabs: true,
+      });
+    });
+  });
+
+  describe("saveScrubSettings()", () => {
+    test("should write the settings to chrome.storage.local", async () => {
+      await saveScrubSettings({
+        scrubAction: "redirect",
+        autoRestoreTabs: false,
+      });
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [SCRUB_SETTINGS_KEY]: {
+          scrubAction: "redirect",
+          autoRestoreTabs: false,
+        },
+      });
+    });
+  });
+
+  describe("recordClosedTabs()", () => {
+    test("should append the tabs' URL, title, window and position", async () => {
+      useStorage({ [CLOSED_TABS_KEY]: [closedTab(0)] });
+
+      await recordClosedTabs([
+        { id: 7, active: false, ...closedTab(2) },
+        { id: 8, url: "https://x.com/", windowId: 2, index: 0 },
+      ]);
+
+      expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+        [CLOSED_TABS_KEY]: [
+          closedTab(0),
+          closedTab(2),
+          { url: "https://x.com/", title: "", windowId: 2, index: 0 },
+        ],
+      });
+    });
+
+    test("should keep only the newest tabs", async () => {
+      const max = Constants.SCRUBBED_TABS.MAX_CLOSED_TABS;
+      useStorage({
+        [CLOSED_TABS_KEY]: Array.from({ length: max }, (_, i) => closedTab(i)),
+      });
+
+      await recordClosedTabs([closedTab(max)]);
+
+      const saved =
+        chromeMock.storage.local.set.mock.calls[0][0][CLOSED_TABS_KEY];
+      expect(saved).toHaveLength(max);
+      expect(saved[0]).toEqual(closedTab(1));
+      expect(saved.at(-1)).toEqual(closedTab(max));
+    });
+
+    test("should not touch storage when nothing was closed", async () => {
+      await recordClosedTabs([]);
+
+      expect(chromeMock.storage.local.get).not.toHaveBeenCalled();
+      expect(chromeMock.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getClosedTabs()", () => {
+    test("should return an empty list when nothing is stored", async () => {
+      expect(await getClosedTabs()).toEqual([]);
+    });
+  });
+
+  describe("restoreClosedTabs()", () => {
+    test("should reopen the tabs in place, lowest position first, and forget them", async () => {
+      useStorage({ [CLOSED_TABS_KEY]: [closedTab(5), closedTab(2)] });
+
+      const result = await restoreClosedTabs();
+
+      expect(result).toEqual({ restored: 2 });
+      expect(chromeMock.storage.local.remove).toHaveBeenCalledWith(
+        CLOSED_TABS_KEY
+      );
+      expect(chromeMock.tabs.create.mock.calls.map(([props]) => props)).toEqual(
+        [
+          { url: closedTab(2).url, windowId: 1, index: 2, active: false },
+          { url: closedTab(5).url, windowId: 1, index: 5, active: false },
+        ]
+      );
+    });
+
+    test("should open a tab in the current window when its window is gone", async () => {
+      useStorage({ [CLOSED_TABS_KEY]: [closedTab(1, 99)] });
+      chromeMock.tabs.create.mockRejectedValueOnce(
+        new Error("No window with id: 99")
+      );
+
+      await restoreClosedTabs();
+
+      expect(chromeMock.tabs.create).toHaveBeenLastCalledWith({
+        url: closedTab(1).url,
+        active: false,
+      });
+    });
+
+    test("should throw after trying every tab when some cannot be reopened", async () => {
+      useStorage({ [CLOSED_TABS_KEY]: [closedTab(1), closedTab(2)] });
+      chromeMock.tabs.create
+        .mockRejectedValueOnce(new Error("Bad URL"))
+        .mockRejectedValueOnce(new Error("Bad URL"));
+
+      await expect(restoreClosedTabs()).rejects.toThrow(
+        "Failed to reopen 1 out of 2 closed tabs"
+      );
+      expect(chromeMock.tabs.create).toHaveBeenCalledTimes(3);
+    });
+
+    test("should do nothing when no tabs were closed", async () => {
+      expect(await restoreClosedTabs()).toEqual({ restored: 0 });
+      expect(chromeMock.storage.local.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("autoRestoreClosedTabs()", () => {
+    test("should reopen the tabs when automatic restore is on", async () => {
+      useStorage({
+        [SCRUB_SETTINGS_KEY]: { scrubAction: "close", autoRestoreTabs: true },
+        [CLOSED_TABS_KEY]: [closedTab(1)],
+      });
+
+      await autoRestoreClosedTabs();
+
+      expect(chromeMock.tabs.create).toHaveBeenCalledTimes(1);
+    });
+
+    test("should keep the tabs for the one-click restore otherwise", async () => {
+      useStorage({ [CLOSED_TABS_KEY]: [closedTab(1)] });
+
+      await autoRestoreClosedTabs();
+
+      expect(chromeMock.tabs.create).not.toHaveBeenCalled();
+      expect(chromeMock.storage.local.remove).not.toHaveBeenCalled();
+    });
+  });
+});
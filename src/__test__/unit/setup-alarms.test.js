@@ -1,12 +1,14 @@
 /**
  * Unit tests for setup-alarms.js
  */
-import { describe, test, expect, beforeEach, vi } from "vitest";
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
 import { setupChromeMock } from "../setup.chrome.js";
 
 // Mock timer-store
 const mockTimer = {
   update: vi.fn().mockReturnValue({ any: "sentinel" }),
+  getSessionEndTime: vi.fn(),
+  getTotalEndTime: vi.fn(),
 };
 
 vi.mock("@/background/timer-store.js", () => ({
@@ -22,10 +24,15 @@ vi.mock("@/background/events.js", () => ({
 
 describe("SetupAlarms", () => {
   const TICK = "POMODORO_TICK";
+  const SESSION_END = "POMODORO_SESSION_END";
+  const TOTAL_END = "POMODORO_TOTAL_END";
+  const SESSION_WARNING = "POMODORO_SESSION_WARNING";
+  const SESSION_END_TIME = 1609460700000;
+  const TOTAL_END_TIME = 1609462800000;
 
   let chromeMock = setupChromeMock();
   let listener;
-  let setupAlarms, startTick, stopTick;
+  let setupAlarms, startTick, stopTick, scheduleBoundaries;
 
   beforeEach(async () => {
     vi.resetModules();
@@ -40,6 +47,10 @@ describe("SetupAlarms", () => {
     setupAlarms = setupAlarmsModule.setupAlarms;
     startTick = setupAlarmsModule.startTick;
     stopTick = setupAlarmsModule.stopTick;
+    scheduleBoundaries = setupAlarmsModule.scheduleBoundaries;
+
+    mockTimer.getSessionEndTime.mockReturnValue(SESSION_END_TIME);
+    mockTimer.getTotalEndTime.mockReturnValue(TOTAL_END_TIME);
   });
 
   describe("setupAlarms()", () => {
@@ -59,6 +70,48 @@ describe("SetupAlarms", () => {
       expect(handleEvents).not.toHaveBeenCalled();
     });
 
+    test("should expire an emergency unlock when its alarm fires", async () => {
+      const { handleEvents } = await import("@/background/events.js");
+
+      setupAlarms();
+      await listener({ name: "POMODORO_UNLOCK_3" });
+
+      expect(handleEvents).toHaveBeenCalledWith("unlock/expire", {
+        alarmName: "POMODORO_UNLOCK_3",
+      });
+      expect(handleEvents).not.toHaveBeenCalledWith("timer/update");
+    });
+
+    test("should refresh the site budgets when the budget alarm fires", async () => {
+      const { handleEvents } = await import("@/background/events.js");
+
+      setupAlarms();
+      await listener({ name: "POMODORO_BUDGET" });
+
+      expect(handleEvents).toHaveBeenCalledWith("budgets/refresh");
+      expect(handleEvents).not.toHaveBeenCalledWith("timer/update");
+    });
+
+    test("should apply the blocking schedule when the schedule alarm fires", async () => {
+      const { handleEvents } = await import("@/background/events.js");
+
+      setupAlarms();
+      await listener({ name: "POMODORO_SCHEDULE" });
+
+      expect(handleEvents).toHaveBeenCalledWith("schedules/refresh");
+      expect(handleEvents).not.toHaveBeenCalledWith("timer/update");
+    });
+
+    test("should play the one-minute warning when the warning alarm fires", async () => {
+      const { handleEvents } = await import("@/background/events.js");
+
+      setupAlarms();
+      await listener({ name: SESSION_WARNING });
+
+      expect(handleEvents).toHaveBeenCalledWith("timer/warn");
+      expect(handleEvents).not.toHaveBeenCalledWith("timer/update");
+    });
+
     test("should handle POMODORO_TICK flow in correct order", async () => {
       const { handleEvents } = await import("@/background/events.js");
 
@@ -150,6 +203,18 @@ describe("SetupAlarms", () => {
       consoleSpy.mockRestore();
     });
 
+    test.each([SESSION_END, TOTAL_END])(
+      "should update timer when %s boundary alarm fires",
+      async (name) => {
+        const { handleEvents } = await import("@/background/events.js");
+
+        setupAlarms();
+        await listener({ name });
+
+        expect(handleEvents).toHaveBeenCalledWith("timer/update");
+      }
+    );
+
     test("should handle alarm object without name property", async () => {
       const { handleEvents } = await import("@/background/events.js");
 
@@ -178,6 +243,17 @@ describe("SetupAlarms", () => {
       });
     });
 
+    test("should schedule one-shot alarms at the session and total end", () => {
+      startTick();
+
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(SESSION_END, {
+        when: SESSION_END_TIME,
+      });
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(TOTAL_END, {
+        when: TOTAL_END_TIME,
+      });
+    });
+
     test("should throw error when chrome.alarms.create fails", () => {
       chromeMock.alarms.create.mockImplementationOnce(() => {
         throw new Error("Alarm creation failed");
@@ -194,6 +270,14 @@ describe("SetupAlarms", () => {
       expect(chromeMock.alarms.clear).toHaveBeenCalledWith(TICK);
     });
 
+    test("should clear the boundary alarms", async () => {
+      await stopTick();
+
+      expect(chromeMock.alarms.clear).toHaveBeenCalledWith(SESSION_END);
+      expect(chromeMock.alarms.clear).toHaveBeenCalledWith(TOTAL_END);
+      expect(chromeMock.alarms.clear).toHaveBeenCalledWith(SESSION_WARNING);
+    });
+
     test("should throw error when chrome.alarms.clear fails", async () => {
       chromeMock.alarms.clear.mockRejectedValueOnce(
         new Error("Alarm clear failed")
@@ -202,4 +286,56 @@ describe("SetupAlarms", () => {
       await expect(stopTick()).rejects.toThrow("Alarm clear failed");
     });
   });
+
+  describe("scheduleBoundaries()", () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    test("should replace boundary alarms with the current end times", () => {
+      scheduleBoundaries();
+
+      expect(chromeMock.alarms.create).toHaveBeenCalledTimes(2);
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(SESSION_END, {
+        when: SESSION_END_TIME,
+      });
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(TOTAL_END, {
+        when: TOTAL_END_TIME,
+      });
+    });
+
+    test("should schedule the warning a minute before the session ends", () => {
+      vi.setSystemTime(SESSION_END_TIME - 5 * 60 * 1000);
+
+      scheduleBoundaries();
+
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(SESSION_WARNING, {
+        when: SESSION_END_TIME - 60 * 1000,
+      });
+    });
+
+    test("should not schedule the warning within the last minute", () => {
+      vi.setSystemTime(SESSION_END_TIME - 30 * 1000);
+
+      scheduleBoundaries();
+
+      expect(chromeMock.alarms.create).not.toHaveBeenCalledWith(
+        SESSION_WARNING,
+        expect.anything()
+      );
+    });
+
+    test("should not schedule anything when timer is not running", () => {
+      mockTimer.getSessionEndTime.mockReturnValue(null);
+      mockTimer.getTotalEndTime.mockReturnValue(null);
+
+      scheduleBoundaries();
+
+      expect(chromeMock.alarms.create).not.toHaveBeenCalled();
+    });
+  });
 });
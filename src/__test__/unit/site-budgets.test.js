@@ -0,0 +1,262 @@
+/**
+ * Unit tests for site-budgets.js
+ */
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { setupChromeMock, useStorage } from "../setup.chrome.js";
+import { setBudgetBlocks } from "@/background/sites-guard.js";
+
+vi.mock("@/background/sites-guard.js", () => ({
+  setBudgetBlocks: vi.fn().mockResolvedValue(undefined),
+}));
+
+const BUDGETS_KEY = "pomodoroSiteBudgets";
+const BUDGET_USAGE_KEY = "pomodoroBudgetUsage";
+const NOW = new Date(2021, 0, 1, 12, 0).getTime(); // local noon
+const MINUTE = 60 * 1000;
+const MIDNIGHT = new Date(2021, 0, 2).getTime();
+
+describe("SiteBudgets", () => {
+  let chromeMock;
+  let storage;
+  let refreshBudgets, getBudgetStatus, setupBudgetTracking, BUDGET_ALARM;
+  let getBlockedBudgetDomains;
+
+  const focusOn = (url, focused = true) => {
+    chromeMock.windows.getLastFocused.mockResolvedValue({
+      focused,
+      tabs: [
+        { id: 1, active: false, url: "https://example.com/" },
+        { id: 2, active: true, url },
+      ],
+    });
+  };
+
+  beforeEach(async () => {
+    vi.resetModules();
+    vi.clearAllMocks();
+    chromeMock = setupChromeMock();
+    storage = useStorage({
+      [BUDGETS_KEY]: [
+        { domain: "youtube.com", minutes: 20 },
+        { domain: "reddit.com", minutes: 10 },
+      ],
+    });
+
+    ({
+      refreshBudgets,
+      getBudgetStatus,
+      setupBudgetTracking,
+      getBlockedBudgetDomains,
+      BUDGET_ALARM,
+    } = await import("@/background/site-budgets.js"));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe("refreshBudgets()", () => {
+    test("should start timing a budgeted site in front and wake up when it runs out", async () => {
+      focusOn("https://www.youtube.com/watch?v=1");
+
+      await refreshBudgets(NOW);
+
+      expect(storage[BUDGET_USAGE_KEY]).toEqual({
+        day: "2021-01-01",
+        usedMs: {},
+        blocked: [],
+        active: { domain: "youtube.com", since: NOW },
+      });
+      expect(chromeMock.alarms.create).toHaveBeenCalledWith(BUDGET_ALARM, {
+        when: NOW + 20 * MINUTE,
+      });
+      expect(setBudgetBlocks).not.toHaveBeenCalled();
+    });
+
+    test("should add the time spent when another tab comes to the front", async () => {
+      focusOn("https://youtube.com/");
+      await refreshBudgets(NOW);
+
+      focusOn("https://reddit.com/r/all");
+      await refreshBudgets(NOW + 5 * MINUTE);
+
+      expect(storage[BUDGET_USAGE_KEY].usedMs).toEqual({
+        "youtube.com": 5 * MINUTE,
+      });
+      expect(storage[BUDGET_USAGE_KEY].active).toEqual({
+        domain: "reddit.com",
+        since: NOW + 5 * MINUTE,
+      });
+    });
+
+    test("should not count time while the browser is not focused", async () => {
+      focusOn("https://youtube.com/", false);
+
+      await refreshBudgets(NOW);
+
+      expect(storage[BUDGET_USAGE_KEY].active).toBeNull();
+      expect(chromeMock.alarms.clear).toHaveBeenCalledWith(BUDGET_ALARM);
+    });
+
+    test("should fail when the alarm cannot be cleared", async () => {
+      focusOn("https://youtube.com/", false);
+      chromeMock.alarms.clear.mockRejectedValueOnce(new Error("Clear failed"));
+
+      await expect(refreshBudgets(NOW)).rejects.toThrow("Clear failed");
+    });
+
+    test("should block a used-up site until midnight", async () => {
+      focusOn("https://youtube.com/");
+      await refreshBudgets(NOW);
+
+      await refreshBudgets(NOW + 20 * MINUTE);
+
+      expect(setBudgetBlocks).toHaveBeenCalledWith(["youtube.com"]);
+      expect(storage[BUDGET_USAGE_KEY]).toMatchObject({
+        blocked: ["youtube.com"],
+        active: null,
+      });
+      expect(chromeMock.alarms.create).toHaveBeenLastCalledWith(BUDGET_ALARM, {
+        when: MIDNIGHT,
+      });
+    });
+
+    test("should only update the rules when the blocked sites change", async () => {
+      storage[BUDGET_USAGE_KEY] = {
+        day: "2021-01-01",
+        usedMs: { "youtube.com": 20 * MINUTE },
+        blocked: ["youtube.com"],
+        active: null,
+      };
+
+      await refreshBudgets(NOW);
+
+      expect(setBudgetBlocks).not.toHaveBeenCalled();
+    });
+
+    test("should lift the blocks and start over on a new day", async () => {
+      focusOn("https://reddit.com/");
+      storage[BUDGET_USAGE_KEY] = {
+        day: "2021-01-01",
+        usedMs: { "youtube.com": 20 * MINUTE, "reddit.com": 5 * MINUTE },
+        blocked: ["youtube.com"],
+        active: { domain: "reddit.com", since: MIDNIGHT - 3 * MINUTE },
+      };
+
+      await refreshBudgets(MIDNIGHT + 2 * MINUTE);
+
+      expect(setBudgetBlocks).toHaveBeenCalledWith([]);
+      // Only the part after midnight counts for the new day
+      expect(storage[BUDGET_USAGE_KEY]).toEqual({
+        day: "2021-01-02",
+        usedMs: { "reddit.com": 2 * MINUTE },
+        blocked: [],
+        active: { domain: "reddit.com", since: MIDNIGHT + 2 * MINUTE },
+      });
+    });
+
+    test("should lift the block of a site whose budget was removed", async () => {
+      storage[BUDGETS_KEY] = [{ domain: "reddit.com", minutes: 10 }];
+      storage[BUDGET_USAGE_KEY] = {
+        day: "2021-01-01",
+        usedMs: { "youtube.com": 20 * MINUTE },
+        blocked: ["youtube.com"],
+        active: null,
+      };
+
+      await refreshBudgets(NOW);
+
+      expect(setBudgetBlocks).toHaveBeenCalledWith([]);
+    });
+
+    test("should run refreshes one at a time", async () => {
+      focusOn("https://youtube.com/");
+      await refreshBudgets(NOW);
+
+      await Promise.all([
+        refreshBudgets(NOW + MINUTE),
+        refreshBudgets(NOW + 3 * MINUTE),
+      ]);
+
+      expect(storage[BUDGET_USAGE_KEY].usedMs).toEqual({
+        "youtube.com": 3 * MINUTE,
+      });
+    });
+  });
+
+  describe("getBudgetStatus()", () => {
+    test("should include the time spent on the site in front so far", async () => {
+      storage[BUDGET_USAGE_KEY] = {
+        day: "2021-01-01",
+        usedMs: { "youtube.com": 5 * MINUTE, "reddit.com": 10 * MINUTE },
+        blocked: ["reddit.com"],
+        active: { domain: "youtube.com", since: NOW - 2 * MINUTE },
+      };
+
+      expect(await getBudgetStatus(NOW)).toEqual([
+        {
+          domain: "youtube.com",
+          minutes: 20,
+          usedMs: 7 * MINUTE,
+          remainingMs: 13 * MINUTE,
+          exhausted: false,
+        },
+        {
+          domain: "reddit.com",
+          minutes: 10,
+          usedMs: 10 * MINUTE,
+          remainingMs: 0,
+          exhausted: true,
+        },
+      ]);
+    });
+  });
+
+  describe("getBlockedBudgetDomains()", () => {
+    test("should only report the blocks applied today", async () => {
+      storage[BUDGET_USAGE_KEY] = {
+        day: "2021-01-01",
+        usedMs: { "youtube.com": 20 * MINUTE },
+        blocked: ["youtube.com"],
+        active: null,
+      };
+
+      expect(await getBlockedBudgetDomains(NOW)).toEqual(["youtube.com"]);
+      expect(await getBlockedBudgetDomains(MIDNIGHT)).toEqual([]);
+    });
+  });
+
+  describe("setupBudgetTracking()", () => {
+    test("should refresh when the tab in front or the focused window changes", () => {
+      setupBudgetTracking();
+
+      expect(chromeMock.tabs.onActivated.addListener).toHaveBeenCalledTimes(1);
+      expect(
+        chromeMock.windows.onFocusChanged.addListener
+      ).toHaveBeenCalledTimes(1);
+    });
+
+    test("should only follow navigations of the active tab", async () => {
+      setupBudgetTracking();
+      const onUpdated = chromeMock.tabs.onUpdated.addListener.mock.calls[0][0];
+
+      onUpdated(2, { status: "loading" }, { active: true });
+      onUpdated(3, { url: "https://youtube.com/" }, { active: false });
+      await vi.waitFor(() =>
+        expect(chromeMock.windows.getLastFocused).not.toHaveBeenCalled()
+      );
+
+      onUpdated(2, { url: "https://youtube.com/" }, { active: true });
+      await vi.waitFor(() =>
+        expect(chromeMock.windows.getLastFocused).toHaveBeenCalledTimes(1)
+      );
+    });
+
+    test("should only register the listeners once", () => {
+      setupBudgetTracking();
+      setupBudgetTracking();
+
+      expect(chromeMock.tabs.onActivated.addListener).toHaveBeenCalledTimes(1);
+    });
+  });
+});
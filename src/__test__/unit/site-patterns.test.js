@@ -0,0 +1,119 @@
+/**
+ * Unit tests for site-patterns.js
+ */
+import { describe, test, expect } from "vitest";
+import {
+  isRegexPattern,
+  validateSitePattern,
+  toRuleCondition,
+  toFullUrlRegex,
+  matchesSitePattern,
+} from "@/site-patterns.js";
+import Constants from "@/constants.js";
+
+describe("SitePatterns", () => {
+  describe("validateSitePattern()", () => {
+    test.each([
+      "example.com",
+      "news.example.co.jp",
+      "read.amazon.co.jp/manga",
+      "example.com/search?q=",
+      "youtube.com/shorts*",
+      "reddit.com/r/*/comments",
+      "/^https?:\\/\\/(www\\.)?example\\.com\\/(a|b)/",
+    ])("should accept %j", (pattern) => {
+      expect(validateSitePattern(pattern)).toEqual({ valid: true });
+    });
+
+    test.each([
+      ["an empty pattern", ""],
+      ["a bare word", "localhost"],
+      ["upper case", "Example.com"],
+      ["a scheme", "https://example.com"],
+      ["spaces", "example.com/a b"],
+      ["a reserved urlFilter character", "example.com/a|b"],
+      ["a separator character", "example.com/a^"],
+      ["a non-ASCII path", "example.com/漫画"],
+      ["an invalid regex", "/(unclosed/"],
+      ["a lookahead", "/example(?=\\.com)/"],
+      ["a backreference", "/(a)\\1/"],
+    ])("should reject %s", (_label, pattern) => {
+      const result = validateSitePattern(pattern);
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toEqual(expect.any(String));
+    });
+
+    test("should accept every default site", () => {
+      for (const site of [...Constants.BLOCK_SITES, ...Constants.ALLOW_SITES]) {
+        expect(validateSitePattern(site).valid).toBe(true);
+      }
+    });
+  });
+
+  describe("isRegexPattern()", () => {
+    test("should detect patterns wrapped in slashes", () => {
+      expect(isRegexPattern("/abc/")).toBe(true);
+      expect(isRegexPattern("//")).toBe(false);
+      expect(isRegexPattern("example.com/")).toBe(false);
+    });
+  });
+
+  describe("toRuleCondition()", () => {
+    test.each([
+      ["example.com", { urlFilter: "||example.com^" }],
+      ["example.com/docs", { urlFilter: "||example.com/docs^" }],
+      ["example.com/*/watch", { urlFilter: "||example.com/*/watch^" }],
+      ["youtube.com/shorts*", { urlFilter: "||youtube.com/shorts*" }],
+      ["/^https:\\/\\/a\\.com/", { regexFilter: "^https:\\/\\/a\\.com" }],
+    ])("should convert %j", (pattern, condition) => {
+      expect(toRuleCondition(pattern)).toEqual(condition);
+    });
+  });
+
+  describe("toFullUrlRegex()", () => {
+    test.each([
+      ["example.com", "https://www.example.com/a?b=1#c"],
+      ["youtube.com/shorts*", "https://m.youtube.com/shorts/abc"],
+      ["/a\\.com\\/x/", "https://a.com/x/y"],
+    ])("should match the whole URL for %j", (pattern, url) => {
+      expect(url.match(new RegExp(toFullUrlRegex(pattern), "i"))[0]).toBe(url);
+    });
+
+    test("should not match URLs the pattern does not match", () => {
+      expect(
+        new RegExp(toFullUrlRegex("example.com")).test(
+          "https://notexample.com/"
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe("matchesSitePattern()", () => {
+    test.each([
+      ["example.com", "https://example.com", true],
+      ["example.com", "https://www.example.com/page", true],
+      ["example.com", "http://example.com:8080/", true],
+      ["example.com", "https://notexample.com/", false],
+      ["example.com", "https://example.com.evil.org/", false],
+      ["example.com", "https://evil.org/?ref=example.com", false],
+      ["read.amazon.co.jp/manga", "https://read.amazon.co.jp/manga", true],
+      ["read.amazon.co.jp/manga", "https://read.amazon.co.jp/manga/1", true],
+      ["read.amazon.co.jp/manga", "https://read.amazon.co.jp/mangas", false],
+      ["read.amazon.co.jp/manga", "https://read.amazon.co.jp/", false],
+      ["example.com/docs", "https://EXAMPLE.com/Docs?x=1", true],
+      ["reddit.com/r/*/comments", "https://reddit.com/r/a/comments/1", true],
+      ["reddit.com/r/*/comments", "https://reddit.com/r/a/about", false],
+      ["youtube.com/shorts*", "https://m.youtube.com/shorts/abc", true],
+      ["youtube.com/shorts*", "https://youtube.com/watch", false],
+      ["/^https:\\/\\/a\\.com\\/(x|y)/", "https://a.com/y/1", true],
+      ["/^https:\\/\\/a\\.com\\/(x|y)/", "https://a.com/z", false],
+    ])("%j against %j should be %s", (pattern, url, expected) => {
+      expect(matchesSitePattern(url, pattern)).toBe(expected);
+    });
+
+    test("should not match a tab without a URL", () => {
+      expect(matchesSitePattern(undefined, "example.com")).toBe(false);
+    });
+  });
+});
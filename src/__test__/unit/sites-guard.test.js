@@ -2,10 +2,21 @@
  * Unit tests for sites-guard.js
  */
 import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
-import { enableBlock, disableBlock } from "@/background/sites-guard.js";
+import {
+  enableBlock,
+  disableBlock,
+  isBlockingSession,
+  checkRegexSupport,
+  addUnlockRule,
+  removeUnlockRule,
+  setBudgetBlocks,
+  reconcileRules,
+} from "@/background/sites-guard.js";
+import { getTimer } from "@/background/timer-store.js";
+import { toFullUrlRegex } from "@/site-patterns.js";
 import { setupChromeMock } from "../setup.chrome.js";
 import Constants from "@/constants.js";
-const { BLOCK_SITES } = Constants;
+const { BLOCK_SITES, ALLOW_SITES, SESSION_TYPES, BLOCK_MODES } = Constants;
 
 vi.mock("@/background/timer-store.js", () => ({
   getTimer: vi.fn(() => ({ reset: vi.fn() })),
@@ -22,6 +33,17 @@ describe("SitesGuard", () => {
     vi.clearAllMocks();
   });
 
+  describe("isBlockingSession()", () => {
+    test("should block during work sessions", () => {
+      expect(isBlockingSession(SESSION_TYPES.WORK)).toBe(true);
+    });
+
+    test("should not block during short or long breaks", () => {
+      expect(isBlockingSession(SESSION_TYPES.BREAK)).toBe(false);
+      expect(isBlockingSession(SESSION_TYPES.LONG_BREAK)).toBe(false);
+    });
+  });
+
   describe("enableBlock()", () => {
     test("should add blocking rules for all target sites", async () => {
       const mockTabs = [
@@ -41,18 +63,28 @@ describe("SitesGuard", () => {
             priority: 1,
             action: {
               type: "redirect",
-              redirect: { extensionPath: "/src/ui/ui.html" },
+              redirect: { regexSubstitution: "src/ui/blocked.html#\\0" },
             },
             condition: {
-              urlFilter: expect.stringMatching(/\|\|.*\^/),
+              regexFilter: expect.stringMatching(/^\^\.\*\?\(\?:.*\)\.\*\$$/),
               resourceTypes: ["main_frame"],
             },
           }),
         ]),
-        removeRuleIds: [],
+        removeRuleIds: expect.any(Array),
       });
     });
 
+    test("should replace rules of the mode that are already applied", async () => {
+      chromeMock.tabs.query.mockResolvedValue([]);
+
+      await enableBlock();
+
+      const { addRules, removeRuleIds } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(removeRuleIds).toEqual(addRules.map((rule) => rule.id));
+    });
+
     test("should create rules for all target domains", async () => {
       chromeMock.tabs.query.mockResolvedValue([]);
 
@@ -70,10 +102,10 @@ describe("SitesGuard", () => {
           priority: 1,
           action: {
             type: "redirect",
-            redirect: { extensionPath: "/src/ui/ui.html" },
+            redirect: { regexSubstitution: "src/ui/blocked.html#\\0" },
           },
           condition: {
-            urlFilter: `||${domain}^`,
+            regexFilter: toFullUrlRegex(domain),
             resourceTypes: ["main_frame"],
           },
         });
@@ -94,26 +126,7 @@ describe("SitesGuard", () => {
       await enableBlock();
 
       expect(chromeMock.tabs.query).toHaveBeenCalledWith({
-        url: expect.arrayContaining([
-          "*://*.x.com/*",
-          "*://x.com/*",
-          "*://*.twitter.com/*",
-          "*://twitter.com/*",
-          "*://*.instagram.com/*",
-          "*://instagram.com/*",
-          "*://*.facebook.com/*",
-          "*://facebook.com/*",
-          "*://*.tiktok.com/*",
-          "*://tiktok.com/*",
-          "*://*.youtube.com/*",
-          "*://youtube.com/*",
-          "*://*.reddit.com/*",
-          "*://reddit.com/*",
-          "*://*.pixiv.net/*",
-          "*://pixiv.net/*",
-          "*://*.nicovideo.jp/*",
-          "*://nicovideo.jp/*",
-        ]),
+        url: ["http://*/*", "https://*/*"],
       });
 
       expect(chromeMock.tabs.query).toHaveBeenCalledWith({
@@ -154,6 +167,155 @@ describe("SitesGuard", () => {
       expect(chromeMock.tabs.remove).toHaveBeenCalledTimes(1);
     });
 
+    describe("background tabs", () => {
+      const mockTabs = [
+        { id: 1, url: "https://twitter.com/home", windowId: 1, index: 0 },
+        {
+          id: 2,
+          url: "https://reddit.com/r/a/comments/1",
+          title: "Long thread",
+          windowId: 1,
+          index: 3,
+        },
+      ];
+
+      const useScrubAction = (scrubAction) => {
+        chromeMock.storage.local.get.mockImplementation(async (key) =>
+          key === "pomodoroScrubSettings"
+            ? { pomodoroScrubSettings: { scrubAction } }
+            : {}
+        );
+      };
+
+      beforeEach(() => {
+        chromeMock.tabs.query
+          .mockResolvedValueOnce(mockTabs)
+          .mockResolvedValueOnce([mockTabs[0]]);
+      });
+
+      test("should remember closed tabs so they can be reopened", async () => {
+        await enableBlock();
+
+        expect(chromeMock.tabs.remove).toHaveBeenCalledWith(2);
+        expect(chromeMock.storage.local.set).toHaveBeenCalledWith({
+          pomodoroClosedTabs: [
+            {
+              url: "https://reddit.com/r/a/comments/1",
+              title: "Long thread",
+              windowId: 1,
+              index: 3,
+            },
+          ],
+        });
+      });
+
+      test("should not remember a tab that failed to close", async () => {
+        chromeMock.tabs.remove.mockRejectedValueOnce(new Error("Busy"));
+
+        await expect(enableBlock()).rejects.toThrow(
+          "Failed to process 1 out of 2 SNS tabs"
+        );
+
+        expect(chromeMock.storage.local.set).not.toHaveBeenCalled();
+      });
+
+      test("should discard instead of closing when configured", async () => {
+        useScrubAction(Constants.SCRUB_ACTIONS.DISCARD);
+
+        await enableBlock();
+
+        expect(chromeMock.tabs.discard).toHaveBeenCalledWith(2);
+        expect(chromeMock.tabs.remove).not.toHaveBeenCalled();
+        expect(chromeMock.tabs.reload).toHaveBeenCalledWith(1);
+        expect(chromeMock.storage.local.set).not.toHaveBeenCalled();
+      });
+
+      test("should reload onto the block page when configured", async () => {
+        useScrubAction(Constants.SCRUB_ACTIONS.REDIRECT);
+
+        await enableBlock();
+
+        expect(chromeMock.tabs.reload.mock.calls.map(([id]) => id)).toEqual([
+          1, 2,
+        ]);
+        expect(chromeMock.tabs.remove).not.toHaveBeenCalled();
+        expect(chromeMock.tabs.discard).not.toHaveBeenCalled();
+      });
+    });
+
+    test("should build rules from the stored block list", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        pomodoroBlockList: ["example.com", "news.example.org"],
+      });
+      chromeMock.tabs.query.mockResolvedValue([]);
+
+      await enableBlock();
+
+      const { addRules } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(addRules.map((r) => [r.id, r.condition.regexFilter])).toEqual([
+        [10100, toFullUrlRegex("example.com")],
+        [10101, toFullUrlRegex("news.example.org")],
+      ]);
+    });
+
+    test("should build path, wildcard and regex rules", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        pomodoroBlockList: [
+          "read.amazon.co.jp/manga",
+          "youtube.com/shorts*",
+          "/^https:\\/\\/(www\\.)?example\\.com\\/(a|b)/",
+        ],
+      });
+
+      await enableBlock();
+
+      const { addRules } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(addRules.map((r) => r.condition.regexFilter)).toEqual([
+        toFullUrlRegex("read.amazon.co.jp/manga"),
+        toFullUrlRegex("youtube.com/shorts*"),
+        "^.*?(?:^https:\\/\\/(www\\.)?example\\.com\\/(a|b)).*$",
+      ]);
+    });
+
+    test("should scrub only the open tabs that match a pattern", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        pomodoroBlockList: [
+          "read.amazon.co.jp/manga",
+          "youtube.com/shorts*",
+          "/^https:\\/\\/example\\.com\\/(a|b)/",
+        ],
+      });
+      chromeMock.tabs.query
+        .mockResolvedValueOnce([
+          { id: 1, url: "https://read.amazon.co.jp/manga/B0123" },
+          { id: 2, url: "https://read.amazon.co.jp/kindle-library" },
+          { id: 3, url: "https://www.youtube.com/shorts/abc" },
+          { id: 4, url: "https://www.youtube.com/watch?v=abc" },
+          { id: 5, url: "https://example.com/b/page" },
+          { id: 6, url: "https://example.com/c" },
+        ])
+        .mockResolvedValueOnce([]);
+
+      await enableBlock();
+
+      expect(chromeMock.tabs.remove.mock.calls.map(([id]) => id)).toEqual([
+        1, 3, 5,
+      ]);
+    });
+
+    test("should not query tabs when the block list is empty", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({ pomodoroBlockList: [] });
+
+      await enableBlock();
+
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).toHaveBeenCalledWith({ addRules: [], removeRuleIds: [] });
+      expect(chromeMock.tabs.query).not.toHaveBeenCalled();
+    });
+
     test("should handle empty tabs list", async () => {
       chromeMock.tabs.query.mockResolvedValue([]);
 
@@ -178,6 +340,18 @@ describe("SitesGuard", () => {
       });
     });
 
+    test("should remove one rule per site in the stored block list", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        pomodoroBlockList: ["example.com", "example.org"],
+      });
+
+      await disableBlock();
+
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).toHaveBeenCalledWith({ addRules: [], removeRuleIds: [10100, 10101] });
+    });
+
     test("should not reload tabs when disabling", async () => {
       await disableBlock();
 
@@ -195,6 +369,30 @@ describe("SitesGuard", () => {
       await expect(enableBlock()).rejects.toThrow("Permission denied");
     });
 
+    test.each([
+      ["reset the run", {}, 1],
+      ["leave the timer alone for a schedule", { resetTimer: false }, 0],
+    ])(
+      "enableBlock should %s when the rules cannot be applied",
+      async (_label, options, resets) => {
+        const timer = { reset: vi.fn() };
+        getTimer.mockReturnValue(timer);
+        chromeMock.declarativeNetRequest.updateDynamicRules.mockRejectedValueOnce(
+          new Error("Permission denied")
+        );
+
+        await expect(
+          enableBlock(BLOCK_MODES.BLOCKLIST, options)
+        ).rejects.toThrow("Permission denied");
+
+        expect(timer.reset).toHaveBeenCalledTimes(resets);
+        // The half-applied rules are removed either way
+        expect(
+          chromeMock.declarativeNetRequest.updateDynamicRules
+        ).toHaveBeenCalledTimes(2);
+      }
+    );
+
     test("disableBlock should throw error when declarativeNetRequest fails", async () => {
       chromeMock.declarativeNetRequest.updateDynamicRules.mockRejectedValue(
         new Error("Permission denied")
@@ -226,4 +424,431 @@ describe("SitesGuard", () => {
       expect(chromeMock.tabs.query).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe("allowlist mode", () => {
+    beforeEach(() => {
+      getTimer.mockImplementation(() => ({
+        reset: vi.fn(),
+        blockMode: BLOCK_MODES.ALLOWLIST,
+      }));
+      chromeMock.storage.local.get.mockImplementation(async (key) =>
+        key === "pomodoroAllowList"
+          ? { pomodoroAllowList: ["github.com", "example.com/docs"] }
+          : {}
+      );
+    });
+
+    afterEach(() => {
+      getTimer.mockImplementation(() => ({ reset: vi.fn() }));
+    });
+
+    test("should add allow rules above a catch-all redirect", async () => {
+      chromeMock.tabs.query.mockResolvedValue([]);
+
+      await enableBlock();
+
+      const { addRules } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      const [catchAll, ...allowRules] = addRules;
+      expect(catchAll).toEqual({
+        id: 10300,
+        priority: 1,
+        action: {
+          type: "redirect",
+          redirect: { regexSubstitution: "src/ui/blocked.html#\\0" },
+        },
+        condition: {
+          regexFilter: "^https?://.*$",
+          resourceTypes: ["main_frame"],
+        },
+      });
+      expect(allowRules).toEqual([
+        {
+          id: 10301,
+          priority: 2,
+          action: { type: "allow" },
+          condition: {
+            urlFilter: "||github.com^",
+            resourceTypes: ["main_frame"],
+          },
+        },
+        {
+          id: 10302,
+          priority: 2,
+          action: { type: "allow" },
+          condition: {
+            urlFilter: "||example.com/docs^",
+            resourceTypes: ["main_frame"],
+          },
+        },
+      ]);
+    });
+
+    test("should use the block list when asked for it explicitly", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        pomodoroBlockList: ["x.com"],
+      });
+      chromeMock.tabs.query.mockResolvedValue([]);
+
+      await enableBlock(BLOCK_MODES.BLOCKLIST);
+      await disableBlock(BLOCK_MODES.BLOCKLIST);
+
+      const [[enableCall], [disableCall]] =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls;
+      expect(enableCall.addRules.map((rule) => rule.id)).toEqual([10100]);
+      expect(disableCall.removeRuleIds).toEqual([10100]);
+    });
+
+    test("should use the default allowlist when none is stored", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({});
+      chromeMock.tabs.query.mockResolvedValue([]);
+
+      await enableBlock();
+
+      const { addRules } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(addRules).toHaveLength(ALLOW_SITES.length + 1);
+    });
+
+    test("should scrub every open web tab that is not allowed", async () => {
+      const webTabs = [
+        { id: 1, url: "https://github.com/org/repo" },
+        { id: 2, url: "https://gist.github.com/abc" },
+        { id: 3, url: "https://example.com/docs/intro" },
+        { id: 4, url: "https://example.com/docsearch" },
+        { id: 5, url: "https://example.com/" },
+        { id: 6, url: "https://news.example.org/" },
+      ];
+      chromeMock.tabs.query
+        .mockResolvedValueOnce(webTabs)
+        .mockResolvedValueOnce([{ id: 5 }]); // active tab
+
+      await enableBlock();
+
+      expect(chromeMock.tabs.query).toHaveBeenCalledWith({
+        url: ["http://*/*", "https://*/*"],
+      });
+      expect(chromeMock.tabs.reload).toHaveBeenCalledWith(5);
+      expect(chromeMock.tabs.remove.mock.calls.map(([id]) => id)).toEqual([
+        4, 6,
+      ]);
+    });
+
+    test("should scrub every web tab when the allowlist is empty", async () => {
+      chromeMock.storage.local.get.mockResolvedValue({ pomodoroAllowList: [] });
+      chromeMock.tabs.query
+        .mockResolvedValueOnce([{ id: 1, url: "https://github.com/" }])
+        .mockResolvedValueOnce([]);
+
+      await enableBlock();
+
+      expect(chromeMock.tabs.remove).toHaveBeenCalledWith(1);
+    });
+
+    test("should remove the catch-all and allow rules when disabling", async () => {
+      await disableBlock();
+
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).toHaveBeenCalledWith({
+        addRules: [],
+        removeRuleIds: [10300, 10301, 10302],
+      });
+    });
+  });
+
+  describe("focus preset runs", () => {
+    beforeEach(() => {
+      getTimer.mockImplementation(() => ({
+        reset: vi.fn(),
+        blockMode: BLOCK_MODES.BLOCKLIST,
+        presetId: "coding",
+      }));
+      chromeMock.storage.local.get.mockImplementation(async (key) => {
+        if (key === "pomodoroBlockList") {
+          return { pomodoroBlockList: ["x.com", "youtube.com", "news.com"] };
+        }
+        if (key === "pomodoroFocusPresets") {
+          return {
+            pomodoroFocusPresets: [
+              { id: "coding", blockList: ["x.com", "reddit.com"] },
+            ],
+          };
+        }
+        return {};
+      });
+      chromeMock.tabs.query.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      getTimer.mockImplementation(() => ({ reset: vi.fn() }));
+    });
+
+    test("should block the preset's list instead of the stored one", async () => {
+      await enableBlock();
+      await disableBlock();
+
+      const [[enableCall], [disableCall]] =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls;
+      expect(
+        enableCall.addRules.map((rule) => rule.condition.regexFilter)
+      ).toEqual([toFullUrlRegex("x.com"), toFullUrlRegex("reddit.com")]);
+      expect(disableCall.removeRuleIds).toEqual([10100, 10101]);
+    });
+
+    test("should lift the preset's rules once the user's block mode is back", async () => {
+      getTimer.mockImplementation(() => ({
+        reset: vi.fn(),
+        blockMode: BLOCK_MODES.ALLOWLIST,
+        presetId: "coding",
+      }));
+
+      await disableBlock();
+
+      const { removeRuleIds } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(removeRuleIds).toEqual([10100, 10101]);
+    });
+
+    test("should use the stored block list when asked for it explicitly", async () => {
+      await enableBlock(BLOCK_MODES.BLOCKLIST);
+
+      const { addRules } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(addRules).toHaveLength(3);
+    });
+
+    test("should fall back to the stored block list for a deleted preset", async () => {
+      getTimer.mockImplementation(() => ({
+        reset: vi.fn(),
+        blockMode: BLOCK_MODES.BLOCKLIST,
+        presetId: "gone",
+      }));
+
+      await enableBlock();
+
+      const { addRules } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(addRules).toHaveLength(3);
+    });
+
+    test("should reconcile against the preset's list", async () => {
+      const result = await reconcileRules({
+        blockMode: BLOCK_MODES.BLOCKLIST,
+        presetId: "coding",
+        unlocks: [],
+        budgetDomains: [],
+      });
+
+      expect(result.added).toEqual([10100, 10101]);
+    });
+  });
+
+  describe("emergency unlock rules", () => {
+    test("should add an allow rule above the blocking rules", async () => {
+      await addUnlockRule(2, "docs.example.com");
+
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).toHaveBeenCalledWith({
+        addRules: [
+          {
+            id: 10503,
+            priority: 3,
+            action: { type: "allow" },
+            condition: {
+              urlFilter: "||docs.example.com^",
+              resourceTypes: ["main_frame"],
+            },
+          },
+        ],
+        removeRuleIds: [10503],
+      });
+    });
+
+    test("should remove the rule of a slot", async () => {
+      await removeUnlockRule(2);
+
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).toHaveBeenCalledWith({ addRules: [], removeRuleIds: [10503] });
+    });
+  });
+
+  describe("setBudgetBlocks()", () => {
+    test("should redirect used-up domains above every other rule", async () => {
+      chromeMock.tabs.query.mockResolvedValue([]);
+
+      await setBudgetBlocks(["youtube.com"]);
+
+      const { addRules, removeRuleIds } =
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0];
+      expect(addRules).toEqual([
+        {
+          id: 10511,
+          priority: 4,
+          action: {
+            type: "redirect",
+            redirect: {
+              regexSubstitution: "src/ui/blocked.html?reason=budget#\\0",
+            },
+          },
+          condition: {
+            regexFilter: toFullUrlRegex("youtube.com"),
+            resourceTypes: ["main_frame"],
+          },
+        },
+      ]);
+      expect(removeRuleIds).toHaveLength(Constants.SITE_BUDGETS.MAX_SITES);
+      expect(removeRuleIds[0]).toBe(10511);
+    });
+
+    test("should reload the open tabs of used-up domains", async () => {
+      chromeMock.tabs.query.mockResolvedValue([
+        { id: 1, url: "https://www.youtube.com/watch?v=1" },
+        { id: 2, url: "https://example.com/" },
+      ]);
+
+      await setBudgetBlocks(["youtube.com"]);
+
+      expect(chromeMock.tabs.reload).toHaveBeenCalledTimes(1);
+      expect(chromeMock.tabs.reload).toHaveBeenCalledWith(1);
+    });
+
+    test("should only remove the rules when nothing is used up", async () => {
+      await setBudgetBlocks([]);
+
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules.mock.calls[0][0]
+          .addRules
+      ).toEqual([]);
+      expect(chromeMock.tabs.query).not.toHaveBeenCalled();
+    });
+
+    test("should report tabs that failed to reload", async () => {
+      chromeMock.tabs.query.mockResolvedValue([
+        { id: 1, url: "https://youtube.com/" },
+      ]);
+      chromeMock.tabs.reload.mockRejectedValueOnce(new Error("gone"));
+
+      await expect(setBudgetBlocks(["youtube.com"])).rejects.toThrow(
+        "Failed to reload 1 out of 1 tabs over budget"
+      );
+    });
+  });
+
+  describe("reconcileRules()", () => {
+    const nothing = { blockMode: null, unlocks: [], budgetDomains: [] };
+
+    const blockRule = (id, site) => ({
+      id,
+      priority: 1,
+      action: {
+        type: "redirect",
+        redirect: { regexSubstitution: "src/ui/blocked.html#\\0" },
+      },
+      condition: {
+        regexFilter: toFullUrlRegex(site),
+        resourceTypes: ["main_frame"],
+      },
+    });
+
+    beforeEach(() => {
+      chromeMock.storage.local.get.mockResolvedValue({
+        pomodoroBlockList: ["x.com", "youtube.com"],
+      });
+    });
+
+    test("should add the rules a restored work session needs", async () => {
+      const result = await reconcileRules({
+        ...nothing,
+        blockMode: BLOCK_MODES.BLOCKLIST,
+      });
+
+      expect(result).toEqual({ added: [10100, 10101], removed: [] });
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).toHaveBeenCalledWith({
+        addRules: [blockRule(10100, "x.com"), blockRule(10101, "youtube.com")],
+        removeRuleIds: [],
+      });
+    });
+
+    test("should remove rules left behind when nothing should be blocked", async () => {
+      chromeMock.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        blockRule(10100, "x.com"),
+        blockRule(10150, "old.example.com"),
+      ]);
+
+      const result = await reconcileRules(nothing);
+
+      expect(result).toEqual({ added: [], removed: [10100, 10150] });
+    });
+
+    test("should replace a rule built from an older list", async () => {
+      chromeMock.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        blockRule(10100, "x.com"),
+        blockRule(10101, "facebook.com"),
+      ]);
+
+      const result = await reconcileRules({
+        ...nothing,
+        blockMode: BLOCK_MODES.BLOCKLIST,
+      });
+
+      expect(result).toEqual({ added: [10101], removed: [10101] });
+    });
+
+    test("should not touch the rules when they already match", async () => {
+      chromeMock.declarativeNetRequest.getDynamicRules.mockResolvedValue([
+        // The browser may fill in defaults that are not compared
+        { ...blockRule(10100, "x.com"), extra: true },
+        blockRule(10101, "youtube.com"),
+      ]);
+
+      const result = await reconcileRules({
+        ...nothing,
+        blockMode: BLOCK_MODES.BLOCKLIST,
+      });
+
+      expect(result).toEqual({ added: [], removed: [] });
+      expect(
+        chromeMock.declarativeNetRequest.updateDynamicRules
+      ).not.toHaveBeenCalled();
+    });
+
+    test("should keep the rules of unlocks and used-up budgets", async () => {
+      const result = await reconcileRules({
+        ...nothing,
+        unlocks: [{ slot: 2, domain: "docs.example.com" }],
+        budgetDomains: ["youtube.com"],
+      });
+
+      expect(result.added).toEqual([10503, 10511]);
+    });
+  });
+
+  describe("checkRegexSupport()", () => {
+    test("should ask the browser about regex patterns only", async () => {
+      await checkRegexSupport(["example.com", "/^https:\\/\\/a\\.com/"]);
+
+      expect(
+        chromeMock.declarativeNetRequest.isRegexSupported
+      ).toHaveBeenCalledTimes(1);
+      expect(
+        chromeMock.declarativeNetRequest.isRegexSupported
+      ).toHaveBeenCalledWith({ regex: "^.*?(?:^https:\\/\\/a\\.com).*$" });
+    });
+
+    test("should throw for a regex the browser cannot compile", async () => {
+      chromeMock.declarativeNetRequest.isRegexSupported.mockResolvedValue({
+        isSupported: false,
+        reason: "memoryLimitExceeded",
+      });
+
+      await expect(checkRegexSupport(["/a{1000}{1000}/"])).rejects.toThrow(
+        "Unsupported regular expression /a{1000}{1000}/: memoryLimitExceeded"
+      );
+    });
+  });
 });
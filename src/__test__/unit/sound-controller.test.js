@@ -5,12 +5,13 @@ import { describe, test, expect, beforeEach, vi } from "vitest";
 import { setupChromeMock } from "../setup.chrome.js";
 import Constants from "@/constants.js";
 
-const { TIMER_MODES, SESSION_TYPES } = Constants;
+const { TIMER_MODES, SESSION_TYPES, AMBIENT_FADE } = Constants;
 
 // Mock timer-store
 const mockTimer = {
   soundEnabled: true,
   soundVolume: 0.5,
+  soundTrack: "nature",
   mode: TIMER_MODES.RUNNING,
   sessionType: SESSION_TYPES.WORK,
 };
@@ -20,6 +21,12 @@ vi.mock("@/background/timer-store.js", () => ({
   getTimer: vi.fn(() => currentTimer),
 }));
 
+const mockGetUserTrack = vi.fn();
+vi.mock("@/sound-library.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  getUserTrack: (...args) => mockGetUserTrack(...args),
+}));
+
 describe("SoundController", () => {
   let chromeMock;
   let handleSound, playAudio, stopAudio, setupSound, updateVolume;
@@ -45,9 +52,11 @@ describe("SoundController", () => {
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "AUDIO_CONTROL",
         action: "PLAY",
+        trackId: "nature",
         soundFile: "resources/nature-sound.mp3",
         volume: mockTimer.soundVolume,
         loop: true,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
       });
     });
 
@@ -59,6 +68,7 @@ describe("SoundController", () => {
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "AUDIO_CONTROL",
         action: "STOP",
+        fadeOutMs: AMBIENT_FADE.FADE_OUT_MS,
       });
     });
 
@@ -70,6 +80,7 @@ describe("SoundController", () => {
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "AUDIO_CONTROL",
         action: "STOP",
+        fadeOutMs: AMBIENT_FADE.FADE_OUT_MS,
       });
     });
 
@@ -79,6 +90,94 @@ describe("SoundController", () => {
 
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledTimes(1);
     });
+
+    test("should fall back to the default track for an unknown track", async () => {
+      currentTimer.soundTrack = "removed-track";
+
+      await handleSound();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          trackId: "nature",
+          soundFile: "resources/nature-sound.mp3",
+        })
+      );
+    });
+
+    test("should switch tracks while playing", async () => {
+      await handleSound();
+      currentTimer.soundTrack = "brown-noise";
+
+      await handleSound();
+      await handleSound();
+
+      expect(
+        chromeMock.runtime.sendMessage.mock.calls.map(([{ action }]) => action)
+      ).toEqual(["PLAY", "STOP", "NOISE_START"]);
+      expect(chromeMock.runtime.sendMessage).toHaveBeenLastCalledWith(
+        expect.objectContaining({ action: "NOISE_START", color: "brown" })
+      );
+    });
+
+    test("should let the offscreen player load an uploaded track", async () => {
+      currentTimer.soundTrack = "user-abc";
+      mockGetUserTrack.mockResolvedValue({ id: "user-abc", name: "Loop" });
+
+      await handleSound();
+
+      expect(mockGetUserTrack).toHaveBeenCalledWith("user-abc");
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "AUDIO_CONTROL",
+        action: "PLAY",
+        trackId: "user-abc",
+        volume: mockTimer.soundVolume,
+        loop: true,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    });
+
+    test("should fall back to the default track for a deleted upload", async () => {
+      currentTimer.soundTrack = "user-gone";
+      mockGetUserTrack.mockResolvedValue(null);
+
+      await handleSound();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          trackId: "nature",
+          soundFile: "resources/nature-sound.mp3",
+        })
+      );
+    });
+
+    test("should generate noise for a noise track", async () => {
+      currentTimer.soundTrack = "pink-noise";
+
+      await handleSound();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "AUDIO_CONTROL",
+        action: "NOISE_START",
+        color: "pink",
+        volume: mockTimer.soundVolume,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    });
+
+    test("should generate binaural tones for a binaural track", async () => {
+      currentTimer.soundTrack = "binaural-alpha";
+
+      await handleSound();
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "AUDIO_CONTROL",
+        action: "BINAURAL_START",
+        carrierHz: 200,
+        beatHz: 10,
+        volume: mockTimer.soundVolume,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    });
   });
 
   describe("playAudio()", () => {
@@ -90,9 +189,11 @@ describe("SoundController", () => {
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "AUDIO_CONTROL",
         action: "PLAY",
+        trackId: "nature",
         soundFile: "resources/nature-sound.mp3",
         volume: mockTimer.soundVolume,
         loop: true,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
       });
     });
 
@@ -114,7 +215,36 @@ describe("SoundController", () => {
       expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
         type: "AUDIO_CONTROL",
         action: "STOP",
+        fadeOutMs: AMBIENT_FADE.FADE_OUT_MS,
+      });
+    });
+  });
+
+  describe("playChime()", () => {
+    test("should send a CHIME message without touching the loop", async () => {
+      const { playChime } = await import("@/background/sound-controller.js");
+
+      await playChime("switch", 70);
+
+      expect(chromeMock.runtime.sendMessage).toHaveBeenCalledWith({
+        type: "AUDIO_CONTROL",
+        action: "CHIME",
+        chime: "switch",
+        volume: 70,
+      });
+      expect(chromeMock.runtime.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ action: "STOP" })
+      );
+    });
+
+    test("should throw when the offscreen document fails", async () => {
+      const { playChime } = await import("@/background/sound-controller.js");
+      chromeMock.runtime.sendMessage.mockResolvedValue({
+        success: false,
+        error: "Unknown chime",
       });
+
+      await expect(playChime("gong", 50)).rejects.toThrow("Unknown chime");
     });
   });
 
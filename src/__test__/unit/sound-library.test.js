@@ -0,0 +1,244 @@
+/**
+ * Unit tests for sound-library.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import {
+  isUserTrackId,
+  detectAudioFormat,
+  listUserTracks,
+  getUserTrack,
+  getUserTrackBlob,
+  addUserTrack,
+  deleteUserTrack,
+} from "@/sound-library.js";
+
+/**
+ * In-memory stand-in for the parts of IndexedDB the library uses.
+ * Requests and transactions complete on a later tick, as they do in the
+ * browser.
+ */
+function createFakeIndexedDB() {
+  const stores = {};
+  const keyPaths = {};
+  const later = (fn) => setTimeout(fn, 0);
+
+  const createStore = (name) => ({
+    put(value, key) {
+      stores[name].set(keyPaths[name] ? value[keyPaths[name]] : key, value);
+    },
+    delete(key) {
+      stores[name].delete(key);
+    },
+    get(key) {
+      return { result: stores[name].get(key) };
+    },
+    getAll() {
+      return { result: [...stores[name].values()] };
+    },
+  });
+
+  const db = {
+    createObjectStore: vi.fn((name, options) => {
+      stores[name] = new Map();
+      keyPaths[name] = options?.keyPath;
+    }),
+    transaction: vi.fn(() => {
+      const transaction = { objectStore: createStore };
+      later(() => transaction.oncomplete());
+      return transaction;
+    }),
+    close: vi.fn(),
+  };
+
+  return {
+    stores,
+    db,
+    open: vi.fn(() => {
+      const request = {};
+      later(() => {
+        request.result = db;
+        if (Object.keys(stores).length === 0) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }),
+  };
+}
+
+describe("SoundLibrary", () => {
+  let fakeIndexedDB;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    fakeIndexedDB = createFakeIndexedDB();
+    vi.stubGlobal("indexedDB", fakeIndexedDB);
+  });
+
+  // Starts with an ID3 tag, so it reads as MP3
+  const audioBlob = (size = 1024) => {
+    const bytes = new Uint8Array(size);
+    bytes.set([0x49, 0x44, 0x33]);
+    return new Blob([bytes], { type: "audio/mpeg" });
+  };
+
+  describe("isUserTrackId()", () => {
+    test.each([
+      ["user-1234", true],
+      ["nature", false],
+      ["brown-noise", false],
+      [undefined, false],
+    ])("should tell whether %j is an uploaded track", (id, expected) => {
+      expect(isUserTrackId(id)).toBe(expected);
+    });
+  });
+
+  describe("detectAudioFormat()", () => {
+    const bytesOf = (...parts) =>
+      new Uint8Array(
+        parts.flatMap((part) =>
+          typeof part === "string"
+            ? [...part].map((c) => c.charCodeAt(0))
+            : part
+        )
+      );
+
+    test.each([
+      ["mp3", bytesOf("ID3", [4, 0, 0, 0, 0, 0, 0, 0, 0])],
+      ["mp3", bytesOf([0xff, 0xfb, 0x90, 0x64])],
+      ["ogg", bytesOf("OggS", [0, 2])],
+      ["flac", bytesOf("fLaC", [0, 0, 0, 34])],
+      ["wav", bytesOf("RIFF", [0x24, 0x08, 0, 0], "WAVE")],
+      ["m4a", bytesOf([0, 0, 0, 0x20], "ftypM4A ")],
+      ["webm", bytesOf([0x1a, 0x45, 0xdf, 0xa3, 0x9f])],
+    ])("should detect %s", (format, bytes) => {
+      expect(detectAudioFormat(bytes)).toBe(format);
+    });
+
+    test.each([
+      ["a PNG image", bytesOf([0x89], "PNG", [0x0d, 0x0a, 0x1a, 0x0a])],
+      ["a RIFF file that is not WAVE", bytesOf("RIFF", [0, 0, 0, 0], "AVI ")],
+      ["text", bytesOf("hello world!")],
+      ["an empty file", new Uint8Array(0)],
+    ])("should reject %s", (_label, bytes) => {
+      expect(detectAudioFormat(bytes)).toBeNull();
+    });
+  });
+
+  describe("stored tracks", () => {
+    test("should start empty", async () => {
+      expect(await listUserTracks()).toEqual([]);
+      expect(await getUserTrack("user-missing")).toBeNull();
+      expect(await getUserTrackBlob("user-missing")).toBeNull();
+    });
+
+    test("should store a track's details and audio", async () => {
+      vi.spyOn(Date, "now").mockReturnValue(1000);
+      const blob = audioBlob(2048);
+
+      const track = await addUserTrack("Lo-fi loop", blob);
+
+      expect(track).toEqual({
+        id: expect.stringMatching(/^user-/),
+        name: "Lo-fi loop",
+        type: "audio/mpeg",
+        size: 2048,
+        addedAt: 1000,
+      });
+      expect(await getUserTrack(track.id)).toEqual(track);
+      expect(await getUserTrackBlob(track.id)).toBe(blob);
+      expect(fakeIndexedDB.db.close).toHaveBeenCalled();
+    });
+
+    test("should list the tracks oldest first without their audio", async () => {
+      const now = vi.spyOn(Date, "now");
+      now.mockReturnValue(2000);
+      const second = await addUserTrack("Second", audioBlob());
+      now.mockReturnValue(1000);
+      const first = await addUserTrack("First", audioBlob());
+
+      const tracks = await listUserTracks();
+
+      expect(tracks.map(({ id }) => id)).toEqual([first.id, second.id]);
+      expect(tracks[0]).not.toHaveProperty("blob");
+    });
+
+    test("should delete a track and its audio", async () => {
+      const kept = await addUserTrack("Kept", audioBlob());
+      const removed = await addUserTrack("Removed", audioBlob());
+
+      await deleteUserTrack(removed.id);
+
+      expect(await listUserTracks()).toEqual([kept]);
+      expect(await getUserTrackBlob(removed.id)).toBeNull();
+      expect(fakeIndexedDB.stores.blobs.size).toBe(1);
+    });
+
+    test.each([
+      ["an empty name", "", audioBlob(), "Invalid sound name"],
+      [
+        "a name that is too long",
+        "a".repeat(61),
+        audioBlob(),
+        "Invalid sound name",
+      ],
+      ["something that is not a file", "Loop", "data", "Invalid sound file"],
+      [
+        "a file over the size limit",
+        "Loop",
+        audioBlob(30 * 1024 * 1024 + 1),
+        "limited to 30 MB",
+      ],
+      [
+        "a file that is not audio",
+        "Photo",
+        new Blob([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], {
+          type: "audio/mpeg",
+        }),
+        "Unsupported audio format",
+      ],
+    ])("should reject %s", async (_label, name, blob, message) => {
+      await expect(addUserTrack(name, blob)).rejects.toThrow(message);
+
+      expect(fakeIndexedDB.db.transaction).not.toHaveBeenCalled();
+    });
+
+    test("should reject a track over the number of uploads", async () => {
+      for (let i = 0; i < 20; i++) await addUserTrack(`Loop ${i}`, audioBlob());
+
+      await expect(addUserTrack("One more", audioBlob())).rejects.toThrow(
+        "Up to 20 sounds"
+      );
+      expect(fakeIndexedDB.stores.tracks.size).toBe(20);
+    });
+
+    test("should reject a track over the total size of uploads", async () => {
+      const MB = 1024 * 1024;
+      await listUserTracks(); // Creates the stores
+      // 7 x 28 MB on record, without holding that much audio
+      for (let i = 0; i < 7; i++) {
+        fakeIndexedDB.stores.tracks.set(`user-${i}`, {
+          id: `user-${i}`,
+          size: 28 * MB,
+          addedAt: i,
+        });
+      }
+
+      await expect(addUserTrack("Big", audioBlob(5 * MB))).rejects.toThrow(
+        "200 MB in total"
+      );
+    });
+
+    test("should fail when the database cannot be opened", async () => {
+      fakeIndexedDB.open.mockImplementationOnce(() => {
+        const request = {};
+        setTimeout(() => {
+          request.error = new Error("Quota exceeded");
+          request.onerror();
+        }, 0);
+        return request;
+      });
+
+      await expect(listUserTracks()).rejects.toThrow("Quota exceeded");
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for sound-tracks.js
+ */
+import { describe, test, expect } from "vitest";
+import {
+  SOUND_TRACKS,
+  DEFAULT_SOUND_TRACK,
+  getSoundTrack,
+} from "@/sound-tracks.js";
+import manifest from "../../../manifest.json";
+
+describe("SoundTracks", () => {
+  test("should give every track a unique ID, a name and one source", () => {
+    const ids = SOUND_TRACKS.map(({ id }) => id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toContain(DEFAULT_SOUND_TRACK);
+    for (const track of SOUND_TRACKS) {
+      expect(track.name).not.toBe("");
+      const sources = ["file", "noise", "binaural"].filter(
+        (key) => key in track
+      );
+      expect(sources).toHaveLength(1);
+    }
+  });
+
+  test("should only use noise colors and tones the offscreen player makes", () => {
+    for (const { noise, binaural } of SOUND_TRACKS) {
+      if (noise) expect(["white", "pink", "brown"]).toContain(noise);
+      if (binaural) {
+        expect(binaural.carrierHz).toBeGreaterThanOrEqual(20);
+        expect(binaural.carrierHz).toBeLessThanOrEqual(1000);
+        expect(binaural.beatHz).toBeGreaterThanOrEqual(0.5);
+        expect(binaural.beatHz).toBeLessThanOrEqual(40);
+      }
+    }
+  });
+
+  test("should make every track file web accessible", () => {
+    const patterns = manifest.web_accessible_resources.flatMap(
+      ({ resources }) => resources
+    );
+    const toRegex = (pattern) =>
+      new RegExp(`^${pattern.replace(/[.]/g, "\\.").replace(/\*/g, "[^/]*")}$`);
+
+    const files = SOUND_TRACKS.filter(({ file }) => file).map(
+      ({ file }) => file
+    );
+    for (const file of files) {
+      expect(patterns.some((pattern) => toRegex(pattern).test(file))).toBe(
+        true
+      );
+    }
+  });
+
+  describe("getSoundTrack()", () => {
+    test("should find a track by ID", () => {
+      expect(getSoundTrack("pink-noise")).toEqual({
+        id: "pink-noise",
+        name: "Pink noise",
+        noise: "pink",
+      });
+    });
+
+    test("should fall back to the default track for an unknown ID", () => {
+      expect(getSoundTrack("removed-track").id).toBe(DEFAULT_SOUND_TRACK);
+      expect(getSoundTrack(undefined).id).toBe(DEFAULT_SOUND_TRACK);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for stats-data.js
+ */
+import { describe, test, expect } from "vitest";
+import {
+  startOfDay,
+  startOfWeek,
+  getRangeStart,
+  summarizeHistory,
+} from "@/ui/stats-data.js";
+import Constants from "@/constants.js";
+
+const { SESSION_TYPES, SESSION_END_REASONS } = Constants;
+
+const ONE_MINUTE = 60 * 1000;
+// Wednesday 2021-01-06 12:00 local time
+const NOW = new Date(2021, 0, 6, 12).getTime();
+
+function makeRecord(startTime, overrides = {}) {
+  return {
+    id: `${startTime}-work`,
+    sessionType: SESSION_TYPES.WORK,
+    startTime,
+    endTime: startTime + 25 * ONE_MINUTE,
+    plannedDuration: 25 * ONE_MINUTE,
+    actualDuration: 25 * ONE_MINUTE,
+    pausedDuration: 0,
+    endReason: SESSION_END_REASONS.COMPLETED,
+    ...overrides,
+  };
+}
+
+describe("StatsData", () => {
+  describe("startOfDay() and startOfWeek()", () => {
+    test("should return local midnight", () => {
+      expect(startOfDay(NOW)).toBe(new Date(2021, 0, 6).getTime());
+    });
+
+    test("should return the Monday of the week", () => {
+      expect(startOfWeek(NOW)).toBe(new Date(2021, 0, 4).getTime());
+      // Sunday belongs to the week that started the previous Monday
+      expect(startOfWeek(new Date(2021, 0, 10, 23).getTime())).toBe(
+        new Date(2021, 0, 4).getTime()
+      );
+    });
+  });
+
+  describe("getRangeStart()", () => {
+    test("should cover the longer of the daily and weekly ranges", () => {
+      expect(getRangeStart({ now: NOW, days: 14, weeks: 8 })).toBe(
+        new Date(2020, 10, 16).getTime()
+      );
+      expect(getRangeStart({ now: NOW, days: 14, weeks: 1 })).toBe(
+        new Date(2020, 11, 24).getTime()
+      );
+    });
+  });
+
+  describe("summarizeHistory()", () => {
+    test("should return empty buckets for an empty history", () => {
+      const summary = summarizeHistory([], { now: NOW, days: 3, weeks: 2 });
+
+      expect(summary.daily).toEqual([
+        { start: new Date(2021, 0, 4).getTime(), pomodoros: 0 },
+        { start: new Date(2021, 0, 5).getTime(), pomodoros: 0 },
+        { start: new Date(2021, 0, 6).getTime(), pomodoros: 0 },
+      ]);
+      expect(summary.weekly).toEqual([
+        { start: new Date(2020, 11, 28).getTime(), focusMs: 0 },
+        { start: new Date(2021, 0, 4).getTime(), focusMs: 0 },
+      ]);
+      expect(summary.averagePauseMs).toBe(0);
+      expect(summary.outcomes).toEqual({ completed: 0, skipped: 0, reset: 0 });
+    });
+
+    test("should count completed work sessions per day", () => {
+      const history = [
+        makeRecord(new Date(2021, 0, 5, 9).getTime()),
+        makeRecord(new Date(2021, 0, 6, 9).getTime()),
+        makeRecord(new Date(2021, 0, 6, 10).getTime()),
+        makeRecord(new Date(2021, 0, 6, 11).getTime(), {
+          endReason: SESSION_END_REASONS.RESET,
+        }),
+        makeRecord(new Date(2021, 0, 6, 9, 25).getTime(), {
+          sessionType: SESSION_TYPES.BREAK,
+        }),
+      ];
+
+      const { daily } = summarizeHistory(history, {
+        now: NOW,
+        days: 2,
+        weeks: 1,
+      });
+
+      expect(daily.map((d) => d.pomodoros)).toEqual([1, 2]);
+    });
+
+    test("should sum active work time per week", () => {
+      const history = [
+        makeRecord(new Date(2021, 0, 1, 9).getTime()),
+        makeRecord(new Date(2021, 0, 4, 9).getTime(), {
+          actualDuration: 10 * ONE_MINUTE,
+          endReason: SESSION_END_REASONS.SKIPPED,
+        }),
+        makeRecord(new Date(2021, 0, 6, 9).getTime()),
+        makeRecord(new Date(2021, 0, 6, 9, 25).getTime(), {
+          sessionType: SESSION_TYPES.BREAK,
+          actualDuration: 5 * ONE_MINUTE,
+        }),
+      ];
+
+      const { weekly } = summarizeHistory(history, {
+        now: NOW,
+        days: 1,
+        weeks: 2,
+      });
+
+      expect(weekly.map((w) => w.focusMs)).toEqual([
+        25 * ONE_MINUTE,
+        35 * ONE_MINUTE,
+      ]);
+    });
+
+    test("should average pause time over work sessions", () => {
+      const history = [
+        makeRecord(new Date(2021, 0, 6, 9).getTime(), {
+          pausedDuration: 4 * ONE_MINUTE,
+        }),
+        makeRecord(new Date(2021, 0, 6, 10).getTime()),
+        makeRecord(new Date(2021, 0, 6, 9, 25).getTime(), {
+          sessionType: SESSION_TYPES.BREAK,
+          pausedDuration: 10 * ONE_MINUTE,
+        }),
+      ];
+
+      const { averagePauseMs } = summarizeHistory(history, { now: NOW });
+
+      expect(averagePauseMs).toBe(2 * ONE_MINUTE);
+    });
+
+    test("should count how every session ended", () => {
+      const history = [
+        makeRecord(new Date(2021, 0, 6, 9).getTime()),
+        makeRecord(new Date(2021, 0, 6, 9, 25).getTime(), {
+          sessionType: SESSION_TYPES.BREAK,
+          endReason: SESSION_END_REASONS.SKIPPED,
+        }),
+        makeRecord(new Date(2021, 0, 6, 10).getTime(), {
+          endReason: SESSION_END_REASONS.RESET,
+        }),
+      ];
+
+      const { outcomes } = summarizeHistory(history, { now: NOW });
+
+      expect(outcomes).toEqual({ completed: 1, skipped: 1, reset: 1 });
+    });
+
+    test("should ignore records before the charted range", () => {
+      const history = [makeRecord(new Date(2020, 0, 1).getTime())];
+
+      const summary = summarizeHistory(history, { now: NOW });
+
+      expect(summary.outcomes.completed).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Unit tests for stats.js
+ */
+import { describe, test, expect, beforeEach, vi } from "vitest";
+import Constants from "@/constants.js";
+
+const { SESSION_TYPES, SESSION_END_REASONS } = Constants;
+
+// Mock BGClient
+const mockBGClient = {
+  getHistory: vi.fn(),
+  importHistory: vi.fn(),
+};
+
+const MockBGClient = vi.fn(() => mockBGClient);
+
+vi.mock("@/ui/bg-client.js", () => ({
+  BGClient: MockBGClient,
+}));
+
+/**
+ * Minimal element that records what stats.js draws into it.
+ */
+function createElement(tag) {
+  return {
+    tag,
+    attributes: {},
+    children: [],
+    style: {},
+    textContent: "",
+    hidden: false,
+    addEventListener: vi.fn(),
+    click: vi.fn(),
+    setAttribute(name, value) {
+      this.attributes[name] = value;
+    },
+    append(...nodes) {
+      this.children.push(...nodes);
+    },
+    replaceChildren(...nodes) {
+      this.children = nodes;
+    },
+  };
+}
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Stats", () => {
+  const ids = [
+    "daily-chart",
+    "weekly-chart",
+    "average-pause",
+    "completion-rate",
+    "outcome-chart",
+    "outcome-legend",
+    "stats-empty",
+    "export-csv",
+    "export-json",
+    "export-ics",
+    "import-file",
+    "import-status",
+  ];
+  let elements;
+
+  beforeEach(() => {
+    vi.resetModules();
+    vi.clearAllMocks();
+
+    elements = Object.fromEntries(ids.map((id) => [id, createElement("div")]));
+    vi.stubGlobal("document", {
+      getElementById: vi.fn((id) => elements[id]),
+      createElement: vi.fn((tag) => createElement(tag)),
+      createElementNS: vi.fn((_ns, tag) => createElement(tag)),
+    });
+    vi.stubGlobal("URL", {
+      createObjectURL: vi.fn(() => "blob:history"),
+      revokeObjectURL: vi.fn(),
+    });
+  });
+
+  const loadPage = async () => {
+    await import("@/ui/stats.js");
+    await flushPromises();
+  };
+
+  const clickHandler = (id) =>
+    elements[id].addEventListener.mock.calls.find(
+      ([event]) => event === "click"
+    )[1];
+
+  const selectImportFile = async (text) => {
+    elements["import-file"].files = [{ text: async () => text }];
+    const onChange = elements["import-file"].addEventListener.mock.calls.find(
+      ([event]) => event === "change"
+    )[1];
+    await onChange();
+  };
+
+  test("should query only the charted range", async () => {
+    mockBGClient.getHistory.mockResolvedValue({ success: true, history: [] });
+
+    await loadPage();
+
+    expect(mockBGClient.getHistory).toHaveBeenCalledWith({
+      from: expect.any(Number),
+    });
+    const { from } = mockBGClient.getHistory.mock.calls[0][0];
+    expect(from).toBeLessThan(Date.now() - 7 * 7 * 24 * 60 * 60 * 1000);
+  });
+
+  test("should draw one bar per day and per week", async () => {
+    mockBGClient.getHistory.mockResolvedValue({ success: true, history: [] });
+
+    await loadPage();
+
+    const [dailySvg] = elements["daily-chart"].children;
+    const [weeklySvg] = elements["weekly-chart"].children;
+    const bars = (svg) => svg.children.filter((c) => c.tag === "rect");
+    expect(dailySvg.tag).toBe("svg");
+    expect(bars(dailySvg)).toHaveLength(14);
+    expect(bars(weeklySvg)).toHaveLength(8);
+  });
+
+  test("should show the empty message when there is no history", async () => {
+    mockBGClient.getHistory.mockResolvedValue({ success: true, history: [] });
+
+    await loadPage();
+
+    expect(elements["stats-empty"].hidden).toBe(false);
+    expect(elements["completion-rate"].textContent).toBe("-");
+  });
+
+  test("should show pause time, completion rate and outcomes", async () => {
+    const now = Date.now();
+    const record = {
+      sessionType: SESSION_TYPES.WORK,
+      actualDuration: 25 * 60 * 1000,
+      pausedDuration: 0,
+    };
+    mockBGClient.getHistory.mockResolvedValue({
+      success: true,
+      history: [
+        {
+          ...record,
+          startTime: now - 3 * 60 * 60 * 1000,
+          pausedDuration: 4 * 60 * 1000,
+          endReason: SESSION_END_REASONS.COMPLETED,
+        },
+        {
+          ...record,
+          startTime: now - 2 * 60 * 60 * 1000,
+          endReason: SESSION_END_REASONS.COMPLETED,
+        },
+        {
+          ...record,
+          startTime: now - 60 * 60 * 1000,
+          endReason: SESSION_END_REASONS.COMPLETED,
+        },
+        {
+          ...record,
+          startTime: now - 30 * 60 * 1000,
+          endReason: SESSION_END_REASONS.RESET,
+        },
+      ],
+    });
+
+    await loadPage();
+
+    expect(elements["stats-empty"].hidden).toBe(true);
+    expect(elements["average-pause"].textContent).toBe("1.0 min");
+    expect(elements["completion-rate"].textContent).toBe("75%");
+    expect(
+      elements["outcome-chart"].children.map((c) => c.style.width)
+    ).toEqual(["75%", "0%", "25%"]);
+    expect(
+      elements["outcome-legend"].children.map((c) => c.textContent)
+    ).toEqual(["Completed: 3", "Skipped: 0", "Reset: 1"]);
+  });
+
+  test("should leave the page untouched when the query fails", async () => {
+    mockBGClient.getHistory.mockResolvedValue({
+      success: false,
+      error: "Storage error",
+    });
+
+    await loadPage();
+
+    expect(elements["daily-chart"].children).toHaveLength(0);
+  });
+
+  describe("export", () => {
+    const record = {
+      id: "1609491600000-work",
+      sessionType: SESSION_TYPES.WORK,
+      startTime: 1609491600000,
+      endTime: 1609493100000,
+      plannedDuration: 25 * 60 * 1000,
+      actualDuration: 25 * 60 * 1000,
+      pausedDuration: 0,
+      endReason: SESSION_END_REASONS.COMPLETED,
+    };
+
+    test.each([
+      ["export-csv", /\.csv$/, "text/csv"],
+      ["export-json", /\.json$/, "application/json"],
+      ["export-ics", /\.ics$/, "text/calendar"],
+    ])(
+      "should download the whole history from %s",
+      async (id, filename, type) => {
+        mockBGClient.getHistory.mockResolvedValue({
+          success: true,
+          history: [record],
+        });
+        await loadPage();
+        mockBGClient.getHistory.mockClear();
+
+        await clickHandler(id)();
+
+        expect(mockBGClient.getHistory).toHaveBeenCalledWith();
+        const [blob] = URL.createObjectURL.mock.calls[0];
+        expect(blob.type).toBe(type);
+        const link = document.createElement.mock.results.at(-1).value;
+        expect(link.download).toMatch(filename);
+        expect(link.href).toBe("blob:history");
+        expect(link.click).toHaveBeenCalled();
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:history");
+      }
+    );
+  });
+
+  describe("import", () => {
+    beforeEach(() => {
+      mockBGClient.getHistory.mockResolvedValue({ success: true, history: [] });
+    });
+
+    test("should send the parsed file and report the result", async () => {
+      mockBGClient.importHistory.mockResolvedValue({
+        success: true,
+        imported: 3,
+        skipped: 1,
+      });
+      await loadPage();
+      mockBGClient.getHistory.mockClear();
+
+      await selectImportFile('{"version":1,"sessions":[]}');
+
+      expect(mockBGClient.importHistory).toHaveBeenCalledWith({
+        version: 1,
+        sessions: [],
+      });
+      expect(elements["import-status"].textContent).toContain("3件");
+      expect(elements["import-status"].textContent).toContain("1件");
+      // Charts are redrawn with the merged history
+      expect(mockBGClient.getHistory).toHaveBeenCalled();
+      expect(elements["import-file"].value).toBe("");
+    });
+
+    test("should report a file that is not JSON", async () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      await loadPage();
+
+      await selectImportFile("not json");
+
+      expect(mockBGClient.importHistory).not.toHaveBeenCalled();
+      expect(elements["import-status"].textContent).toBe(
+        "履歴ファイルの形式が正しくありません"
+      );
+    });
+
+    test("should report a rejected import", async () => {
+      mockBGClient.importHistory.mockResolvedValue({
+        success: false,
+        error: "Invalid input",
+      });
+      await loadPage();
+
+      await selectImportFile('{"version":2,"sessions":[]}');
+
+      expect(elements["import-status"].textContent).toBe(
+        "履歴を読み込めませんでした"
+      );
+    });
+  });
+});
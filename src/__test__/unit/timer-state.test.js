@@ -65,6 +65,74 @@ describe("TimerState", () => {
       timer.start(mockDuration);
       expect(timer.totalDuration).toBe(mockDuration * 60 * 1000);
     });
+
+    test("should start the timer with custom session lengths", () => {
+      timer.start(120, { workMinutes: 50, breakMinutes: 10 });
+      expect(timer.workDuration).toBe(50 * 60 * 1000);
+      expect(timer.breakDuration).toBe(10 * 60 * 1000);
+      expect(timer.sessionDuration).toBe(50 * 60 * 1000);
+    });
+
+    test("should keep previous session lengths when omitted", () => {
+      timer.start(120, { workMinutes: 50, breakMinutes: 10 });
+      timer.reset();
+      timer.start(120);
+      expect(timer.workDuration).toBe(50 * 60 * 1000);
+      expect(timer.breakDuration).toBe(10 * 60 * 1000);
+    });
+  });
+
+  describe("startCycles()", () => {
+    test("should derive total duration from the cycle count", () => {
+      timer.startCycles(4);
+
+      expect(timer.mode).toBe(TIMER_MODES.RUNNING);
+      expect(timer.startMode).toBe(Constants.START_MODES.CYCLES);
+      expect(timer.targetCycles).toBe(4);
+      // 4 work sessions and 3 short breaks, no trailing break
+      expect(timer.totalDuration).toBe(
+        4 * DURATIONS.WORK_SESSION + 3 * DURATIONS.BREAK_SESSION
+      );
+    });
+
+    test("should include long breaks in the derived total", () => {
+      timer.startCycles(5, {
+        workMinutes: 50,
+        breakMinutes: 10,
+        longBreakMinutes: 30,
+        longBreakInterval: 2,
+      });
+
+      // breaks after work 1..4: short, long, short, long
+      expect(timer.totalDuration).toBe((5 * 50 + 2 * 10 + 2 * 30) * 60 * 1000);
+    });
+
+    test("should never truncate a work session", () => {
+      timer.startCycles(2, { workMinutes: 50, breakMinutes: 10 });
+      let now = mockStartTime + 50 * 60 * 1000;
+
+      vi.setSystemTime(now);
+      timer.update();
+      now += 10 * 60 * 1000;
+      vi.setSystemTime(now);
+      timer.update();
+
+      expect(timer.sessionType).toBe(SESSION_TYPES.WORK);
+      expect(timer.sessionDuration).toBe(50 * 60 * 1000);
+
+      vi.setSystemTime(now + 50 * 60 * 1000);
+      timer.update();
+
+      expect(timer.mode).toBe(TIMER_MODES.COMPLETED);
+    });
+
+    test("should switch back to minutes mode on start()", () => {
+      timer.startCycles(3);
+      timer.start(30);
+
+      expect(timer.startMode).toBe(Constants.START_MODES.MINUTES);
+      expect(timer.totalDuration).toBe(30 * 60 * 1000);
+    });
   });
 
   describe("pause() and resume()", () => {
@@ -162,9 +230,150 @@ describe("TimerState", () => {
     test("should not reset sound settings when timer is reset", () => {
       timer.soundEnabled = true;
       timer.soundVolume = 75;
+      timer.soundTrack = "pink-noise";
       timer.reset();
       expect(timer.soundEnabled).toBe(true);
       expect(timer.soundVolume).toBe(75);
+      expect(timer.soundTrack).toBe("pink-noise");
+    });
+
+    test("should default to blocklist mode and keep the block mode across resets", () => {
+      expect(timer.blockMode).toBe(Constants.BLOCK_MODES.BLOCKLIST);
+
+      timer.blockMode = Constants.BLOCK_MODES.ALLOWLIST;
+      timer.start();
+      timer.reset();
+
+      expect(timer.blockMode).toBe(Constants.BLOCK_MODES.ALLOWLIST);
+    });
+
+    test("should default to no strict mode and keep it across resets", () => {
+      expect(timer.strictMode).toBe(false);
+
+      timer.strictMode = true;
+      timer.start();
+      timer.reset();
+
+      expect(timer.strictMode).toBe(true);
+    });
+
+    test("should default to no focus preset and keep it across resets", () => {
+      expect(timer.presetId).toBeNull();
+
+      timer.presetId = "coding";
+      timer.start();
+      timer.reset();
+
+      expect(timer.presetId).toBe("coding");
+    });
+  });
+
+  describe("applyRunSound()", () => {
+    const writing = {
+      soundEnabled: false,
+      soundVolume: 20,
+      soundTrack: "pink-noise",
+    };
+
+    beforeEach(() => {
+      timer.soundEnabled = true;
+      timer.soundVolume = 75;
+      timer.soundTrack = "nature";
+    });
+
+    test("should use the preset's sound settings for the run", () => {
+      timer.start();
+      timer.applyRunSound(writing);
+
+      expect(timer).toMatchObject(writing);
+    });
+
+    test("should keep the current track if the preset has none", () => {
+      timer.start();
+      timer.applyRunSound({ soundEnabled: true, soundVolume: 20 });
+
+      expect(timer.soundTrack).toBe("nature");
+    });
+
+    test("should put the user's settings back on reset", () => {
+      timer.start();
+      timer.applyRunSound(writing);
+      timer.soundVolume = 30; // changed during the run
+
+      timer.reset();
+
+      expect(timer).toMatchObject({
+        soundEnabled: true,
+        soundVolume: 75,
+        soundTrack: "nature",
+        userSound: null,
+      });
+    });
+
+    test("should put the user's settings back when the run completes", () => {
+      timer.start(DURATIONS.WORK_SESSION / 60000);
+      timer.applyRunSound(writing);
+
+      vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION);
+      timer.update();
+
+      expect(timer.mode).toBe(TIMER_MODES.COMPLETED);
+      expect(timer).toMatchObject({ soundEnabled: true, soundVolume: 75 });
+    });
+
+    test("should start the next run without a preset with the user's settings", () => {
+      timer.start();
+      timer.applyRunSound(writing);
+
+      timer.start();
+
+      expect(timer).toMatchObject({
+        soundEnabled: true,
+        soundVolume: 75,
+        soundTrack: "nature",
+      });
+    });
+  });
+
+  describe("applyRunBlockMode()", () => {
+    const { BLOCKLIST, ALLOWLIST } = Constants.BLOCK_MODES;
+
+    beforeEach(() => {
+      timer.blockMode = ALLOWLIST;
+    });
+
+    test("should put the user's block mode back on reset", () => {
+      timer.start();
+      timer.applyRunBlockMode(BLOCKLIST);
+      expect(timer.blockMode).toBe(BLOCKLIST);
+
+      timer.reset();
+
+      expect(timer).toMatchObject({
+        blockMode: ALLOWLIST,
+        userBlockMode: null,
+      });
+    });
+
+    test("should put the user's block mode back when the run completes", () => {
+      timer.start(DURATIONS.WORK_SESSION / 60000);
+      timer.applyRunBlockMode(BLOCKLIST);
+
+      vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION);
+      timer.update();
+
+      expect(timer.mode).toBe(TIMER_MODES.COMPLETED);
+      expect(timer.blockMode).toBe(ALLOWLIST);
+    });
+
+    test("should survive a snapshot round trip during the run", () => {
+      timer.start();
+      timer.applyRunBlockMode(BLOCKLIST);
+
+      const restoredTimer = TimerState.fromSnapshot(timer.toSnapshot());
+      restoredTimer.reset();
+
+      expect(restoredTimer.blockMode).toBe(ALLOWLIST);
     });
   });
 
@@ -232,6 +441,68 @@ describe("TimerState", () => {
       expect(timer.sessionElapsed).toBe(0);
     });
 
+    test("should use custom session lengths when switching sessions", () => {
+      timer.start(180, { workMinutes: 50, breakMinutes: 10 });
+      const workCompleteTime = mockStartTime + 50 * 60 * 1000;
+
+      vi.setSystemTime(workCompleteTime);
+      timer.update();
+
+      expect(timer.sessionType).toBe(SESSION_TYPES.BREAK);
+      expect(timer.sessionDuration).toBe(10 * 60 * 1000);
+
+      vi.setSystemTime(workCompleteTime + 10 * 60 * 1000);
+      timer.update();
+
+      expect(timer.sessionType).toBe(SESSION_TYPES.WORK);
+      expect(timer.sessionDuration).toBe(50 * 60 * 1000);
+    });
+
+    test("should start a long break after every longBreakInterval work sessions", () => {
+      timer.start(300, {
+        workMinutes: 10,
+        breakMinutes: 2,
+        longBreakMinutes: 20,
+        longBreakInterval: 2,
+      });
+      const work = 10 * 60 * 1000;
+      const shortBreak = 2 * 60 * 1000;
+      let now = mockStartTime;
+
+      now += work;
+      vi.setSystemTime(now);
+      timer.update();
+      expect(timer.sessionType).toBe(SESSION_TYPES.BREAK);
+      expect(timer.completedWorkSessions).toBe(1);
+
+      now += shortBreak;
+      vi.setSystemTime(now);
+      timer.update();
+      expect(timer.sessionType).toBe(SESSION_TYPES.WORK);
+
+      now += work;
+      vi.setSystemTime(now);
+      timer.update();
+      expect(timer.sessionType).toBe(SESSION_TYPES.LONG_BREAK);
+      expect(timer.sessionDuration).toBe(20 * 60 * 1000);
+      expect(timer.completedWorkSessions).toBe(2);
+
+      now += 20 * 60 * 1000;
+      vi.setSystemTime(now);
+      timer.update();
+      expect(timer.sessionType).toBe(SESSION_TYPES.WORK);
+      expect(timer.sessionDuration).toBe(work);
+    });
+
+    test("should reset completed work sessions on reset", () => {
+      vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION);
+      timer.update();
+      expect(timer.completedWorkSessions).toBe(1);
+
+      timer.reset();
+      expect(timer.completedWorkSessions).toBe(0);
+    });
+
     test("should limit session duration to remaining total time", () => {
       // Start with short total time
       const shortTime = DURATIONS.WORK_SESSION / (60 * 1000) + 1;
@@ -253,6 +524,186 @@ describe("TimerState", () => {
     });
   });
 
+  describe("skip()", () => {
+    test("should do nothing unless running", () => {
+      expect(timer.skip()).toBeUndefined();
+
+      timer.start();
+      timer.pause();
+      expect(timer.skip()).toBeUndefined();
+      expect(timer.sessionType).toBe(SESSION_TYPES.WORK);
+    });
+
+    test("should switch to the next session immediately", () => {
+      timer.start();
+      vi.setSystemTime(elapsedTime);
+
+      const result = timer.skip();
+
+      expect(result.isSessionComplete).toBe(true);
+      expect(timer.sessionType).toBe(SESSION_TYPES.BREAK);
+      expect(timer.sessionStartTime).toBe(elapsedTime);
+      expect(timer.completedWorkSessions).toBe(1);
+    });
+
+    test("should keep the total budget in minutes mode", () => {
+      timer.start();
+      vi.setSystemTime(elapsedTime);
+
+      timer.skip();
+
+      expect(timer.totalDuration).toBe(defaultTotal);
+      expect(timer.getTotalEndTime()).toBe(mockStartTime + defaultTotal);
+    });
+
+    test("should shorten the total by the skipped time in cycles mode", () => {
+      timer.startCycles(2);
+      const fullTotal = timer.totalDuration;
+      vi.setSystemTime(elapsedTime);
+
+      timer.skip();
+
+      expect(timer.totalDuration).toBe(
+        fullTotal - (DURATIONS.WORK_SESSION - fiveMinutes)
+      );
+    });
+
+    test("should complete when skipping the last work session in cycles mode", () => {
+      timer.startCycles(1);
+      vi.setSystemTime(elapsedTime);
+
+      const result = timer.skip();
+
+      expect(result.mode).toBe(TIMER_MODES.COMPLETED);
+      expect(timer.mode).toBe(TIMER_MODES.COMPLETED);
+    });
+  });
+
+  describe("getSessionRecord()", () => {
+    test("should return null when no session is in progress", () => {
+      expect(timer.getSessionRecord("reset")).toBeNull();
+    });
+
+    test("should record a session that ran to its planned end", () => {
+      timer.start();
+      vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION);
+
+      const result = timer.update();
+
+      expect(result.endedSession).toEqual({
+        id: `${mockStartTime}-${SESSION_TYPES.WORK}`,
+        sessionType: SESSION_TYPES.WORK,
+        startTime: mockStartTime,
+        endTime: mockStartTime + DURATIONS.WORK_SESSION,
+        plannedDuration: DURATIONS.WORK_SESSION,
+        actualDuration: DURATIONS.WORK_SESSION,
+        pausedDuration: 0,
+        endReason: Constants.SESSION_END_REASONS.COMPLETED,
+      });
+    });
+
+    test("should use the planned end when the update arrives late", () => {
+      timer.start();
+      vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION + 30 * 1000);
+
+      const { endedSession } = timer.update();
+
+      expect(endedSession.endTime).toBe(mockStartTime + DURATIONS.WORK_SESSION);
+      expect(endedSession.actualDuration).toBe(DURATIONS.WORK_SESSION);
+    });
+
+    test("should separate paused time from active time", () => {
+      timer.start();
+      vi.setSystemTime(elapsedTime);
+      timer.pause();
+      vi.setSystemTime(elapsedTime + fiveMinutes);
+      timer.resume();
+      vi.setSystemTime(elapsedTime + 2 * fiveMinutes);
+
+      const { endedSession } = timer.skip();
+
+      expect(endedSession.startTime).toBe(mockStartTime);
+      expect(endedSession.endTime).toBe(elapsedTime + 2 * fiveMinutes);
+      expect(endedSession.actualDuration).toBe(2 * fiveMinutes);
+      expect(endedSession.pausedDuration).toBe(fiveMinutes);
+      expect(endedSession.endReason).toBe(
+        Constants.SESSION_END_REASONS.SKIPPED
+      );
+    });
+
+    test("should count the current pause when abandoned while paused", () => {
+      timer.start();
+      vi.setSystemTime(elapsedTime);
+      timer.pause();
+      vi.setSystemTime(elapsedTime + fiveMinutes);
+
+      const record = timer.getSessionRecord(
+        Constants.SESSION_END_REASONS.RESET
+      );
+
+      expect(record.actualDuration).toBe(fiveMinutes);
+      expect(record.pausedDuration).toBe(fiveMinutes);
+      expect(record.endTime).toBe(elapsedTime + fiveMinutes);
+    });
+
+    test("should start counting pauses afresh for the next session", () => {
+      timer.start();
+      timer.pause();
+      vi.setSystemTime(elapsedTime);
+      timer.resume();
+      vi.setSystemTime(elapsedTime + DURATIONS.WORK_SESSION);
+      timer.update();
+
+      expect(timer.sessionPausedDuration).toBe(0);
+      expect(timer.getSessionRecord("reset").startTime).toBe(
+        elapsedTime + DURATIONS.WORK_SESSION
+      );
+    });
+
+    test("should attach the last session when the total completes", () => {
+      timer.start(10);
+      vi.setSystemTime(mockStartTime + 10 * 60 * 1000);
+
+      const result = timer.update();
+
+      expect(result.mode).toBe(TIMER_MODES.COMPLETED);
+      expect(result.endedSession.plannedDuration).toBe(10 * 60 * 1000);
+      expect(result.endedSession.endTime).toBe(mockStartTime + 10 * 60 * 1000);
+    });
+  });
+
+  describe("extend()", () => {
+    test("should do nothing unless running", () => {
+      expect(timer.extend(5)).toBe(0);
+    });
+
+    test("should lengthen the current session", () => {
+      timer.start();
+
+      expect(timer.extend(5)).toBe(fiveMinutes);
+      expect(timer.sessionDuration).toBe(DURATIONS.WORK_SESSION + fiveMinutes);
+      expect(timer.totalDuration).toBe(defaultTotal);
+    });
+
+    test("should not extend past the total budget in minutes mode", () => {
+      timer.start(28);
+
+      expect(timer.extend(5)).toBe(3 * 60 * 1000);
+      expect(timer.sessionDuration).toBe(28 * 60 * 1000);
+      expect(timer.extend(5)).toBe(0);
+    });
+
+    test("should grow the total in cycles mode", () => {
+      timer.startCycles(2);
+      const fullTotal = timer.totalDuration;
+
+      timer.extend(5);
+
+      expect(timer.totalDuration).toBe(fullTotal + fiveMinutes);
+      expect(timer.sessionDuration).toBe(DURATIONS.WORK_SESSION + fiveMinutes);
+    });
+  });
+
   describe("getTotalRemaining()", () => {
     test("should return full duration when timer just started", () => {
       timer.start();
@@ -297,6 +748,69 @@ describe("TimerState", () => {
     });
   });
 
+  describe("getSessionEndTime() and getTotalEndTime()", () => {
+    test("should return null when timer is not running", () => {
+      expect(timer.getSessionEndTime()).toBe(null);
+      expect(timer.getTotalEndTime()).toBe(null);
+
+      timer.start();
+      timer.pause();
+      expect(timer.getSessionEndTime()).toBe(null);
+      expect(timer.getTotalEndTime()).toBe(null);
+    });
+
+    test("should return wall-clock end times while running", () => {
+      timer.start();
+
+      expect(timer.getSessionEndTime()).toBe(
+        mockStartTime + DURATIONS.WORK_SESSION
+      );
+      expect(timer.getTotalEndTime()).toBe(mockStartTime + defaultTotal);
+    });
+
+    test("should shift end times by the paused duration", () => {
+      timer.start();
+      vi.setSystemTime(elapsedTime);
+      timer.pause();
+      vi.setSystemTime(elapsedTime + fiveMinutes);
+      timer.resume();
+
+      expect(timer.getSessionEndTime()).toBe(
+        mockStartTime + fiveMinutes + DURATIONS.WORK_SESSION
+      );
+      expect(timer.getTotalEndTime()).toBe(
+        mockStartTime + fiveMinutes + defaultTotal
+      );
+    });
+  });
+
+  describe("getStrictLockEnd()", () => {
+    test("should return null when strict mode is off", () => {
+      timer.start();
+
+      expect(timer.getStrictLockEnd()).toBe(null);
+    });
+
+    test("should lock the controls until the work session ends", () => {
+      timer.strictMode = true;
+      timer.start();
+
+      expect(timer.getStrictLockEnd()).toBe(
+        mockStartTime + DURATIONS.WORK_SESSION
+      );
+    });
+
+    test("should not lock the controls during breaks", () => {
+      timer.strictMode = true;
+      timer.start();
+      vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION);
+      timer.update();
+
+      expect(timer.sessionType).toBe(SESSION_TYPES.BREAK);
+      expect(timer.getStrictLockEnd()).toBe(null);
+    });
+  });
+
   describe("toSnapshot()", () => {
     test("should create snapshot with all necessary fields", () => {
       timer.start(30);
@@ -306,6 +820,7 @@ describe("TimerState", () => {
       const snapshot = timer.toSnapshot();
 
       expect(snapshot).toEqual({
+        version: Constants.SNAPSHOT.VERSION,
         mode: TIMER_MODES.PAUSED,
         totalStartTime: mockStartTime,
         totalDuration: 30 * 60 * 1000,
@@ -313,8 +828,22 @@ describe("TimerState", () => {
         sessionStartTime: mockStartTime,
         sessionDuration: DURATIONS.WORK_SESSION,
         pausedAt: elapsedTime,
+        sessionPausedDuration: 0,
+        workDuration: DURATIONS.WORK_SESSION,
+        breakDuration: DURATIONS.BREAK_SESSION,
+        longBreakDuration: DURATIONS.LONG_BREAK_SESSION,
+        longBreakInterval: Constants.CYCLES.DEFAULT_LONG_BREAK_INTERVAL,
+        completedWorkSessions: 0,
+        startMode: Constants.START_MODES.MINUTES,
+        targetCycles: Constants.CYCLES.DEFAULT_TARGET_CYCLES,
+        blockMode: Constants.BLOCK_MODES.BLOCKLIST,
+        strictMode: false,
+        presetId: null,
         soundEnabled: false,
         soundVolume: 50,
+        soundTrack: "nature",
+        userSound: null,
+        userBlockMode: null,
       });
     });
 
@@ -342,6 +871,7 @@ describe("TimerState", () => {
         pausedAt: null,
         soundEnabled: true,
         soundVolume: 50,
+        soundTrack: "white-noise",
       };
 
       vi.setSystemTime(mockStartTime + DURATIONS.WORK_SESSION + fiveMinutes);
@@ -352,6 +882,51 @@ describe("TimerState", () => {
       expect(restoredTimer.totalDuration).toBe(25 * 60 * 1000);
       expect(restoredTimer.sessionDuration).toBe(DURATIONS.BREAK_SESSION);
       expect(restoredTimer.soundEnabled).toBe(true);
+      expect(restoredTimer.soundTrack).toBe("white-noise");
+    });
+
+    test("should restore the user's sound settings during a preset run", () => {
+      timer.start();
+      timer.applyRunSound({ soundEnabled: false, soundVolume: 20 });
+
+      const restoredTimer = TimerState.fromSnapshot(timer.toSnapshot());
+      restoredTimer.reset();
+
+      expect(restoredTimer).toMatchObject({
+        soundEnabled: false,
+        soundVolume: 50,
+        soundTrack: "nature",
+      });
+    });
+
+    test("should restore custom session lengths from snapshot", () => {
+      const snapshot = {
+        mode: TIMER_MODES.SETUP,
+        workDuration: 90 * 60 * 1000,
+        breakDuration: 20 * 60 * 1000,
+        longBreakDuration: 30 * 60 * 1000,
+        longBreakInterval: 3,
+        completedWorkSessions: 2,
+        startMode: Constants.START_MODES.CYCLES,
+        targetCycles: 6,
+        blockMode: Constants.BLOCK_MODES.ALLOWLIST,
+        strictMode: true,
+        presetId: "writing",
+      };
+
+      const restoredTimer = TimerState.fromSnapshot(snapshot);
+
+      expect(restoredTimer.workDuration).toBe(90 * 60 * 1000);
+      expect(restoredTimer.breakDuration).toBe(20 * 60 * 1000);
+      expect(restoredTimer.sessionDuration).toBe(90 * 60 * 1000);
+      expect(restoredTimer.longBreakDuration).toBe(30 * 60 * 1000);
+      expect(restoredTimer.longBreakInterval).toBe(3);
+      expect(restoredTimer.completedWorkSessions).toBe(2);
+      expect(restoredTimer.startMode).toBe(Constants.START_MODES.CYCLES);
+      expect(restoredTimer.targetCycles).toBe(6);
+      expect(restoredTimer.blockMode).toBe(Constants.BLOCK_MODES.ALLOWLIST);
+      expect(restoredTimer.strictMode).toBe(true);
+      expect(restoredTimer.presetId).toBe("writing");
     });
 
     test("should return default timer for null snapshot", () => {
@@ -385,6 +960,8 @@ describe("TimerState", () => {
       );
       expect(restoredTimer.sessionType).toBe(SESSION_TYPES.WORK);
       expect(restoredTimer.sessionDuration).toBe(DURATIONS.WORK_SESSION);
+      expect(restoredTimer.workDuration).toBe(DURATIONS.WORK_SESSION);
+      expect(restoredTimer.breakDuration).toBe(DURATIONS.BREAK_SESSION);
     });
 
     test("should handle snapshot with falsy mode value", () => {
@@ -5,7 +5,44 @@ import { describe, test, expect, beforeEach, vi } from "vitest";
 import { setupChromeMock } from "../setup.chrome.js";
 import Constants from "@/constants.js";
 
-const { TIMER_MODES } = Constants;
+const {
+  TIMER_MODES,
+  SESSION_TYPES,
+  DURATIONS,
+  CYCLES,
+  START_MODES,
+  BLOCK_MODES,
+} = Constants;
+
+const MOCK_TIME = new Date("2021-01-01T00:00:00Z").getTime();
+
+// Snapshot of an idle timer in the current format
+const VALID_SNAPSHOT = {
+  version: Constants.SNAPSHOT.VERSION,
+  mode: TIMER_MODES.SETUP,
+  totalStartTime: null,
+  totalDuration: null,
+  sessionType: SESSION_TYPES.WORK,
+  sessionStartTime: null,
+  sessionDuration: DURATIONS.WORK_SESSION,
+  pausedAt: null,
+  sessionPausedDuration: 0,
+  workDuration: DURATIONS.WORK_SESSION,
+  breakDuration: DURATIONS.BREAK_SESSION,
+  longBreakDuration: DURATIONS.LONG_BREAK_SESSION,
+  longBreakInterval: CYCLES.DEFAULT_LONG_BREAK_INTERVAL,
+  completedWorkSessions: 0,
+  startMode: START_MODES.MINUTES,
+  targetCycles: CYCLES.DEFAULT_TARGET_CYCLES,
+  blockMode: BLOCK_MODES.BLOCKLIST,
+  strictMode: false,
+  presetId: null,
+  soundEnabled: false,
+  soundVolume: 50,
+  soundTrack: "nature",
+  userSound: null,
+  userBlockMode: null,
+};
 
 // Mock TimerState
 const mockTimerInstance = {
@@ -27,7 +64,7 @@ describe("TimerStore", () => {
   const SNAPSHOT_KEY = "pomodoroTimerSnapshot";
 
   let chromeMock = setupChromeMock();
-  let initTimer, getTimer, saveSnapshot;
+  let initTimer, getTimer, saveSnapshot, consumeRestoreResult;
 
   beforeEach(async () => {
     vi.resetModules();
@@ -42,6 +79,7 @@ describe("TimerStore", () => {
     initTimer = timerStore.initTimer;
     getTimer = timerStore.getTimer;
     saveSnapshot = timerStore.saveSnapshot;
+    consumeRestoreResult = timerStore.consumeRestoreResult;
   });
 
   describe("initTimer()", () => {
@@ -70,7 +108,13 @@ describe("TimerStore", () => {
     });
 
     test("should restore timer from snapshot when snapshot exists", async () => {
-      const mockSnapshot = { mode: TIMER_MODES.RUNNING };
+      const mockSnapshot = {
+        ...VALID_SNAPSHOT,
+        mode: TIMER_MODES.RUNNING,
+        totalStartTime: MOCK_TIME,
+        totalDuration: 60 * 60 * 1000,
+        sessionStartTime: MOCK_TIME,
+      };
       chromeMock.storage.local.get.mockResolvedValue({
         [SNAPSHOT_KEY]: mockSnapshot,
       });
@@ -79,6 +123,7 @@ describe("TimerStore", () => {
 
       expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(mockSnapshot);
       expect(timer).toBeTruthy();
+      expect(consumeRestoreResult()).toBeNull();
     });
 
     test("should handle chrome.storage.local.get errors", async () => {
@@ -112,6 +157,167 @@ describe("TimerStore", () => {
     });
   });
 
+  describe("snapshot migration and validation", () => {
+    const restoreFrom = async (snap) => {
+      chromeMock.storage.local.get.mockResolvedValue({ [SNAPSHOT_KEY]: snap });
+      return initTimer();
+    };
+
+    test("should migrate an unversioned snapshot to the current version", async () => {
+      const legacy = {
+        mode: TIMER_MODES.PAUSED,
+        totalStartTime: MOCK_TIME,
+        totalDuration: 60 * 60 * 1000,
+        sessionType: SESSION_TYPES.WORK,
+        sessionStartTime: MOCK_TIME,
+        sessionDuration: DURATIONS.WORK_SESSION,
+        pausedAt: MOCK_TIME + 1000,
+        soundEnabled: true,
+        soundVolume: 80,
+      };
+
+      await restoreFrom(legacy);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith({
+        ...VALID_SNAPSHOT,
+        ...legacy,
+      });
+      expect(consumeRestoreResult()).toBeNull();
+    });
+
+    test("should default the block mode when migrating a v2 snapshot", async () => {
+      const v2 = { ...VALID_SNAPSHOT, version: 2, targetCycles: 6 };
+      delete v2.blockMode;
+
+      await restoreFrom(v2);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith({
+        ...VALID_SNAPSHOT,
+        targetCycles: 6,
+      });
+    });
+
+    test("should turn strict mode off when migrating a v3 snapshot", async () => {
+      const v3 = { ...VALID_SNAPSHOT, version: 3 };
+      delete v3.strictMode;
+
+      await restoreFrom(v3);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(VALID_SNAPSHOT);
+    });
+
+    test("should record no focus preset when migrating a v4 snapshot", async () => {
+      const v4 = { ...VALID_SNAPSHOT, version: 4 };
+      delete v4.presetId;
+
+      await restoreFrom(v4);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(VALID_SNAPSHOT);
+    });
+
+    test("should pick the default ambient track when migrating a v5 snapshot", async () => {
+      const v5 = { ...VALID_SNAPSHOT, version: 5 };
+      delete v5.soundTrack;
+
+      await restoreFrom(v5);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(VALID_SNAPSHOT);
+    });
+
+    test("should record no overridden sound settings when migrating a v6 snapshot", async () => {
+      const v6 = { ...VALID_SNAPSHOT, version: 6 };
+      delete v6.userSound;
+
+      await restoreFrom(v6);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(VALID_SNAPSHOT);
+    });
+
+    test("should record no overridden block mode when migrating a v7 snapshot", async () => {
+      const v7 = { ...VALID_SNAPSHOT, version: 7 };
+      delete v7.userBlockMode;
+
+      await restoreFrom(v7);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(VALID_SNAPSHOT);
+    });
+
+    test("should keep newer fields already present in an unversioned snapshot", async () => {
+      const unversioned = {
+        ...VALID_SNAPSHOT,
+        workDuration: 50 * 60 * 1000,
+        longBreakInterval: 2,
+      };
+      delete unversioned.version;
+
+      await restoreFrom(unversioned);
+
+      expect(MockTimerState.fromSnapshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          version: Constants.SNAPSHOT.VERSION,
+          workDuration: 50 * 60 * 1000,
+          longBreakInterval: 2,
+        })
+      );
+    });
+
+    test.each([
+      ["a non-object snapshot", "running", /not an object/],
+      ["an unknown mode", { ...VALID_SNAPSHOT, mode: "sleeping" }, /mode/],
+      [
+        "a running snapshot without start times",
+        { ...VALID_SNAPSHOT, mode: TIMER_MODES.RUNNING },
+        /missing its start times/,
+      ],
+      [
+        "an unknown block mode",
+        { ...VALID_SNAPSHOT, blockMode: "everything" },
+        /blockMode/,
+      ],
+      [
+        "a non-boolean strict mode",
+        { ...VALID_SNAPSHOT, strictMode: "yes" },
+        /strictMode/,
+      ],
+      [
+        "a non-string preset ID",
+        { ...VALID_SNAPSHOT, presetId: 3 },
+        /presetId/,
+      ],
+      [
+        "an empty ambient track",
+        { ...VALID_SNAPSHOT, soundTrack: "" },
+        /soundTrack/,
+      ],
+      [
+        "a snapshot from a newer version",
+        { ...VALID_SNAPSHOT, version: Constants.SNAPSHOT.VERSION + 1 },
+        /Unsupported snapshot version/,
+      ],
+    ])(
+      "should start fresh and report a warning for %s",
+      async (_label, snap, message) => {
+        const timer = await restoreFrom(snap);
+
+        expect(MockTimerState.fromSnapshot).not.toHaveBeenCalled();
+        expect(MockTimerState).toHaveBeenCalled();
+        expect(timer).toBe(mockTimerInstance);
+
+        const result = consumeRestoreResult();
+        expect(result.success).toBe(false);
+        expect(result.severity).toBe(Constants.SEVERITY_LEVELS.WARNING);
+        expect(result.error).toMatch(message);
+      }
+    );
+
+    test("should report a discarded snapshot only once", async () => {
+      await restoreFrom({ ...VALID_SNAPSHOT, soundVolume: 500 });
+
+      expect(consumeRestoreResult()).not.toBeNull();
+      expect(consumeRestoreResult()).toBeNull();
+    });
+  });
+
   describe("getTimer()", () => {
     test("should throw error if timer not initialized", () => {
       expect(() => getTimer()).toThrow("Timer not initialized");
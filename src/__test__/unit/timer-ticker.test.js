@@ -38,6 +38,7 @@ describe("TimerTicker", () => {
     // Mock UI controller
     mockUIController = {
       syncFromBG: vi.fn().mockResolvedValue(undefined),
+      updateStrictLockView: vi.fn(),
     };
 
     // Mock setInterval/clearInterval
@@ -86,6 +87,18 @@ describe("TimerTicker", () => {
       expect(timerTicker.timeSessionMs).toBe(shortMinutes * 60 * 1000);
     });
 
+    test("should use the chosen work session length", () => {
+      timerTicker.start(120, 50);
+
+      expect(timerTicker.timeTotalMs).toBe(120 * 60 * 1000);
+      expect(timerTicker.timeSessionMs).toBe(50 * 60 * 1000);
+    });
+
+    test("should throw error for invalid work minutes", () => {
+      expect(() => timerTicker.start(60, 0)).toThrow("Invalid work minutes");
+      expect(() => timerTicker.start(60, -5)).toThrow("Invalid work minutes");
+    });
+
     test("should throw error for invalid minutes", () => {
       expect(() => timerTicker.start(0)).toThrow("Invalid minutes");
       expect(() => timerTicker.start(-5)).toThrow("Invalid minutes");
@@ -149,6 +162,16 @@ describe("TimerTicker", () => {
       expect(timerTicker.timeSessionMs).toBe(sessionMs);
       expect(mockElements.timeSessionLabel.textContent).toBe("Break time");
     });
+
+    test("should apply long break session state from background", () => {
+      const totalMs = 60 * 60 * 1000;
+      const sessionMs = 15 * 60 * 1000;
+
+      timerTicker.applyBG(SESSION_TYPES.LONG_BREAK, totalMs, sessionMs);
+
+      expect(timerTicker.sessionType).toBe(SESSION_TYPES.LONG_BREAK);
+      expect(mockElements.timeSessionLabel.textContent).toBe("Long break");
+    });
   });
 
   describe("tick()", () => {
@@ -215,6 +238,12 @@ describe("TimerTicker", () => {
       expect(mockElements.timeTotalView.textContent).toBe("01:05");
       expect(mockElements.timeSessionView.textContent).toBe("00:05");
     });
+
+    test("should update the strict mode lock with the time", () => {
+      timerTicker.render();
+
+      expect(mockUIController.updateStrictLockView).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe("renderElm()", () => {
@@ -22,8 +22,14 @@ const mockBGClient = {
   pause: vi.fn(),
   resume: vi.fn(),
   reset: vi.fn(),
+  skip: vi.fn(),
+  extend: vi.fn(),
   update: vi.fn(),
   saveSoundSettings: vi.fn(),
+  getClosedTabs: vi.fn(),
+  restoreClosedTabs: vi.fn(),
+  getBudgets: vi.fn(),
+  getPresets: vi.fn(),
 };
 
 const MockBGClient = vi.fn(() => mockBGClient);
@@ -36,11 +42,30 @@ vi.mock("@/ui/bg-client.js", () => ({
   BGClient: MockBGClient,
 }));
 
+// Mock BroadcastChannel
+const mockSettingsChannel = { addEventListener: vi.fn() };
+const MockBroadcastChannel = vi.fn(() => mockSettingsChannel);
+
+const mockListUserTracks = vi.fn();
+vi.mock("@/sound-library.js", () => ({
+  listUserTracks: (...args) => mockListUserTracks(...args),
+}));
+
 describe("UI", () => {
   // Mock DOM elements
   const mockElements = {
     "setup-screen": { style: { display: "none" } },
+    "start-mode": { addEventListener: vi.fn(), value: "minutes" },
+    "timer-duration-field": { style: { display: "block" } },
     "timer-duration": { value: "25" },
+    "cycle-count-field": { style: { display: "none" } },
+    "cycle-count": { value: "4" },
+    "work-duration": { value: "25" },
+    "break-duration": { value: "5" },
+    "long-break-duration": { value: "15" },
+    "long-break-interval": { value: "4" },
+    "block-mode": { value: "blocklist" },
+    "strict-mode": { checked: false },
     "timer-duration-error": { style: { display: "none" } },
     "start-button": { addEventListener: vi.fn() },
     "sound-toggle": { addEventListener: vi.fn(), checked: false },
@@ -54,12 +79,41 @@ describe("UI", () => {
         this._value = val.toString();
       },
     },
+    "sound-track": {
+      addEventListener: vi.fn(),
+      value: "nature",
+      children: [],
+      replaceChildren(...nodes) {
+        this.children = nodes;
+      },
+    },
     "running-screen": { style: { display: "none" } },
     "pause-button": { addEventListener: vi.fn(), textContent: "" },
     "reset-button": { addEventListener: vi.fn() },
+    "skip-button": { addEventListener: vi.fn(), disabled: false },
+    "extend-button": { addEventListener: vi.fn(), disabled: false },
     "completed-screen": { style: { display: "none" } },
     "time-display": {},
+    "strict-lock": { style: { display: "none" }, textContent: "" },
+    "active-preset": { style: { display: "none" }, textContent: "" },
+    presets: { style: { display: "none" } },
+    "preset-buttons": {
+      children: [],
+      replaceChildren(...nodes) {
+        this.children = nodes;
+      },
+    },
     "new-session-button": { addEventListener: vi.fn() },
+    "closed-tabs": { style: { display: "none" } },
+    "closed-tabs-count": { textContent: "" },
+    "restore-tabs-button": { addEventListener: vi.fn() },
+    budgets: { style: { display: "none" } },
+    "budget-list": {
+      children: [],
+      replaceChildren(...nodes) {
+        this.children = nodes;
+      },
+    },
   };
 
   beforeEach(async () => {
@@ -69,10 +123,17 @@ describe("UI", () => {
     // Mock document.getElementById
     vi.stubGlobal("document", {
       getElementById: vi.fn((id) => mockElements[id] || {}),
+      createElement: vi.fn(() => ({
+        className: "",
+        textContent: "",
+        addEventListener: vi.fn(),
+      })),
       addEventListener: vi.fn(),
       visibilityState: "visible",
     });
 
+    vi.stubGlobal("BroadcastChannel", MockBroadcastChannel);
+
     // Mock setInterval and clearInterval
     vi.stubGlobal(
       "setInterval",
@@ -83,6 +144,13 @@ describe("UI", () => {
     // Reset mocks
     mockBGClient.update.mockResolvedValue(null);
     mockBGClient.saveSoundSettings.mockResolvedValue({ success: true });
+    mockBGClient.getClosedTabs.mockResolvedValue({
+      success: true,
+      closedTabs: [],
+    });
+    mockBGClient.getBudgets.mockResolvedValue({ success: true, budgets: [] });
+    mockListUserTracks.mockResolvedValue([]);
+    mockBGClient.getPresets.mockResolvedValue({ success: true, presets: [] });
     Object.values(mockElements).forEach((element) => {
       if (element.style) element.style.display = "none";
       if (element.addEventListener) element.addEventListener.mockClear();
@@ -142,11 +210,126 @@ describe("UI", () => {
         mockElements["start-button"].addEventListener.mock.calls[0][1];
       clickHandler();
 
-      expect(mockBGClient.start).toHaveBeenCalledWith(25);
-      expect(mockTimerTicker.start).toHaveBeenCalledWith(25);
+      expect(mockBGClient.start).toHaveBeenCalledWith({
+        startMode: "minutes",
+        minutes: 25,
+        workMinutes: 25,
+        breakMinutes: 5,
+        longBreakMinutes: 15,
+        longBreakInterval: 4,
+        blockMode: "blocklist",
+        strictMode: false,
+      });
+      expect(mockTimerTicker.start).toHaveBeenCalledWith(25, 25);
       expect(mockElements["timer-duration-error"].style.display).toBe("none");
     });
 
+    test("should start timer with custom session lengths", async () => {
+      mockElements["timer-duration"].value = "120";
+      mockElements["work-duration"].value = "50";
+      mockElements["break-duration"].value = "10";
+
+      await import("@/ui/ui.js");
+
+      const clickHandler =
+        mockElements["start-button"].addEventListener.mock.calls[0][1];
+      clickHandler();
+
+      expect(mockBGClient.start).toHaveBeenCalledWith({
+        startMode: "minutes",
+        minutes: 120,
+        workMinutes: 50,
+        breakMinutes: 10,
+        longBreakMinutes: 15,
+        longBreakInterval: 4,
+        blockMode: "blocklist",
+        strictMode: false,
+      });
+      expect(mockTimerTicker.start).toHaveBeenCalledWith(120, 50);
+
+      mockElements["work-duration"].value = "25";
+      mockElements["break-duration"].value = "5";
+    });
+
+    test("should start timer in cycles mode with derived total", async () => {
+      mockElements["start-mode"].value = "cycles";
+      mockElements["cycle-count"].value = "4";
+
+      await import("@/ui/ui.js");
+
+      const clickHandler =
+        mockElements["start-button"].addEventListener.mock.calls[0][1];
+      clickHandler();
+
+      expect(mockBGClient.start).toHaveBeenCalledWith({
+        startMode: "cycles",
+        cycles: 4,
+        workMinutes: 25,
+        breakMinutes: 5,
+        longBreakMinutes: 15,
+        longBreakInterval: 4,
+        blockMode: "blocklist",
+        strictMode: false,
+      });
+      // 4 x 25 min work + 3 x 5 min breaks
+      expect(mockTimerTicker.start).toHaveBeenCalledWith(115, 25);
+
+      mockElements["start-mode"].value = "minutes";
+    });
+
+    test("should start timer in the selected block mode", async () => {
+      mockElements["block-mode"].value = "allowlist";
+
+      await import("@/ui/ui.js");
+
+      const clickHandler =
+        mockElements["start-button"].addEventListener.mock.calls[0][1];
+      clickHandler();
+
+      expect(mockBGClient.start).toHaveBeenCalledWith(
+        expect.objectContaining({
+          startMode: "minutes",
+          blockMode: "allowlist",
+          strictMode: false,
+        })
+      );
+
+      mockElements["block-mode"].value = "blocklist";
+    });
+
+    test("should show error for invalid cycle count", async () => {
+      mockElements["start-mode"].value = "cycles";
+      mockElements["cycle-count"].value = "0";
+
+      await import("@/ui/ui.js");
+
+      const clickHandler =
+        mockElements["start-button"].addEventListener.mock.calls[0][1];
+      clickHandler();
+
+      expect(mockBGClient.start).not.toHaveBeenCalled();
+      expect(mockElements["timer-duration-error"].style.display).toBe("block");
+
+      mockElements["start-mode"].value = "minutes";
+      mockElements["cycle-count"].value = "4";
+    });
+
+    test("should show error for invalid work length", async () => {
+      mockElements["timer-duration"].value = "60";
+      mockElements["work-duration"].value = "0";
+
+      await import("@/ui/ui.js");
+
+      const clickHandler =
+        mockElements["start-button"].addEventListener.mock.calls[0][1];
+      clickHandler();
+
+      expect(mockBGClient.start).not.toHaveBeenCalled();
+      expect(mockElements["timer-duration-error"].style.display).toBe("block");
+
+      mockElements["work-duration"].value = "25";
+    });
+
     test("should show error for invalid duration (too short)", async () => {
       mockElements["timer-duration"].value = "3";
 
@@ -214,6 +397,119 @@ describe("UI", () => {
     });
   });
 
+  describe("strict mode", () => {
+    const LOCK_END = Date.UTC(2021, 0, 1, 0, 25);
+
+    test("should start the run in strict mode when it is checked", async () => {
+      mockElements["timer-duration"].value = "60";
+      mockElements["strict-mode"].checked = true;
+      mockTimerTicker.timeSessionMs = 25 * 60 * 1000;
+
+      await import("@/ui/ui.js");
+
+      const clickHandler =
+        mockElements["start-button"].addEventListener.mock.calls[0][1];
+      await clickHandler();
+
+      expect(mockBGClient.start).toHaveBeenCalledWith(
+        expect.objectContaining({
+          startMode: "minutes",
+          blockMode: "blocklist",
+          strictMode: true,
+        })
+      );
+      expect(mockElements["pause-button"].disabled).toBe(true);
+      expect(mockElements["reset-button"].disabled).toBe(true);
+    });
+
+    test("should lock the controls and show until when", async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(LOCK_END - 60000);
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.WORK,
+        strictMode: true,
+        lockedUntil: LOCK_END,
+      });
+
+      await import("@/ui/ui.js");
+      await vi.waitFor(() =>
+        expect(mockElements["strict-lock"].style.display).toBe("block")
+      );
+
+      expect(mockElements["strict-mode"].checked).toBe(true);
+      expect(mockElements["pause-button"].disabled).toBe(true);
+      expect(mockElements["reset-button"].disabled).toBe(true);
+      expect(mockElements["skip-button"].disabled).toBe(true);
+      expect(mockElements["strict-lock"].textContent).toMatch(/^Locked until /);
+      vi.useRealTimers();
+    });
+
+    test("should unlock the controls once the lock runs out", async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(LOCK_END - 60000);
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.WORK,
+        strictMode: true,
+        lockedUntil: LOCK_END,
+      });
+
+      await import("@/ui/ui.js");
+      await vi.waitFor(() =>
+        expect(mockElements["strict-lock"].style.display).toBe("block")
+      );
+      // The ticker renders the lock every second
+      const [[uiController]] = MockTimerTicker.mock.calls;
+      vi.setSystemTime(LOCK_END);
+      uiController.updateStrictLockView();
+
+      expect(mockElements["pause-button"].disabled).toBe(false);
+      expect(mockElements["reset-button"].disabled).toBe(false);
+      expect(mockElements["skip-button"].disabled).toBe(false);
+      expect(mockElements["strict-lock"].style.display).toBe("none");
+      vi.useRealTimers();
+    });
+
+    test("should unlock the controls when the background reports no lock", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.BREAK,
+        strictMode: true,
+        lockedUntil: null,
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["pause-button"].disabled).toBe(false);
+      expect(mockElements["reset-button"].disabled).toBe(false);
+      expect(mockElements["strict-lock"].style.display).toBe("none");
+    });
+
+    test("should keep the session when the background rejects a reset", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.WORK,
+      });
+      mockBGClient.reset.mockResolvedValueOnce({
+        success: false,
+        locked: true,
+        lockedUntil: Date.now() + 60000,
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const resetHandler =
+        mockElements["reset-button"].addEventListener.mock.calls[0][1];
+      await resetHandler();
+
+      expect(mockTimerTicker.stop).not.toHaveBeenCalled();
+      expect(mockElements["running-screen"].style.display).toBe("block");
+      expect(mockElements["strict-lock"].style.display).toBe("block");
+    });
+  });
+
   describe("syncFromBG", () => {
     test("should handle null state from background", async () => {
       mockBGClient.update.mockResolvedValue(null);
@@ -279,7 +575,26 @@ describe("UI", () => {
       );
     });
 
-    test("should default to BREAK session when sessionType is not WORK", async () => {
+    test("should pass long break session type through", async () => {
+      const mockState = {
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.LONG_BREAK,
+        totalRemaining: 900000,
+        sessionRemaining: 900000,
+      };
+
+      mockBGClient.update.mockResolvedValue(mockState);
+
+      await import("@/ui/ui.js");
+
+      expect(mockTimerTicker.applyBG).toHaveBeenCalledWith(
+        SESSION_TYPES.LONG_BREAK,
+        900000,
+        900000
+      );
+    });
+
+    test("should default to BREAK session when sessionType is unknown", async () => {
       const mockState = {
         mode: TIMER_MODES.RUNNING,
         sessionType: "unknown",
@@ -297,6 +612,21 @@ describe("UI", () => {
         1500000
       );
     });
+
+    test("should select the block mode of the last run", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.SETUP,
+        sessionType: SESSION_TYPES.WORK,
+        blockMode: "allowlist",
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["block-mode"].value).toBe("allowlist");
+
+      mockElements["block-mode"].value = "blocklist";
+    });
   });
 
   describe("sync interval management", () => {
@@ -414,6 +744,60 @@ describe("UI", () => {
     });
   });
 
+  describe("skip/extend functionality", () => {
+    const runningState = {
+      mode: TIMER_MODES.RUNNING,
+      sessionType: SESSION_TYPES.WORK,
+      totalRemaining: 1500000,
+      sessionRemaining: 1500000,
+    };
+
+    test("should skip the current session and resync", async () => {
+      mockBGClient.update.mockResolvedValue(runningState);
+
+      await import("@/ui/ui.js");
+      mockBGClient.update.mockClear();
+
+      const skipHandler =
+        mockElements["skip-button"].addEventListener.mock.calls[0][1];
+      await skipHandler();
+
+      expect(mockBGClient.skip).toHaveBeenCalled();
+      expect(mockBGClient.update).toHaveBeenCalled();
+    });
+
+    test("should extend the current session by five minutes and resync", async () => {
+      mockBGClient.update.mockResolvedValue(runningState);
+
+      await import("@/ui/ui.js");
+      mockBGClient.update.mockClear();
+
+      const extendHandler =
+        mockElements["extend-button"].addEventListener.mock.calls[0][1];
+      await extendHandler();
+
+      expect(mockBGClient.extend).toHaveBeenCalledWith(5);
+      expect(mockBGClient.update).toHaveBeenCalled();
+    });
+
+    test("should ignore skip and extend while paused", async () => {
+      mockBGClient.update.mockResolvedValue({
+        ...runningState,
+        mode: TIMER_MODES.PAUSED,
+      });
+
+      await import("@/ui/ui.js");
+
+      await mockElements["skip-button"].addEventListener.mock.calls[0][1]();
+      await mockElements["extend-button"].addEventListener.mock.calls[0][1]();
+
+      expect(mockBGClient.skip).not.toHaveBeenCalled();
+      expect(mockBGClient.extend).not.toHaveBeenCalled();
+      expect(mockElements["skip-button"].disabled).toBe(true);
+      expect(mockElements["extend-button"].disabled).toBe(true);
+    });
+  });
+
   describe("view modes", () => {
     test("should display completed screen when timer is completed", async () => {
       const mockState = {
@@ -512,6 +896,7 @@ describe("UI", () => {
       expect(mockBGClient.saveSoundSettings).toHaveBeenCalledWith({
         soundEnabled: true,
         soundVolume: 75,
+        soundTrack: "nature",
       });
     });
 
@@ -531,6 +916,7 @@ describe("UI", () => {
       expect(mockBGClient.saveSoundSettings).toHaveBeenCalledWith({
         soundEnabled: false,
         soundVolume: 30,
+        soundTrack: "nature",
       });
     });
 
@@ -590,6 +976,142 @@ describe("UI", () => {
     });
   });
 
+  describe("ambient track picker", () => {
+    const trackHandler = () =>
+      mockElements["sound-track"].addEventListener.mock.calls.find(
+        (call) => call[0] === "change"
+      )[1];
+
+    test("should list the tracks in the catalog", async () => {
+      await import("@/ui/ui.js");
+
+      expect(
+        mockElements["sound-track"].children.map(({ value, textContent }) => [
+          value,
+          textContent,
+        ])
+      ).toEqual([
+        ["nature", "Nature"],
+        ["white-noise", "White noise"],
+        ["pink-noise", "Pink noise"],
+        ["brown-noise", "Brown noise"],
+        ["binaural-alpha", "Binaural 10 Hz"],
+      ]);
+    });
+
+    test("should list uploaded sounds after the catalog", async () => {
+      mockListUserTracks.mockResolvedValue([
+        { id: "user-abc", name: "Lo-fi loop" },
+      ]);
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.SETUP,
+        sessionType: SESSION_TYPES.WORK,
+        totalRemaining: 0,
+        sessionRemaining: 0,
+        soundTrack: "user-abc",
+      });
+
+      await import("@/ui/ui.js");
+      await vi.waitFor(() =>
+        expect(mockElements["sound-track"].children.at(-1)).toMatchObject({
+          value: "user-abc",
+          textContent: "Lo-fi loop",
+        })
+      );
+      expect(mockElements["sound-track"].value).toBe("user-abc");
+    });
+
+    test("should list the sounds again when the options page changes them", async () => {
+      await import("@/ui/ui.js");
+      await vi.waitFor(() => expect(mockListUserTracks).toHaveBeenCalled());
+
+      mockListUserTracks.mockResolvedValue([
+        { id: "user-abc", name: "Lo-fi loop" },
+      ]);
+      const [[, onMessage]] = mockSettingsChannel.addEventListener.mock.calls;
+      onMessage({ data: Constants.SETTINGS_CHANNEL.SOUNDS });
+
+      await vi.waitFor(() =>
+        expect(mockElements["sound-track"].children.at(-1)).toMatchObject({
+          value: "user-abc",
+        })
+      );
+    });
+
+    test("should keep the picker as it is on a sync", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.WORK,
+        totalRemaining: 60000,
+        sessionRemaining: 60000,
+      });
+      await import("@/ui/ui.js");
+      await vi.waitFor(() => expect(setInterval).toHaveBeenCalled());
+      const picker = mockElements["sound-track"].children;
+
+      const [[sync]] = setInterval.mock.calls;
+      await sync();
+
+      expect(mockListUserTracks).toHaveBeenCalledTimes(1);
+      expect(mockBGClient.getPresets).toHaveBeenCalledTimes(1);
+      expect(mockElements["sound-track"].children).toBe(picker);
+    });
+
+    test("should show the default track in place of a deleted upload", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.SETUP,
+        sessionType: SESSION_TYPES.WORK,
+        totalRemaining: 0,
+        sessionRemaining: 0,
+        soundTrack: "user-gone",
+      });
+
+      await import("@/ui/ui.js");
+      await vi.waitFor(() => expect(mockListUserTracks).toHaveBeenCalled());
+
+      expect(mockElements["sound-track"].value).toBe("nature");
+    });
+
+    test("should save the chosen track with the other sound settings", async () => {
+      mockElements["sound-toggle"].checked = true;
+      mockElements["sound-range"].value = "40";
+      await import("@/ui/ui.js");
+
+      mockElements["sound-track"].value = "pink-noise";
+      await trackHandler()();
+
+      expect(mockBGClient.saveSoundSettings).toHaveBeenCalledWith({
+        soundEnabled: true,
+        soundVolume: 40,
+        soundTrack: "pink-noise",
+      });
+    });
+
+    test("should put the track back when saving fails", async () => {
+      mockBGClient.saveSoundSettings.mockResolvedValue({ success: false });
+      await import("@/ui/ui.js");
+
+      mockElements["sound-track"].value = "brown-noise";
+      await trackHandler()();
+
+      expect(mockElements["sound-track"].value).toBe("nature");
+    });
+
+    test("should show the track stored in the background", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.SETUP,
+        sessionType: SESSION_TYPES.WORK,
+        totalRemaining: 0,
+        sessionRemaining: 0,
+        soundTrack: "white-noise",
+      });
+
+      await import("@/ui/ui.js");
+
+      expect(mockElements["sound-track"].value).toBe("white-noise");
+    });
+  });
+
   describe("sound settings sync from background", () => {
     test("should sync sound enabled state from background", async () => {
       const mockState = {
@@ -666,4 +1188,214 @@ describe("UI", () => {
       expect(mockElements["sound-range"].value).toBe("60");
     });
   });
+
+  describe("closed tabs", () => {
+    const closedTabs = [
+      { url: "https://reddit.com/r/a", title: "a", windowId: 1, index: 2 },
+      { url: "https://x.com/", title: "x", windowId: 1, index: 3 },
+    ];
+
+    test("should offer to reopen closed tabs during a break", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.BREAK,
+      });
+      mockBGClient.getClosedTabs.mockResolvedValue({
+        success: true,
+        closedTabs,
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["closed-tabs"].style.display).toBe("flex");
+      expect(mockElements["closed-tabs-count"].textContent).toBe(
+        "2 tabs closed during work"
+      );
+    });
+
+    test("should not offer to reopen tabs during a work session", async () => {
+      mockBGClient.update.mockResolvedValue({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.WORK,
+      });
+      mockBGClient.getClosedTabs.mockResolvedValue({
+        success: true,
+        closedTabs,
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockBGClient.getClosedTabs).not.toHaveBeenCalled();
+      expect(mockElements["closed-tabs"].style.display).toBe("none");
+    });
+
+    test("should reopen the tabs and hide the offer when clicked", async () => {
+      mockBGClient.update.mockResolvedValue({ mode: TIMER_MODES.COMPLETED });
+      mockBGClient.getClosedTabs
+        .mockResolvedValueOnce({ success: true, closedTabs })
+        .mockResolvedValueOnce({ success: true, closedTabs: [] });
+      mockBGClient.restoreClosedTabs.mockResolvedValue({
+        success: true,
+        restored: 2,
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const onClick =
+        mockElements["restore-tabs-button"].addEventListener.mock.calls[0][1];
+      await onClick();
+
+      expect(mockBGClient.restoreClosedTabs).toHaveBeenCalled();
+      expect(mockElements["closed-tabs"].style.display).toBe("none");
+    });
+  });
+
+  describe("site budgets", () => {
+    test("should list the time left on each budgeted site", async () => {
+      mockBGClient.update.mockResolvedValue({ mode: TIMER_MODES.SETUP });
+      mockBGClient.getBudgets.mockResolvedValue({
+        success: true,
+        budgets: [
+          {
+            domain: "youtube.com",
+            remainingMs: 12.5 * 60000,
+            exhausted: false,
+          },
+          { domain: "reddit.com", remainingMs: 0, exhausted: true },
+        ],
+      });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["budgets"].style.display).toBe("block");
+      expect(
+        mockElements["budget-list"].children.map((item) => item.textContent)
+      ).toEqual(["youtube.com: 13 min left", "reddit.com: used up"]);
+      expect(mockElements["budget-list"].children[1].className).toBe(
+        "budget-exhausted"
+      );
+    });
+
+    test("should hide the list when no budgets are set", async () => {
+      mockBGClient.update.mockResolvedValue({ mode: TIMER_MODES.SETUP });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["budgets"].style.display).toBe("none");
+      expect(mockElements["budget-list"].children).toEqual([]);
+    });
+  });
+
+  describe("focus presets", () => {
+    const coding = {
+      id: "coding",
+      name: "Coding",
+      workMinutes: 40,
+      breakMinutes: 8,
+      blockList: ["x.com", "reddit.com"],
+      soundEnabled: true,
+      soundVolume: 30,
+    };
+
+    const loadPresets = async (state = { mode: TIMER_MODES.SETUP }) => {
+      mockBGClient.update.mockResolvedValue(state);
+      mockBGClient.getPresets.mockResolvedValue({
+        success: true,
+        presets: [coding],
+      });
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    };
+
+    test("should show a start button for each preset", async () => {
+      await loadPresets();
+
+      const [button] = mockElements["preset-buttons"].children;
+      expect(mockElements["presets"].style.display).toBe("block");
+      expect(button.textContent).toBe("Coding");
+      expect(button.title).toBe("40 min work, 8 min break, 2 sites blocked");
+    });
+
+    test("should list the presets again when the options page saves them", async () => {
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(mockElements["presets"].style.display).toBe("none");
+
+      mockBGClient.getPresets.mockResolvedValue({
+        success: true,
+        presets: [coding],
+      });
+      const [[, onMessage]] = mockSettingsChannel.addEventListener.mock.calls;
+      onMessage({ data: Constants.SETTINGS_CHANNEL.PRESETS });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["presets"].style.display).toBe("block");
+      expect(mockElements["preset-buttons"].children[0].textContent).toBe(
+        "Coding"
+      );
+    });
+
+    test("should hide the presets when there are none", async () => {
+      mockBGClient.update.mockResolvedValue({ mode: TIMER_MODES.SETUP });
+
+      await import("@/ui/ui.js");
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(mockElements["presets"].style.display).toBe("none");
+    });
+
+    test("should start a run with the preset in one click", async () => {
+      mockElements["timer-duration"].value = "60";
+      mockElements["block-mode"].value = "allowlist";
+      await loadPresets();
+
+      const [button] = mockElements["preset-buttons"].children;
+      await button.addEventListener.mock.calls[0][1]();
+
+      expect(mockBGClient.start).toHaveBeenCalledWith({
+        startMode: "minutes",
+        minutes: 60,
+        workMinutes: 40,
+        breakMinutes: 8,
+        longBreakMinutes: 15,
+        longBreakInterval: 4,
+        blockMode: "blocklist",
+        strictMode: false,
+        presetId: "coding",
+      });
+      expect(mockTimerTicker.start).toHaveBeenCalledWith(60, 40);
+      expect(mockElements["sound-toggle"].checked).toBe(true);
+      expect(mockElements["sound-range"].value).toBe("30");
+      expect(mockElements["active-preset"].textContent).toBe("Preset: Coding");
+
+      mockElements["block-mode"].value = "blocklist";
+    });
+
+    test("should ignore the work and break inputs for a preset", async () => {
+      mockElements["work-duration"].value = "";
+      await loadPresets();
+
+      const [button] = mockElements["preset-buttons"].children;
+      await button.addEventListener.mock.calls[0][1]();
+
+      expect(mockBGClient.start).toHaveBeenCalled();
+
+      mockElements["work-duration"].value = "25";
+    });
+
+    test("should name the preset of a restored run", async () => {
+      await loadPresets({
+        mode: TIMER_MODES.RUNNING,
+        sessionType: SESSION_TYPES.WORK,
+        presetId: "coding",
+      });
+
+      expect(mockElements["active-preset"].style.display).toBe("block");
+      expect(mockElements["active-preset"].textContent).toBe("Preset: Coding");
+    });
+  });
 });
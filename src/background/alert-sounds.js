@@ -0,0 +1,54 @@
+import { playChime } from "./sound-controller.js";
+import Constants from "../constants.js";
+const { ALERT_SOUNDS } = Constants;
+
+/**
+ * Whether each alert sound plays and how loud, keyed by Constants.ALERT_SOUNDS
+ * value, as { enabled, volume }. They are set apart from the ambient loop,
+ * so they still play when the loop is off.
+ */
+const ALERT_SETTINGS_KEY = "pomodoroAlertSettings";
+
+const DEFAULT_ALERT_SETTINGS = {
+  [ALERT_SOUNDS.SWITCH]: { enabled: true, volume: 50 },
+  [ALERT_SOUNDS.COMPLETE]: { enabled: true, volume: 50 },
+  // Opt-in: a sound in the middle of work is easy to find distracting
+  [ALERT_SOUNDS.WARNING]: { enabled: false, volume: 50 },
+};
+
+/**
+ * Read the alert settings, filling in defaults for missing sounds and fields.
+ * @returns {Promise<Object>} { enabled, volume } for every alert sound
+ * @throws {Error} If reading storage fails
+ */
+export async function getAlertSettings() {
+  const { [ALERT_SETTINGS_KEY]: settings } = await chrome.storage.local.get(
+    ALERT_SETTINGS_KEY
+  );
+  return Object.fromEntries(
+    Object.entries(DEFAULT_ALERT_SETTINGS).map(([alert, defaults]) => [
+      alert,
+      { ...defaults, ...settings?.[alert] },
+    ])
+  );
+}
+
+/**
+ * Replace the alert settings.
+ * @param {Object} settings - Validated { enabled, volume } for every alert sound
+ * @throws {Error} If writing storage fails
+ */
+export async function saveAlertSettings(settings) {
+  await chrome.storage.local.set({ [ALERT_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Play an alert sound once, unless the user turned it off.
+ * @param {string} alert - A Constants.ALERT_SOUNDS value
+ * @throws {Error} If storage or the offscreen document fails
+ */
+export async function playAlert(alert) {
+  const { enabled, volume } = (await getAlertSettings())[alert];
+  if (!enabled) return;
+  await playChime(alert, volume);
+}
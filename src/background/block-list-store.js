@@ -0,0 +1,57 @@
+import Constants from "../constants.js";
+
+/**
+ * The block list and the allowlist are stored as arrays of domains in the
+ * user's order.
+ */
+const BLOCK_LIST_KEY = "pomodoroBlockList";
+const ALLOW_LIST_KEY = "pomodoroAllowList";
+
+/**
+ * Read the block list.
+ * Falls back to Constants.BLOCK_SITES until the user saves their own list.
+ * @returns {Promise<Array<string>>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getBlockList() {
+  return _loadList(BLOCK_LIST_KEY, Constants.BLOCK_SITES);
+}
+
+/**
+ * Replace the block list.
+ * @param {Array<string>} sites - Validated domains, in display order
+ * @throws {Error} If writing storage fails
+ */
+export async function saveBlockList(sites) {
+  await chrome.storage.local.set({ [BLOCK_LIST_KEY]: sites });
+}
+
+/**
+ * Read the allowlist used in allowlist mode.
+ * Falls back to Constants.ALLOW_SITES until the user saves their own list.
+ * @returns {Promise<Array<string>>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getAllowList() {
+  return _loadList(ALLOW_LIST_KEY, Constants.ALLOW_SITES);
+}
+
+/**
+ * Replace the allowlist.
+ * @param {Array<string>} sites - Validated domains, in display order
+ * @throws {Error} If writing storage fails
+ */
+export async function saveAllowList(sites) {
+  await chrome.storage.local.set({ [ALLOW_LIST_KEY]: sites });
+}
+
+/**
+ * @private
+ * @param {string} key - Storage key
+ * @param {Array<string>} defaults - Returned (as a copy) when nothing is stored
+ * @returns {Promise<Array<string>>}
+ */
+async function _loadList(key, defaults) {
+  const { [key]: sites } = await chrome.storage.local.get(key);
+  return Array.isArray(sites) ? sites : [...defaults];
+}
@@ -0,0 +1,145 @@
+/**
+ * Weekly blocking windows as [{ days, start, end }]:
+ *   days  - days of the week, 0 (Sunday) to 6 (Saturday)
+ *   start - local time the window opens, "HH:MM"
+ *   end   - local time the window closes, "HH:MM", later than start
+ */
+const SCHEDULES_KEY = "pomodoroBlockSchedules";
+
+/**
+ * Whether the schedule was inside a window at the last update, as
+ * { active, endsAt }. Kept so that only the edges of a window touch the rules.
+ */
+const SCHEDULE_STATE_KEY = "pomodoroScheduleState";
+
+/**
+ * Fires at the next time a window opens or closes.
+ */
+export const SCHEDULE_ALARM = "POMODORO_SCHEDULE";
+
+// Far enough ahead to reach every day of the week once
+const LOOKAHEAD_DAYS = 8;
+
+/**
+ * @returns {Promise<Array<{days: Array<number>, start: string, end: string}>>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getSchedules() {
+  const { [SCHEDULES_KEY]: schedules } = await chrome.storage.local.get(
+    SCHEDULES_KEY
+  );
+  return Array.isArray(schedules) ? schedules : [];
+}
+
+/**
+ * Replace the windows. Call updateSchedule() afterwards so that the state
+ * and the alarm follow them.
+ * @param {Array<Object>} schedules - Validated windows
+ * @throws {Error} If writing storage fails
+ */
+export async function saveSchedules(schedules) {
+  await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+}
+
+/**
+ * @returns {Promise<{active: boolean, endsAt: number|null}>} The state
+ *   stored by the last updateSchedule()
+ * @throws {Error} If reading storage fails
+ */
+export async function getScheduleState() {
+  const { [SCHEDULE_STATE_KEY]: state } = await chrome.storage.local.get(
+    SCHEDULE_STATE_KEY
+  );
+  return state ?? { active: false, endsAt: null };
+}
+
+/**
+ * Work out whether a window is open now, store it, and set the alarm for
+ * the next time a window opens or closes. Applying the rules is left to
+ * the caller, which knows whether a timer session owns them.
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object>} { wasActive, active, endsAt } where endsAt is
+ *   when the open windows close, or null
+ * @throws {Error} If reading or writing storage fails
+ */
+export async function updateSchedule(now = Date.now()) {
+  const intervals = _toIntervals(await getSchedules(), now);
+  const { active: wasActive } = await getScheduleState();
+
+  const endsAt = _findEnd(intervals, now);
+  const state = { active: endsAt !== null, endsAt };
+  await chrome.storage.local.set({ [SCHEDULE_STATE_KEY]: state });
+
+  const boundaries = intervals
+    .flat()
+    .filter((time) => time > now)
+    .sort((a, b) => a - b);
+  if (boundaries.length === 0) {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+  } else {
+    chrome.alarms.create(SCHEDULE_ALARM, { when: boundaries[0] });
+  }
+
+  return { wasActive, ...state };
+}
+
+/**
+ * Spell the weekly windows out as [start, end] epoch ms from today on.
+ * @private
+ * @param {Array<Object>} schedules
+ * @param {number} now
+ * @returns {Array<Array<number>>}
+ */
+function _toIntervals(schedules, now) {
+  const today = new Date(now);
+  const intervals = [];
+  for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+    const date = new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate() + offset
+    );
+    for (const { days, start, end } of schedules) {
+      if (!days.includes(date.getDay())) continue;
+      intervals.push([_atTime(date, start), _atTime(date, end)]);
+    }
+  }
+  return intervals;
+}
+
+/**
+ * When the windows open at a time close, following windows that overlap
+ * or touch so that back-to-back windows read as one.
+ * @private
+ * @param {Array<Array<number>>} intervals
+ * @param {number} now
+ * @returns {number|null} null if no window is open
+ */
+function _findEnd(intervals, now) {
+  let endsAt = null;
+  let time = now;
+  for (;;) {
+    const ends = intervals
+      .filter(([start, end]) => start <= time && time < end)
+      .map(([, end]) => end);
+    if (ends.length === 0) return endsAt;
+    time = endsAt = Math.max(...ends);
+  }
+}
+
+/**
+ * @private
+ * @param {Date} date - Local midnight of the day
+ * @param {string} time - "HH:MM"
+ * @returns {number} Epoch ms
+ */
+function _atTime(date, time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    hours,
+    minutes
+  ).getTime();
+}
@@ -0,0 +1,136 @@
+import { addUnlockRule, removeUnlockRule } from "./sites-guard.js";
+import Constants from "../constants.js";
+const { UNLOCK } = Constants;
+
+/**
+ * Domains unlocked right now, as { domain, slot, reason, unlockedAt, expiresAt }.
+ * The slot picks the rule ID and the alarm that removes the rule.
+ */
+const ACTIVE_UNLOCKS_KEY = "pomodoroActiveUnlocks";
+
+/**
+ * Every unlock ever granted, oldest first, as
+ * { domain, minutes, reason, unlockedAt, expiresAt }.
+ */
+const UNLOCK_LOG_KEY = "pomodoroUnlockLog";
+
+export const UNLOCK_ALARM_PREFIX = "POMODORO_UNLOCK_";
+
+/**
+ * Let a domain through the blocking rules for a few minutes and log it.
+ * Unlocking a domain that is already unlocked restarts its time.
+ * @param {Object} request
+ * @param {string} request.domain - Validated domain without a path
+ * @param {number} request.minutes - Validated length of the unlock
+ * @param {string} request.reason - Why the site is needed
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object>} The active unlock
+ * @throws {Error} If too many domains are unlocked, or a browser API fails
+ */
+export async function unlockSite(
+  { domain, minutes, reason },
+  now = Date.now()
+) {
+  const unlocks = await getActiveUnlocks();
+  const slot =
+    unlocks.find((unlock) => unlock.domain === domain)?.slot ??
+    _findFreeSlot(unlocks);
+
+  const unlock = {
+    domain,
+    slot,
+    reason,
+    unlockedAt: now,
+    expiresAt: now + minutes * 60 * 1000,
+  };
+
+  // Log first, so that no unlock is ever granted without a trace
+  await _appendLog({
+    domain,
+    minutes,
+    reason,
+    unlockedAt: unlock.unlockedAt,
+    expiresAt: unlock.expiresAt,
+  });
+  await addUnlockRule(slot, domain);
+  await chrome.storage.local.set({
+    [ACTIVE_UNLOCKS_KEY]: [
+      ...unlocks.filter((active) => active.slot !== slot),
+      unlock,
+    ],
+  });
+  chrome.alarms.create(UNLOCK_ALARM_PREFIX + slot, { when: unlock.expiresAt });
+  return unlock;
+}
+
+/**
+ * Remove the rule of an unlock whose alarm fired.
+ * @param {string} alarmName - UNLOCK_ALARM_PREFIX followed by the slot
+ * @throws {Error} If updating the rules or storage fails
+ */
+export async function expireUnlock(alarmName) {
+  if (!alarmName?.startsWith(UNLOCK_ALARM_PREFIX)) return;
+  const suffix = alarmName.slice(UNLOCK_ALARM_PREFIX.length);
+  if (!/^\d+$/.test(suffix)) return;
+  const slot = Number(suffix);
+
+  await removeUnlockRule(slot);
+  const unlocks = await getActiveUnlocks();
+  await chrome.storage.local.set({
+    [ACTIVE_UNLOCKS_KEY]: unlocks.filter((unlock) => unlock.slot !== slot),
+  });
+}
+
+/**
+ * @returns {Promise<Array<Object>>} The domains unlocked right now
+ * @throws {Error} If reading storage fails
+ */
+export async function getActiveUnlocks() {
+  return _loadArray(ACTIVE_UNLOCKS_KEY);
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Logged unlocks, oldest first
+ * @throws {Error} If reading storage fails
+ */
+export async function getUnlockLog() {
+  return _loadArray(UNLOCK_LOG_KEY);
+}
+
+/**
+ * @private
+ * @param {Array<Object>} unlocks - Active unlocks
+ * @returns {number} The lowest slot not in use
+ * @throws {Error} If every slot is in use
+ */
+function _findFreeSlot(unlocks) {
+  const used = new Set(unlocks.map((unlock) => unlock.slot));
+  for (let slot = 0; slot < UNLOCK.MAX_ACTIVE; slot++) {
+    if (!used.has(slot)) return slot;
+  }
+  throw new Error(
+    `Only ${UNLOCK.MAX_ACTIVE} sites can be unlocked at the same time`
+  );
+}
+
+/**
+ * Append an entry, keeping only the newest Constants.UNLOCK.MAX_LOG_ENTRIES.
+ * @private
+ * @param {Object} entry
+ */
+async function _appendLog(entry) {
+  const log = [...(await getUnlockLog()), entry];
+  await chrome.storage.local.set({
+    [UNLOCK_LOG_KEY]: log.slice(-UNLOCK.MAX_LOG_ENTRIES),
+  });
+}
+
+/**
+ * @private
+ * @param {string} key - Storage key
+ * @returns {Promise<Array<Object>>}
+ */
+async function _loadArray(key) {
+  const { [key]: value } = await chrome.storage.local.get(key);
+  return Array.isArray(value) ? value : [];
+}
@@ -1,22 +1,314 @@
 import { z } from "zod";
-import { initTimer, getTimer, saveSnapshot } from "./timer-store.js";
-import { startTick, stopTick } from "./setup-alarms.js";
+import {
+  initTimer,
+  getTimer,
+  saveSnapshot,
+  consumeRestoreResult,
+} from "./timer-store.js";
+import { startTick, stopTick, scheduleBoundaries } from "./setup-alarms.js";
 import { notify } from "./notification.js";
-import { enableBlock, disableBlock } from "./sites-guard.js";
+import {
+  enableBlock,
+  disableBlock,
+  isBlockingSession,
+  checkRegexSupport,
+  reconcileRules,
+} from "./sites-guard.js";
 import { handleSound } from "./sound-controller.js";
+import {
+  getAlertSettings,
+  saveAlertSettings,
+  playAlert,
+} from "./alert-sounds.js";
+import { SOUND_TRACKS } from "../sound-tracks.js";
+import { isUserTrackId, getUserTrack } from "../sound-library.js";
+import {
+  getBlockList,
+  saveBlockList,
+  getAllowList,
+  saveAllowList,
+} from "./block-list-store.js";
+import { recordSession, getHistory, importSessions } from "./history-store.js";
+import { queueReturn, openQueuedReturns } from "./return-queue.js";
+import {
+  unlockSite,
+  expireUnlock,
+  getActiveUnlocks,
+  getUnlockLog,
+} from "./emergency-unlock.js";
+import {
+  getScrubSettings,
+  saveScrubSettings,
+  getClosedTabs,
+  restoreClosedTabs,
+  autoRestoreClosedTabs,
+} from "./scrubbed-tabs.js";
+import {
+  saveBudgets,
+  refreshBudgets,
+  getBudgetStatus,
+  getBlockedBudgetDomains,
+} from "./site-budgets.js";
+import {
+  getSchedules,
+  saveSchedules,
+  getScheduleState,
+  updateSchedule,
+} from "./block-schedule.js";
+import { getPresets, getPreset, savePresets } from "./focus-presets.js";
 import { createErrObject, normalizeResponse, isFatal } from "./result.js";
+import { validateSitePattern } from "../site-patterns.js";
 import Constants from "../constants.js";
 
-const StartSettingsSchema = z.object({
+const SessionLengthsSchema = z.object({
+  workMinutes: z
+    .number()
+    .int()
+    .min(Constants.DURATIONS.MIN_WORK_MINUTES)
+    .max(Constants.DURATIONS.MAX_WORK_MINUTES)
+    .optional(),
+  breakMinutes: z
+    .number()
+    .int()
+    .min(Constants.DURATIONS.MIN_BREAK_MINUTES)
+    .max(Constants.DURATIONS.MAX_BREAK_MINUTES)
+    .optional(),
+  longBreakMinutes: z
+    .number()
+    .int()
+    .min(Constants.DURATIONS.MIN_LONG_BREAK_MINUTES)
+    .max(Constants.DURATIONS.MAX_LONG_BREAK_MINUTES)
+    .optional(),
+  longBreakInterval: z
+    .number()
+    .int()
+    .min(Constants.CYCLES.MIN_LONG_BREAK_INTERVAL)
+    .max(Constants.CYCLES.MAX_LONG_BREAK_INTERVAL)
+    .optional(),
+});
+
+const StartOptionsSchema = SessionLengthsSchema.extend({
+  blockMode: z.enum(Object.values(Constants.BLOCK_MODES)).optional(),
+  strictMode: z.boolean().optional(),
+  presetId: z.string().min(1).optional(),
+});
+
+const MinutesStartSchema = z
+  .object({
+    startMode: z.literal(Constants.START_MODES.MINUTES),
+    minutes: z
+      .number()
+      .min(Constants.DURATIONS.MIN_TOTAL_MINUTES)
+      .max(Constants.DURATIONS.MAX_TOTAL_MINUTES),
+  })
+  .extend(StartOptionsSchema.shape);
+
+const CyclesStartSchema = z
+  .object({
+    startMode: z.literal(Constants.START_MODES.CYCLES),
+    cycles: z
+      .number()
+      .int()
+      .min(Constants.CYCLES.MIN_TARGET_CYCLES)
+      .max(Constants.CYCLES.MAX_TARGET_CYCLES),
+  })
+  .extend(StartOptionsSchema.shape);
+
+// startMode defaults to "minutes" so that plain `{ minutes }` payloads keep working
+const StartSettingsSchema = z
+  .preprocess(
+    (payload) => ({ startMode: Constants.START_MODES.MINUTES, ...payload }),
+    z.discriminatedUnion("startMode", [MinutesStartSchema, CyclesStartSchema])
+  )
+  // A preset brings its own block list, so its runs are block list runs
+  .refine(
+    ({ presetId, blockMode }) =>
+      presetId === void 0 || blockMode !== Constants.BLOCK_MODES.ALLOWLIST,
+    { message: "A focus preset cannot run in allowlist mode" }
+  );
+
+const ExtendSettingsSchema = z.object({
+  minutes: z.number().int().min(1).max(Constants.DURATIONS.MAX_EXTEND_MINUTES),
+});
+
+const HistoryQuerySchema = z.object({
+  from: z.number().optional(),
+  to: z.number().optional(),
+  sessionType: z.enum(Object.values(Constants.SESSION_TYPES)).optional(),
+  endReason: z.enum(Object.values(Constants.SESSION_END_REASONS)).optional(),
+  limit: z.number().int().min(1).optional(),
+});
+
+const HistoryRecordSchema = z
+  .object({
+    id: z.string().min(1),
+    sessionType: z.enum(Object.values(Constants.SESSION_TYPES)),
+    startTime: z.number().int().nonnegative(),
+    endTime: z.number().int().nonnegative(),
+    plannedDuration: z.number().nonnegative(),
+    actualDuration: z.number().nonnegative(),
+    pausedDuration: z.number().nonnegative(),
+    endReason: z.enum(Object.values(Constants.SESSION_END_REASONS)),
+  })
+  .refine((r) => r.endTime >= r.startTime, {
+    message: "endTime must not be before startTime",
+  });
+
+// Matches the JSON export written by the stats page
+const HistoryImportSchema = z.object({
+  version: z.literal(Constants.HISTORY.EXPORT_VERSION),
+  sessions: z.array(HistoryRecordSchema),
+});
+
+// Shared by the block list, the allowlist and the focus presets
+const SitesSchema = z
+  .array(
+    z.string().superRefine((pattern, ctx) => {
+      const { valid, error } = validateSitePattern(pattern);
+      if (!valid) ctx.addIssue({ code: "custom", message: error });
+    })
+  )
+  .max(Constants.BLOCK_LIST.MAX_SITES)
+  .refine((sites) => new Set(sites).size === sites.length, {
+    message: "Duplicate domain",
+  });
+
+const SiteListSchema = z.object({ sites: SitesSchema });
+
+// A bare domain (and its subdomains), without a path or a regex
+const DomainSchema = z
+  .string()
+  .refine(
+    (domain) => !domain.includes("/") && validateSitePattern(domain).valid,
+    { message: "Invalid domain" }
+  );
+
+// Only web pages can be blocked, so only they are reopened
+const ReturnLaterSchema = z.object({
+  url: z.url({ protocol: /^https?$/, error: "Invalid URL" }),
+});
+
+// The phrase must be typed on the block page, so it is checked here too
+const UnlockSchema = z.object({
+  domain: DomainSchema,
   minutes: z
     .number()
-    .min(Constants.DURATIONS.MIN_TOTAL_MINUTES)
-    .max(Constants.DURATIONS.MAX_TOTAL_MINUTES),
+    .int()
+    .min(Constants.UNLOCK.MIN_MINUTES)
+    .max(Constants.UNLOCK.MAX_MINUTES),
+  reason: z
+    .string()
+    .trim()
+    .min(1, "A reason is required")
+    .max(Constants.UNLOCK.MAX_REASON_LENGTH),
+  confirmation: z.literal(Constants.UNLOCK.CONFIRM_PHRASE, {
+    error: "Confirmation phrase does not match",
+  }),
+});
+
+const BudgetListSchema = z.object({
+  budgets: z
+    .array(
+      z.object({
+        domain: DomainSchema,
+        minutes: z
+          .number()
+          .int()
+          .min(Constants.SITE_BUDGETS.MIN_MINUTES)
+          .max(Constants.SITE_BUDGETS.MAX_MINUTES),
+      })
+    )
+    .max(Constants.SITE_BUDGETS.MAX_SITES)
+    .refine(
+      (budgets) =>
+        new Set(budgets.map(({ domain }) => domain)).size === budgets.length,
+      { message: "Duplicate domain" }
+    ),
 });
 
+// "HH:MM" as sent by <input type="time">
+const TimeOfDaySchema = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):[0-5]\d$/, { message: "Invalid time" });
+
+const ScheduleListSchema = z.object({
+  schedules: z
+    .array(
+      z
+        .object({
+          days: z
+            .array(z.number().int().min(0).max(6))
+            .min(1, "Pick at least one day")
+            .refine((days) => new Set(days).size === days.length, {
+              message: "Duplicate day",
+            }),
+          start: TimeOfDaySchema,
+          end: TimeOfDaySchema,
+        })
+        // Zero-padded times compare correctly as strings
+        .refine(({ start, end }) => start < end, {
+          message: "End must be after start",
+        })
+    )
+    .max(Constants.SCHEDULES.MAX_WINDOWS),
+});
+
+const ScrubSettingsSchema = z.object({
+  scrubAction: z.enum(Object.values(Constants.SCRUB_ACTIONS), {
+    error: "Invalid scrub action",
+  }),
+  autoRestoreTabs: z.boolean(),
+});
+
+const AlertSoundSchema = z.object({
+  enabled: z.boolean(),
+  volume: z.number().min(0).max(100),
+});
+
+const AlertSettingsSchema = z.object(
+  Object.fromEntries(
+    Object.values(Constants.ALERT_SOUNDS).map((alert) => [
+      alert,
+      AlertSoundSchema,
+    ])
+  )
+);
+
 const SoundSettingsSchema = z.object({
   soundEnabled: z.boolean(),
   soundVolume: z.number().min(0).max(100),
+  // A bundled track or an upload; left out to keep the current track
+  soundTrack: z
+    .string()
+    .refine(
+      (id) =>
+        SOUND_TRACKS.some((track) => track.id === id) || isUserTrackId(id),
+      { message: "Unknown sound track" }
+    )
+    .optional(),
+});
+
+const PresetListSchema = z.object({
+  presets: z
+    .array(
+      SessionLengthsSchema.pick({ workMinutes: true, breakMinutes: true })
+        .required()
+        .extend({
+          id: z.string().min(1).max(Constants.PRESETS.MAX_ID_LENGTH),
+          name: z
+            .string()
+            .trim()
+            .min(1, "A name is required")
+            .max(Constants.PRESETS.MAX_NAME_LENGTH),
+          blockList: SitesSchema,
+        })
+        .extend(SoundSettingsSchema.shape)
+    )
+    .max(Constants.PRESETS.MAX_PRESETS)
+    .refine(
+      (presets) => new Set(presets.map(({ id }) => id)).size === presets.length,
+      { message: "Duplicate preset" }
+    ),
 });
 
 /**
@@ -25,13 +317,31 @@ const SoundSettingsSchema = z.object({
  */
 const OPERATIONS = {
   initTimer: { fn: initTimer, fatal: true },
+  consumeRestoreResult: { fn: consumeRestoreResult, fatal: false },
   saveSnapshot: { fn: saveSnapshot, fatal: false },
   handleSound: { fn: handleSound, fatal: false },
+  playAlert: { fn: playAlert, fatal: false },
+  getAlertSettings: { fn: getAlertSettings, fatal: true },
   enableBlock: { fn: enableBlock, fatal: true },
   disableBlock: { fn: disableBlock, fatal: true },
   startTick: { fn: startTick, fatal: true },
   stopTick: { fn: stopTick, fatal: true },
+  scheduleBoundaries: { fn: scheduleBoundaries, fatal: false },
   notify: { fn: notify, fatal: false },
+  checkRegexSupport: { fn: checkRegexSupport, fatal: true },
+  saveBlockList: { fn: saveBlockList, fatal: true },
+  saveAllowList: { fn: saveAllowList, fatal: true },
+  recordSession: { fn: recordSession, fatal: false },
+  openQueuedReturns: { fn: openQueuedReturns, fatal: false },
+  getScrubSettings: { fn: getScrubSettings, fatal: true },
+  restoreClosedTabs: { fn: restoreClosedTabs, fatal: true },
+  autoRestoreClosedTabs: { fn: autoRestoreClosedTabs, fatal: false },
+  expireUnlock: { fn: expireUnlock, fatal: true },
+  saveBudgets: { fn: saveBudgets, fatal: true },
+  refreshBudgets: { fn: refreshBudgets, fatal: true },
+  saveSchedules: { fn: saveSchedules, fatal: true },
+  updateSchedule: { fn: updateSchedule, fatal: true },
+  savePresets: { fn: savePresets, fatal: true },
 };
 
 /**
@@ -65,8 +375,11 @@ export async function handleEvents(type, payload = {}) {
     return createErrObject(new Error(`Unknown event type: ${type}`), true);
   }
 
-  // Initialize timer first before getting it
-  const initRes = await _runStep(_onStep("initTimer"));
+  // Initialize timer first before getting it; a discarded snapshot is a warning
+  const initRes = await _runSteps([
+    _onStep("initTimer"),
+    _onStep("consumeRestoreResult"),
+  ]);
   if (isFatal(initRes)) return initRes;
 
   // Now safe to call eventBuilder which may use getTimer()
@@ -112,31 +425,575 @@ async function _runStep(step) {
   }
 }
 
+/**
+ * Validates a payload against a zod schema.
+ * @param {Object} schema - Zod schema
+ * @param {*} payload - Data to validate
+ * @returns {*} The parsed data
+ * @throws {Error} With every issue message if validation fails
+ */
+function _parseOrThrow(schema, payload) {
+  const result = schema.safeParse(payload);
+  if (!result.success) {
+    const errorMessages =
+      result.error?.issues?.map((issue) => issue.message).join(", ") ||
+      "Validation failed";
+    throw new Error(errorMessages);
+  }
+  return result.data;
+}
+
 /**
  * Creates a step for starting the timer with validation.
- * @param {Object} payload - Timer duration in minutes
+ * A focus preset supplies the work and break lengths, the block list and
+ * the sound settings for the run; session lengths in the payload take
+ * precedence.
+ * @param {Object} payload - Total minutes or cycle count, plus optional session
+ *   lengths, block mode, strict mode and preset ID
  * @returns {Object} Step object
  */
 function _startTimerStep(payload) {
+  return {
+    fn: async () => {
+      const {
+        startMode,
+        minutes,
+        cycles,
+        blockMode,
+        strictMode,
+        presetId,
+        ...lengths
+      } = _parseOrThrow(StartSettingsSchema, payload);
+      const preset = presetId ? await getPreset(presetId) : null;
+      if (presetId && !preset) throw new Error("Unknown focus preset");
+
+      const timer = getTimer();
+      let sessionLengths = lengths;
+      if (preset) {
+        const { workMinutes, breakMinutes } = preset;
+        sessionLengths = { workMinutes, breakMinutes, ...lengths };
+      }
+      timer.presetId = preset?.id ?? null;
+      // Strict mode is chosen per run and never carried over
+      timer.strictMode = strictMode ?? false;
+      if (startMode === Constants.START_MODES.CYCLES) {
+        timer.startCycles(cycles, sessionLengths);
+      } else {
+        timer.start(minutes, sessionLengths);
+      }
+      // After starting, which puts back the user's own block mode and sound
+      // settings; the run's rules are only applied after this step
+      if (preset) {
+        timer.applyRunBlockMode(Constants.BLOCK_MODES.BLOCKLIST);
+        timer.applyRunSound(preset);
+      } else if (blockMode) {
+        timer.blockMode = blockMode;
+      }
+      return { success: true, presetId: timer.presetId };
+    },
+    name: "startTimer",
+    fatal: true,
+  };
+}
+
+/**
+ * Rejects a control that strict mode locks during the running work session.
+ * The result is fatal so the event stops before touching the timer, and
+ * carries when the control becomes available again.
+ * @param {string} action - "pause", "reset" or "skip", for the message
+ * @returns {Object|null} Result object, or null if the control is available
+ */
+function _strictLockResult(action) {
+  const lockedUntil = getTimer().getStrictLockEnd();
+  if (lockedUntil === null || lockedUntil <= Date.now()) return null;
+  return {
+    ...createErrObject(
+      new Error(`Strict mode: cannot ${action} during a work session`),
+      true
+    ),
+    locked: true,
+    lockedUntil,
+  };
+}
+
+/**
+ * Creates a step for extending the current session with validation.
+ * @param {Object} payload - Minutes to add to the current session
+ * @returns {Object} Step object
+ */
+function _extendSessionStep(payload) {
   return {
     fn: () => {
-      const result = StartSettingsSchema.safeParse(payload);
-      if (!result.success) {
-        const errorMessages =
-          result.error?.issues?.map((issue) => issue.message).join(", ") ||
-          "Validation failed";
-        throw new Error(errorMessages);
+      const data = _parseOrThrow(ExtendSettingsSchema, payload);
+      const extendedBy = getTimer().extend(data.minutes);
+      return { extendedBy };
+    },
+    name: "extendSession",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for reading the session history log with validation.
+ * @param {Object} payload - Optional filter accepted by getHistory()
+ * @returns {Object} Step object
+ */
+function _queryHistoryStep(payload) {
+  return {
+    fn: async () => {
+      const data = _parseOrThrow(HistoryQuerySchema, payload);
+      const history = await getHistory(data);
+      return { history };
+    },
+    name: "queryHistory",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for importing exported history with validation.
+ * @param {Object} payload - Parsed JSON export ({ version, sessions })
+ * @returns {Object} Step object
+ */
+function _importHistoryStep(payload) {
+  return {
+    fn: async () => {
+      const data = _parseOrThrow(HistoryImportSchema, payload);
+      return await importSessions(data.sessions);
+    },
+    name: "importHistory",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for reading the block list or the allowlist.
+ * @param {Function} getList - getBlockList or getAllowList
+ * @returns {Object} Step object
+ */
+function _getSiteListStep(getList) {
+  return {
+    fn: async () => ({ sites: await getList() }),
+    name: "getSiteList",
+    fatal: true,
+  };
+}
+
+/**
+ * Whether a work session of the run is running or paused, so that the
+ * run's block mode decides the rules.
+ * @returns {boolean}
+ */
+function _isWorkBlocking() {
+  const timer = getTimer();
+  const isActive =
+    timer.mode === Constants.TIMER_MODES.RUNNING ||
+    timer.mode === Constants.TIMER_MODES.PAUSED;
+  return isActive && isBlockingSession(timer.sessionType);
+}
+
+/**
+ * Whether the applied rules are the block list of the run's focus preset
+ * rather than a stored list.
+ * @returns {boolean}
+ */
+function _isPresetBlocking() {
+  return _isWorkBlocking() && getTimer().presetId != null;
+}
+
+/**
+ * Whether the run's rules are the same as a scheduled window's: the stored
+ * block list. Allowlist runs and focus preset runs bring their own.
+ * @returns {boolean}
+ */
+function _runUsesBlockList() {
+  const { blockMode, presetId } = getTimer();
+  return blockMode === Constants.BLOCK_MODES.BLOCKLIST && presetId == null;
+}
+
+/**
+ * The block mode whose rules are currently applied: the run's during a
+ * work session, otherwise the block list while a scheduled window is open.
+ * @returns {Promise<string|null>} One of Constants.BLOCK_MODES, or null if
+ *   nothing is blocked
+ */
+async function _appliedBlockMode() {
+  if (_isWorkBlocking()) return getTimer().blockMode;
+  const { active } = await getScheduleState();
+  return active ? Constants.BLOCK_MODES.BLOCKLIST : null;
+}
+
+/**
+ * Steps that apply the run's rules as a work session begins. Inside a
+ * scheduled window the block list is already applied, so it is only
+ * swapped out when the run brings rules of its own.
+ * @returns {Promise<Array<Object>>} Step objects
+ */
+async function _workBlockSteps() {
+  const { active } = await getScheduleState();
+  if (!active) return [_onStep("enableBlock")];
+  if (_runUsesBlockList()) return [];
+  return [
+    _onStep("disableBlock", Constants.BLOCK_MODES.BLOCKLIST),
+    _onStep("enableBlock"),
+  ];
+}
+
+/**
+ * Steps that lift the run's rules as its work session ends, then reopen
+ * what waited for the block to end. Inside a scheduled window the block
+ * list stays applied, so a break does not unblock anything.
+ * @returns {Promise<Array<Object>>} Step objects
+ */
+async function _breakBlockSteps() {
+  const { active } = await getScheduleState();
+  if (!active) {
+    return [
+      _onStep("disableBlock"),
+      _onStep("openQueuedReturns"),
+      _onStep("autoRestoreClosedTabs"),
+    ];
+  }
+  if (_runUsesBlockList()) return [];
+  return [_onStep("disableBlock"), _scheduleBlockStep()];
+}
+
+/**
+ * Creates a step that applies the block list for a scheduled window. The
+ * run does not depend on these rules, so failing to apply them leaves the
+ * timer alone and only warns.
+ * @returns {Object} Step object
+ */
+function _scheduleBlockStep() {
+  return {
+    fn: async () => {
+      try {
+        await enableBlock(Constants.BLOCK_MODES.BLOCKLIST, {
+          resetTimer: false,
+        });
+      } catch (error) {
+        console.warn("Failed to apply the scheduled block:", error.message);
+        throw error;
       }
+    },
+    name: "enableBlock",
+    fatal: false,
+  };
+}
 
-      const { minutes } = payload;
-      getTimer().start(minutes);
-      return { success: true };
+/**
+ * Validate and save the block list or the allowlist.
+ * @param {Object} payload - { sites }
+ * @param {string} operationName - "saveBlockList" or "saveAllowList"
+ * @param {string} blockMode - The block mode that uses the list
+ * @returns {Promise<Object>} Result object with the saved sites
+ */
+async function _saveSiteList(payload, operationName, blockMode) {
+  // Validate before touching the rules so a bad list never lifts the block
+  let sites;
+  try {
+    ({ sites } = _parseOrThrow(SiteListSchema, payload));
+  } catch (error) {
+    return createErrObject(error, true);
+  }
+
+  // Regexes the browser cannot compile would only fail when the rules are
+  // applied, so check them first too. Rule IDs follow the list, so swap the
+  // rules around the save; a focus preset run does not use the stored list.
+  const isBlockActive =
+    (await _appliedBlockMode()) === blockMode && !_isPresetBlocking();
+  const steps = [_onStep("checkRegexSupport", sites)];
+  if (isBlockActive) steps.push(_onStep("disableBlock", blockMode));
+  steps.push(_onStep(operationName, sites));
+  if (isBlockActive) {
+    steps.push(
+      _isWorkBlocking()
+        ? _onStep("enableBlock", blockMode)
+        : _scheduleBlockStep()
+    );
+  }
+  const saveRes = await _runSteps(steps);
+  if (isFatal(saveRes)) return saveRes;
+  return _mergeResults(saveRes, { sites });
+}
+
+/**
+ * Creates a step for queueing a blocked URL to reopen after the session.
+ * @param {Object} payload - { url } of the blocked page
+ * @returns {Object} Step object
+ */
+function _queueReturnStep(payload) {
+  return {
+    fn: async () => {
+      const data = _parseOrThrow(ReturnLaterSchema, payload);
+      await queueReturn(data.url);
+      return data;
     },
-    name: "startTimer",
+    name: "queueReturn",
     fatal: true,
   };
 }
 
+/**
+ * Creates a step for unlocking a domain during a work session.
+ * @param {Object} payload - { domain, minutes, reason, confirmation }
+ * @returns {Object} Step object
+ */
+function _unlockStep(payload) {
+  return {
+    fn: async () => {
+      const { domain, minutes, reason } = _parseOrThrow(UnlockSchema, payload);
+      if ((await _appliedBlockMode()) === null) {
+        throw new Error("No work session or schedule is blocking sites");
+      }
+
+      const unlock = await unlockSite({ domain, minutes, reason });
+      return { domain, expiresAt: unlock.expiresAt };
+    },
+    name: "unlockSite",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for reading the active unlocks and the unlock log.
+ * @returns {Object} Step object
+ */
+function _getUnlocksStep() {
+  return {
+    fn: async () => ({
+      unlocks: await getActiveUnlocks(),
+      log: await getUnlockLog(),
+    }),
+    name: "getUnlocks",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for reading today's budgets with the time left.
+ * @returns {Object} Step object
+ */
+function _getBudgetsStep() {
+  return {
+    fn: async () => ({ budgets: await getBudgetStatus() }),
+    name: "getBudgets",
+    fatal: true,
+  };
+}
+
+/**
+ * Validate and save the daily site budgets, then apply them right away so
+ * that a raised or removed budget lifts its block.
+ * @param {Object} payload - { budgets }
+ * @returns {Promise<Object>} Result object with the saved budgets
+ */
+async function _saveBudgets(payload) {
+  let budgets;
+  try {
+    ({ budgets } = _parseOrThrow(BudgetListSchema, payload));
+  } catch (error) {
+    return createErrObject(error, true);
+  }
+
+  const saveRes = await _runSteps([
+    _onStep("saveBudgets", budgets),
+    _onStep("refreshBudgets"),
+  ]);
+  if (isFatal(saveRes)) return saveRes;
+  return _mergeResults(saveRes, { budgets });
+}
+
+/**
+ * Creates a step for reading the blocking schedule and whether a window is
+ * open right now.
+ * @returns {Object} Step object
+ */
+function _getSchedulesStep() {
+  return {
+    fn: async () => ({
+      schedules: await getSchedules(),
+      ...(await getScheduleState()),
+    }),
+    name: "getSchedules",
+    fatal: true,
+  };
+}
+
+/**
+ * Validate and save the blocking schedule, then apply it right away.
+ * @param {Object} payload - { schedules }
+ * @returns {Promise<Object>} Result object with the saved schedules
+ */
+async function _saveSchedules(payload) {
+  let schedules;
+  try {
+    ({ schedules } = _parseOrThrow(ScheduleListSchema, payload));
+  } catch (error) {
+    return createErrObject(error, true);
+  }
+
+  const saveRes = await _runSteps([_onStep("saveSchedules", schedules)]);
+  if (isFatal(saveRes)) return saveRes;
+  const refreshRes = await _refreshSchedule();
+  if (isFatal(refreshRes)) return refreshRes;
+  return _mergeResults(saveRes, refreshRes, { schedules });
+}
+
+/**
+ * Apply the block list when a scheduled window opens and lift it when the
+ * window closes. During a work session the run's rules stay in charge;
+ * the session's own start and end hand over to the schedule.
+ * @returns {Promise<Object>} Result object with { active, endsAt }
+ */
+async function _refreshSchedule() {
+  const updateRes = await _runSteps([_onStep("updateSchedule")]);
+  if (isFatal(updateRes)) return updateRes;
+
+  const { wasActive, ...state } = updateRes;
+  if (wasActive === state.active || _isWorkBlocking()) return state;
+
+  const steps = state.active
+    ? [_scheduleBlockStep()]
+    : [
+        _onStep("disableBlock", Constants.BLOCK_MODES.BLOCKLIST),
+        _onStep("openQueuedReturns"),
+        _onStep("autoRestoreClosedTabs"),
+      ];
+  return _mergeResults(state, await _runSteps(steps));
+}
+
+/**
+ * Creates a step for reading the focus presets.
+ * @returns {Object} Step object
+ */
+function _getPresetsStep() {
+  return {
+    fn: async () => ({ presets: await getPresets() }),
+    name: "getPresets",
+    fatal: true,
+  };
+}
+
+/**
+ * Validate and save the focus presets. When the running work session
+ * blocks a preset's list, its rules are swapped around the save so that
+ * edits apply right away.
+ * @param {Object} payload - { presets }
+ * @returns {Promise<Object>} Result object with the saved presets
+ */
+async function _savePresets(payload) {
+  let presets;
+  try {
+    ({ presets } = _parseOrThrow(PresetListSchema, payload));
+  } catch (error) {
+    return createErrObject(error, true);
+  }
+
+  const sites = [...new Set(presets.flatMap(({ blockList }) => blockList))];
+  const isBlockActive = _isPresetBlocking();
+  const steps = [_onStep("checkRegexSupport", sites)];
+  if (isBlockActive) steps.push(_onStep("disableBlock"));
+  steps.push(_onStep("savePresets", presets));
+  if (isBlockActive) steps.push(_onStep("enableBlock"));
+  const saveRes = await _runSteps(steps);
+  if (isFatal(saveRes)) return saveRes;
+  return _mergeResults(saveRes, { presets });
+}
+
+/**
+ * Creates a step that brings the installed blocking rules in line with
+ * the restored timer, the schedule, the unlocks that have not run out and
+ * today's used-up budgets, and logs anything it had to change.
+ * @returns {Object} Step object
+ */
+function _reconcileRulesStep() {
+  return {
+    fn: async () => {
+      const now = Date.now();
+      const unlocks = (await getActiveUnlocks()).filter(
+        (unlock) => unlock.expiresAt > now
+      );
+      const { added, removed } = await reconcileRules({
+        blockMode: await _appliedBlockMode(),
+        presetId: _isPresetBlocking() ? getTimer().presetId : null,
+        unlocks,
+        budgetDomains: await getBlockedBudgetDomains(now),
+      });
+      if (added.length > 0 || removed.length > 0) {
+        console.warn(
+          `Reconciled blocking rules: added [${added.join(
+            ", "
+          )}], removed [${removed.join(", ")}]`
+        );
+      }
+      return { added, removed };
+    },
+    name: "reconcileRules",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for reading the tabs closed when blocking started.
+ * @returns {Object} Step object
+ */
+function _getClosedTabsStep() {
+  return {
+    fn: async () => ({ closedTabs: await getClosedTabs() }),
+    name: "getClosedTabs",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for saving how open blocked tabs are treated.
+ * Takes effect the next time blocking starts.
+ * @param {Object} payload - { scrubAction, autoRestoreTabs }
+ * @returns {Object} Step object
+ */
+function _saveScrubSettingsStep(payload) {
+  return {
+    fn: async () => {
+      const data = _parseOrThrow(ScrubSettingsSchema, payload);
+      await saveScrubSettings(data);
+      return { ...data };
+    },
+    name: "saveScrubSettings",
+    fatal: true,
+  };
+}
+
+/**
+ * Creates a step for saving the alert sound settings.
+ * Takes effect from the next alert.
+ * @param {Object} payload - { enabled, volume } for every alert sound
+ * @returns {Object} Step object
+ */
+function _saveAlertSettingsStep(payload) {
+  return {
+    fn: async () => {
+      const data = _parseOrThrow(AlertSettingsSchema, payload);
+      await saveAlertSettings(data);
+      return { ...data };
+    },
+    name: "saveAlertSettings",
+    fatal: true,
+  };
+}
+
+/**
+ * Whether the running session ends within the warning lead time. The
+ * warning alarm can outlive the session it was set for, e.g. after a skip.
+ * @returns {boolean}
+ */
+function _isSessionEnding() {
+  const sessionEnd = getTimer().getSessionEndTime();
+  if (sessionEnd == null) return false;
+  const remaining = sessionEnd - Date.now();
+  return remaining > 0 && remaining <= Constants.SESSION_WARNING.LEAD_MS;
+}
+
 /**
  * Creates a step for saving sound settings.
  * @param {boolean} isEnabled - Whether sound is enabled
@@ -144,19 +1001,16 @@ function _startTimerStep(payload) {
  */
 function _saveSoundStep(payload) {
   return {
-    fn: () => {
-      const result = SoundSettingsSchema.safeParse(payload);
-      if (!result.success) {
-        const errorMessages =
-          result.error?.issues?.map((issue) => issue.message).join(", ") ||
-          "Validation failed";
-        throw new Error(errorMessages);
+    fn: async () => {
+      const data = _parseOrThrow(SoundSettingsSchema, payload);
+      const { soundEnabled, soundVolume, soundTrack } = data;
+      if (isUserTrackId(soundTrack) && !(await getUserTrack(soundTrack))) {
+        throw new Error("Unknown sound track");
       }
-
-      const { soundEnabled, soundVolume } = result.data;
       getTimer().soundEnabled = soundEnabled;
       getTimer().soundVolume = soundVolume;
-      return result.data;
+      if (soundTrack) getTimer().soundTrack = soundTrack;
+      return data;
     },
     name: "saveSound",
     fatal: true,
@@ -169,14 +1023,18 @@ function _saveSoundStep(payload) {
  */
 const EVENTS = {
   "timer/start": async (payload) => {
-    const steps = [
-      _startTimerStep(payload),
-      _onStep("enableBlock"),
-      _onStep("startTick"),
-    ];
-    return await _runSteps(steps);
+    // Starting over throws the current run away, so it is locked like reset
+    const lockRes = _strictLockResult("reset");
+    if (lockRes) return lockRes;
+    // The run's block mode is only known once the timer has started
+    const startRes = await _runStep(_startTimerStep(payload));
+    if (isFatal(startRes)) return startRes;
+    const steps = [...(await _workBlockSteps()), _onStep("startTick")];
+    return _mergeResults(startRes, await _runSteps(steps));
   },
   "timer/pause": async () => {
+    const lockRes = _strictLockResult("pause");
+    if (lockRes) return lockRes;
     getTimer().pause();
     return await _runSteps([_onStep("stopTick")]);
   },
@@ -184,9 +1042,32 @@ const EVENTS = {
     getTimer().resume();
     return await _runSteps([_onStep("startTick")]);
   },
+  "timer/skip": async () => {
+    const lockRes = _strictLockResult("skip");
+    if (lockRes) return lockRes;
+    const res = getTimer().skip();
+    return await _handleSwitch(res);
+  },
+  "timer/warn": async () => {
+    if (!_isSessionEnding()) return { success: true };
+    return await _runSteps([
+      _onStep("playAlert", Constants.ALERT_SOUNDS.WARNING),
+    ]);
+  },
+  "timer/extend": async (payload) => {
+    const steps = [_extendSessionStep(payload), _onStep("scheduleBoundaries")];
+    return await _runSteps(steps);
+  },
   "timer/reset": async () => {
-    getTimer().reset();
-    const steps = [_onStep("disableBlock"), _onStep("stopTick")];
+    const lockRes = _strictLockResult("reset");
+    if (lockRes) return lockRes;
+    const timer = getTimer();
+    const endedSession = timer.getSessionRecord(
+      Constants.SESSION_END_REASONS.RESET
+    );
+    timer.reset();
+    const steps = [...(await _breakBlockSteps()), _onStep("stopTick")];
+    if (endedSession) steps.push(_onStep("recordSession", endedSession));
     return await _runSteps(steps);
   },
   "timer/update": async () => {
@@ -199,22 +1080,144 @@ const EVENTS = {
       totalRemaining: timer.getTotalRemaining(),
       sessionType: timer.sessionType,
       sessionRemaining: timer.getSessionRemaining(),
+      workDuration: timer.workDuration,
+      breakDuration: timer.breakDuration,
+      longBreakDuration: timer.longBreakDuration,
+      longBreakInterval: timer.longBreakInterval,
+      completedWorkSessions: timer.completedWorkSessions,
+      startMode: timer.startMode,
+      targetCycles: timer.targetCycles,
+      blockMode: timer.blockMode,
+      scheduleEndsAt: (await getScheduleState()).endsAt,
+      strictMode: timer.strictMode,
+      presetId: timer.presetId,
+      lockedUntil: timer.getStrictLockEnd(),
       soundEnabled: timer.soundEnabled,
       soundVolume: timer.soundVolume,
+      soundTrack: timer.soundTrack,
     };
   },
+  "history/query": async (payload) => {
+    const step = _queryHistoryStep(payload);
+    return await _runStep(step);
+  },
+  "history/import": async (payload) => {
+    const step = _importHistoryStep(payload);
+    return await _runStep(step);
+  },
+  "blocklist/get": async () => {
+    return await _runStep(_getSiteListStep(getBlockList));
+  },
+  "blocklist/save": async (payload) => {
+    return await _saveSiteList(
+      payload,
+      "saveBlockList",
+      Constants.BLOCK_MODES.BLOCKLIST
+    );
+  },
+  "allowlist/get": async () => {
+    return await _runStep(_getSiteListStep(getAllowList));
+  },
+  "allowlist/save": async (payload) => {
+    return await _saveSiteList(
+      payload,
+      "saveAllowList",
+      Constants.BLOCK_MODES.ALLOWLIST
+    );
+  },
+  "blocked/return-later": async (payload) => {
+    return await _runStep(_queueReturnStep(payload));
+  },
+  "unlock/start": async (payload) => {
+    return await _runStep(_unlockStep(payload));
+  },
+  "unlock/expire": async (payload) => {
+    return await _runSteps([_onStep("expireUnlock", payload?.alarmName)]);
+  },
+  "unlock/get": async () => {
+    return await _runStep(_getUnlocksStep());
+  },
+  "budgets/get": async () => {
+    return await _runStep(_getBudgetsStep());
+  },
+  "budgets/save": async (payload) => {
+    return await _saveBudgets(payload);
+  },
+  "budgets/refresh": async () => {
+    return await _runSteps([_onStep("refreshBudgets")]);
+  },
+  "schedules/get": async () => {
+    return await _runStep(_getSchedulesStep());
+  },
+  "schedules/save": async (payload) => {
+    return await _saveSchedules(payload);
+  },
+  "schedules/refresh": async () => {
+    return await _refreshSchedule();
+  },
+  "presets/get": async () => {
+    return await _runStep(_getPresetsStep());
+  },
+  "presets/save": async (payload) => {
+    return await _savePresets(payload);
+  },
+  "rules/reconcile": async () => {
+    return await _runStep(_reconcileRulesStep());
+  },
+  "tabs/settings/get": async () => {
+    return await _runSteps([_onStep("getScrubSettings")]);
+  },
+  "tabs/settings/save": async (payload) => {
+    return await _runStep(_saveScrubSettingsStep(payload));
+  },
+  "tabs/closed/get": async () => {
+    return await _runStep(_getClosedTabsStep());
+  },
+  "tabs/closed/restore": async () => {
+    return await _runSteps([_onStep("restoreClosedTabs")]);
+  },
   "sound/save": async (payload) => {
     const step = _saveSoundStep(payload);
     return await _runStep(step);
   },
+  "alerts/get": async () => {
+    return await _runSteps([_onStep("getAlertSettings")]);
+  },
+  "alerts/save": async (payload) => {
+    return await _runStep(_saveAlertSettingsStep(payload));
+  },
+};
+
+/**
+ * Notification texts shown when a new session starts, keyed by session type.
+ */
+const SWITCH_MESSAGES = {
+  [Constants.SESSION_TYPES.WORK]: {
+    title: "作業開始！",
+    message: "SNSをブロックしたよ。作業に集中しよう",
+  },
+  [Constants.SESSION_TYPES.BREAK]: {
+    title: "休憩開始",
+    message: "ブロックを解除したよ。肩の力を抜こう",
+  },
+  [Constants.SESSION_TYPES.LONG_BREAK]: {
+    title: "長い休憩開始",
+    message: "ブロックを解除したよ。しっかり休んでリフレッシュしよう",
+  },
 };
 
 /**
- * Handle events returned by TimerState.update().
+ * Handle events returned by TimerState.update() and TimerState.skip().
  * - No-op if timer is inactive/paused.
- * - Show "complete" notification when total finishes.
- * - Show "switch" notification when a session ends,
- *   using currentSessionType after the switch.
+ * - Show "complete" notification and play the completion sound when
+ *   total finishes.
+ * - Show "switch" notification and play the chime when a session ends,
+ *   using currentSessionType after the switch, and schedule
+ *   the alarm for the end of the new session.
+ * - Reopen the blocked pages queued by the block page once blocking ends,
+ *   and the tabs closed when it started if the user chose to. Inside a
+ *   scheduled window a break keeps the block list applied instead.
+ * - Append the session that just ended to the history log.
  */
 async function _handleSwitch(res) {
   if (!res) return { success: true };
@@ -230,25 +1233,31 @@ async function _handleSwitch(res) {
 
     steps.push(
       _onStep("notify", notification),
-      _onStep("disableBlock"),
+      _onStep("playAlert", Constants.ALERT_SOUNDS.COMPLETE),
+      ...(await _breakBlockSteps()),
       _onStep("stopTick")
     );
   } else if (res.isSessionComplete) {
-    const isWork = res.sessionType === Constants.SESSION_TYPES.WORK;
     const notification = {
       id: "switch" + Date.now(),
-      title: isWork ? "作業開始！" : "休憩開始",
-      message: isWork
-        ? "SNSをブロックしたよ。作業に集中しよう"
-        : "ブロックを解除したよ。肩の力を抜こう",
+      ...SWITCH_MESSAGES[res.sessionType],
     };
 
+    const blockSteps = isBlockingSession(res.sessionType)
+      ? await _workBlockSteps()
+      : await _breakBlockSteps();
     steps.push(
       _onStep("notify", notification),
-      isWork ? _onStep("enableBlock") : _onStep("disableBlock")
+      _onStep("playAlert", Constants.ALERT_SOUNDS.SWITCH),
+      ...blockSteps,
+      _onStep("scheduleBoundaries")
     );
   }
 
+  if (res.endedSession) {
+    steps.push(_onStep("recordSession", res.endedSession));
+  }
+
   return await _runSteps(steps);
 }
 
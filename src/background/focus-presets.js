@@ -0,0 +1,42 @@
+import Constants from "../constants.js";
+
+/**
+ * Focus presets as [{ id, name, workMinutes, breakMinutes, blockList,
+ * soundEnabled, soundVolume }], in the order they appear on the setup screen.
+ */
+const PRESETS_KEY = "pomodoroFocusPresets";
+
+/**
+ * Read the focus presets.
+ * Falls back to Constants.FOCUS_PRESETS until the user saves their own.
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getPresets() {
+  const { [PRESETS_KEY]: presets } = await chrome.storage.local.get(
+    PRESETS_KEY
+  );
+  return Array.isArray(presets)
+    ? presets
+    : structuredClone(Constants.FOCUS_PRESETS);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>} The preset, or null if there is none with
+ *   the ID
+ * @throws {Error} If reading storage fails
+ */
+export async function getPreset(id) {
+  const presets = await getPresets();
+  return presets.find((preset) => preset.id === id) ?? null;
+}
+
+/**
+ * Replace the focus presets.
+ * @param {Array<Object>} presets - Validated presets, in display order
+ * @throws {Error} If writing storage fails
+ */
+export async function savePresets(presets) {
+  await chrome.storage.local.set({ [PRESETS_KEY]: presets });
+}
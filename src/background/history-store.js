@@ -0,0 +1,133 @@
+import Constants from "../constants.js";
+
+/**
+ * Finished sessions are kept as an array of plain records, oldest first.
+ */
+const HISTORY_KEY = "pomodoroSessionHistory";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Writes are chained so that concurrent read-modify-write cycles
+ * (e.g. a boundary alarm racing a reset) cannot drop records.
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Append a finished session to the history log.
+ * Records older than the retention period, and the oldest records beyond
+ * the entry limit, are dropped on every write.
+ * @param {Object} record - Record built by TimerState.getSessionRecord()
+ * @throws {Error} If reading or writing storage fails
+ */
+export async function recordSession(record) {
+  if (!record) return;
+  const write = writeQueue.then(async () => {
+    const history = await _loadHistory();
+    history.push(record);
+    await _saveHistory(_applyRetention(history));
+  });
+  // Keep the queue alive after a failed write
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Merge previously exported records into the history log.
+ * Records whose id is already stored (or repeated in the input) are skipped,
+ * and the usual retention limits apply to the merged log.
+ * @param {Array<Object>} records - Validated history records
+ * @returns {Promise<{imported: number, skipped: number}>}
+ * @throws {Error} If reading or writing storage fails
+ */
+export async function importSessions(records) {
+  const write = writeQueue.then(async () => {
+    const history = await _loadHistory();
+    const knownIds = new Set(history.map((r) => r.id));
+    const added = [];
+    for (const record of records) {
+      if (knownIds.has(record.id)) continue;
+      knownIds.add(record.id);
+      added.push(record);
+    }
+
+    const merged = _applyRetention(
+      [...history, ...added].sort((a, b) => a.startTime - b.startTime)
+    );
+    await _saveHistory(merged);
+
+    const keptIds = new Set(merged.map((r) => r.id));
+    const imported = added.filter((r) => keptIds.has(r.id)).length;
+    return { imported, skipped: records.length - imported };
+  });
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Read records from the history log, oldest first.
+ * @param {Object} [filter]
+ * @param {number} [filter.from] - Only sessions that started at or after this time (epoch ms)
+ * @param {number} [filter.to] - Only sessions that started before this time (epoch ms)
+ * @param {string} [filter.sessionType] - Only sessions of this type
+ * @param {string} [filter.endReason] - Only sessions that ended for this reason
+ * @param {number} [filter.limit] - Return at most this many of the newest matches
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getHistory({
+  from,
+  to,
+  sessionType,
+  endReason,
+  limit,
+} = {}) {
+  await writeQueue;
+  const matches = (await _loadHistory()).filter(
+    (r) =>
+      (from == null || r.startTime >= from) &&
+      (to == null || r.startTime < to) &&
+      (sessionType == null || r.sessionType === sessionType) &&
+      (endReason == null || r.endReason === endReason)
+  );
+  return limit == null ? matches : matches.slice(-limit);
+}
+
+/**
+ * Delete every record from the history log.
+ * @throws {Error} If removing from storage fails
+ */
+export async function clearHistory() {
+  await writeQueue;
+  await chrome.storage.local.remove(HISTORY_KEY);
+}
+
+/**
+ * @private
+ * @returns {Promise<Array<Object>>}
+ */
+async function _loadHistory() {
+  const { [HISTORY_KEY]: history } = await chrome.storage.local.get(
+    HISTORY_KEY
+  );
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * @private
+ * @param {Array<Object>} history
+ */
+async function _saveHistory(history) {
+  await chrome.storage.local.set({ [HISTORY_KEY]: history });
+}
+
+/**
+ * Drop records that are too old, then trim to the entry limit.
+ * @private
+ * @param {Array<Object>} history
+ * @returns {Array<Object>}
+ */
+function _applyRetention(history) {
+  const { MAX_ENTRIES, RETENTION_DAYS } = Constants.HISTORY;
+  const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+  return history.filter((r) => r.endTime >= cutoff).slice(-MAX_ENTRIES);
+}
@@ -9,16 +9,31 @@
 import { initTimer } from "./timer-store.js";
 import { setupAlarms } from "./setup-alarms.js";
 import { setupSound } from "./sound-controller.js";
+import { setupBudgetTracking } from "./site-budgets.js";
 import { handleEvents } from "./events.js";
 
-// Ensure timer is restored on extension install and browser startup
-chrome.runtime.onInstalled.addListener(initTimer);
-chrome.runtime.onStartup.addListener(initTimer);
+/**
+ * Restore the timer on extension install and browser startup, then catch up
+ * on scheduled windows that opened or closed while the browser was closed;
+ * alarms are not guaranteed to survive a restart. Last, fix any blocking
+ * rules that do not match the restored state, e.g. after the worker died
+ * mid-update or the lists changed between versions.
+ */
+async function onLaunch() {
+  await initTimer();
+  await handleEvents("schedules/refresh");
+  await handleEvents("rules/reconcile");
+}
+
+chrome.runtime.onInstalled.addListener(onLaunch);
+chrome.runtime.onStartup.addListener(onLaunch);
 
 setupAlarms();
 
 setupSound();
 
+setupBudgetTracking();
+
 /**
  * Global message handler for extension runtime.
  * Uses events table to dispatch logic based on msg.type.
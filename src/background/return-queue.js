@@ -0,0 +1,55 @@
+import Constants from "../constants.js";
+
+/**
+ * Blocked URLs the user asked to reopen once the work session is over,
+ * oldest first.
+ */
+const RETURN_QUEUE_KEY = "pomodoroReturnQueue";
+
+/**
+ * Remember a blocked URL so it can be reopened when blocking ends.
+ * A URL that is already queued is not added twice, and only the newest
+ * Constants.BLOCK_PAGE.MAX_RETURN_URLS are kept.
+ * @param {string} url - Validated http(s) URL
+ * @throws {Error} If reading or writing storage fails
+ */
+export async function queueReturn(url) {
+  const queue = (await _loadQueue()).filter((queued) => queued !== url);
+  queue.push(url);
+  await chrome.storage.local.set({
+    [RETURN_QUEUE_KEY]: queue.slice(-Constants.BLOCK_PAGE.MAX_RETURN_URLS),
+  });
+}
+
+/**
+ * Open every queued URL in a background tab and empty the queue.
+ * The queue is cleared first so that a failing tab is not retried forever.
+ * @throws {Error} If storage fails or some tabs could not be opened
+ */
+export async function openQueuedReturns() {
+  const queue = await _loadQueue();
+  if (queue.length === 0) return;
+
+  await chrome.storage.local.remove(RETURN_QUEUE_KEY);
+
+  const results = await Promise.allSettled(
+    queue.map((url) => chrome.tabs.create({ url, active: false }))
+  );
+  const failures = results.filter((result) => result.status === "rejected");
+  if (failures.length > 0) {
+    throw new Error(
+      `Failed to reopen ${failures.length} out of ${queue.length} blocked pages`
+    );
+  }
+}
+
+/**
+ * @private
+ * @returns {Promise<Array<string>>}
+ */
+async function _loadQueue() {
+  const { [RETURN_QUEUE_KEY]: queue } = await chrome.storage.local.get(
+    RETURN_QUEUE_KEY
+  );
+  return Array.isArray(queue) ? queue : [];
+}
@@ -0,0 +1,127 @@
+import Constants from "../constants.js";
+const { SCRUB_ACTIONS, SCRUBBED_TABS } = Constants;
+
+/**
+ * How open blocked tabs are treated when blocking starts.
+ */
+const SCRUB_SETTINGS_KEY = "pomodoroScrubSettings";
+
+/**
+ * Tabs closed when blocking started, oldest first, as
+ * { url, title, windowId, index } so they can be put back where they were.
+ */
+const CLOSED_TABS_KEY = "pomodoroClosedTabs";
+
+const DEFAULT_SCRUB_SETTINGS = {
+  scrubAction: SCRUB_ACTIONS.CLOSE,
+  autoRestoreTabs: false,
+};
+
+/**
+ * Read the scrub settings, filling in defaults for missing fields.
+ * @returns {Promise<{scrubAction: string, autoRestoreTabs: boolean}>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getScrubSettings() {
+  const { [SCRUB_SETTINGS_KEY]: settings } = await chrome.storage.local.get(
+    SCRUB_SETTINGS_KEY
+  );
+  return { ...DEFAULT_SCRUB_SETTINGS, ...settings };
+}
+
+/**
+ * Replace the scrub settings.
+ * @param {{scrubAction: string, autoRestoreTabs: boolean}} settings - Validated settings
+ * @throws {Error} If writing storage fails
+ */
+export async function saveScrubSettings(settings) {
+  await chrome.storage.local.set({ [SCRUB_SETTINGS_KEY]: settings });
+}
+
+/**
+ * Remember tabs that were just closed. Only the newest
+ * Constants.SCRUBBED_TABS.MAX_CLOSED_TABS are kept.
+ * @param {Array<chrome.tabs.Tab>} tabs
+ * @throws {Error} If reading or writing storage fails
+ */
+export async function recordClosedTabs(tabs) {
+  if (tabs.length === 0) return;
+  const records = tabs.map(({ url, title, windowId, index }) => ({
+    url,
+    title: title ?? "",
+    windowId,
+    index,
+  }));
+  const closedTabs = [...(await getClosedTabs()), ...records];
+  await chrome.storage.local.set({
+    [CLOSED_TABS_KEY]: closedTabs.slice(-SCRUBBED_TABS.MAX_CLOSED_TABS),
+  });
+}
+
+/**
+ * @returns {Promise<Array<Object>>} The remembered tabs, oldest first
+ * @throws {Error} If reading storage fails
+ */
+export async function getClosedTabs() {
+  const { [CLOSED_TABS_KEY]: closedTabs } = await chrome.storage.local.get(
+    CLOSED_TABS_KEY
+  );
+  return Array.isArray(closedTabs) ? closedTabs : [];
+}
+
+/**
+ * Reopen every remembered tab in the background and forget them.
+ * Tabs go back to their window and position; if the window is gone they
+ * open in the current window instead. The list is cleared first so that a
+ * failing tab is not retried forever.
+ * @returns {Promise<{restored: number}>}
+ * @throws {Error} If storage fails or some tabs could not be reopened
+ */
+export async function restoreClosedTabs() {
+  const closedTabs = await getClosedTabs();
+  if (closedTabs.length === 0) return { restored: 0 };
+
+  await chrome.storage.local.remove(CLOSED_TABS_KEY);
+
+  // Lower positions first, so each index is still valid when it is used
+  const ordered = [...closedTabs].sort((a, b) => a.index - b.index);
+  let failures = 0;
+  for (const tab of ordered) {
+    try {
+      await _reopenTab(tab);
+    } catch (error) {
+      console.warn(`Failed to reopen ${tab.url}:`, error.message);
+      failures++;
+    }
+  }
+
+  if (failures > 0) {
+    throw new Error(
+      `Failed to reopen ${failures} out of ${closedTabs.length} closed tabs`
+    );
+  }
+  return { restored: closedTabs.length };
+}
+
+/**
+ * Reopen the remembered tabs only if the user chose to have that happen
+ * automatically when blocking ends.
+ * @throws {Error} If storage fails or some tabs could not be reopened
+ */
+export async function autoRestoreClosedTabs() {
+  const { autoRestoreTabs } = await getScrubSettings();
+  if (autoRestoreTabs) await restoreClosedTabs();
+}
+
+/**
+ * @private
+ * @param {{url: string, windowId: number, index: number}} tab
+ */
+async function _reopenTab({ url, windowId, index }) {
+  try {
+    await chrome.tabs.create({ url, windowId, index, active: false });
+  } catch {
+    console.debug(`Window ${windowId} is gone, reopening ${url} elsewhere`);
+    await chrome.tabs.create({ url, active: false });
+  }
+}
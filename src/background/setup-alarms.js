@@ -1,6 +1,15 @@
 import { handleEvents } from "./events.js";
+import { getTimer } from "./timer-store.js";
+import { UNLOCK_ALARM_PREFIX } from "./emergency-unlock.js";
+import { BUDGET_ALARM } from "./site-budgets.js";
+import { SCHEDULE_ALARM } from "./block-schedule.js";
+import Constants from "../constants.js";
 
 const TICK = "POMODORO_TICK";
+const SESSION_END = "POMODORO_SESSION_END";
+const TOTAL_END = "POMODORO_TOTAL_END";
+const SESSION_WARNING = "POMODORO_SESSION_WARNING";
+const TIMER_ALARMS = [TICK, SESSION_END, TOTAL_END];
 let isInitialized = false;
 
 export function setupAlarms() {
@@ -8,13 +17,43 @@ export function setupAlarms() {
   isInitialized = true;
 
   /**
-   * Handle alarms. Every minute we update the timer,
-   * process events (completion/session switch), and persist snapshot.
+   * Handle alarms. The one-shot boundary alarms fire exactly when a session
+   * or the whole run ends; the minute tick is a safety net in case one of
+   * them is missed. Each one updates the timer, processes events
+   * (completion/session switch), and persists the snapshot.
+   * Emergency unlock alarms remove the rule of the unlock that ran out.
+   * The budget alarm blocks the site in front once its daily budget is used
+   * up, and lifts the blocks at midnight.
+   * The schedule alarm applies or lifts the block list as a scheduled
+   * window opens or closes.
+   * The warning alarm plays the "one minute left" sound.
    */
   chrome.alarms.onAlarm.addListener(async (a) => {
-    if (a.name !== TICK) return;
+    const isUnlockAlarm = a.name?.startsWith(UNLOCK_ALARM_PREFIX) ?? false;
+    const isBudgetAlarm = a.name === BUDGET_ALARM;
+    const isScheduleAlarm = a.name === SCHEDULE_ALARM;
+    const isWarningAlarm = a.name === SESSION_WARNING;
+    if (
+      !isUnlockAlarm &&
+      !isBudgetAlarm &&
+      !isScheduleAlarm &&
+      !isWarningAlarm &&
+      !TIMER_ALARMS.includes(a.name)
+    ) {
+      return;
+    }
     try {
-      await handleEvents("timer/update");
+      if (isUnlockAlarm) {
+        await handleEvents("unlock/expire", { alarmName: a.name });
+      } else if (isBudgetAlarm) {
+        await handleEvents("budgets/refresh");
+      } else if (isScheduleAlarm) {
+        await handleEvents("schedules/refresh");
+      } else if (isWarningAlarm) {
+        await handleEvents("timer/warn");
+      } else {
+        await handleEvents("timer/update");
+      }
     } catch (e) {
       console.error("Alarm message failed:", e);
     }
@@ -22,18 +61,53 @@ export function setupAlarms() {
 }
 
 /**
- * Start the timer tick alarm
+ * Start the timer tick alarm and schedule the boundary alarms
  * @throws {Error} If alarm creation fails
  */
 export function startTick() {
   // Create a repeating alarm every 1 minute to keep Service Worker alive and update timer state
   chrome.alarms.create(TICK, { periodInMinutes: 1 });
+  scheduleBoundaries();
 }
 
 /**
- * Stop the timer tick alarm
+ * Stop the timer tick alarm and the boundary alarms
  * @throws {Error} If alarm clearing fails
  */
 export async function stopTick() {
   await chrome.alarms.clear(TICK);
+  await clearBoundaries();
+}
+
+/**
+ * Schedule one-shot alarms at the end of the current session and
+ * at the end of the total duration, and one a minute before the session
+ * ends if that is still ahead. Existing alarms with the same
+ * name are replaced. Does nothing unless the timer is running.
+ * @throws {Error} If alarm creation fails
+ */
+export function scheduleBoundaries() {
+  const timer = getTimer();
+  const sessionEnd = timer.getSessionEndTime();
+  const totalEnd = timer.getTotalEndTime();
+  if (sessionEnd == null || totalEnd == null) return;
+
+  chrome.alarms.create(SESSION_END, { when: sessionEnd });
+  chrome.alarms.create(TOTAL_END, { when: totalEnd });
+
+  // A warning alarm left from before is ignored when it fires
+  const warningAt = sessionEnd - Constants.SESSION_WARNING.LEAD_MS;
+  if (warningAt > Date.now()) {
+    chrome.alarms.create(SESSION_WARNING, { when: warningAt });
+  }
+}
+
+/**
+ * Clear the one-shot boundary alarms
+ * @throws {Error} If alarm clearing fails
+ */
+export async function clearBoundaries() {
+  await chrome.alarms.clear(SESSION_END);
+  await chrome.alarms.clear(TOTAL_END);
+  await chrome.alarms.clear(SESSION_WARNING);
 }
@@ -0,0 +1,265 @@
+import { setBudgetBlocks } from "./sites-guard.js";
+import { matchesSitePattern } from "../site-patterns.js";
+
+/**
+ * Daily allowances as [{ domain, minutes }], in the order they were added.
+ */
+const BUDGETS_KEY = "pomodoroSiteBudgets";
+
+/**
+ * Today's usage as { day, usedMs, blocked, active }:
+ *   day     - local date ("YYYY-MM-DD") the usage belongs to
+ *   usedMs  - { [domain]: ms } of active time counted so far
+ *   blocked - domains whose budget is used up and that are blocked
+ *   active  - { domain, since } of the budgeted site in front, or null
+ */
+const BUDGET_USAGE_KEY = "pomodoroBudgetUsage";
+
+/**
+ * Fires when the site in front runs out of budget, or at midnight to lift
+ * the blocks.
+ */
+export const BUDGET_ALARM = "POMODORO_BUDGET";
+
+let isTrackingSetup = false;
+
+// Refreshes read and write the usage, so they run one at a time
+let refreshQueue = Promise.resolve();
+
+/**
+ * Count active time whenever the tab in front or the focused window changes.
+ */
+export function setupBudgetTracking() {
+  if (isTrackingSetup) return;
+  isTrackingSetup = true;
+
+  const track = async () => {
+    try {
+      await refreshBudgets();
+    } catch (e) {
+      console.error("Budget tracking failed:", e);
+    }
+  };
+  chrome.tabs.onActivated.addListener(track);
+  chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+    if (changeInfo.url && tab.active) track();
+  });
+  chrome.windows.onFocusChanged.addListener(track);
+}
+
+/**
+ * @returns {Promise<Array<{domain: string, minutes: number}>>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getBudgets() {
+  const { [BUDGETS_KEY]: budgets } = await chrome.storage.local.get(
+    BUDGETS_KEY
+  );
+  return Array.isArray(budgets) ? budgets : [];
+}
+
+/**
+ * Replace the budgets. Call refreshBudgets() afterwards so that blocks
+ * follow the new allowances.
+ * @param {Array<{domain: string, minutes: number}>} budgets - Validated budgets
+ * @throws {Error} If writing storage fails
+ */
+export async function saveBudgets(budgets) {
+  await chrome.storage.local.set({ [BUDGETS_KEY]: budgets });
+}
+
+/**
+ * Add the time spent on the site in front since the last refresh, block
+ * the domains that are out of budget, and start timing whatever is in
+ * front now. Usage starts over at local midnight.
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<void>}
+ * @throws {Error} If a browser API fails
+ */
+export function refreshBudgets(now = Date.now()) {
+  const run = refreshQueue.then(() => _refresh(now));
+  // Keep the queue going after a failure; the caller still sees it
+  refreshQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Today's budgets with the time used and left, including the time spent
+ * on the site in front since the last refresh.
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Array<Object>>} { domain, minutes, usedMs, remainingMs, exhausted }
+ * @throws {Error} If reading storage fails
+ */
+export async function getBudgetStatus(now = Date.now()) {
+  const budgets = await getBudgets();
+  const usage = await _loadUsage(now);
+  _addActiveTime(usage, now);
+
+  return budgets.map(({ domain, minutes }) => {
+    const usedMs = usage.usedMs[domain] ?? 0;
+    const remainingMs = Math.max(0, minutes * 60 * 1000 - usedMs);
+    return {
+      domain,
+      minutes,
+      usedMs,
+      remainingMs,
+      exhausted: remainingMs === 0,
+    };
+  });
+}
+
+/**
+ * Domains that should be blocked for running out of budget today, as last
+ * applied by refreshBudgets(). Blocks from an earlier day have lapsed.
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Array<string>>}
+ * @throws {Error} If reading storage fails
+ */
+export async function getBlockedBudgetDomains(now = Date.now()) {
+  const { [BUDGET_USAGE_KEY]: usage } = await chrome.storage.local.get(
+    BUDGET_USAGE_KEY
+  );
+  return usage?.day === _dayKey(now) ? usage.blocked : [];
+}
+
+/**
+ * @private
+ * @param {number} now
+ */
+async function _refresh(now) {
+  const budgets = await getBudgets();
+  const usage = await _loadUsage(now);
+  _addActiveTime(usage, now);
+
+  const exhausted = budgets
+    .filter(({ domain, minutes }) => {
+      return (usage.usedMs[domain] ?? 0) >= minutes * 60 * 1000;
+    })
+    .map(({ domain }) => domain);
+  const domain = await _findDomainInFront(budgets);
+  usage.active =
+    domain && !exhausted.includes(domain) ? { domain, since: now } : null;
+
+  const isChanged =
+    exhausted.length !== usage.blocked.length ||
+    exhausted.some((blocked) => !usage.blocked.includes(blocked));
+  usage.blocked = exhausted;
+  await chrome.storage.local.set({ [BUDGET_USAGE_KEY]: usage });
+
+  await _scheduleAlarm(budgets, usage, now);
+  if (isChanged) await setBudgetBlocks(exhausted);
+}
+
+/**
+ * Move the time since the active site came to the front into usedMs,
+ * counting only from today's midnight.
+ * @private
+ * @param {Object} usage - Usage record, updated in place
+ * @param {number} now
+ */
+function _addActiveTime(usage, now) {
+  if (!usage.active) return;
+  const { domain, since } = usage.active;
+  const from = Math.max(since, _startOfDay(now));
+  usage.usedMs[domain] = (usage.usedMs[domain] ?? 0) + Math.max(0, now - from);
+  usage.active = { domain, since: now };
+}
+
+/**
+ * Wake up when the site in front runs out, or at midnight while anything
+ * is blocked, whichever comes first.
+ * @private
+ * @param {Array<Object>} budgets
+ * @param {Object} usage - Usage record after the refresh
+ * @param {number} now
+ */
+async function _scheduleAlarm(budgets, usage, now) {
+  const times = [];
+  if (usage.active) {
+    const { minutes } = budgets.find(
+      (budget) => budget.domain === usage.active.domain
+    );
+    const usedMs = usage.usedMs[usage.active.domain] ?? 0;
+    times.push(now + minutes * 60 * 1000 - usedMs);
+  }
+  if (usage.blocked.length > 0) times.push(_startOfDay(now, 1));
+
+  if (times.length === 0) {
+    await chrome.alarms.clear(BUDGET_ALARM);
+  } else {
+    chrome.alarms.create(BUDGET_ALARM, { when: Math.min(...times) });
+  }
+}
+
+/**
+ * The budgeted domain of the active tab in the focused window.
+ * @private
+ * @param {Array<Object>} budgets
+ * @returns {Promise<string|null>} null if the browser is not focused or the
+ *   tab has no budget
+ */
+async function _findDomainInFront(budgets) {
+  if (budgets.length === 0) return null;
+  let focusedWindow;
+  try {
+    focusedWindow = await chrome.windows.getLastFocused({ populate: true });
+  } catch {
+    return null; // No browser window is open
+  }
+  if (!focusedWindow?.focused) return null;
+
+  const tab = focusedWindow.tabs?.find((candidate) => candidate.active);
+  if (!tab?.url) return null;
+  return (
+    budgets.find(({ domain }) => matchesSitePattern(tab.url, domain))?.domain ??
+    null
+  );
+}
+
+/**
+ * Stored usage, or a fresh record for today that keeps the blocked list
+ * and the active site so that they can be lifted and re-timed.
+ * @private
+ * @param {number} now
+ * @returns {Promise<Object>}
+ */
+async function _loadUsage(now) {
+  const { [BUDGET_USAGE_KEY]: usage } = await chrome.storage.local.get(
+    BUDGET_USAGE_KEY
+  );
+  const day = _dayKey(now);
+  if (usage?.day === day) return usage;
+  return {
+    day,
+    usedMs: {},
+    blocked: usage?.blocked ?? [],
+    active: usage?.active ?? null,
+  };
+}
+
+/**
+ * @private
+ * @param {number} time - Epoch ms
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+function _dayKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @private
+ * @param {number} time - Epoch ms
+ * @param {number} [offsetDays=0] - 1 for the next midnight
+ * @returns {number} Local midnight starting the day, as epoch ms
+ */
+function _startOfDay(time, offsetDays = 0) {
+  const date = new Date(time);
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + offsetDays
+  ).getTime();
+}
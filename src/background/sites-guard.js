@@ -1,72 +1,400 @@
 import { getTimer } from "./timer-store.js";
+import { getBlockList, getAllowList } from "./block-list-store.js";
+import { getPreset } from "./focus-presets.js";
+import { getScrubSettings, recordClosedTabs } from "./scrubbed-tabs.js";
+import {
+  isRegexPattern,
+  toRuleCondition,
+  toFullUrlRegex,
+  matchesSitePattern,
+} from "../site-patterns.js";
 import Constants from "../constants.js";
-const { BLOCK_SITES } = Constants;
+const {
+  SESSION_TYPES,
+  BLOCK_MODES,
+  BLOCK_LIST,
+  SCRUB_ACTIONS,
+  UNLOCK,
+  SITE_BUDGETS,
+} = Constants;
 
 const RULE_ID_BASE = 10_100;
-const REDIRECT_PATH = "/src/ui/ui.html";
+// Allowlist mode uses the IDs after the block list's range
+const CATCH_ALL_RULE_ID = RULE_ID_BASE + BLOCK_LIST.MAX_SITES;
+const ALLOW_RULE_ID_BASE = CATCH_ALL_RULE_ID + 1;
+// Emergency unlocks use the IDs after the allowlist's range
+const UNLOCK_RULE_ID_BASE = ALLOW_RULE_ID_BASE + BLOCK_LIST.MAX_SITES;
+// Used-up daily budgets use the IDs after the unlocks' range
+const BUDGET_RULE_ID_BASE = UNLOCK_RULE_ID_BASE + UNLOCK.MAX_ACTIVE;
+const BLOCK_PAGE_PATH = "src/ui/blocked.html";
 
-function _buildRules() {
-  return BLOCK_SITES.map((domain, i) => ({
+// Allow rules must outrank the catch-all redirect, and emergency unlocks
+// must outrank both. A used-up daily budget holds even for allowed or
+// unlocked sites.
+const REDIRECT_PRIORITY = 1;
+const ALLOW_PRIORITY = 2;
+const UNLOCK_PRIORITY = 3;
+const BUDGET_PRIORITY = 4;
+
+/**
+ * Redirect to the block page with the blocked URL as its fragment.
+ * The rule's regexFilter must match the whole URL for "\0" to be all of it.
+ * @param {string} [query=""] - Query string telling the block page why, e.g.
+ *   "?reason=budget"
+ * @returns {chrome.declarativeNetRequest.RuleAction}
+ */
+function _redirectAction(query = "") {
+  return {
+    type: "redirect",
+    redirect: {
+      regexSubstitution: `${chrome.runtime.getURL(
+        BLOCK_PAGE_PATH
+      )}${query}#\\0`,
+    },
+  };
+}
+
+// Open tabs are matched against the site patterns after this query
+const WEB_TAB_QUERY = ["http://*/*", "https://*/*"];
+
+function _buildRules(sites) {
+  return sites.map((pattern, i) => ({
     id: RULE_ID_BASE + i,
-    priority: 1,
-    action: {
-      type: "redirect",
-      redirect: { extensionPath: REDIRECT_PATH },
+    priority: REDIRECT_PRIORITY,
+    action: _redirectAction(),
+    condition: {
+      regexFilter: toFullUrlRegex(pattern),
+      resourceTypes: ["main_frame"],
     },
+  }));
+}
+
+function _allRuleIds(sites) {
+  return sites.map((_, i) => RULE_ID_BASE + i);
+}
+
+/**
+ * Build the allowlist mode rules: one allow rule per site on top of a
+ * redirect rule that matches every web page.
+ * @param {Array<string>} sites - Allowed site patterns
+ * @returns {Array<chrome.declarativeNetRequest.Rule>}
+ */
+function _buildAllowRules(sites) {
+  const catchAll = {
+    id: CATCH_ALL_RULE_ID,
+    priority: REDIRECT_PRIORITY,
+    action: _redirectAction(),
+    condition: {
+      regexFilter: "^https?://.*$",
+      resourceTypes: ["main_frame"],
+    },
+  };
+  const allowRules = sites.map((pattern, i) => ({
+    id: ALLOW_RULE_ID_BASE + i,
+    priority: ALLOW_PRIORITY,
+    action: { type: "allow" },
     condition: {
-      urlFilter: `||${domain}^`,
+      ...toRuleCondition(pattern),
       resourceTypes: ["main_frame"],
     },
   }));
+  return [catchAll, ...allowRules];
+}
+
+function _allAllowRuleIds(sites) {
+  return [CATCH_ALL_RULE_ID, ...sites.map((_, i) => ALLOW_RULE_ID_BASE + i)];
+}
+
+/**
+ * The rules to apply: the given block mode with its stored list, or the
+ * block mode and focus preset chosen when the current run was started.
+ * @param {string} [mode] - One of Constants.BLOCK_MODES
+ * @returns {{mode: string, presetId: string|null}}
+ */
+function _getTarget(mode) {
+  if (mode) return { mode, presetId: null };
+  const timer = getTimer();
+  // A focus preset run always blocks its list. The user's own block mode is
+  // already back when the run ends, before its rules are lifted.
+  if (timer.presetId) {
+    return { mode: BLOCK_MODES.BLOCKLIST, presetId: timer.presetId };
+  }
+  return {
+    mode: timer.blockMode ?? BLOCK_MODES.BLOCKLIST,
+    presetId: timer.presetId ?? null,
+  };
+}
+
+/**
+ * Read the site list used by a block mode. A focus preset's block list
+ * takes the place of the stored one; a preset that has since been deleted
+ * falls back to it.
+ * @param {string} mode - One of Constants.BLOCK_MODES
+ * @param {string|null} [presetId=null]
+ * @returns {Promise<Array<string>>}
+ */
+async function _getSites(mode, presetId = null) {
+  if (mode === BLOCK_MODES.ALLOWLIST) return getAllowList();
+  const preset = presetId ? await getPreset(presetId) : null;
+  return preset?.blockList ?? getBlockList();
 }
 
-function _allRuleIds() {
-  return BLOCK_SITES.map((_, i) => RULE_ID_BASE + i);
+/**
+ * Determine whether sites should be blocked during a session type.
+ * Only work sessions block; short and long breaks both unblock.
+ * @param {string} sessionType - One of Constants.SESSION_TYPES
+ * @returns {boolean} True if blocking rules should be active
+ */
+export function isBlockingSession(sessionType) {
+  return sessionType === SESSION_TYPES.WORK;
 }
 
 /**
- * Enable site blocking rules
+ * Enable site blocking rules for a block mode: the stored block list,
+ * or everything except the stored allowlist. Rules of the mode that are
+ * already applied are replaced.
+ * @param {string} [mode] - One of Constants.BLOCK_MODES; by default the
+ *   run's, with the block list of its focus preset if it has one
+ * @param {Object} [options]
+ * @param {boolean} [options.resetTimer=true] - Reset the timer if the rules
+ *   cannot be applied, so that a run never goes on unblocked. Rules applied
+ *   for a blocking schedule leave the timer alone.
  * @throws {Error} If enabling blocking rules fails (fatal)
  * @throws {Error} If scrubbing tabs fails (non-fatal, will be caught by caller)
  */
-export async function enableBlock() {
-  const rules = _buildRules();
+export async function enableBlock(mode, { resetTimer = true } = {}) {
+  const target = _getTarget(mode);
+  const sites = await _getSites(target.mode, target.presetId);
+  const rules =
+    target.mode === BLOCK_MODES.ALLOWLIST
+      ? _buildAllowRules(sites)
+      : _buildRules(sites);
   try {
     await chrome.declarativeNetRequest.updateDynamicRules({
       addRules: rules,
-      removeRuleIds: [],
+      removeRuleIds: rules.map((rule) => rule.id),
     });
   } catch (e) {
-    getTimer().reset();
-    await disableBlock();
+    if (resetTimer) getTimer().reset();
+    await disableBlock(mode);
     throw new Error("Failed to enable blocking rules: " + e.message);
   }
-  await _scrubOpenTabs();
+  await _scrubOpenTabs(target.mode, sites);
 }
 
 /**
- * Disable site blocking rules
+ * Disable site blocking rules.
+ * Rule IDs follow the list the rules were built from, so call this
+ * before the list is replaced.
+ * @param {string} [mode] - One of Constants.BLOCK_MODES; by default the
+ *   run's, with the block list of its focus preset if it has one
  * @throws {Error} If disabling blocking rules fails
  */
-export async function disableBlock() {
+export async function disableBlock(mode) {
+  const target = _getTarget(mode);
+  const sites = await _getSites(target.mode, target.presetId);
   await chrome.declarativeNetRequest.updateDynamicRules({
     addRules: [],
-    removeRuleIds: _allRuleIds(),
+    removeRuleIds:
+      target.mode === BLOCK_MODES.ALLOWLIST
+        ? _allAllowRuleIds(sites)
+        : _allRuleIds(sites),
   });
 }
 
-async function _scrubOpenTabs() {
-  const urlType1 = BLOCK_SITES.map((d) => `*://*.${d}/*`);
-  const urlType2 = BLOCK_SITES.map((d) => `*://${d}/*`);
-  const query = urlType1.concat(urlType2);
+/**
+ * Let one domain through the blocking rules, whatever the block mode.
+ * Replaces the rule already in the slot, if any.
+ * @param {number} slot - 0 to Constants.UNLOCK.MAX_ACTIVE - 1
+ * @param {string} domain - Validated domain without a path
+ * @throws {Error} If updating the rules fails
+ */
+export async function addUnlockRule(slot, domain) {
+  const rule = _buildUnlockRule(slot, domain);
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    addRules: [rule],
+    removeRuleIds: [rule.id],
+  });
+}
 
-  // Let critical errors (like tabs.query permission issues) bubble up
-  const tabs = await _queryTabs(query);
-  const activeTab = await _getActiveTab();
+function _buildUnlockRule(slot, domain) {
+  return {
+    id: UNLOCK_RULE_ID_BASE + slot,
+    priority: UNLOCK_PRIORITY,
+    action: { type: "allow" },
+    condition: {
+      ...toRuleCondition(domain),
+      resourceTypes: ["main_frame"],
+    },
+  };
+}
+
+/**
+ * @param {number} slot - Slot passed to addUnlockRule()
+ * @throws {Error} If updating the rules fails
+ */
+export async function removeUnlockRule(slot) {
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    addRules: [],
+    removeRuleIds: [UNLOCK_RULE_ID_BASE + slot],
+  });
+}
+
+/**
+ * Block the domains whose daily budget is used up, replacing the previous
+ * set, and reload their open tabs onto the block page.
+ * @param {Array<string>} domains - Validated domains, at most
+ *   Constants.SITE_BUDGETS.MAX_SITES
+ * @throws {Error} If updating the rules fails, or some tabs could not be
+ *   reloaded
+ */
+export async function setBudgetBlocks(domains) {
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    addRules: _buildBudgetRules(domains),
+    removeRuleIds: Array.from(
+      { length: SITE_BUDGETS.MAX_SITES },
+      (_, i) => BUDGET_RULE_ID_BASE + i
+    ),
+  });
+  if (domains.length === 0) return;
+
+  const tabs = (await _queryTabs(WEB_TAB_QUERY)).filter((tab) =>
+    domains.some((domain) => matchesSitePattern(tab.url, domain))
+  );
+  const results = await Promise.allSettled(tabs.map((tab) => _reloadTab(tab)));
+  const failures = results.filter((result) => result.status === "rejected");
+  if (failures.length > 0) {
+    throw new Error(
+      `Failed to reload ${failures.length} out of ${tabs.length} tabs over budget`
+    );
+  }
+}
+
+function _buildBudgetRules(domains) {
+  return domains.map((domain, i) => ({
+    id: BUDGET_RULE_ID_BASE + i,
+    priority: BUDGET_PRIORITY,
+    action: _redirectAction("?reason=budget"),
+    condition: {
+      regexFilter: toFullUrlRegex(domain),
+      resourceTypes: ["main_frame"],
+    },
+  }));
+}
+
+/**
+ * Make the installed dynamic rules exactly the ones the restored state
+ * needs. Rules left behind by a worker that died mid-update, or built from
+ * a list that has changed since, are removed or replaced; missing ones are
+ * added. Open tabs are left alone.
+ * @param {Object} wanted
+ * @param {string|null} wanted.blockMode - One of Constants.BLOCK_MODES whose
+ *   rules should be applied, or null for none
+ * @param {string|null} [wanted.presetId] - Focus preset whose block list the
+ *   rules are built from instead of the stored one
+ * @param {Array<{slot: number, domain: string}>} wanted.unlocks - Unlocks
+ *   that have not run out
+ * @param {Array<string>} wanted.budgetDomains - Domains over their budget
+ * @returns {Promise<{added: Array<number>, removed: Array<number>}>} Rule IDs
+ *   added and removed; an ID in both was replaced
+ * @throws {Error} If reading or updating the rules fails
+ */
+export async function reconcileRules({
+  blockMode,
+  presetId = null,
+  unlocks,
+  budgetDomains,
+}) {
+  let blockRules = [];
+  if (blockMode) {
+    const sites = await _getSites(blockMode, presetId);
+    blockRules =
+      blockMode === BLOCK_MODES.ALLOWLIST
+        ? _buildAllowRules(sites)
+        : _buildRules(sites);
+  }
+  const wanted = [
+    ...blockRules,
+    ...unlocks.map(({ slot, domain }) => _buildUnlockRule(slot, domain)),
+    ..._buildBudgetRules(budgetDomains),
+  ];
+
+  const installed = new Map(
+    (await chrome.declarativeNetRequest.getDynamicRules()).map((rule) => [
+      rule.id,
+      _ruleKey(rule),
+    ])
+  );
+  const wantedIds = new Set(wanted.map((rule) => rule.id));
+  const addRules = wanted.filter(
+    (rule) => installed.get(rule.id) !== _ruleKey(rule)
+  );
+  const removeRuleIds = [
+    ...[...installed.keys()].filter((id) => !wantedIds.has(id)),
+    ...addRules.map((rule) => rule.id).filter((id) => installed.has(id)),
+  ];
+
+  if (addRules.length > 0 || removeRuleIds.length > 0) {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      addRules,
+      removeRuleIds,
+    });
+  }
+  return { added: addRules.map((rule) => rule.id), removed: removeRuleIds };
+}
+
+/**
+ * The parts of a rule that decide what it does, so that an installed rule
+ * compares equal to the one it was built from even if the browser fills in
+ * defaults.
+ * @param {chrome.declarativeNetRequest.Rule} rule
+ * @returns {string}
+ */
+function _ruleKey({ priority, action, condition }) {
+  return JSON.stringify([
+    priority,
+    action.type,
+    action.redirect?.regexSubstitution ?? null,
+    condition.regexFilter ?? null,
+    condition.urlFilter ?? null,
+    [...(condition.resourceTypes ?? [])].sort(),
+  ]);
+}
+
+/**
+ * Ask the browser whether it can compile the regex patterns in a list, so
+ * that an unsupported one is rejected before the list is saved.
+ * @param {Array<string>} sites - Validated site patterns
+ * @throws {Error} If a regex pattern is not supported
+ */
+export async function checkRegexSupport(sites) {
+  for (const pattern of sites.filter(isRegexPattern)) {
+    const { isSupported, reason } =
+      await chrome.declarativeNetRequest.isRegexSupported({
+        regex: toFullUrlRegex(pattern),
+      });
+    if (!isSupported) {
+      throw new Error(`Unsupported regular expression ${pattern}: ${reason}`);
+    }
+  }
+}
 
+/**
+ * Apply the new rules to tabs that are already open: the active tab is
+ * reloaded onto the block page and other blocked tabs are closed, discarded
+ * or reloaded according to the scrub settings. Closed tabs are remembered
+ * so they can be reopened when blocking ends.
+ * @param {string} mode - One of Constants.BLOCK_MODES
+ * @param {Array<string>} sites - The mode's site list
+ */
+async function _scrubOpenTabs(mode, sites) {
+  // Let critical errors (like tabs.query permission issues) bubble up
+  const tabs = await _findBlockedTabs(mode, sites);
   if (tabs.length === 0) {
-    return; // No SNS tabs to process
+    return; // No blocked tabs to process
   }
+  const activeTab = await _getActiveTab();
+  const { scrubAction } = await getScrubSettings();
 
   // Handle individual tab operations gracefully
   const results = await Promise.allSettled(
@@ -74,13 +402,24 @@ async function _scrubOpenTabs() {
       if (_isActiveTab(tab, activeTab)) {
         // Active tab: reload to display block page
         return await _reloadTab(tab);
-      } else {
-        // Inactive tab: close completely
-        return await _closeTab(tab);
+      }
+      switch (scrubAction) {
+        case SCRUB_ACTIONS.DISCARD:
+          return await _discardTab(tab);
+        case SCRUB_ACTIONS.REDIRECT:
+          return await _reloadTab(tab);
+        default:
+          await _closeTab(tab);
+          return tab;
       }
     })
   );
 
+  const closedTabs = results
+    .filter((result) => result.status === "fulfilled" && result.value)
+    .map((result) => result.value);
+  await recordClosedTabs(closedTabs);
+
   // Log any failures for debugging
   const failures = results.filter((result) => result.status === "rejected");
   if (failures.length > 0) {
@@ -90,6 +429,25 @@ async function _scrubOpenTabs() {
   }
 }
 
+/**
+ * Find the open tabs that the mode's rules would block.
+ * @param {string} mode - One of Constants.BLOCK_MODES
+ * @param {Array<string>} sites - The mode's site list
+ * @returns {Promise<Array<chrome.tabs.Tab>>}
+ */
+async function _findBlockedTabs(mode, sites) {
+  const isAllowlist = mode === BLOCK_MODES.ALLOWLIST;
+  if (!isAllowlist && sites.length === 0) return []; // Nothing to scrub
+
+  const tabs = await _queryTabs(WEB_TAB_QUERY);
+  return tabs.filter((tab) => {
+    const isListed = sites.some((pattern) =>
+      matchesSitePattern(tab.url, pattern)
+    );
+    return isAllowlist ? !isListed : isListed;
+  });
+}
+
 async function _queryTabs(query) {
   try {
     return await chrome.tabs.query({ url: query });
@@ -144,6 +502,25 @@ async function _reloadTab(tab) {
   }
 }
 
+/**
+ * Unload a tab without closing it. Selecting it again loads the page,
+ * which the rules then redirect to the block page.
+ * @param {chrome.tabs.Tab} tab - The tab to discard
+ * @returns {Promise<void>}
+ */
+async function _discardTab(tab) {
+  try {
+    await chrome.tabs.discard(tab.id);
+  } catch (error) {
+    if (error.message?.includes("No tab with id")) {
+      console.debug(`Tab ${tab.id} no longer exists, skipping discard`);
+    } else {
+      console.warn(`Failed to discard tab ${tab.id}:`, error.message);
+      throw error;
+    }
+  }
+}
+
 /**
  * Close a tab with proper error handling
  * @param {chrome.tabs.Tab} tab - The tab to close
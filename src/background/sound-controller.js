@@ -1,9 +1,12 @@
 import { getTimer } from "./timer-store.js";
+import { getSoundTrack } from "../sound-tracks.js";
+import { isUserTrackId, getUserTrack } from "../sound-library.js";
 import Constants from "../constants.js";
-const { TIMER_MODES, SESSION_TYPES } = Constants;
+const { TIMER_MODES, SESSION_TYPES, AMBIENT_FADE } = Constants;
 
 let isPlaying = false;
 let volume = 0;
+let trackId = null;
 let initPromise = null;
 
 /**
@@ -22,6 +25,14 @@ export async function handleSound() {
     return;
   }
 
+  // Stop the old track first: a file and a generated track can play at
+  // the same time in the offscreen document
+  if (isPlaying && timer.soundTrack !== trackId) {
+    await stopAudio();
+    await playAudio();
+    return;
+  }
+
   if (isPlaying && timer.soundVolume !== volume) {
     await updateVolume();
   }
@@ -35,12 +46,42 @@ export async function playAudio() {
   try {
     isPlaying = true;
     volume = getTimer().soundVolume;
-
-    await sendAudioMessage("PLAY", {
-      soundFile: "resources/nature-sound.mp3",
-      volume: getTimer().soundVolume,
-      loop: true,
-    });
+    trackId = getTimer().soundTrack;
+    // An uploaded track that has been deleted falls back to the default
+    const userTrack = isUserTrackId(trackId)
+      ? await getUserTrack(trackId)
+      : null;
+    const track = userTrack ?? getSoundTrack(trackId);
+
+    if (userTrack) {
+      // The offscreen document reads the audio from IndexedDB itself
+      await sendAudioMessage("PLAY", {
+        trackId: userTrack.id,
+        volume: getTimer().soundVolume,
+        loop: true,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    } else if (track.noise) {
+      await sendAudioMessage("NOISE_START", {
+        color: track.noise,
+        volume: getTimer().soundVolume,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    } else if (track.binaural) {
+      await sendAudioMessage("BINAURAL_START", {
+        ...track.binaural,
+        volume: getTimer().soundVolume,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    } else {
+      await sendAudioMessage("PLAY", {
+        trackId: track.id,
+        soundFile: track.file,
+        volume: getTimer().soundVolume,
+        loop: true,
+        fadeInMs: AMBIENT_FADE.FADE_IN_MS,
+      });
+    }
     console.log("Audio playback started");
   } catch (error) {
     isPlaying = false;
@@ -50,7 +91,7 @@ export async function playAudio() {
 
 export async function stopAudio() {
   try {
-    await sendAudioMessage("STOP");
+    await sendAudioMessage("STOP", { fadeOutMs: AMBIENT_FADE.FADE_OUT_MS });
     isPlaying = false;
     console.log("Audio stopped");
   } catch (error) {
@@ -72,10 +113,21 @@ export async function updateVolume() {
   }
 }
 
+/**
+ * Play a one-shot chime over whatever is playing. It does not change the
+ * ambient loop's state.
+ * @param {string} chime - A Constants.ALERT_SOUNDS value
+ * @param {number} chimeVolume - 0 to 100
+ * @throws {Error} If sound control fails
+ */
+export async function playChime(chime, chimeVolume) {
+  await sendAudioMessage("CHIME", { chime, volume: chimeVolume });
+}
+
 /**
  * offscreen.jsに音声制御メッセージを送信
- * @param {string} action - 実行するアクション ("PLAY", "STOP", "CLEANUP")
- * @param {Object} options - 追加オプション (soundFile, volume, loop等)
+ * @param {string} action - 実行するアクション ("PLAY", "STOP", "NOISE_START" 等)
+ * @param {Object} options - 追加オプション (trackId, soundFile, volume, loop等)
  */
 async function sendAudioMessage(action, options = {}) {
   const message = {
@@ -1,12 +1,148 @@
+import { z } from "zod";
 import TimerState from "../timer-state.js";
+import { createErrObject } from "./result.js";
+import Constants from "../constants.js";
+import { DEFAULT_SOUND_TRACK } from "../sound-tracks.js";
+
+const {
+  TIMER_MODES,
+  SESSION_TYPES,
+  START_MODES,
+  BLOCK_MODES,
+  DURATIONS,
+  CYCLES,
+  SNAPSHOT,
+} = Constants;
 
 const timer = { instance: null };
 
+/**
+ * Outcome of the last restore, handed to the next consumeRestoreResult() call.
+ */
+let restoreResult = null;
+
 /**
  * chrome.storage only supports plain objects, so we store a snapshot here.
  */
 const SNAPSHOT_KEY = "pomodoroTimerSnapshot";
 
+/**
+ * Snapshots written before versioning have no version field.
+ */
+const LEGACY_SNAPSHOT_VERSION = 1;
+
+/**
+ * Upgrades a snapshot by one version, keyed by the version it upgrades from.
+ * Each step must return a snapshot whose version is strictly higher.
+ */
+const MIGRATIONS = {
+  // v1 -> v2: session lengths, long breaks, start modes and pause tracking
+  1: (snap) => ({
+    mode: TIMER_MODES.SETUP,
+    sessionType: SESSION_TYPES.WORK,
+    workDuration: DURATIONS.WORK_SESSION,
+    breakDuration: DURATIONS.BREAK_SESSION,
+    longBreakDuration: DURATIONS.LONG_BREAK_SESSION,
+    longBreakInterval: CYCLES.DEFAULT_LONG_BREAK_INTERVAL,
+    completedWorkSessions: 0,
+    startMode: START_MODES.MINUTES,
+    targetCycles: CYCLES.DEFAULT_TARGET_CYCLES,
+    sessionPausedDuration: 0,
+    totalStartTime: null,
+    totalDuration: null,
+    sessionStartTime: null,
+    pausedAt: null,
+    soundEnabled: false,
+    soundVolume: 50,
+    ...snap,
+    sessionDuration: snap.sessionDuration ?? DURATIONS.WORK_SESSION,
+    version: 2,
+  }),
+  // v2 -> v3: allowlist blocking mode
+  2: (snap) => ({
+    ...snap,
+    blockMode: BLOCK_MODES.BLOCKLIST,
+    version: 3,
+  }),
+  // v3 -> v4: strict mode
+  3: (snap) => ({
+    ...snap,
+    strictMode: false,
+    version: 4,
+  }),
+  // v4 -> v5: focus presets
+  4: (snap) => ({
+    ...snap,
+    presetId: null,
+    version: 5,
+  }),
+  // v5 -> v6: ambient track
+  5: (snap) => ({
+    ...snap,
+    soundTrack: DEFAULT_SOUND_TRACK,
+    version: 6,
+  }),
+  // v6 -> v7: a focus preset's sound settings last for its run only
+  6: (snap) => ({
+    ...snap,
+    userSound: null,
+    version: 7,
+  }),
+  // v7 -> v8: so does a focus preset's block mode
+  7: (snap) => ({
+    ...snap,
+    userBlockMode: null,
+    version: 8,
+  }),
+};
+
+const SnapshotSchema = z
+  .object({
+    version: z.literal(SNAPSHOT.VERSION),
+    mode: z.enum(Object.values(TIMER_MODES)),
+    totalStartTime: z.number().nullable(),
+    totalDuration: z.number().nonnegative().nullable(),
+    sessionType: z.enum(Object.values(SESSION_TYPES)),
+    sessionStartTime: z.number().nullable(),
+    sessionDuration: z.number().nonnegative(),
+    pausedAt: z.number().nullable(),
+    sessionPausedDuration: z.number().nonnegative(),
+    workDuration: z.number().positive(),
+    breakDuration: z.number().positive(),
+    longBreakDuration: z.number().positive(),
+    longBreakInterval: z.number().int().positive(),
+    completedWorkSessions: z.number().int().nonnegative(),
+    startMode: z.enum(Object.values(START_MODES)),
+    targetCycles: z.number().int().positive(),
+    blockMode: z.enum(Object.values(BLOCK_MODES)),
+    strictMode: z.boolean(),
+    presetId: z.string().nullable(),
+    soundEnabled: z.boolean(),
+    soundVolume: z.number().min(0).max(100),
+    soundTrack: z.string().min(1),
+    // The user's own sound settings while a focus preset run overrides them
+    userSound: z
+      .object({
+        soundEnabled: z.boolean(),
+        soundVolume: z.number().min(0).max(100),
+        soundTrack: z.string().min(1),
+      })
+      .nullable(),
+    // The user's own block mode while a focus preset run overrides it
+    userBlockMode: z.enum(Object.values(BLOCK_MODES)).nullable(),
+  })
+  .refine(
+    (snap) =>
+      (snap.mode !== TIMER_MODES.RUNNING && snap.mode !== TIMER_MODES.PAUSED) ||
+      (snap.totalStartTime != null &&
+        snap.totalDuration != null &&
+        snap.sessionStartTime != null),
+    { message: "Active snapshot is missing its start times" }
+  )
+  .refine((snap) => snap.mode !== TIMER_MODES.PAUSED || snap.pausedAt != null, {
+    message: "Paused snapshot is missing pausedAt",
+  });
+
 /**
  * Initialize the timer instance.
  * If not already initialized, restore it from snapshot storage.
@@ -24,6 +160,18 @@ export function getTimer() {
   return timer.instance;
 }
 
+/**
+ * Return the result of the last snapshot restore, once.
+ * A warning means the stored snapshot could not be used and the timer
+ * was started fresh; later calls return null.
+ * @returns {Object|null} Result object, or null if there is nothing to report
+ */
+export function consumeRestoreResult() {
+  const result = restoreResult;
+  restoreResult = null;
+  return result;
+}
+
 /**
  * Save the current timer state snapshot into chrome.storage.
  * Does nothing if the instance is missing or invalid.
@@ -39,10 +187,81 @@ export async function saveSnapshot() {
 
 /**
  * Restore timer state from snapshot in chrome.storage.
- * If no snapshot is available, create a new TimerState.
+ * Older snapshots are migrated to the current version and validated.
+ * If no snapshot is available, create a new TimerState; if it is corrupt
+ * or cannot be migrated, also start fresh and record a warning.
  * @private
  */
 async function _restoreSnapshot() {
   const { [SNAPSHOT_KEY]: snap } = await chrome.storage.local.get(SNAPSHOT_KEY);
-  timer.instance = snap ? TimerState.fromSnapshot(snap) : new TimerState();
+  if (!snap) {
+    timer.instance = new TimerState();
+    return;
+  }
+
+  try {
+    timer.instance = TimerState.fromSnapshot(
+      _validateSnapshot(_migrateSnapshot(snap))
+    );
+  } catch (e) {
+    console.warn("Discarding unusable timer snapshot:", e);
+    timer.instance = new TimerState();
+    restoreResult = createErrObject(
+      new Error(`Saved timer state could not be restored: ${e.message}`),
+      false
+    );
+  }
+}
+
+/**
+ * Apply MIGRATIONS until the snapshot reaches the current version.
+ * @private
+ * @param {Object} snap - Snapshot as read from storage
+ * @returns {Object} Snapshot in the current format (not yet validated)
+ * @throws {Error} If the snapshot is not an object, its version is unknown,
+ *   or a migration step fails
+ */
+function _migrateSnapshot(snap) {
+  if (typeof snap !== "object" || Array.isArray(snap)) {
+    throw new Error("Snapshot is not an object");
+  }
+
+  let current = snap;
+  let version = snap.version ?? LEGACY_SNAPSHOT_VERSION;
+  if (!Number.isInteger(version) || version > SNAPSHOT.VERSION) {
+    throw new Error(`Unsupported snapshot version: ${version}`);
+  }
+
+  while (version < SNAPSHOT.VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from snapshot version ${version}`);
+    }
+    current = migrate(current);
+    if (!(current?.version > version)) {
+      throw new Error(`Migration from snapshot version ${version} failed`);
+    }
+    version = current.version;
+  }
+  return current;
+}
+
+/**
+ * @private
+ * @param {Object} snap - Snapshot in the current format
+ * @returns {Object} The validated snapshot
+ * @throws {Error} Joined validation messages if the snapshot is invalid
+ */
+function _validateSnapshot(snap) {
+  const result = SnapshotSchema.safeParse(snap);
+  if (!result.success) {
+    const errorMessages =
+      result.error?.issues
+        ?.map(
+          (issue) => `${issue.path.join(".") || "snapshot"}: ${issue.message}`
+        )
+        .join(", ") || "Validation failed";
+    throw new Error(errorMessages);
+  }
+  return result.data;
 }
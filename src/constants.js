@@ -9,6 +9,32 @@ export default class Constants {
     DEFAULT_TOTAL_MINUTES: 60,
     MIN_TOTAL_MINUTES: 5,
     MAX_TOTAL_MINUTES: 300,
+    DEFAULT_WORK_MINUTES: 25,
+    MIN_WORK_MINUTES: 1,
+    MAX_WORK_MINUTES: 180,
+    DEFAULT_BREAK_MINUTES: 5,
+    MIN_BREAK_MINUTES: 1,
+    MAX_BREAK_MINUTES: 60,
+    LONG_BREAK_SESSION: 15 * 60 * 1000, // 15 minutes
+    DEFAULT_LONG_BREAK_MINUTES: 15,
+    MIN_LONG_BREAK_MINUTES: 1,
+    MAX_LONG_BREAK_MINUTES: 60,
+    DEFAULT_EXTEND_MINUTES: 5,
+    MAX_EXTEND_MINUTES: 60,
+  };
+
+  static CYCLES = {
+    DEFAULT_LONG_BREAK_INTERVAL: 4, // long break after every 4th work session
+    MIN_LONG_BREAK_INTERVAL: 1,
+    MAX_LONG_BREAK_INTERVAL: 12,
+    DEFAULT_TARGET_CYCLES: 4,
+    MIN_TARGET_CYCLES: 1,
+    MAX_TARGET_CYCLES: 12,
+  };
+
+  static START_MODES = {
+    MINUTES: "minutes", // run for a total number of minutes
+    CYCLES: "cycles", // run for a number of complete work sessions
   };
 
   static TIMER_MODES = {
@@ -21,6 +47,19 @@ export default class Constants {
   static SESSION_TYPES = {
     WORK: "work",
     BREAK: "break",
+    LONG_BREAK: "long_break",
+  };
+
+  static SESSION_END_REASONS = {
+    COMPLETED: "completed", // ran until its planned end
+    SKIPPED: "skipped", // ended early with timer/skip
+    RESET: "reset", // abandoned with timer/reset
+  };
+
+  static HISTORY = {
+    MAX_ENTRIES: 5000,
+    RETENTION_DAYS: 365,
+    EXPORT_VERSION: 1, // format version of JSON exports, checked on import
   };
 
   static BLOCK_SITES = [
@@ -38,6 +77,158 @@ export default class Constants {
     "read.amazon.co.jp/manga",
   ];
 
+  // Default allowlist for BLOCK_MODES.ALLOWLIST
+  static ALLOW_SITES = [
+    "github.com",
+    "developer.mozilla.org",
+    "stackoverflow.com",
+  ];
+
+  // Default focus presets, shown on the setup screen until the user saves
+  // their own. A preset run blocks the preset's list instead of BLOCK_SITES.
+  static FOCUS_PRESETS = [
+    {
+      id: "writing",
+      name: "Writing",
+      workMinutes: 50,
+      breakMinutes: 10,
+      blockList: [
+        "x.com",
+        "twitter.com",
+        "facebook.com",
+        "reddit.com",
+        "news.yahoo.co.jp",
+        "news.google.com",
+        "nhk.or.jp",
+      ],
+      soundEnabled: true,
+      soundVolume: 40,
+    },
+    {
+      id: "coding",
+      name: "Coding",
+      workMinutes: 25,
+      breakMinutes: 5,
+      // YouTube stays open for conference talks
+      blockList: [
+        "x.com",
+        "twitter.com",
+        "instagram.com",
+        "facebook.com",
+        "tiktok.com",
+        "reddit.com",
+      ],
+      soundEnabled: false,
+      soundVolume: 50,
+    },
+    {
+      id: "study",
+      name: "Study",
+      workMinutes: 45,
+      breakMinutes: 15,
+      blockList: [
+        "x.com",
+        "twitter.com",
+        "instagram.com",
+        "tiktok.com",
+        "youtube.com",
+        "nicovideo.jp",
+        "pixiv.net",
+      ],
+      soundEnabled: true,
+      soundVolume: 30,
+    },
+  ];
+
+  static BLOCK_MODES = {
+    BLOCKLIST: "blocklist", // block the sites in the block list
+    ALLOWLIST: "allowlist", // block every site except the allowlist
+  };
+
+  static SNAPSHOT = {
+    // Bump together with a new migration in timer-store.js when the shape changes
+    VERSION: 8,
+  };
+
+  static BLOCK_LIST = {
+    MAX_SITES: 200, // one dynamic rule per site, so this caps the rule ID ranges
+  };
+
+  static BLOCK_PAGE = {
+    MAX_RETURN_URLS: 20, // blocked pages queued to reopen after the session
+  };
+
+  // What enableBlock() does with blocked tabs that are open in the background;
+  // the active tab always reloads onto the block page
+  static SCRUB_ACTIONS = {
+    CLOSE: "close", // close the tab and remember it for the break
+    DISCARD: "discard", // unload the tab; it shows the block page when selected
+    REDIRECT: "redirect", // reload the tab onto the block page
+  };
+
+  static SCRUBBED_TABS = {
+    MAX_CLOSED_TABS: 50, // closed tabs remembered for reopening
+  };
+
+  static UNLOCK = {
+    DEFAULT_MINUTES: 5,
+    MIN_MINUTES: 1,
+    MAX_MINUTES: 30,
+    MAX_ACTIVE: 10, // domains unlocked at the same time
+    WAIT_SECONDS: 15, // countdown on the block page before unlocking is possible
+    CONFIRM_PHRASE: "I need this site for my work",
+    MAX_REASON_LENGTH: 200,
+    MAX_LOG_ENTRIES: 500,
+  };
+
+  static SITE_BUDGETS = {
+    MAX_SITES: 50, // one dynamic rule per budget once it is used up
+    MIN_MINUTES: 1,
+    MAX_MINUTES: 720, // per day
+  };
+
+  static SCHEDULES = {
+    MAX_WINDOWS: 20,
+  };
+
+  static PRESETS = {
+    MAX_PRESETS: 10,
+    MAX_NAME_LENGTH: 30,
+    MAX_ID_LENGTH: 64,
+  };
+
+  static USER_SOUNDS = {
+    MAX_TRACKS: 20,
+    MAX_FILE_MB: 30,
+    MAX_TOTAL_MB: 200, // all uploads together, to stay well inside the quota
+    MAX_NAME_LENGTH: 60,
+  };
+
+  // One-shot sounds played over the ambient loop, or on their own
+  static ALERT_SOUNDS = {
+    SWITCH: "switch", // a session ends and the next one starts
+    COMPLETE: "complete", // the whole run ends
+    WARNING: "warning", // the current session is about to end
+  };
+
+  static SESSION_WARNING = {
+    LEAD_MS: 60 * 1000, // "one minute left"
+  };
+
+  // How the ambient loop starts and stops. The offscreen document plays
+  // changes immediately unless a message asks for a fade.
+  // The options page posts here when the popup's lists go stale
+  static SETTINGS_CHANNEL = {
+    NAME: "pomodoroSettings",
+    PRESETS: "presets",
+    SOUNDS: "sounds",
+  };
+
+  static AMBIENT_FADE = {
+    FADE_IN_MS: 2000,
+    FADE_OUT_MS: 1500,
+  };
+
   static SEVERITY_LEVELS = {
     INFO: "info",
     WARNING: "warning",
@@ -0,0 +1,54 @@
+/**
+ * AudioWorklet で白色・ピンク・ブラウンノイズをリアルタイムに生成する
+ * offscreen.js が audioWorklet.addModule() で読み込む
+ */
+
+class NoiseProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.color = options?.processorOptions?.color ?? "white";
+    // ピンクノイズのフィルタ状態（Paul Kellet の近似）
+    this.pink = [0, 0, 0, 0, 0, 0, 0];
+    // ブラウンノイズの積分値
+    this.brown = 0;
+  }
+
+  /**
+   * 1 サンプル分のノイズ（おおよそ -1〜1）
+   */
+  nextSample() {
+    const white = Math.random() * 2 - 1;
+    if (this.color === "pink") {
+      const b = this.pink;
+      b[0] = 0.99886 * b[0] + white * 0.0555179;
+      b[1] = 0.99332 * b[1] + white * 0.0750759;
+      b[2] = 0.969 * b[2] + white * 0.153852;
+      b[3] = 0.8665 * b[3] + white * 0.3104856;
+      b[4] = 0.55 * b[4] + white * 0.5329522;
+      b[5] = -0.7616 * b[5] - white * 0.016898;
+      const sample =
+        (b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362) *
+        0.11;
+      b[6] = white * 0.115926;
+      return sample;
+    }
+    if (this.color === "brown") {
+      this.brown = (this.brown + 0.02 * white) / 1.02;
+      return this.brown * 3.5;
+    }
+    return white;
+  }
+
+  process(_inputs, outputs) {
+    const [output] = outputs;
+    const [first, ...rest] = output;
+    for (let i = 0; i < first.length; i++) {
+      first[i] = this.nextSample();
+    }
+    // 全チャンネルに同じノイズを流す
+    for (const channel of rest) channel.set(first);
+    return true;
+  }
+}
+
+registerProcessor("noise-processor", NoiseProcessor);
@@ -1,72 +1,235 @@
 /**
  * Offscreen document for audio playback
  * Background serviceから音声制御メッセージを受信して実際の音声再生を行う
+ * 音声ファイルの再生（<audio>）と Web Audio による生成音は同時に鳴らせる
+ * 通知音（チャイム）も Web Audio で生成し、ループ再生に重ねて鳴らす
+ * 環境音はすべて Web Audio の GainNode を通し、フェードイン・フェードアウト・
+ * 音量変更・ダッキングを AudioParam のオートメーションで行う
  */
+import { isUserTrackId, getUserTrackBlob } from "../sound-library.js";
 
-let audio = null;
-let isLoaded = false;
+// 再生中の音声ファイル
+// { audio, trackId, objectUrl, isLoaded, volumeGain, fadeGain, pauseTimer }
+let file = null;
+
+// 受け付けた PLAY のうち、まだ読み込み中のもの { cancelled }
+// 読み込み中に STOP や次の PLAY が届いたら cancelled を立て、読み込み後に再生しない
+let pendingPlay = null;
+
+// 生成音（Web Audio）
+const NOISE_COLORS = ["white", "pink", "brown"];
+const BINAURAL_LIMITS = {
+  MIN_CARRIER_HZ: 20,
+  MAX_CARRIER_HZ: 1000,
+  MIN_BEAT_HZ: 0.5,
+  MAX_BEAT_HZ: 40,
+};
+let contextPromise = null;
+let noise = null; // { source, volumeGain, fadeGain }
+let binaural = null; // { left, right, volumeGain, fadeGain, carrierHz, beatHz }
+
+// 環境音（音声ファイル・ノイズ・バイノーラルビート）をまとめる GainNode
+// 通知音の間だけ下げる（ダッキング）。通知音はここを通らない
+let ambientBus = null;
+
+// 音量を変えるときにかける時間（秒）
+const VOLUME_RAMP_SECONDS = 0.3;
+// 通知音の間、環境音をこの割合まで下げる
+const DUCKING = {
+  LEVEL: 0.3,
+  ATTACK_SECONDS: 0.05,
+  RELEASE_SECONDS: 0.6,
+};
+
+// 通知音：鳴らす音の高さ（Hz）と鳴らし始め（秒）。ループ再生とは別に鳴らす
+const CHIMES = {
+  // セッションの切り替え：E5 → B5
+  switch: [
+    { frequency: 659.25, at: 0 },
+    { frequency: 987.77, at: 0.2 },
+  ],
+  // タイマーの完了：C5・E5・G5・C6 の分散和音
+  complete: [
+    { frequency: 523.25, at: 0 },
+    { frequency: 659.25, at: 0.15 },
+    { frequency: 783.99, at: 0.3 },
+    { frequency: 1046.5, at: 0.45 },
+  ],
+  // 残り 1 分：A5 を 2 回
+  warning: [
+    { frequency: 880, at: 0 },
+    { frequency: 880, at: 0.3 },
+  ],
+};
+const CHIME_NOTE_SECONDS = 1.5;
 
 /**
- * 音声ファイルを読み込む
+ * 0〜100 の音量を再生時の音量（gain）に変換する
+ */
+function toGain(volume) {
+  return (volume || 0.2) * 0.5 * 0.01;
+}
+
+/**
+ * メッセージのフェード時間（ミリ秒）を秒にする。指定がなければフェードしない
+ */
+function toSeconds(ms) {
+  return Math.max(0, ms ?? 0) / 1000;
+}
+
+/**
+ * GainNode の音量を、今の値から value まで直線的に変える
+ * フェードの途中で呼ばれても、その時点の音量から続ける
  */
-async function loadAudio(soundFile, volume = 0.2, loop = true) {
-  // 既存のaudioオブジェクトがある場合はクリーンアップ
-  if (audio) {
-    audio.pause();
-    audio.src = "";
-    audio = null;
+function rampGain(node, value, seconds) {
+  const now = node.context.currentTime;
+  node.gain.cancelAndHoldAtTime(now);
+  node.gain.linearRampToValueAtTime(value, now + seconds);
+}
+
+/**
+ * seconds 秒後に fn を呼ぶ（0 秒ならすぐ呼ぶ）
+ * @returns {number|null} 取り消し用のタイマー ID
+ */
+function after(seconds, fn) {
+  if (seconds <= 0) {
+    fn();
+    return null;
   }
+  return setTimeout(fn, seconds * 1000);
+}
 
-  // 新しいAudioオブジェクトを作成
-  const audioUrl = chrome.runtime.getURL(soundFile);
-  audio = new Audio(audioUrl);
+/**
+ * 環境音の音源をつなぐ：音源 → 音量 → フェード → ambientBus
+ * 音量とフェードを別の GainNode に分け、フェード中に音量を変えても
+ * 互いに打ち消し合わないようにする。フェードは無音から始まる
+ */
+function connectAmbient(context, source, volume) {
+  const volumeGain = new GainNode(context, { gain: toGain(volume) });
+  const fadeGain = new GainNode(context, { gain: 0 });
+  source.connect(volumeGain).connect(fadeGain).connect(ambientBus);
+  return { volumeGain, fadeGain };
+}
 
-  // 設定を適用
+/**
+ * 音声ファイルを読み込む
+ * 前のトラックは fadeSeconds かけてフェードアウトしてから解放する（クロスフェード）
+ */
+async function loadAudio(
+  soundFile,
+  volume = 0.2,
+  loop = true,
+  trackId = null,
+  fadeSeconds = 0
+) {
+  const audioUrl = await resolveAudioUrl(soundFile, trackId);
+  const context = await getAudioContext();
+  // 待っている間に読み込みを始めた別のトラックも、ここで外す
+  retireAudio(fadeSeconds);
+
+  // 新しいAudioオブジェクトを作成し、Web Audio の経路につなぐ
+  const audio = new Audio(audioUrl);
   audio.loop = loop;
-  audio.volume = volume * 0.5 * 0.01;
+  const source = new MediaElementAudioSourceNode(context, {
+    mediaElement: audio,
+  });
+  const loading = {
+    audio,
+    trackId,
+    objectUrl: isUserTrackId(trackId) ? audioUrl : null,
+    isLoaded: false,
+    pauseTimer: null,
+    ...connectAmbient(context, source, volume),
+  };
+  file = loading;
 
   // 音声ファイルの読み込み完了を待つ
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error("Audio load timeout"));
-    }, 5000);
-
-    audio.addEventListener(
-      "canplaythrough",
-      () => {
-        clearTimeout(timeout);
-        isLoaded = true;
-        console.log("Audio loaded successfully:", soundFile);
-        resolve();
-      },
-      { once: true }
-    );
-
-    audio.addEventListener(
-      "error",
-      (error) => {
-        clearTimeout(timeout);
-        isLoaded = false;
-        console.error("Failed to load audio:", error);
-        reject(new Error("Audio file load failed"));
-      },
-      { once: true }
-    );
-
-    audio.load();
-  });
+  try {
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        reject(new Error("Audio load timeout"));
+      }, 5000);
+
+      audio.addEventListener(
+        "canplaythrough",
+        () => {
+          clearTimeout(timeout);
+          console.log("Audio loaded successfully:", soundFile);
+          resolve();
+        },
+        { once: true }
+      );
+
+      audio.addEventListener(
+        "error",
+        (error) => {
+          clearTimeout(timeout);
+          console.error("Failed to load audio:", error);
+          reject(new Error("Audio file load failed"));
+        },
+        { once: true }
+      );
+
+      audio.load();
+    });
+  } catch (error) {
+    if (file === loading) file = null;
+    releaseAudio(loading);
+    throw error;
+  }
+  loading.isLoaded = true;
+}
+
+/**
+ * 再生する URL を決める
+ * アップロードされたトラックは IndexedDB から読み込み、blob URL で再生する
+ */
+async function resolveAudioUrl(soundFile, trackId) {
+  if (!isUserTrackId(trackId)) return chrome.runtime.getURL(soundFile);
+
+  const blob = await getUserTrackBlob(trackId);
+  if (!blob) throw new Error("Uploaded sound not found");
+  return URL.createObjectURL(blob);
+}
+
+/**
+ * audio 要素・経路・blob URL を解放する
+ */
+function releaseAudio(target) {
+  clearTimeout(target.pauseTimer);
+  target.audio.pause();
+  target.audio.src = "";
+  target.fadeGain.disconnect();
+  if (target.objectUrl) URL.revokeObjectURL(target.objectUrl);
+}
+
+/**
+ * 今のトラックを外し、フェードアウトしてから解放する
+ */
+function retireAudio(fadeSeconds = 0) {
+  if (!file) return;
+  const retiring = file;
+  file = null;
+  clearTimeout(retiring.pauseTimer);
+  rampGain(retiring.fadeGain, 0, fadeSeconds);
+  after(fadeSeconds, () => releaseAudio(retiring));
 }
 
 /**
- * 音声を再生する
+ * 音声を再生し、フェードインする
+ * フェードアウト中なら一時停止を取りやめ、その時点の音量からフェードインし直す
  */
-async function playAudio() {
-  if (!audio || !isLoaded) {
+async function playAudio(fadeSeconds = 0) {
+  if (!file?.isLoaded) {
     throw new Error("Audio not loaded");
   }
 
+  clearTimeout(file.pauseTimer);
+  file.pauseTimer = null;
+  // play() を待つ間に STOP が届いても、そのフェードアウトが後に残るよう先に上げる
+  rampGain(file.fadeGain, 1, fadeSeconds);
   try {
-    await audio.play();
+    await file.audio.play();
     console.log("Audio playback started");
   } catch (error) {
     if (error.name === "NotAllowedError") {
@@ -77,29 +240,218 @@ async function playAudio() {
 }
 
 /**
- * 音声を停止する（再生位置をリセット）
+ * フェードアウトしてから音声を停止する（再生位置をリセット）
+ * フェードインの途中なら、その時点の音量からフェードアウトする
  */
-function stopAudio() {
-  if (audio) {
-    audio.pause();
-    audio.currentTime = 0;
+function stopAudio(fadeSeconds = 0) {
+  if (!file) return;
+  const stopping = file;
+  rampGain(stopping.fadeGain, 0, fadeSeconds);
+  clearTimeout(stopping.pauseTimer);
+  stopping.pauseTimer = after(fadeSeconds, () => {
+    stopping.pauseTimer = null;
+    stopping.audio.pause();
+    stopping.audio.currentTime = 0;
     console.log("Audio stopped");
-  }
+  });
+}
+
+/**
+ * PLAY を受け付ける。読み込み中の前の PLAY は取り消す
+ */
+function beginPlay() {
+  cancelPendingPlay();
+  pendingPlay = { cancelled: false };
+  return pendingPlay;
+}
+
+/**
+ * 読み込み中の PLAY を取り消す
+ */
+function cancelPendingPlay() {
+  if (pendingPlay) pendingPlay.cancelled = true;
+  pendingPlay = null;
 }
 
 /**
  * リソースをクリーンアップする
  */
 function cleanupAudio() {
-  if (audio) {
-    audio.pause();
-    audio.src = "";
-    audio = null;
-  }
-  isLoaded = false;
+  retireAudio();
   console.log("Audio cleanup completed");
 }
 
+/**
+ * AudioContext を用意する（ノイズ用の AudioWorklet も読み込む）
+ */
+async function getAudioContext() {
+  if (!contextPromise) {
+    contextPromise = (async () => {
+      const context = new AudioContext();
+      await context.audioWorklet.addModule("noise-processor.js");
+      ambientBus = new GainNode(context, { gain: 1 });
+      ambientBus.connect(context.destination);
+      return context;
+    })();
+    // 失敗したら次回作り直す
+    contextPromise.catch(() => {
+      contextPromise = null;
+    });
+  }
+  const context = await contextPromise;
+  if (context.state === "suspended") await context.resume();
+  return context;
+}
+
+/**
+ * 再生中の環境音の音量をなめらかに変える
+ */
+function updateVolume(volume) {
+  for (const playing of [file?.isLoaded && file, noise, binaural]) {
+    if (playing)
+      rampGain(playing.volumeGain, toGain(volume), VOLUME_RAMP_SECONDS);
+  }
+}
+
+/**
+ * 通知音が鳴っている間、環境音を下げる
+ */
+function duckAmbient(holdSeconds) {
+  const now = ambientBus.context.currentTime;
+  const { gain } = ambientBus;
+  gain.cancelAndHoldAtTime(now);
+  gain.linearRampToValueAtTime(DUCKING.LEVEL, now + DUCKING.ATTACK_SECONDS);
+  gain.setValueAtTime(DUCKING.LEVEL, now + holdSeconds);
+  gain.linearRampToValueAtTime(1, now + holdSeconds + DUCKING.RELEASE_SECONDS);
+}
+
+function validateNoiseColor(color) {
+  if (!NOISE_COLORS.includes(color)) {
+    throw new Error("Invalid noise color");
+  }
+}
+
+function validateBinaural(carrierHz, beatHz) {
+  const isValid =
+    Number.isFinite(carrierHz) &&
+    Number.isFinite(beatHz) &&
+    carrierHz >= BINAURAL_LIMITS.MIN_CARRIER_HZ &&
+    carrierHz <= BINAURAL_LIMITS.MAX_CARRIER_HZ &&
+    beatHz >= BINAURAL_LIMITS.MIN_BEAT_HZ &&
+    beatHz <= BINAURAL_LIMITS.MAX_BEAT_HZ;
+  if (!isValid) throw new Error("Invalid binaural frequencies");
+}
+
+/**
+ * ノイズの生成を始め、フェードインする（再生中ならクロスフェードで置き換える）
+ */
+async function startNoise({ color = "white", volume, fadeInMs }) {
+  validateNoiseColor(color);
+  const context = await getAudioContext();
+  const fadeSeconds = toSeconds(fadeInMs);
+  stopNoise(fadeSeconds);
+
+  const source = new AudioWorkletNode(context, "noise-processor", {
+    outputChannelCount: [1],
+    processorOptions: { color },
+  });
+  noise = { source, ...connectAmbient(context, source, volume) };
+  rampGain(noise.fadeGain, 1, fadeSeconds);
+  console.log("Noise started:", color);
+}
+
+/**
+ * ノイズをフェードアウトしてから止める
+ */
+function stopNoise(fadeSeconds = 0) {
+  if (!noise) return;
+  const { source, fadeGain } = noise;
+  noise = null;
+  rampGain(fadeGain, 0, fadeSeconds);
+  after(fadeSeconds, () => {
+    source.disconnect();
+    fadeGain.disconnect();
+    console.log("Noise stopped");
+  });
+}
+
+/**
+ * バイノーラルビートを始め、フェードインする（再生中ならクロスフェードで置き換える）
+ * 左耳に carrierHz、右耳に carrierHz + beatHz のサイン波を流す
+ */
+async function startBinaural({
+  carrierHz = 200,
+  beatHz = 10,
+  volume,
+  fadeInMs,
+}) {
+  validateBinaural(carrierHz, beatHz);
+  const context = await getAudioContext();
+  const fadeSeconds = toSeconds(fadeInMs);
+  stopBinaural(fadeSeconds);
+
+  const left = new OscillatorNode(context, { frequency: carrierHz });
+  const right = new OscillatorNode(context, { frequency: carrierHz + beatHz });
+  const merger = new ChannelMergerNode(context, { numberOfInputs: 2 });
+  left.connect(merger, 0, 0);
+  right.connect(merger, 0, 1);
+  binaural = {
+    left,
+    right,
+    ...connectAmbient(context, merger, volume),
+  };
+  left.start();
+  right.start();
+  rampGain(binaural.fadeGain, 1, fadeSeconds);
+  console.log("Binaural tones started:", carrierHz, beatHz);
+}
+
+/**
+ * バイノーラルビートをフェードアウトしてから止める
+ */
+function stopBinaural(fadeSeconds = 0) {
+  if (!binaural) return;
+  const { left, right, fadeGain } = binaural;
+  binaural = null;
+  rampGain(fadeGain, 0, fadeSeconds);
+  const end = fadeGain.context.currentTime + fadeSeconds;
+  left.stop(end);
+  right.stop(end);
+  after(fadeSeconds, () => {
+    fadeGain.disconnect();
+    console.log("Binaural tones stopped");
+  });
+}
+
+/**
+ * 通知音を 1 回鳴らす（鳴り終わるのは待たない）
+ * ベルのように素早く立ち上がり、ゆっくり減衰するサイン波を重ねる
+ * 鳴っている間は環境音を下げる
+ */
+async function playChime(name, volume) {
+  const notes = CHIMES[name];
+  if (!notes) throw new Error("Unknown chime");
+  const context = await getAudioContext();
+  const peak = toGain(volume);
+  const lastNoteAt = Math.max(...notes.map(({ at }) => at));
+  duckAmbient(lastNoteAt + CHIME_NOTE_SECONDS);
+
+  for (const { frequency, at } of notes) {
+    const start = context.currentTime + at;
+    const end = start + CHIME_NOTE_SECONDS;
+    const oscillator = new OscillatorNode(context, { frequency });
+    const gain = new GainNode(context, { gain: 0 });
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(peak, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.onended = () => gain.disconnect();
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+  console.log("Chime played:", name);
+}
+
 /**
  * Background serviceからのメッセージを処理
  */
@@ -109,31 +461,95 @@ chrome.runtime.onMessage.addListener((message, _, sendResponse) => {
   (async () => {
     try {
       switch (message.action) {
-        case "PLAY":
-          await loadAudio(
-            message.soundFile || "resources/nature-sound.mp3",
-            message.volume || 0.2,
-            message.loop !== false
-          );
-          await playAudio();
+        // fadeInMs かけてフェードインする（指定がなければすぐ鳴らす）
+        // 読み込み中に STOP か次の PLAY が届いたら、読み込み後も再生しない
+        case "PLAY": {
+          const fadeSeconds = toSeconds(message.fadeInMs);
+          if (
+            file?.isLoaded &&
+            message.trackId != null &&
+            message.trackId === file.trackId
+          ) {
+            cancelPendingPlay();
+            rampGain(
+              file.volumeGain,
+              toGain(message.volume),
+              VOLUME_RAMP_SECONDS
+            );
+            file.audio.loop = message.loop !== false;
+          } else {
+            const request = beginPlay();
+            try {
+              await loadAudio(
+                message.soundFile || "resources/nature-sound.mp3",
+                message.volume || 0.2,
+                message.loop !== false,
+                message.trackId ?? null,
+                fadeSeconds
+              );
+            } catch (error) {
+              // 取り消された PLAY の読み込み失敗は伝えない
+              if (!request.cancelled) throw error;
+            } finally {
+              if (pendingPlay === request) pendingPlay = null;
+            }
+            if (request.cancelled) {
+              sendResponse({ success: true });
+              break;
+            }
+          }
+          await playAudio(fadeSeconds);
           sendResponse({ success: true });
           break;
+        }
 
-        case "STOP":
-          stopAudio();
+        // 音声ファイルも生成音もすべて fadeOutMs かけて止める
+        // （鳴っている通知音は最後まで鳴らす）
+        case "STOP": {
+          const fadeSeconds = toSeconds(message.fadeOutMs);
+          cancelPendingPlay();
+          stopAudio(fadeSeconds);
+          stopNoise(fadeSeconds);
+          stopBinaural(fadeSeconds);
           sendResponse({ success: true });
           break;
+        }
 
         case "UPDATE_VOLUME":
-          if (audio && isLoaded) {
-            audio.volume = (message.volume || 0.2) * 0.5 * 0.01;
-            console.log("Volume updated to:", audio.volume);
-          }
+          updateVolume(message.volume);
+          console.log("Volume updated to:", message.volume);
+          sendResponse({ success: true });
+          break;
+
+        case "NOISE_START":
+          await startNoise(message);
+          sendResponse({ success: true });
+          break;
+
+        case "NOISE_STOP":
+          stopNoise(toSeconds(message.fadeOutMs));
+          sendResponse({ success: true });
+          break;
+
+        case "BINAURAL_START":
+          await startBinaural(message);
+          sendResponse({ success: true });
+          break;
+
+        case "BINAURAL_STOP":
+          stopBinaural(toSeconds(message.fadeOutMs));
+          sendResponse({ success: true });
+          break;
+
+        case "CHIME":
+          await playChime(message.chime, message.volume);
           sendResponse({ success: true });
           break;
 
         case "CLEANUP":
           cleanupAudio();
+          stopNoise();
+          stopBinaural();
           sendResponse({ success: true });
           break;
 
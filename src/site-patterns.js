@@ -0,0 +1,122 @@
+/**
+ * Site patterns used by the block list and the allowlist.
+ * The same pattern drives the declarativeNetRequest rule and the check
+ * for tabs that are already open, so both always agree.
+ *
+ * Supported forms:
+ *   example.com              the domain and its subdomains
+ *   example.com/path         URLs on the domain starting with the path
+ *   example.com/*.pdf        "*" in the path matches any characters
+ *   /^https?:\/\/.../        a regular expression matched against the URL
+ */
+
+// Host name, then an optional path of printable ASCII. "|" and "^" are
+// reserved in urlFilter, so they are not accepted in the path.
+const URL_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+(\/[!-\]_-{}~]*)?$/;
+
+// RE2, which declarativeNetRequest uses, has no lookaround or backreferences
+const UNSUPPORTED_REGEX_SYNTAX = /\(\?<?[=!]|\\[1-9]/;
+
+// "^" in a urlFilter matches anything but a letter, digit or one of "_-.%"
+const SEPARATOR = "(?:[^\\w.%-]|$)";
+
+// "||" in a urlFilter anchors at the start of the host or of any subdomain
+const DOMAIN_ANCHOR = "^[a-z][a-z0-9+.-]*://(?:[^/?#@]*@)?(?:[^/?#:@]*\\.)?";
+
+/**
+ * Whether a pattern is written as a regular expression ("/.../").
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function isRegexPattern(pattern) {
+  return pattern.length > 2 && pattern.startsWith("/") && pattern.endsWith("/");
+}
+
+/**
+ * Check a pattern without building anything from it.
+ * @param {string} pattern
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateSitePattern(pattern) {
+  if (typeof pattern !== "string" || pattern === "") {
+    return { valid: false, error: "Empty pattern" };
+  }
+
+  if (isRegexPattern(pattern)) {
+    const source = pattern.slice(1, -1);
+    if (UNSUPPORTED_REGEX_SYNTAX.test(source)) {
+      return {
+        valid: false,
+        error: `Lookaround and backreferences are not supported: ${pattern}`,
+      };
+    }
+    try {
+      new RegExp(source);
+    } catch {
+      return { valid: false, error: `Invalid regular expression: ${pattern}` };
+    }
+    return { valid: true };
+  }
+
+  if (!URL_PATTERN.test(pattern)) {
+    return { valid: false, error: `Invalid site pattern: ${pattern}` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Build the declarativeNetRequest rule condition for a pattern.
+ * @param {string} pattern - A pattern accepted by validateSitePattern()
+ * @returns {{urlFilter: string}|{regexFilter: string}}
+ */
+export function toRuleCondition(pattern) {
+  if (isRegexPattern(pattern)) {
+    return { regexFilter: pattern.slice(1, -1) };
+  }
+  // A trailing wildcard already matches up to the end of the URL
+  return {
+    urlFilter: pattern.endsWith("*") ? `||${pattern}` : `||${pattern}^`,
+  };
+}
+
+/**
+ * Build a regexFilter that matches the whole URL whenever the pattern
+ * matches, so that "\\0" in a regexSubstitution is the original URL.
+ * @param {string} pattern - A pattern accepted by validateSitePattern()
+ * @returns {string}
+ */
+export function toFullUrlRegex(pattern) {
+  return `^.*?(?:${_toRegexSource(pattern)}).*$`;
+}
+
+/**
+ * Whether a URL is matched by a pattern, with the same semantics as the
+ * rule condition built by toRuleCondition(). Matching is case-insensitive,
+ * like declarativeNetRequest by default.
+ * @param {string} url - Tab URL
+ * @param {string} pattern - A pattern accepted by validateSitePattern()
+ * @returns {boolean}
+ */
+export function matchesSitePattern(url, pattern) {
+  if (typeof url !== "string") return false;
+  return new RegExp(_toRegexSource(pattern), "i").test(url);
+}
+
+/**
+ * Regex source for a pattern; urlFilter-style patterns are translated
+ * into the equivalent expression. The result is valid in both JavaScript
+ * and RE2.
+ * @private
+ * @param {string} pattern
+ * @returns {string}
+ */
+function _toRegexSource(pattern) {
+  if (isRegexPattern(pattern)) return pattern.slice(1, -1);
+
+  const body = pattern
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"))
+    .join(".*");
+  const end = pattern.endsWith("*") ? "" : SEPARATOR;
+  return DOMAIN_ANCHOR + body + end;
+}
@@ -0,0 +1,243 @@
+/**
+ * Sounds uploaded by the user, kept in IndexedDB so that the options page,
+ * the new tab page, the service worker and the offscreen player all share
+ * them. Track details and the audio live in separate stores so that
+ * listing the tracks does not read the audio.
+ */
+import Constants from "./constants.js";
+const { USER_SOUNDS } = Constants;
+
+const DB_NAME = "pomodoroSounds";
+const DB_VERSION = 1;
+
+// { id, name, type, size, addedAt }, keyed by id
+const TRACKS_STORE = "tracks";
+// The uploaded Blob, keyed by track ID
+const BLOBS_STORE = "blobs";
+
+const USER_TRACK_PREFIX = "user-";
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Leading bytes of each supported format. null matches any byte.
+ */
+const AUDIO_SIGNATURES = [
+  { format: "mp3", bytes: [0x49, 0x44, 0x33] }, // "ID3" tag
+  // MPEG-1 and MPEG-2 Layer III frames without a tag, with and without CRC
+  { format: "mp3", bytes: [0xff, 0xfb] },
+  { format: "mp3", bytes: [0xff, 0xfa] },
+  { format: "mp3", bytes: [0xff, 0xf3] },
+  { format: "mp3", bytes: [0xff, 0xf2] },
+  { format: "ogg", bytes: [0x4f, 0x67, 0x67, 0x53] }, // "OggS"
+  { format: "flac", bytes: [0x66, 0x4c, 0x61, 0x43] }, // "fLaC"
+  {
+    format: "wav", // "RIFF" .... "WAVE"
+    bytes: [
+      0x52,
+      0x49,
+      0x46,
+      0x46,
+      null,
+      null,
+      null,
+      null,
+      0x57,
+      0x41,
+      0x56,
+      0x45,
+    ],
+  },
+  {
+    format: "m4a", // .... "ftyp"
+    bytes: [null, null, null, null, 0x66, 0x74, 0x79, 0x70],
+  },
+  { format: "webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] }, // EBML header
+];
+
+/**
+ * Number of leading bytes detectAudioFormat() needs.
+ */
+export const AUDIO_SIGNATURE_LENGTH = 12;
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether the ID names an uploaded track rather than
+ *   one from the bundled catalog
+ */
+export function isUserTrackId(id) {
+  return typeof id === "string" && id.startsWith(USER_TRACK_PREFIX);
+}
+
+/**
+ * Tell the audio format from the first bytes of a file.
+ * @param {Uint8Array} bytes - At least AUDIO_SIGNATURE_LENGTH bytes, if the
+ *   file has them
+ * @returns {string|null} "mp3", "ogg", "flac", "wav", "m4a" or "webm", or
+ *   null if the file is not a supported format
+ */
+export function detectAudioFormat(bytes) {
+  const match = AUDIO_SIGNATURES.find(
+    ({ bytes: signature }) =>
+      bytes.length >= signature.length &&
+      signature.every((byte, i) => byte === null || bytes[i] === byte)
+  );
+  return match?.format ?? null;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} { id, name, type, size, addedAt } of
+ *   every uploaded track, oldest first
+ * @throws {Error} If IndexedDB fails
+ */
+export async function listUserTracks() {
+  const tracks = await _transact([TRACKS_STORE], "readonly", (store) =>
+    store.getAll()
+  );
+  return tracks.sort((a, b) => a.addedAt - b.addedAt);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>} The track details, or null if there is no
+ *   uploaded track with the ID
+ * @throws {Error} If IndexedDB fails
+ */
+export async function getUserTrack(id) {
+  const track = await _transact([TRACKS_STORE], "readonly", (store) =>
+    store.get(id)
+  );
+  return track ?? null;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Blob|null>} The uploaded audio, or null if it is gone
+ * @throws {Error} If IndexedDB fails
+ */
+export async function getUserTrackBlob(id) {
+  const blob = await _transact([BLOBS_STORE], "readonly", (store) =>
+    store.get(id)
+  );
+  return blob ?? null;
+}
+
+/**
+ * Store an uploaded file. The options page checks the same limits first to
+ * explain what is wrong; they are enforced here for every caller.
+ * @param {string} name - Name shown in the picker
+ * @param {Blob} blob - The audio
+ * @returns {Promise<Object>} The new track's details
+ * @throws {Error} If the name, the file's size or its format is not
+ *   accepted, or if the track would go over the number or total size of
+ *   uploads
+ * @throws {Error} If IndexedDB fails, e.g. when storage is full
+ */
+export async function addUserTrack(name, blob) {
+  await _checkUpload(name, blob);
+  const track = {
+    id: `${USER_TRACK_PREFIX}${crypto.randomUUID()}`,
+    name,
+    type: blob.type,
+    size: blob.size,
+    addedAt: Date.now(),
+  };
+  await _transact([TRACKS_STORE, BLOBS_STORE], "readwrite", (tracks, blobs) => {
+    tracks.put(track);
+    blobs.put(blob, track.id);
+  });
+  return track;
+}
+
+/**
+ * Delete an uploaded track and its audio. A timer still set to the track
+ * falls back to the default track.
+ * @param {string} id
+ * @throws {Error} If IndexedDB fails
+ */
+export async function deleteUserTrack(id) {
+  await _transact([TRACKS_STORE, BLOBS_STORE], "readwrite", (tracks, blobs) => {
+    tracks.delete(id);
+    blobs.delete(id);
+  });
+}
+
+/**
+ * @private
+ * @param {string} name
+ * @param {Blob} blob
+ * @throws {Error} If the upload is not accepted
+ */
+async function _checkUpload(name, blob) {
+  if (
+    typeof name !== "string" ||
+    name === "" ||
+    name.length > USER_SOUNDS.MAX_NAME_LENGTH
+  ) {
+    throw new Error("Invalid sound name");
+  }
+  if (!(blob instanceof Blob)) throw new Error("Invalid sound file");
+  if (blob.size > USER_SOUNDS.MAX_FILE_MB * BYTES_PER_MB) {
+    throw new Error(`Sound files are limited to ${USER_SOUNDS.MAX_FILE_MB} MB`);
+  }
+  // The Blob's type comes from the file's extension, so check the contents
+  const header = await blob.slice(0, AUDIO_SIGNATURE_LENGTH).arrayBuffer();
+  if (!detectAudioFormat(new Uint8Array(header))) {
+    throw new Error("Unsupported audio format");
+  }
+
+  const tracks = await listUserTracks();
+  if (tracks.length >= USER_SOUNDS.MAX_TRACKS) {
+    throw new Error(`Up to ${USER_SOUNDS.MAX_TRACKS} sounds can be uploaded`);
+  }
+  const totalSize = tracks.reduce((sum, track) => sum + track.size, 0);
+  if (totalSize + blob.size > USER_SOUNDS.MAX_TOTAL_MB * BYTES_PER_MB) {
+    throw new Error(
+      `Uploaded sounds are limited to ${USER_SOUNDS.MAX_TOTAL_MB} MB in total`
+    );
+  }
+}
+
+/**
+ * @private
+ * @returns {Promise<IDBDatabase>}
+ */
+function _openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(TRACKS_STORE, { keyPath: "id" });
+      db.createObjectStore(BLOBS_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run work in one transaction and wait for it to commit.
+ * @private
+ * @param {Array<string>} storeNames
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - Called with the object stores in order; may
+ *   return a request whose result becomes the result
+ * @returns {Promise<*>}
+ */
+async function _transact(storeNames, mode, work) {
+  const db = await _openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const request = work(
+        ...storeNames.map((name) => transaction.objectStore(name))
+      );
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(transaction.error ?? new Error("Transaction aborted"));
+    });
+  } finally {
+    db.close();
+  }
+}
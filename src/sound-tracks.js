@@ -0,0 +1,34 @@
+/**
+ * Ambient tracks offered in the sound settings, in picker order.
+ * A track either plays a file or is generated in the offscreen document:
+ *   file     - path relative to the extension root; every file must also be
+ *              listed in web_accessible_resources in manifest.json
+ *   noise    - "white", "pink" or "brown" noise
+ *   binaural - { carrierHz, beatHz }: carrierHz in the left ear and
+ *              carrierHz + beatHz in the right
+ */
+export const SOUND_TRACKS = [
+  { id: "nature", name: "Nature", file: "resources/nature-sound.mp3" },
+  { id: "white-noise", name: "White noise", noise: "white" },
+  { id: "pink-noise", name: "Pink noise", noise: "pink" },
+  { id: "brown-noise", name: "Brown noise", noise: "brown" },
+  {
+    id: "binaural-alpha",
+    name: "Binaural 10 Hz",
+    binaural: { carrierHz: 200, beatHz: 10 },
+  },
+];
+
+export const DEFAULT_SOUND_TRACK = "nature";
+
+/**
+ * @param {string} id
+ * @returns {Object} The track, or the default track if the ID is not in
+ *   the catalog (e.g. a removed track)
+ */
+export function getSoundTrack(id) {
+  return (
+    SOUND_TRACKS.find((track) => track.id === id) ??
+    SOUND_TRACKS.find((track) => track.id === DEFAULT_SOUND_TRACK)
+  );
+}
@@ -3,7 +3,16 @@
  * Handles starting, pausing, resuming, resetting, and updating the timer.
  */
 import Constants from "./constants.js";
-const { TIMER_MODES, SESSION_TYPES, DURATIONS } = Constants;
+import { DEFAULT_SOUND_TRACK } from "./sound-tracks.js";
+const {
+  TIMER_MODES,
+  SESSION_TYPES,
+  DURATIONS,
+  CYCLES,
+  START_MODES,
+  SESSION_END_REASONS,
+  BLOCK_MODES,
+} = Constants;
 
 export default class TimerState {
   constructor() {
@@ -12,18 +21,71 @@ export default class TimerState {
 
   /**
    * Starts the timer with a total duration in minutes.
+   * Session lengths that are omitted keep their previous values.
+   * The last session is cut short if it does not fit in the total.
    * @param {number} totalDurationMinutes - Total duration in minutes (default 60).
+   * @param {object} [sessionLengths] - Optional session lengths.
+   * @param {number} [sessionLengths.workMinutes] - Work session length in minutes.
+   * @param {number} [sessionLengths.breakMinutes] - Break session length in minutes.
+   * @param {number} [sessionLengths.longBreakMinutes] - Long break length in minutes.
+   * @param {number} [sessionLengths.longBreakInterval] - Work sessions per long break.
    */
-  start(totalDurationMinutes = DURATIONS.DEFAULT_TOTAL_MINUTES) {
+  start(
+    totalDurationMinutes = DURATIONS.DEFAULT_TOTAL_MINUTES,
+    sessionLengths = {}
+  ) {
+    this._applySessionLengths(sessionLengths);
+    this.startMode = START_MODES.MINUTES;
+    this._begin(totalDurationMinutes * 60 * 1000); // convert minutes to ms
+  }
+
+  /**
+   * Starts the timer for a number of work sessions.
+   * The total duration is derived from the session lengths so that
+   * no work session is truncated; the run ends with the last work session.
+   * @param {number} cycles - Number of work sessions to run.
+   * @param {object} [sessionLengths] - Optional session lengths, as in start().
+   */
+  startCycles(cycles = CYCLES.DEFAULT_TARGET_CYCLES, sessionLengths = {}) {
+    this._applySessionLengths(sessionLengths);
+    this.startMode = START_MODES.CYCLES;
+    this.targetCycles = cycles;
+    this._begin(TimerState.computeCycleDuration(cycles, this));
+  }
+
+  /**
+   * Applies the session lengths given to start() or startCycles().
+   * @private
+   */
+  _applySessionLengths({
+    workMinutes,
+    breakMinutes,
+    longBreakMinutes,
+    longBreakInterval,
+  }) {
+    if (workMinutes != null) this.workDuration = workMinutes * 60 * 1000;
+    if (breakMinutes != null) this.breakDuration = breakMinutes * 60 * 1000;
+    if (longBreakMinutes != null) {
+      this.longBreakDuration = longBreakMinutes * 60 * 1000;
+    }
+    if (longBreakInterval != null) this.longBreakInterval = longBreakInterval;
+  }
+
+  /**
+   * Resets the run and starts the first work session.
+   * @private
+   * @param {number} totalDuration - Total duration in ms.
+   */
+  _begin(totalDuration) {
     this.reset();
 
     this.mode = TIMER_MODES.RUNNING;
 
     this.totalStartTime = Date.now();
-    this.totalDuration = totalDurationMinutes * 60 * 1000; // convert minutes to ms
+    this.totalDuration = totalDuration;
 
     this.sessionStartTime = Date.now();
-    this.sessionDuration = Math.min(DURATIONS.WORK_SESSION, this.totalDuration);
+    this.sessionDuration = Math.min(this.workDuration, this.totalDuration);
   }
 
   /**
@@ -48,6 +110,7 @@ export default class TimerState {
 
     this.totalStartTime += pauseDuration;
     this.sessionStartTime += pauseDuration;
+    this.sessionPausedDuration += pauseDuration;
 
     this.mode = TIMER_MODES.RUNNING;
     this.pausedAt = null;
@@ -57,26 +120,118 @@ export default class TimerState {
    * Resets the timer to its initial state.
    */
   reset() {
+    // Session lengths and the long-break interval are preserved across resets
+    if (this.workDuration === void 0) {
+      this.workDuration = DURATIONS.WORK_SESSION;
+    }
+    if (this.breakDuration === void 0) {
+      this.breakDuration = DURATIONS.BREAK_SESSION;
+    }
+    if (this.longBreakDuration === void 0) {
+      this.longBreakDuration = DURATIONS.LONG_BREAK_SESSION;
+    }
+    if (this.longBreakInterval === void 0) {
+      this.longBreakInterval = CYCLES.DEFAULT_LONG_BREAK_INTERVAL;
+    }
+    // The start mode and cycle target are remembered for the next run
+    if (this.startMode === void 0) {
+      this.startMode = START_MODES.MINUTES;
+    }
+    if (this.targetCycles === void 0) {
+      this.targetCycles = CYCLES.DEFAULT_TARGET_CYCLES;
+    }
+    // So is the block mode; sites-guard reads it while the run is active
+    if (this.blockMode === void 0) {
+      this.blockMode = BLOCK_MODES.BLOCKLIST;
+    }
+    // And whether pause, reset and skip are locked during work sessions
+    if (this.strictMode === void 0) {
+      this.strictMode = false;
+    }
+    // And the focus preset the run was started from, whose block list
+    // sites-guard applies instead of the stored one
+    if (this.presetId === void 0) {
+      this.presetId = null;
+    }
+
     this.mode = TIMER_MODES.SETUP;
     this.totalStartTime = null;
     this.totalDuration = null;
     this.totalElapsed = 0;
     this.sessionType = SESSION_TYPES.WORK;
     this.sessionStartTime = null;
-    this.sessionDuration = DURATIONS.WORK_SESSION;
+    this.sessionDuration = this.workDuration;
     this.sessionElapsed = 0;
+    this.sessionPausedDuration = 0;
+    this.completedWorkSessions = 0;
     this.pausedAt = null;
-    // soundEnabled and soundVolume are preserved across resets
+    // Sound settings are preserved across resets, except that a focus
+    // preset's settings and block mode only last for its run
+    this._restoreUserSettings();
     if (this.soundEnabled === void 0) {
       this.soundEnabled = false; // Only set default on first initialization
     }
     if (this.soundVolume === void 0) {
       this.soundVolume = 50;
     }
+    if (this.soundTrack === void 0) {
+      this.soundTrack = DEFAULT_SOUND_TRACK;
+    }
+  }
+
+  /**
+   * Uses a focus preset's sound settings for the current run. The user's
+   * own settings come back when the run completes or is reset; changes
+   * made during the run last for the run only.
+   * @param {object} sound - The preset's settings.
+   * @param {boolean} sound.soundEnabled
+   * @param {number} sound.soundVolume
+   * @param {string} [sound.soundTrack] - Keeps the current track if omitted.
+   */
+  applyRunSound({ soundEnabled, soundVolume, soundTrack }) {
+    this.userSound ??= {
+      soundEnabled: this.soundEnabled,
+      soundVolume: this.soundVolume,
+      soundTrack: this.soundTrack,
+    };
+    this.soundEnabled = soundEnabled;
+    this.soundVolume = soundVolume;
+    if (soundTrack) this.soundTrack = soundTrack;
+  }
+
+  /**
+   * Uses a block mode for the current run only. The user's own block mode
+   * comes back when the run completes or is reset.
+   * @param {string} blockMode - One of Constants.BLOCK_MODES.
+   */
+  applyRunBlockMode(blockMode) {
+    this.userBlockMode ??= this.blockMode;
+    this.blockMode = blockMode;
+  }
+
+  /**
+   * Puts back the settings saved by applyRunSound() and applyRunBlockMode().
+   * @private
+   */
+  _restoreUserSettings() {
+    if (this.userSound) Object.assign(this, this.userSound);
+    this.userSound = null;
+    if (this.userBlockMode) this.blockMode = this.userBlockMode;
+    this.userBlockMode = null;
+  }
+
+  /**
+   * Ends the run after its last session.
+   * @private
+   */
+  _complete() {
+    this.mode = TIMER_MODES.COMPLETED;
+    this._restoreUserSettings();
   }
 
   /**
    * Updates the timer state, should be called periodically (e.g., every second).
+   * When a session ends, the result carries its history record as endedSession.
    */
   update() {
     if (this.mode !== TIMER_MODES.RUNNING) return;
@@ -84,14 +239,103 @@ export default class TimerState {
     this._updateElapsed();
 
     if (this._isTotalComplete()) {
-      this.mode = TIMER_MODES.COMPLETED;
-      return this;
+      const endedSession = this.getSessionRecord(
+        SESSION_END_REASONS.COMPLETED,
+        this.getSessionEndTime()
+      );
+      this._complete();
+      return { ...this, endedSession };
     }
 
     if (this._isSessionComplete()) {
+      const endedSession = this.getSessionRecord(
+        SESSION_END_REASONS.COMPLETED,
+        this.getSessionEndTime()
+      );
       this._switchSession();
-      return { ...this, isSessionComplete: true };
+      return { ...this, isSessionComplete: true, endedSession };
+    }
+  }
+
+  /**
+   * Ends the current session early and moves on to the next one.
+   * In cycles mode the skipped time is removed from the total so the
+   * remaining work sessions still fit; in minutes mode the total is kept.
+   * @returns {object|undefined} - Same shape as update(): a copy of the
+   *   timer with mode COMPLETED or isSessionComplete set, plus endedSession.
+   *   Undefined if the timer is not running.
+   */
+  skip() {
+    if (this.mode !== TIMER_MODES.RUNNING) return;
+
+    this._updateElapsed();
+    const endedSession = this.getSessionRecord(SESSION_END_REASONS.SKIPPED);
+
+    if (this.startMode === START_MODES.CYCLES) {
+      this.totalDuration -= this.getSessionRemaining();
     }
+
+    if (this._isTotalComplete()) {
+      this._complete();
+      return { ...this, endedSession };
+    }
+
+    this._switchSession();
+    return { ...this, isSessionComplete: true, endedSession };
+  }
+
+  /**
+   * Builds a history record for the current session.
+   * sessionStartTime is shifted forward on every resume, so the wall-clock
+   * start is recovered by subtracting the time already spent paused.
+   * @param {string} endReason - One of Constants.SESSION_END_REASONS.
+   * @param {number} [endTime] - When the session ended (default: now).
+   * @returns {object|null} - The record, or null if no session is in progress.
+   */
+  getSessionRecord(endReason, endTime = Date.now()) {
+    if (this.mode !== TIMER_MODES.RUNNING && this.mode !== TIMER_MODES.PAUSED) {
+      return null;
+    }
+
+    // A session abandoned while paused has not been credited its last pause yet
+    const activeUntil = this.pausedAt ?? endTime;
+    const startTime = this.sessionStartTime - this.sessionPausedDuration;
+
+    return {
+      id: `${startTime}-${this.sessionType}`,
+      sessionType: this.sessionType,
+      startTime,
+      endTime,
+      plannedDuration: this.sessionDuration,
+      actualDuration: Math.max(0, activeUntil - this.sessionStartTime),
+      pausedDuration: this.sessionPausedDuration + (endTime - activeUntil),
+      endReason,
+    };
+  }
+
+  /**
+   * Lengthens the current session.
+   * In cycles mode the total grows by the same amount; in minutes mode
+   * the session is capped at the end of the total duration.
+   * @param {number} minutes - Minutes to add to the current session.
+   * @returns {number} - Milliseconds actually added (0 if not running).
+   */
+  extend(minutes) {
+    if (this.mode !== TIMER_MODES.RUNNING) return 0;
+
+    this._updateElapsed();
+
+    let added = minutes * 60 * 1000;
+    if (this.startMode === START_MODES.CYCLES) {
+      this.totalDuration += added;
+    } else {
+      const sessionCap =
+        this.totalStartTime + this.totalDuration - this.sessionStartTime;
+      added = Math.max(0, Math.min(added, sessionCap - this.sessionDuration));
+    }
+    this.sessionDuration += added;
+
+    return added;
   }
 
   /**
@@ -130,21 +374,32 @@ export default class TimerState {
 
   /**
    * Switches between work and break sessions.
+   * Every longBreakInterval-th completed work session is followed by a long break.
    * @private
    */
   _switchSession() {
-    const isWorking = this.sessionType === SESSION_TYPES.WORK;
+    if (this.sessionType === SESSION_TYPES.WORK) {
+      this.completedWorkSessions += 1;
+      const isLongBreak =
+        this.completedWorkSessions % this.longBreakInterval === 0;
 
-    this.sessionType = isWorking ? SESSION_TYPES.BREAK : SESSION_TYPES.WORK;
-    this.sessionDuration = isWorking
-      ? DURATIONS.BREAK_SESSION
-      : DURATIONS.WORK_SESSION;
+      this.sessionType = isLongBreak
+        ? SESSION_TYPES.LONG_BREAK
+        : SESSION_TYPES.BREAK;
+      this.sessionDuration = isLongBreak
+        ? this.longBreakDuration
+        : this.breakDuration;
+    } else {
+      this.sessionType = SESSION_TYPES.WORK;
+      this.sessionDuration = this.workDuration;
+    }
     this.sessionDuration = Math.min(
       this.sessionDuration,
       this.getTotalRemaining()
     );
     this.sessionStartTime = Date.now();
     this.sessionElapsed = 0;
+    this.sessionPausedDuration = 0;
   }
 
   /**
@@ -163,6 +418,56 @@ export default class TimerState {
     return Math.max(0, this.sessionDuration - this.sessionElapsed);
   }
 
+  /**
+   * Returns the wall-clock time at which the current session ends.
+   * @returns {number|null} - Epoch ms, or null if the timer is not running.
+   */
+  getSessionEndTime() {
+    if (this.mode !== TIMER_MODES.RUNNING) return null;
+    return this.sessionStartTime + this.sessionDuration;
+  }
+
+  /**
+   * Returns the wall-clock time at which strict mode unlocks pause, reset
+   * and skip. They are locked until the running work session ends.
+   * @returns {number|null} - Epoch ms, or null if the controls are not locked.
+   */
+  getStrictLockEnd() {
+    if (!this.strictMode || this.sessionType !== SESSION_TYPES.WORK) {
+      return null;
+    }
+    return this.getSessionEndTime();
+  }
+
+  /**
+   * Returns the wall-clock time at which the total duration ends.
+   * @returns {number|null} - Epoch ms, or null if the timer is not running.
+   */
+  getTotalEndTime() {
+    if (this.mode !== TIMER_MODES.RUNNING) return null;
+    return this.totalStartTime + this.totalDuration;
+  }
+
+  /**
+   * Computes the total length of a cycle-count run: the given number of
+   * work sessions plus the short and long breaks between them.
+   * @param {number} cycles - Number of work sessions.
+   * @param {object} lengths - workDuration, breakDuration, longBreakDuration (ms)
+   *   and longBreakInterval, e.g. a TimerState instance.
+   * @returns {number} - Total duration in ms.
+   */
+  static computeCycleDuration(
+    cycles,
+    { workDuration, breakDuration, longBreakDuration, longBreakInterval }
+  ) {
+    let total = cycles * workDuration;
+    for (let done = 1; done < cycles; done++) {
+      total +=
+        done % longBreakInterval === 0 ? longBreakDuration : breakDuration;
+    }
+    return total;
+  }
+
   /**
    * Create a serializable snapshot of the current timer state.
    * Note: elapsed fields are intentionally omitted and will be recomputed.
@@ -171,6 +476,7 @@ export default class TimerState {
    */
   toSnapshot() {
     return {
+      version: Constants.SNAPSHOT.VERSION,
       mode: this.mode,
       totalStartTime: this.totalStartTime,
       totalDuration: this.totalDuration,
@@ -178,8 +484,22 @@ export default class TimerState {
       sessionStartTime: this.sessionStartTime,
       sessionDuration: this.sessionDuration,
       pausedAt: this.pausedAt,
+      sessionPausedDuration: this.sessionPausedDuration,
+      workDuration: this.workDuration,
+      breakDuration: this.breakDuration,
+      longBreakDuration: this.longBreakDuration,
+      longBreakInterval: this.longBreakInterval,
+      completedWorkSessions: this.completedWorkSessions,
+      startMode: this.startMode,
+      targetCycles: this.targetCycles,
+      blockMode: this.blockMode,
+      strictMode: this.strictMode,
+      presetId: this.presetId,
       soundEnabled: this.soundEnabled,
       soundVolume: this.soundVolume,
+      soundTrack: this.soundTrack,
+      userSound: this.userSound,
+      userBlockMode: this.userBlockMode,
     };
   }
 
@@ -197,12 +517,28 @@ export default class TimerState {
     t.totalStartTime = snap.totalStartTime ?? null;
     t.totalDuration =
       snap.totalDuration ?? DURATIONS.DEFAULT_TOTAL_MINUTES * 60 * 1000;
+    t.workDuration = snap.workDuration ?? DURATIONS.WORK_SESSION;
+    t.breakDuration = snap.breakDuration ?? DURATIONS.BREAK_SESSION;
+    t.longBreakDuration =
+      snap.longBreakDuration ?? DURATIONS.LONG_BREAK_SESSION;
+    t.longBreakInterval =
+      snap.longBreakInterval ?? CYCLES.DEFAULT_LONG_BREAK_INTERVAL;
+    t.completedWorkSessions = snap.completedWorkSessions ?? 0;
+    t.startMode = snap.startMode ?? START_MODES.MINUTES;
+    t.targetCycles = snap.targetCycles ?? CYCLES.DEFAULT_TARGET_CYCLES;
+    t.blockMode = snap.blockMode ?? BLOCK_MODES.BLOCKLIST;
+    t.strictMode = snap.strictMode ?? false;
+    t.presetId = snap.presetId ?? null;
     t.sessionType = snap.sessionType ?? SESSION_TYPES.WORK;
     t.sessionStartTime = snap.sessionStartTime ?? null;
-    t.sessionDuration = snap.sessionDuration ?? DURATIONS.WORK_SESSION;
+    t.sessionDuration = snap.sessionDuration ?? t.workDuration;
     t.pausedAt = snap.pausedAt ?? null;
+    t.sessionPausedDuration = snap.sessionPausedDuration ?? 0;
     t.soundEnabled = snap.soundEnabled ?? false; // Default to false if not present
     t.soundVolume = snap.soundVolume ?? 50;
+    t.soundTrack = snap.soundTrack ?? DEFAULT_SOUND_TRACK;
+    t.userSound = snap.userSound ?? null;
+    t.userBlockMode = snap.userBlockMode ?? null;
 
     // Recompute elapsed fields based on wall-clock time
     t.totalElapsed = Date.now() - t.totalStartTime;
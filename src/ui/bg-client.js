@@ -1,17 +1,112 @@
+import Constants from "../constants.js";
+const { DURATIONS, CYCLES, START_MODES, BLOCK_MODES, UNLOCK } = Constants;
+
+/**
+ * Optional start settings accepted by start(), with their valid ranges.
+ */
+const SESSION_LENGTH_LIMITS = {
+  workMinutes: {
+    min: DURATIONS.MIN_WORK_MINUTES,
+    max: DURATIONS.MAX_WORK_MINUTES,
+    error: "Invalid work minutes",
+  },
+  breakMinutes: {
+    min: DURATIONS.MIN_BREAK_MINUTES,
+    max: DURATIONS.MAX_BREAK_MINUTES,
+    error: "Invalid break minutes",
+  },
+  longBreakMinutes: {
+    min: DURATIONS.MIN_LONG_BREAK_MINUTES,
+    max: DURATIONS.MAX_LONG_BREAK_MINUTES,
+    error: "Invalid long break minutes",
+  },
+  longBreakInterval: {
+    min: CYCLES.MIN_LONG_BREAK_INTERVAL,
+    max: CYCLES.MAX_LONG_BREAK_INTERVAL,
+    error: "Invalid long break interval",
+  },
+};
+
 export class BGClient {
   async update() {
     return this._send("timer/update");
   }
-  async start(minutes) {
-    if (
-      typeof minutes !== "number" ||
-      isNaN(minutes) ||
-      minutes < 5 ||
-      minutes > 300
-    ) {
-      throw new Error("Invalid minutes");
+  /**
+   * Start the timer. The settings mirror the background's "timer/start"
+   * payload.
+   * @param {Object} settings
+   * @param {string} [settings.startMode] - One of START_MODES (default:
+   *   minutes)
+   * @param {number} [settings.minutes] - Total minutes, for START_MODES.MINUTES
+   * @param {number} [settings.cycles] - Number of work sessions, for
+   *   START_MODES.CYCLES
+   * @param {number} [settings.workMinutes] - Optional session lengths, along
+   *   with breakMinutes, longBreakMinutes and longBreakInterval
+   * @param {string} [settings.blockMode] - One of BLOCK_MODES (default: keep
+   *   the previous run's mode)
+   * @param {boolean} [settings.strictMode] - Lock pause, reset and skip
+   *   during work sessions (default: off)
+   * @param {string} [settings.presetId] - Focus preset whose lengths, block
+   *   list and sound settings the run uses
+   */
+  async start({
+    startMode = START_MODES.MINUTES,
+    minutes,
+    cycles,
+    blockMode,
+    strictMode,
+    presetId,
+    ...sessionLengths
+  }) {
+    let payload;
+    if (startMode === START_MODES.CYCLES) {
+      if (
+        !Number.isInteger(cycles) ||
+        cycles < CYCLES.MIN_TARGET_CYCLES ||
+        cycles > CYCLES.MAX_TARGET_CYCLES
+      ) {
+        throw new Error("Invalid cycles");
+      }
+      payload = { startMode, cycles };
+    } else {
+      if (
+        typeof minutes !== "number" ||
+        isNaN(minutes) ||
+        minutes < 5 ||
+        minutes > 300
+      ) {
+        throw new Error("Invalid minutes");
+      }
+      payload = { minutes };
+    }
+
+    for (const [key, { min, max, error }] of Object.entries(
+      SESSION_LENGTH_LIMITS
+    )) {
+      const value = sessionLengths[key];
+      if (value === void 0) continue;
+      if (!this._isInRange(value, min, max)) throw new Error(error);
+      payload[key] = value;
     }
-    return this._send("timer/start", { minutes });
+    if (blockMode !== void 0) {
+      if (!Object.values(BLOCK_MODES).includes(blockMode)) {
+        throw new Error("Invalid block mode");
+      }
+      payload.blockMode = blockMode;
+    }
+    if (strictMode !== void 0) {
+      if (typeof strictMode !== "boolean") {
+        throw new Error("Invalid strict mode");
+      }
+      payload.strictMode = strictMode;
+    }
+    if (presetId !== void 0) {
+      if (typeof presetId !== "string" || presetId === "") {
+        throw new Error("Invalid preset");
+      }
+      payload.presetId = presetId;
+    }
+    return this._send("timer/start", payload);
   }
   async pause() {
     return this._send("timer/pause");
@@ -22,18 +117,183 @@ export class BGClient {
   async reset() {
     return this._send("timer/reset");
   }
+  async skip() {
+    return this._send("timer/skip");
+  }
+  async extend(minutes = DURATIONS.DEFAULT_EXTEND_MINUTES) {
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < 1 ||
+      minutes > DURATIONS.MAX_EXTEND_MINUTES
+    ) {
+      throw new Error("Invalid minutes");
+    }
+    return this._send("timer/extend", { minutes });
+  }
+
+  /**
+   * Read finished sessions from the history log, oldest first.
+   * @param {Object} [filter] - from, to, sessionType, endReason, limit
+   */
+  async getHistory(filter = {}) {
+    return this._send("history/query", filter);
+  }
+
+  /**
+   * Merge a parsed JSON history export into the history log.
+   * @param {Object} data - Parsed export file ({ version, sessions })
+   */
+  async importHistory(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Invalid history file");
+    }
+    return this._send("history/import", {
+      version: data.version,
+      sessions: data.sessions,
+    });
+  }
+
+  async getBlockList() {
+    return this._send("blocklist/get");
+  }
+
+  /**
+   * Replace the block list; active blocking rules are updated right away.
+   * @param {Array<string>} sites - Domains in display order
+   */
+  async saveBlockList(sites) {
+    if (!Array.isArray(sites)) throw new Error("Invalid block list");
+    return this._send("blocklist/save", { sites });
+  }
+
+  async getAllowList() {
+    return this._send("allowlist/get");
+  }
+
+  /**
+   * Replace the allowlist used in allowlist mode.
+   * @param {Array<string>} sites - Domains in display order
+   */
+  async saveAllowList(sites) {
+    if (!Array.isArray(sites)) throw new Error("Invalid allowlist");
+    return this._send("allowlist/save", { sites });
+  }
+
+  /**
+   * Today's budgets as { domain, minutes, usedMs, remainingMs, exhausted }.
+   */
+  async getBudgets() {
+    return this._send("budgets/get");
+  }
+
+  /**
+   * Replace the daily site budgets; blocks follow the new budgets right away.
+   * @param {Array<{domain: string, minutes: number}>} budgets
+   */
+  async saveBudgets(budgets) {
+    if (!Array.isArray(budgets)) throw new Error("Invalid budgets");
+    return this._send("budgets/save", { budgets });
+  }
+
+  /**
+   * Weekly blocking windows, plus { active, endsAt } of the open window.
+   */
+  async getSchedules() {
+    return this._send("schedules/get");
+  }
+
+  /**
+   * Replace the weekly blocking windows; a window open right now blocks
+   * straight away.
+   * @param {Array<{days: Array<number>, start: string, end: string}>} schedules
+   */
+  async saveSchedules(schedules) {
+    if (!Array.isArray(schedules)) throw new Error("Invalid schedules");
+    return this._send("schedules/save", { schedules });
+  }
+
+  async getPresets() {
+    return this._send("presets/get");
+  }
+
+  /**
+   * Replace the focus presets; a running preset's block list is updated
+   * right away.
+   * @param {Array<Object>} presets - { id, name, workMinutes, breakMinutes,
+   *   blockList, soundEnabled, soundVolume } in display order
+   */
+  async savePresets(presets) {
+    if (!Array.isArray(presets)) throw new Error("Invalid presets");
+    return this._send("presets/save", { presets });
+  }
+
+  async returnLater(url) {
+    if (typeof url !== "string" || url === "") throw new Error("Invalid URL");
+    return this._send("blocked/return-later", { url });
+  }
+
+  async unlockSite({ domain, minutes, reason, confirmation }) {
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < UNLOCK.MIN_MINUTES ||
+      minutes > UNLOCK.MAX_MINUTES
+    ) {
+      throw new Error("Invalid minutes");
+    }
+    return this._send("unlock/start", {
+      domain,
+      minutes,
+      reason,
+      confirmation,
+    });
+  }
+
+  async getUnlocks() {
+    return this._send("unlock/get");
+  }
+
+  async getScrubSettings() {
+    return this._send("tabs/settings/get");
+  }
+
+  async saveScrubSettings(settings) {
+    return this._send("tabs/settings/save", settings);
+  }
+
+  async getAlertSettings() {
+    return this._send("alerts/get");
+  }
+
+  async saveAlertSettings(settings) {
+    return this._send("alerts/save", settings);
+  }
+
+  async getClosedTabs() {
+    return this._send("tabs/closed/get");
+  }
+
+  async restoreClosedTabs() {
+    return this._send("tabs/closed/restore");
+  }
 
   async saveSoundSettings(payload) {
     return this._send("sound/save", payload);
   }
 
+  _isInRange(value, min, max) {
+    return (
+      typeof value === "number" && !isNaN(value) && value >= min && value <= max
+    );
+  }
+
   async _send(type, payload = {}) {
     try {
       const res = await chrome.runtime.sendMessage({ type, ...payload });
       if (res === void 0) {
         throw new Error("No response from background");
       }
-      if (!res?.success) {
+      // Strict mode rejections are expected; the caller shows the lock
+      if (!res?.success && !res?.locked) {
         let errorMsg = "An unexpected error occurred in the background";
         if (res?.error) {
           errorMsg = res.error;
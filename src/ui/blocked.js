@@ -0,0 +1,265 @@
+import { BGClient } from "./bg-client.js";
+import { matchesSitePattern } from "../site-patterns.js";
+import Constants from "../constants.js";
+const { TIMER_MODES, SESSION_TYPES, UNLOCK } = Constants;
+
+class BlockedPageController {
+  constructor() {
+    this.bgClient = new BGClient();
+    this.blockedUrl = this.readBlockedUrl();
+    // Budget rules add "?reason=budget"; session and schedule rules add nothing
+    this.isBudgetBlock =
+      new URLSearchParams(location.search).get("reason") === "budget";
+    this.countdown = null;
+    this.sessionEndsAt = null;
+    this.unlockWait = null;
+    this.unlockWaitLeft = UNLOCK.WAIT_SECONDS;
+
+    // UI Elements
+    this.title = document.getElementById("blocked-title");
+    this.blockedUrlView = document.getElementById("blocked-url");
+    this.sessionInfo = document.getElementById("session-info");
+    this.timeLeft = document.getElementById("time-left");
+    this.returnLaterButton = document.getElementById("return-later-button");
+    this.returnStatus = document.getElementById("return-status");
+    this.budgetInfo = document.getElementById("budget-info");
+    this.scheduleInfo = document.getElementById("schedule-info");
+
+    // Emergency unlock
+    this.unlockSection = document.getElementById("unlock-section");
+    this.unlockDomain = document.getElementById("unlock-domain");
+    this.unlockMinutes = document.getElementById("unlock-minutes");
+    this.unlockReason = document.getElementById("unlock-reason");
+    this.unlockPhrase = document.getElementById("unlock-phrase");
+    this.unlockConfirmation = document.getElementById("unlock-confirmation");
+    this.unlockButton = document.getElementById("unlock-button");
+    this.unlockStatus = document.getElementById("unlock-status");
+
+    this.blockedUrlView.textContent = this.blockedUrl ?? "";
+    this.returnLaterButton.disabled = !this.blockedUrl;
+    this.unlockSection.hidden = !this.blockedUrl;
+    this.unlockDomain.value = this.blockedUrl
+      ? new URL(this.blockedUrl).hostname
+      : "";
+    this.unlockPhrase.textContent = UNLOCK.CONFIRM_PHRASE;
+    this.updateUnlockButton();
+
+    this.attachEventListeners();
+
+    this.load();
+  }
+
+  attachEventListeners() {
+    this.returnLaterButton.addEventListener("click", () => this.returnLater());
+
+    this.unlockSection.addEventListener("toggle", () => {
+      if (this.unlockSection.open) this.startUnlockWait();
+    });
+    this.unlockReason.addEventListener("input", () =>
+      this.updateUnlockButton()
+    );
+    this.unlockConfirmation.addEventListener("input", () =>
+      this.updateUnlockButton()
+    );
+    this.unlockButton.addEventListener("click", () => this.unlock());
+  }
+
+  /**
+   * The redirect rule appends the blocked URL as the fragment.
+   * @returns {string|null} The URL, or null if it is missing or not a web page
+   */
+  readBlockedUrl() {
+    const url = location.hash.slice(1);
+    try {
+      const { protocol } = new URL(url);
+      return protocol === "http:" || protocol === "https:" ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async load() {
+    if (this.isBudgetBlock) {
+      await this.loadBudget();
+      return;
+    }
+
+    const state = await this.bgClient.update();
+    if (!state?.success) return;
+
+    const isBlocking =
+      (state.mode === TIMER_MODES.RUNNING ||
+        state.mode === TIMER_MODES.PAUSED) &&
+      state.sessionType === SESSION_TYPES.WORK;
+    if (!isBlocking) {
+      if (state.scheduleEndsAt > Date.now()) {
+        this.showScheduled(state.scheduleEndsAt);
+      } else {
+        this.showUnblocked();
+      }
+      return;
+    }
+
+    this.sessionEndsAt =
+      state.mode === TIMER_MODES.RUNNING
+        ? Date.now() + state.sessionRemaining
+        : null;
+    this.renderTimeLeft(state.sessionRemaining);
+    if (this.sessionEndsAt) this.startCountdown();
+  }
+
+  /**
+   * The site's daily budget ran out. Link to the page instead if the budget
+   * has since been raised or removed, or a new day has started.
+   */
+  async loadBudget() {
+    const res = await this.bgClient.getBudgets();
+    if (!res?.success) return;
+
+    const budget = this.blockedUrl
+      ? res.budgets.find(({ domain }) =>
+          matchesSitePattern(this.blockedUrl, domain)
+        )
+      : null;
+    if (!budget?.exhausted) {
+      this.showUnblocked();
+      return;
+    }
+
+    this.title.textContent = "Daily budget used up";
+    this.sessionInfo.hidden = true;
+    this.returnLaterButton.hidden = true;
+    this.unlockSection.hidden = true;
+    this.budgetInfo.hidden = false;
+    this.budgetInfo.textContent = `Your ${budget.minutes} min on ${budget.domain} for today are used up. It opens again at midnight.`;
+  }
+
+  /**
+   * No work session is running, but a scheduled window keeps the block list
+   * applied. Ask the background again when the window closes.
+   * @param {number} endsAt - When the window closes, as epoch ms
+   */
+  showScheduled(endsAt) {
+    const time = new Date(endsAt).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    this.title.textContent = "Blocked by your schedule";
+    this.sessionInfo.hidden = true;
+    this.returnLaterButton.hidden = true;
+    this.scheduleInfo.hidden = false;
+    this.scheduleInfo.textContent = `Sites on your block list are blocked until ${time}.`;
+    this.sessionEndsAt = endsAt;
+    this.startCountdown();
+  }
+
+  /**
+   * Tick locally and ask the background again when the session should be over.
+   */
+  startCountdown() {
+    if (this.countdown) return;
+    this.countdown = setInterval(() => {
+      const remaining = this.sessionEndsAt - Date.now();
+      this.renderTimeLeft(remaining);
+      if (remaining <= 0) {
+        this.stopCountdown();
+        this.load();
+      }
+    }, 1000);
+  }
+
+  stopCountdown() {
+    if (this.countdown) {
+      clearInterval(this.countdown);
+      this.countdown = null;
+    }
+  }
+
+  /**
+   * Blocking has ended (or the page was opened outside a work session),
+   * so link straight to the page instead.
+   */
+  showUnblocked() {
+    this.stopCountdown();
+    this.title.textContent = "Not blocked right now";
+    this.sessionInfo.hidden = true;
+    this.scheduleInfo.hidden = true;
+    this.returnLaterButton.hidden = true;
+    this.unlockSection.hidden = true;
+    if (this.blockedUrl) {
+      const link = document.createElement("a");
+      link.href = this.blockedUrl;
+      link.textContent = this.blockedUrl;
+      this.blockedUrlView.replaceChildren(link);
+    }
+  }
+
+  /**
+   * Count down Constants.UNLOCK.WAIT_SECONDS once the unlock form is opened,
+   * so that unlocking is never a single impulsive click.
+   */
+  startUnlockWait() {
+    if (this.unlockWait || this.unlockWaitLeft === 0) return;
+    this.unlockWait = setInterval(() => {
+      this.unlockWaitLeft--;
+      if (this.unlockWaitLeft === 0) {
+        clearInterval(this.unlockWait);
+        this.unlockWait = null;
+      }
+      this.updateUnlockButton();
+    }, 1000);
+  }
+
+  updateUnlockButton() {
+    this.unlockButton.disabled =
+      this.unlockWaitLeft > 0 ||
+      this.unlockReason.value.trim() === "" ||
+      this.unlockConfirmation.value !== UNLOCK.CONFIRM_PHRASE;
+    this.unlockButton.textContent =
+      this.unlockWaitLeft > 0 ? `Unlock (${this.unlockWaitLeft})` : "Unlock";
+  }
+
+  async unlock() {
+    try {
+      const res = await this.bgClient.unlockSite({
+        domain: this.unlockDomain.value,
+        minutes: parseInt(this.unlockMinutes.value, 10),
+        reason: this.unlockReason.value,
+        confirmation: this.unlockConfirmation.value,
+      });
+      if (!res?.success) {
+        this.unlockStatus.textContent = res?.error
+          ? `解除できませんでした: ${res.error}`
+          : "解除できませんでした";
+        return;
+      }
+      location.replace(this.blockedUrl);
+    } catch (error) {
+      console.error("Error unlocking site:", error);
+      this.unlockStatus.textContent = `解除できませんでした: ${error.message}`;
+    }
+  }
+
+  async returnLater() {
+    if (!this.blockedUrl) return;
+    const res = await this.bgClient.returnLater(this.blockedUrl);
+    if (!res?.success) {
+      this.returnStatus.textContent = "予約できませんでした";
+      return;
+    }
+    this.returnLaterButton.disabled = true;
+    this.returnStatus.textContent =
+      "休憩が始まったらこのページを開きます。このタブは閉じて大丈夫です";
+  }
+
+  renderTimeLeft(ms) {
+    const clamped = Math.max(0, ms);
+    const m = Math.floor(clamped / 60000);
+    const s = Math.floor((clamped % 60000) / 1000);
+    this.timeLeft.textContent = `${String(m).padStart(2, "0")}:${String(
+      s
+    ).padStart(2, "0")}`;
+  }
+}
+
+new BlockedPageController();
@@ -0,0 +1,123 @@
+import Constants from "../constants.js";
+const { SESSION_TYPES, HISTORY } = Constants;
+
+const CSV_COLUMNS = [
+  "id",
+  "sessionType",
+  "startTime",
+  "endTime",
+  "plannedMinutes",
+  "actualMinutes",
+  "pausedMinutes",
+  "endReason",
+];
+
+const ICS_PRODID = "-//Pomodoro New Tab//Session History//EN";
+const ICS_UID_DOMAIN = "pomodoro-new-tab";
+
+const toMinutes = (ms) => (ms / 60000).toFixed(2);
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline.
+ * @private
+ */
+function _csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format history records as CSV, one row per session.
+ * Times are ISO 8601 (UTC) and durations are in minutes.
+ * @param {Array<Object>} history - Records from the session history log
+ * @returns {string}
+ */
+export function toCSV(history) {
+  const rows = history.map((r) => [
+    r.id,
+    r.sessionType,
+    new Date(r.startTime).toISOString(),
+    new Date(r.endTime).toISOString(),
+    toMinutes(r.plannedDuration),
+    toMinutes(r.actualDuration),
+    toMinutes(r.pausedDuration),
+    r.endReason,
+  ]);
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(_csvField).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Format history records as JSON that can be imported again.
+ * @param {Array<Object>} history - Records from the session history log
+ * @param {number} [now] - Export time (default: now)
+ * @returns {string}
+ */
+export function toJSON(history, now = Date.now()) {
+  return JSON.stringify(
+    {
+      version: HISTORY.EXPORT_VERSION,
+      exportedAt: new Date(now).toISOString(),
+      sessions: history,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Format a time as an iCalendar UTC date-time, e.g. 20210101T090000Z.
+ * @private
+ */
+function _icsDate(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * Escape text values as required by RFC 5545.
+ * @private
+ */
+function _icsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/[,;]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Format work sessions as an iCalendar file with one VEVENT per session.
+ * Breaks are left out so that the calendar only shows focused time.
+ * @param {Array<Object>} history - Records from the session history log
+ * @param {number} [now] - Export time used for DTSTAMP (default: now)
+ * @returns {string}
+ */
+export function toICS(history, now = Date.now()) {
+  const stamp = _icsDate(now);
+  const events = history
+    .filter((r) => r.sessionType === SESSION_TYPES.WORK)
+    .flatMap((r) => [
+      "BEGIN:VEVENT",
+      `UID:${r.id}@${ICS_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${_icsDate(r.startTime)}`,
+      `DTEND:${_icsDate(r.endTime)}`,
+      `SUMMARY:${_icsText(`Pomodoro (${r.endReason})`)}`,
+      `DESCRIPTION:${_icsText(
+        `Focus ${toMinutes(r.actualDuration)} min, paused ${toMinutes(
+          r.pausedDuration
+        )} min`
+      )}`,
+      "END:VEVENT",
+    ]);
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...events,
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
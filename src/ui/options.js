@@ -0,0 +1,1023 @@
+import { BGClient } from "./bg-client.js";
+import { isRegexPattern, validateSitePattern } from "../site-patterns.js";
+import {
+  AUDIO_SIGNATURE_LENGTH,
+  detectAudioFormat,
+  listUserTracks,
+  addUserTrack,
+  deleteUserTrack,
+} from "../sound-library.js";
+import Constants from "../constants.js";
+const {
+  BLOCK_SITES,
+  ALLOW_SITES,
+  BLOCK_LIST,
+  SCRUB_ACTIONS,
+  SITE_BUDGETS,
+  SCHEDULES,
+  PRESETS,
+  DURATIONS,
+  USER_SOUNDS,
+  ALERT_SOUNDS,
+  SETTINGS_CHANNEL,
+} = Constants;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Tells an open popup to list the presets and sounds again
+const settingsChannel = new BroadcastChannel(SETTINGS_CHANNEL.NAME);
+
+// Indexed like Date#getDay(); listed from Monday
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Turn what users typically paste (a URL, "www." prefix, capitals)
+ * into the form stored in the lists. Regex patterns are kept as typed.
+ * @param {string} value - Raw input
+ * @returns {string}
+ */
+function normalizeSite(value) {
+  const trimmed = value.trim();
+  if (isRegexPattern(trimmed)) return trimmed;
+  return trimmed
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/^www\./, "")
+    .replace(/\/+$/, "");
+}
+
+/**
+ * Editor for one list of sites (the block list or the allowlist).
+ */
+class SiteListEditor {
+  /**
+   * @param {Object} options
+   * @param {Object<string, string>} options.ids - Element ids: list, input,
+   *   addButton, resetButton, error, status
+   * @param {Array<string>} options.defaults - List restored by the reset button
+   * @param {Function} options.load - Resolves to { success, sites }
+   * @param {Function} options.save - Takes the new list, resolves to { success, sites }
+   */
+  constructor({ ids, defaults, load, save }) {
+    this.sites = [];
+    this.isProcessing = false;
+    this.defaults = defaults;
+    this.loadList = load;
+    this.saveList = save;
+
+    // UI Elements
+    this.list = document.getElementById(ids.list);
+    this.newSiteInput = document.getElementById(ids.input);
+    this.addSiteButton = document.getElementById(ids.addButton);
+    this.resetSitesButton = document.getElementById(ids.resetButton);
+    this.siteError = document.getElementById(ids.error);
+    this.saveStatus = document.getElementById(ids.status);
+
+    this.attachEventListeners();
+
+    this.load();
+  }
+
+  withProcessingLock(handler) {
+    return async (...args) => {
+      if (this.isProcessing) return;
+      this.isProcessing = true;
+      try {
+        await handler(...args);
+      } finally {
+        this.isProcessing = false;
+      }
+    };
+  }
+
+  attachEventListeners() {
+    this.addSiteButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.addSite();
+      })
+    );
+
+    this.newSiteInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") this.addSiteButton.click();
+    });
+
+    this.resetSitesButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.save([...this.defaults]);
+      })
+    );
+  }
+
+  async load() {
+    const res = await this.loadList();
+    if (!res?.success) return;
+    this.sites = res.sites;
+    this.renderList();
+  }
+
+  validateSite(site) {
+    if (!site) {
+      return { valid: false, error: "ドメインを入力してください" };
+    }
+    if (!validateSitePattern(site).valid) {
+      return {
+        valid: false,
+        error: isRegexPattern(site)
+          ? "この正規表現は使用できません"
+          : "ドメインの形式が正しくありません",
+      };
+    }
+    if (this.sites.includes(site)) {
+      return { valid: false, error: "既に登録されています" };
+    }
+    if (this.sites.length >= BLOCK_LIST.MAX_SITES) {
+      return {
+        valid: false,
+        error: `${BLOCK_LIST.MAX_SITES}件まで登録できます`,
+      };
+    }
+    return { valid: true };
+  }
+
+  async addSite() {
+    const site = normalizeSite(this.newSiteInput.value);
+    const validation = this.validateSite(site);
+    if (!validation.valid) {
+      this.siteError.textContent = validation.error;
+      this.siteError.style.display = "block";
+      return;
+    }
+
+    this.siteError.style.display = "none";
+    if (await this.save([...this.sites, site])) {
+      this.newSiteInput.value = "";
+    }
+  }
+
+  async removeSite(index) {
+    await this.save(this.sites.filter((_, i) => i !== index));
+  }
+
+  async moveSite(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.sites.length) return;
+
+    const sites = [...this.sites];
+    [sites[index], sites[target]] = [sites[target], sites[index]];
+    await this.save(sites);
+  }
+
+  /**
+   * Save the list in the background and redraw it.
+   * @param {Array<string>} sites
+   * @returns {Promise<boolean>} True if the list was saved
+   */
+  async save(sites) {
+    const res = await this.saveList(sites);
+    if (!res?.success) {
+      this.saveStatus.textContent = "保存できませんでした";
+      return false;
+    }
+    this.sites = res.sites ?? sites;
+    this.saveStatus.textContent = "保存しました";
+    this.renderList();
+    return true;
+  }
+
+  renderList() {
+    const items = this.sites.map((site, index) => {
+      const item = document.createElement("li");
+      item.className = "block-list-item";
+
+      const name = document.createElement("span");
+      name.className = "block-list-site";
+      name.textContent = site;
+
+      const upButton = this.createButton("↑", "Move up", () =>
+        this.moveSite(index, -1)
+      );
+      upButton.disabled = index === 0;
+
+      const downButton = this.createButton("↓", "Move down", () =>
+        this.moveSite(index, 1)
+      );
+      downButton.disabled = index === this.sites.length - 1;
+
+      const removeButton = this.createButton("×", "Remove", () =>
+        this.removeSite(index)
+      );
+
+      item.append(name, upButton, downButton, removeButton);
+      return item;
+    });
+
+    this.list.replaceChildren(...items);
+  }
+
+  createButton(text, label, handler) {
+    const button = document.createElement("button");
+    button.className = "control-button";
+    button.textContent = text;
+    button.title = label;
+    button.addEventListener("click", this.withProcessingLock(handler));
+    return button;
+  }
+}
+
+/**
+ * Editor for the daily site budgets.
+ */
+class BudgetEditor {
+  constructor(bgClient) {
+    this.bgClient = bgClient;
+    this.budgets = [];
+    this.isProcessing = false;
+
+    // UI Elements
+    this.list = document.getElementById("budget-list");
+    this.newSiteInput = document.getElementById("new-budget-site");
+    this.newMinutesInput = document.getElementById("new-budget-minutes");
+    this.addButton = document.getElementById("add-budget-button");
+    this.budgetError = document.getElementById("budget-error");
+    this.saveStatus = document.getElementById("budget-save-status");
+
+    this.addButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.addBudget();
+      })
+    );
+
+    this.load();
+  }
+
+  withProcessingLock(handler) {
+    return async (...args) => {
+      if (this.isProcessing) return;
+      this.isProcessing = true;
+      try {
+        await handler(...args);
+      } finally {
+        this.isProcessing = false;
+      }
+    };
+  }
+
+  async load() {
+    const res = await this.bgClient.getBudgets();
+    if (!res?.success) return;
+    this.budgets = res.budgets.map(({ domain, minutes }) => ({
+      domain,
+      minutes,
+    }));
+    this.renderList();
+  }
+
+  /**
+   * @param {{domain: string, minutes: number}} budget
+   * @returns {{valid: boolean, error?: string}}
+   */
+  validateBudget({ domain, minutes }) {
+    if (!domain) {
+      return { valid: false, error: "ドメインを入力してください" };
+    }
+    if (domain.includes("/") || !validateSitePattern(domain).valid) {
+      return { valid: false, error: "ドメインの形式が正しくありません" };
+    }
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < SITE_BUDGETS.MIN_MINUTES ||
+      minutes > SITE_BUDGETS.MAX_MINUTES
+    ) {
+      return {
+        valid: false,
+        error: `${SITE_BUDGETS.MIN_MINUTES}〜${SITE_BUDGETS.MAX_MINUTES}分で指定してください`,
+      };
+    }
+    if (this.budgets.some((budget) => budget.domain === domain)) {
+      return { valid: false, error: "既に登録されています" };
+    }
+    if (this.budgets.length >= SITE_BUDGETS.MAX_SITES) {
+      return {
+        valid: false,
+        error: `${SITE_BUDGETS.MAX_SITES}件まで登録できます`,
+      };
+    }
+    return { valid: true };
+  }
+
+  async addBudget() {
+    const budget = {
+      domain: normalizeSite(this.newSiteInput.value),
+      minutes: Number(this.newMinutesInput.value),
+    };
+    const validation = this.validateBudget(budget);
+    if (!validation.valid) {
+      this.budgetError.textContent = validation.error;
+      this.budgetError.style.display = "block";
+      return;
+    }
+
+    this.budgetError.style.display = "none";
+    if (await this.save([...this.budgets, budget])) {
+      this.newSiteInput.value = "";
+    }
+  }
+
+  async removeBudget(index) {
+    await this.save(this.budgets.filter((_, i) => i !== index));
+  }
+
+  /**
+   * @param {Array<{domain: string, minutes: number}>} budgets
+   * @returns {Promise<boolean>} True if the budgets were saved
+   */
+  async save(budgets) {
+    const res = await this.bgClient.saveBudgets(budgets);
+    if (!res?.success) {
+      this.saveStatus.textContent = "保存できませんでした";
+      return false;
+    }
+    this.budgets = res.budgets ?? budgets;
+    this.saveStatus.textContent = "保存しました";
+    this.renderList();
+    return true;
+  }
+
+  renderList() {
+    const items = this.budgets.map(({ domain, minutes }, index) => {
+      const item = document.createElement("li");
+      item.className = "block-list-item";
+
+      const name = document.createElement("span");
+      name.className = "block-list-site";
+      name.textContent = `${domain} (${minutes} min/day)`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "control-button";
+      removeButton.textContent = "×";
+      removeButton.title = "Remove";
+      removeButton.addEventListener(
+        "click",
+        this.withProcessingLock(() => this.removeBudget(index))
+      );
+
+      item.append(name, removeButton);
+      return item;
+    });
+
+    this.list.replaceChildren(...items);
+  }
+}
+
+/**
+ * Editor for the weekly windows in which the block list applies without
+ * a timer.
+ */
+class ScheduleEditor {
+  constructor(bgClient) {
+    this.bgClient = bgClient;
+    this.schedules = [];
+    this.isProcessing = false;
+
+    // UI Elements
+    this.dayToggles = DAY_NAMES.map((_, day) =>
+      document.getElementById(`schedule-day-${day}`)
+    );
+    this.startInput = document.getElementById("new-schedule-start");
+    this.endInput = document.getElementById("new-schedule-end");
+    this.addButton = document.getElementById("add-schedule-button");
+    this.list = document.getElementById("schedule-list");
+    this.scheduleError = document.getElementById("schedule-error");
+    this.saveStatus = document.getElementById("schedule-save-status");
+
+    this.addButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.addSchedule();
+      })
+    );
+
+    this.load();
+  }
+
+  withProcessingLock(handler) {
+    return async (...args) => {
+      if (this.isProcessing) return;
+      this.isProcessing = true;
+      try {
+        await handler(...args);
+      } finally {
+        this.isProcessing = false;
+      }
+    };
+  }
+
+  async load() {
+    const res = await this.bgClient.getSchedules();
+    if (!res?.success) return;
+    this.schedules = res.schedules;
+    this.renderList();
+  }
+
+  /**
+   * @param {{days: Array<number>, start: string, end: string}} schedule
+   * @returns {{valid: boolean, error?: string}}
+   */
+  validateSchedule({ days, start, end }) {
+    if (days.length === 0) {
+      return { valid: false, error: "曜日を選んでください" };
+    }
+    if (!start || !end) {
+      return { valid: false, error: "時刻を入力してください" };
+    }
+    if (start >= end) {
+      return {
+        valid: false,
+        error: "終了時刻は開始時刻より後にしてください",
+      };
+    }
+    const isDuplicate = this.schedules.some(
+      (schedule) =>
+        schedule.start === start &&
+        schedule.end === end &&
+        schedule.days.join() === days.join()
+    );
+    if (isDuplicate) {
+      return { valid: false, error: "既に登録されています" };
+    }
+    if (this.schedules.length >= SCHEDULES.MAX_WINDOWS) {
+      return {
+        valid: false,
+        error: `${SCHEDULES.MAX_WINDOWS}件まで登録できます`,
+      };
+    }
+    return { valid: true };
+  }
+
+  async addSchedule() {
+    const schedule = {
+      days: WEEK_ORDER.filter((day) => this.dayToggles[day].checked),
+      start: this.startInput.value,
+      end: this.endInput.value,
+    };
+    const validation = this.validateSchedule(schedule);
+    if (!validation.valid) {
+      this.scheduleError.textContent = validation.error;
+      this.scheduleError.style.display = "block";
+      return;
+    }
+
+    this.scheduleError.style.display = "none";
+    await this.save([...this.schedules, schedule]);
+  }
+
+  async removeSchedule(index) {
+    await this.save(this.schedules.filter((_, i) => i !== index));
+  }
+
+  /**
+   * @param {Array<Object>} schedules
+   * @returns {Promise<boolean>} True if the schedules were saved
+   */
+  async save(schedules) {
+    const res = await this.bgClient.saveSchedules(schedules);
+    if (!res?.success) {
+      this.saveStatus.textContent = "保存できませんでした";
+      return false;
+    }
+    this.schedules = res.schedules ?? schedules;
+    this.saveStatus.textContent = "保存しました";
+    this.renderList();
+    return true;
+  }
+
+  renderList() {
+    const items = this.schedules.map(({ days, start, end }, index) => {
+      const item = document.createElement("li");
+      item.className = "block-list-item";
+
+      const name = document.createElement("span");
+      name.className = "block-list-site";
+      const dayNames = WEEK_ORDER.filter((day) => days.includes(day)).map(
+        (day) => DAY_NAMES[day]
+      );
+      name.textContent = `${dayNames.join(", ")} ${start}–${end}`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "control-button";
+      removeButton.textContent = "×";
+      removeButton.title = "Remove";
+      removeButton.addEventListener(
+        "click",
+        this.withProcessingLock(() => this.removeSchedule(index))
+      );
+
+      item.append(name, removeButton);
+      return item;
+    });
+
+    this.list.replaceChildren(...items);
+  }
+}
+
+/**
+ * Editor for the focus presets offered as one-click starts on the setup
+ * screen.
+ */
+class PresetEditor {
+  constructor(bgClient) {
+    this.bgClient = bgClient;
+    this.presets = [];
+    this.isProcessing = false;
+
+    // UI Elements
+    this.nameInput = document.getElementById("new-preset-name");
+    this.workInput = document.getElementById("new-preset-work");
+    this.breakInput = document.getElementById("new-preset-break");
+    this.sitesInput = document.getElementById("new-preset-sites");
+    this.soundToggle = document.getElementById("new-preset-sound");
+    this.volumeInput = document.getElementById("new-preset-volume");
+    this.addButton = document.getElementById("add-preset-button");
+    this.list = document.getElementById("preset-list");
+    this.presetError = document.getElementById("preset-error");
+    this.saveStatus = document.getElementById("preset-save-status");
+
+    this.addButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.addPreset();
+      })
+    );
+
+    this.load();
+  }
+
+  withProcessingLock(handler) {
+    return async (...args) => {
+      if (this.isProcessing) return;
+      this.isProcessing = true;
+      try {
+        await handler(...args);
+      } finally {
+        this.isProcessing = false;
+      }
+    };
+  }
+
+  async load() {
+    const res = await this.bgClient.getPresets();
+    if (!res?.success) return;
+    this.presets = res.presets;
+    this.renderList();
+  }
+
+  /**
+   * @param {Object} preset - Preset read from the form
+   * @returns {{valid: boolean, error?: string}}
+   */
+  validatePreset({ name, workMinutes, breakMinutes, blockList }) {
+    if (!name) {
+      return { valid: false, error: "名前を入力してください" };
+    }
+    if (name.length > PRESETS.MAX_NAME_LENGTH) {
+      return {
+        valid: false,
+        error: `名前は${PRESETS.MAX_NAME_LENGTH}文字までです`,
+      };
+    }
+    if (
+      !Number.isInteger(workMinutes) ||
+      workMinutes < DURATIONS.MIN_WORK_MINUTES ||
+      workMinutes > DURATIONS.MAX_WORK_MINUTES
+    ) {
+      return {
+        valid: false,
+        error: `作業は${DURATIONS.MIN_WORK_MINUTES}〜${DURATIONS.MAX_WORK_MINUTES}分で指定してください`,
+      };
+    }
+    if (
+      !Number.isInteger(breakMinutes) ||
+      breakMinutes < DURATIONS.MIN_BREAK_MINUTES ||
+      breakMinutes > DURATIONS.MAX_BREAK_MINUTES
+    ) {
+      return {
+        valid: false,
+        error: `休憩は${DURATIONS.MIN_BREAK_MINUTES}〜${DURATIONS.MAX_BREAK_MINUTES}分で指定してください`,
+      };
+    }
+    const invalidSite = blockList.find(
+      (site) => !validateSitePattern(site).valid
+    );
+    if (invalidSite) {
+      return {
+        valid: false,
+        error: `${invalidSite} はブロックできない形式です`,
+      };
+    }
+    if (blockList.length > BLOCK_LIST.MAX_SITES) {
+      return {
+        valid: false,
+        error: `サイトは${BLOCK_LIST.MAX_SITES}件まで登録できます`,
+      };
+    }
+    if (this.presets.some((preset) => preset.name === name)) {
+      return { valid: false, error: "既に登録されています" };
+    }
+    if (this.presets.length >= PRESETS.MAX_PRESETS) {
+      return {
+        valid: false,
+        error: `${PRESETS.MAX_PRESETS}件まで登録できます`,
+      };
+    }
+    return { valid: true };
+  }
+
+  async addPreset() {
+    const sites = this.sitesInput.value
+      .split("\n")
+      .map(normalizeSite)
+      .filter(Boolean);
+    const preset = {
+      id: `custom-${Date.now().toString(36)}`,
+      name: this.nameInput.value.trim(),
+      workMinutes: Number(this.workInput.value),
+      breakMinutes: Number(this.breakInput.value),
+      blockList: [...new Set(sites)],
+      soundEnabled: this.soundToggle.checked,
+      soundVolume: Number(this.volumeInput.value),
+    };
+    const validation = this.validatePreset(preset);
+    if (!validation.valid) {
+      this.presetError.textContent = validation.error;
+      this.presetError.style.display = "block";
+      return;
+    }
+
+    this.presetError.style.display = "none";
+    if (await this.save([...this.presets, preset])) {
+      this.nameInput.value = "";
+      this.sitesInput.value = "";
+    }
+  }
+
+  async removePreset(index) {
+    await this.save(this.presets.filter((_, i) => i !== index));
+  }
+
+  /**
+   * @param {Array<Object>} presets
+   * @returns {Promise<boolean>} True if the presets were saved
+   */
+  async save(presets) {
+    const res = await this.bgClient.savePresets(presets);
+    if (!res?.success) {
+      this.saveStatus.textContent = "保存できませんでした";
+      return false;
+    }
+    this.presets = res.presets ?? presets;
+    settingsChannel.postMessage(SETTINGS_CHANNEL.PRESETS);
+    this.saveStatus.textContent = "保存しました";
+    this.renderList();
+    return true;
+  }
+
+  renderList() {
+    const items = this.presets.map((preset, index) => {
+      const item = document.createElement("li");
+      item.className = "block-list-item";
+
+      const name = document.createElement("span");
+      name.className = "block-list-site";
+      const sound = preset.soundEnabled
+        ? `sound ${preset.soundVolume}%`
+        : "no sound";
+      name.textContent = `${preset.name}: ${preset.workMinutes}/${preset.breakMinutes} min, ${preset.blockList.length} sites, ${sound}`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "control-button";
+      removeButton.textContent = "×";
+      removeButton.title = "Remove";
+      removeButton.addEventListener(
+        "click",
+        this.withProcessingLock(() => this.removePreset(index))
+      );
+
+      item.append(name, removeButton);
+      return item;
+    });
+
+    this.list.replaceChildren(...items);
+  }
+}
+
+/**
+ * Editor for the sounds the user uploads. They are stored in IndexedDB
+ * directly rather than through the background, which only needs to know
+ * the chosen track's ID.
+ */
+class UserSoundEditor {
+  constructor() {
+    this.tracks = [];
+    this.isProcessing = false;
+
+    // UI Elements
+    this.fileInput = document.getElementById("new-sound-file");
+    this.nameInput = document.getElementById("new-sound-name");
+    this.addButton = document.getElementById("add-sound-button");
+    this.list = document.getElementById("sound-list");
+    this.soundError = document.getElementById("sound-error");
+    this.saveStatus = document.getElementById("sound-save-status");
+
+    this.addButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.addSound();
+      })
+    );
+
+    this.load();
+  }
+
+  withProcessingLock(handler) {
+    return async (...args) => {
+      if (this.isProcessing) return;
+      this.isProcessing = true;
+      try {
+        await handler(...args);
+      } finally {
+        this.isProcessing = false;
+      }
+    };
+  }
+
+  async load() {
+    try {
+      this.tracks = await listUserTracks();
+    } catch (error) {
+      console.error("Failed to load uploaded sounds:", error);
+      return;
+    }
+    this.renderList();
+  }
+
+  /**
+   * @param {File} [file] - Chosen file
+   * @param {string} name - Name to show in the picker
+   * @returns {Promise<{valid: boolean, error?: string}>}
+   */
+  async validateSound(file, name) {
+    if (!file) {
+      return { valid: false, error: "ファイルを選んでください" };
+    }
+    if (name.length > USER_SOUNDS.MAX_NAME_LENGTH) {
+      return {
+        valid: false,
+        error: `名前は${USER_SOUNDS.MAX_NAME_LENGTH}文字までです`,
+      };
+    }
+    if (file.size > USER_SOUNDS.MAX_FILE_MB * BYTES_PER_MB) {
+      return {
+        valid: false,
+        error: `${USER_SOUNDS.MAX_FILE_MB}MBまでのファイルを選んでください`,
+      };
+    }
+    // The file's type comes from its extension, so check the contents
+    const header = await file.slice(0, AUDIO_SIGNATURE_LENGTH).arrayBuffer();
+    if (!detectAudioFormat(new Uint8Array(header))) {
+      return {
+        valid: false,
+        error:
+          "対応していない形式です（MP3, OGG, FLAC, WAV, M4A, WebM に対応しています）",
+      };
+    }
+    if (this.tracks.length >= USER_SOUNDS.MAX_TRACKS) {
+      return {
+        valid: false,
+        error: `${USER_SOUNDS.MAX_TRACKS}件まで登録できます`,
+      };
+    }
+    const totalSize = this.tracks.reduce((sum, track) => sum + track.size, 0);
+    if (totalSize + file.size > USER_SOUNDS.MAX_TOTAL_MB * BYTES_PER_MB) {
+      return {
+        valid: false,
+        error: `合計${USER_SOUNDS.MAX_TOTAL_MB}MBまで保存できます`,
+      };
+    }
+    return { valid: true };
+  }
+
+  async addSound() {
+    const [file] = this.fileInput.files ?? [];
+    // Named after the file unless a name is given
+    const name =
+      this.nameInput.value.trim() ||
+      (file?.name ?? "").replace(/\.[^.]+$/, "").trim() ||
+      "Untitled";
+    const validation = await this.validateSound(file, name);
+    if (!validation.valid) {
+      this.soundError.textContent = validation.error;
+      this.soundError.style.display = "block";
+      return;
+    }
+
+    this.soundError.style.display = "none";
+    try {
+      const track = await addUserTrack(name, file);
+      this.tracks = [...this.tracks, track];
+      settingsChannel.postMessage(SETTINGS_CHANNEL.SOUNDS);
+    } catch (error) {
+      console.error("Failed to save uploaded sound:", error);
+      this.saveStatus.textContent = "保存できませんでした";
+      return;
+    }
+    this.saveStatus.textContent = "保存しました";
+    this.fileInput.value = "";
+    this.nameInput.value = "";
+    this.renderList();
+  }
+
+  async removeSound(id) {
+    try {
+      await deleteUserTrack(id);
+      settingsChannel.postMessage(SETTINGS_CHANNEL.SOUNDS);
+    } catch (error) {
+      console.error("Failed to delete uploaded sound:", error);
+      this.saveStatus.textContent = "削除できませんでした";
+      return;
+    }
+    this.tracks = this.tracks.filter((track) => track.id !== id);
+    this.saveStatus.textContent = "削除しました";
+    this.renderList();
+  }
+
+  renderList() {
+    const items = this.tracks.map((track) => {
+      const item = document.createElement("li");
+      item.className = "block-list-item";
+
+      const name = document.createElement("span");
+      name.className = "block-list-site";
+      name.textContent = `${track.name} (${(track.size / BYTES_PER_MB).toFixed(
+        1
+      )} MB)`;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "control-button";
+      removeButton.textContent = "×";
+      removeButton.title = "Remove";
+      removeButton.addEventListener(
+        "click",
+        this.withProcessingLock(() => this.removeSound(track.id))
+      );
+
+      item.append(name, removeButton);
+      return item;
+    });
+
+    this.list.replaceChildren(...items);
+  }
+}
+
+class OptionsController {
+  constructor() {
+    this.bgClient = new BGClient();
+
+    this.blockListEditor = new SiteListEditor({
+      ids: {
+        list: "block-list",
+        input: "new-site",
+        addButton: "add-site-button",
+        resetButton: "reset-sites-button",
+        error: "site-error",
+        status: "save-status",
+      },
+      defaults: BLOCK_SITES,
+      load: () => this.bgClient.getBlockList(),
+      save: (sites) => this.bgClient.saveBlockList(sites),
+    });
+
+    this.allowListEditor = new SiteListEditor({
+      ids: {
+        list: "allow-list",
+        input: "new-allow-site",
+        addButton: "add-allow-site-button",
+        resetButton: "reset-allow-sites-button",
+        error: "allow-site-error",
+        status: "allow-save-status",
+      },
+      defaults: ALLOW_SITES,
+      load: () => this.bgClient.getAllowList(),
+      save: (sites) => this.bgClient.saveAllowList(sites),
+    });
+
+    this.budgetEditor = new BudgetEditor(this.bgClient);
+
+    this.scheduleEditor = new ScheduleEditor(this.bgClient);
+
+    this.presetEditor = new PresetEditor(this.bgClient);
+
+    this.userSoundEditor = new UserSoundEditor();
+
+    // Open blocked tabs
+    this.scrubActionSelect = document.getElementById("scrub-action");
+    this.autoRestoreToggle = document.getElementById("auto-restore-tabs");
+    this.scrubSaveStatus = document.getElementById("scrub-save-status");
+
+    this.scrubActionSelect.addEventListener("change", () =>
+      this.saveScrubSettings()
+    );
+    this.autoRestoreToggle.addEventListener("change", () =>
+      this.saveScrubSettings()
+    );
+
+    // Alert sounds
+    this.alertInputs = Object.values(ALERT_SOUNDS).map((alert) => ({
+      alert,
+      toggle: document.getElementById(`alert-${alert}-enabled`),
+      volume: document.getElementById(`alert-${alert}-volume`),
+    }));
+    this.alertSaveStatus = document.getElementById("alert-save-status");
+
+    for (const { toggle, volume } of this.alertInputs) {
+      toggle.addEventListener("change", () => this.saveAlertSettings());
+      volume.addEventListener("change", () => this.saveAlertSettings());
+    }
+
+    // Emergency unlocks
+    this.unlockLog = document.getElementById("unlock-log");
+    this.unlockLogEmpty = document.getElementById("unlock-log-empty");
+
+    this.loadScrubSettings();
+    this.loadAlertSettings();
+    this.loadUnlockLog();
+  }
+
+  async loadScrubSettings() {
+    const res = await this.bgClient.getScrubSettings();
+    if (!res?.success) return;
+    this.scrubActionSelect.value = res.scrubAction;
+    this.autoRestoreToggle.checked = res.autoRestoreTabs;
+    this.updateScrubView();
+  }
+
+  async saveScrubSettings() {
+    this.updateScrubView();
+    const res = await this.bgClient.saveScrubSettings({
+      scrubAction: this.scrubActionSelect.value,
+      autoRestoreTabs: this.autoRestoreToggle.checked,
+    });
+    this.scrubSaveStatus.textContent = res?.success
+      ? "保存しました"
+      : "保存できませんでした";
+  }
+
+  async loadAlertSettings() {
+    const res = await this.bgClient.getAlertSettings();
+    if (!res?.success) return;
+    for (const { alert, toggle, volume } of this.alertInputs) {
+      toggle.checked = res[alert].enabled;
+      volume.value = res[alert].volume.toString();
+    }
+  }
+
+  async saveAlertSettings() {
+    const settings = Object.fromEntries(
+      this.alertInputs.map(({ alert, toggle, volume }) => [
+        alert,
+        { enabled: toggle.checked, volume: Number(volume.value) },
+      ])
+    );
+    const res = await this.bgClient.saveAlertSettings(settings);
+    this.alertSaveStatus.textContent = res?.success
+      ? "保存しました"
+      : "保存できませんでした";
+  }
+
+  async loadUnlockLog() {
+    const res = await this.bgClient.getUnlocks();
+    if (!res?.success) return;
+
+    const log = res.log ?? [];
+    this.unlockLogEmpty.hidden = log.length > 0;
+    const items = [...log].reverse().map((entry) => {
+      const item = document.createElement("li");
+      item.className = "block-list-item unlock-log-item";
+      const time = new Date(entry.unlockedAt).toLocaleString();
+      item.textContent = `${time} ${entry.domain} (${entry.minutes} min): ${entry.reason}`;
+      return item;
+    });
+    this.unlockLog.replaceChildren(...items);
+  }
+
+  // Only closed tabs need reopening
+  updateScrubView() {
+    this.autoRestoreToggle.disabled =
+      this.scrubActionSelect.value !== SCRUB_ACTIONS.CLOSE;
+  }
+}
+
+new OptionsController();
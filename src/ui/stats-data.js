@@ -0,0 +1,117 @@
+import Constants from "../constants.js";
+const { SESSION_TYPES, SESSION_END_REASONS } = Constants;
+
+/**
+ * Returns local midnight of the day containing the given time.
+ * @param {number} time - Epoch ms
+ * @returns {number} - Epoch ms
+ */
+export function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Returns local midnight of the Monday of the week containing the given time.
+ * @param {number} time - Epoch ms
+ * @returns {number} - Epoch ms
+ */
+export function startOfWeek(time) {
+  const date = new Date(startOfDay(time));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+/**
+ * Moves a local midnight by whole days; safe across DST changes.
+ * @private
+ */
+function _addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+/**
+ * Builds consecutive buckets ending with the one containing `now`.
+ * @private
+ */
+function _buckets(first, count, stepDays) {
+  return Array.from({ length: count }, (_, i) => ({
+    start: _addDays(first, i * stepDays),
+    end: _addDays(first, (i + 1) * stepDays),
+  }));
+}
+
+/**
+ * Returns the earliest start time covered by summarizeHistory(), so that
+ * callers can query only the records they need.
+ * @param {Object} options - Same now, days and weeks as summarizeHistory()
+ * @returns {number} - Epoch ms
+ */
+export function getRangeStart({ now = Date.now(), days, weeks }) {
+  return Math.min(
+    _addDays(startOfDay(now), -(days - 1)),
+    _addDays(startOfWeek(now), -7 * (weeks - 1))
+  );
+}
+
+/**
+ * Aggregates history records for the stats dashboard.
+ * Records are bucketed by their start time in local time.
+ * @param {Array<Object>} history - Records from the session history log
+ * @param {Object} [options]
+ * @param {number} [options.now] - Reference time (default: now)
+ * @param {number} [options.days] - Number of days in the daily chart
+ * @param {number} [options.weeks] - Number of weeks in the weekly chart
+ * @returns {{
+ *   daily: Array<{start: number, pomodoros: number}>,
+ *   weekly: Array<{start: number, focusMs: number}>,
+ *   averagePauseMs: number,
+ *   outcomes: {completed: number, skipped: number, reset: number},
+ * }} - daily counts work sessions that ran to completion, weekly sums the
+ *   active time of all work sessions, averagePauseMs is per work session and
+ *   outcomes count every session in the range.
+ */
+export function summarizeHistory(
+  history,
+  { now = Date.now(), days = 14, weeks = 8 } = {}
+) {
+  const rangeStart = getRangeStart({ now, days, weeks });
+  const records = history.filter((r) => r.startTime >= rangeStart);
+  const work = records.filter((r) => r.sessionType === SESSION_TYPES.WORK);
+  const inBucket = (r, { start, end }) =>
+    r.startTime >= start && r.startTime < end;
+
+  const daily = _buckets(_addDays(startOfDay(now), -(days - 1)), days, 1).map(
+    (bucket) => ({
+      start: bucket.start,
+      pomodoros: work.filter(
+        (r) =>
+          inBucket(r, bucket) && r.endReason === SESSION_END_REASONS.COMPLETED
+      ).length,
+    })
+  );
+
+  const weekly = _buckets(
+    _addDays(startOfWeek(now), -7 * (weeks - 1)),
+    weeks,
+    7
+  ).map((bucket) => ({
+    start: bucket.start,
+    focusMs: work
+      .filter((r) => inBucket(r, bucket))
+      .reduce((sum, r) => sum + r.actualDuration, 0),
+  }));
+
+  const totalPauseMs = work.reduce((sum, r) => sum + r.pausedDuration, 0);
+  const averagePauseMs = work.length > 0 ? totalPauseMs / work.length : 0;
+
+  const outcomes = { completed: 0, skipped: 0, reset: 0 };
+  for (const r of records) {
+    if (r.endReason in outcomes) outcomes[r.endReason] += 1;
+  }
+
+  return { daily, weekly, averagePauseMs, outcomes };
+}
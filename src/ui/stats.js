@@ -0,0 +1,249 @@
+import { BGClient } from "./bg-client.js";
+import { getRangeStart, summarizeHistory } from "./stats-data.js";
+import { toCSV, toJSON, toICS } from "./history-export.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const CHART_DAYS = 14;
+const CHART_WEEKS = 8;
+
+// Bar chart geometry, in SVG user units
+const BAR_WIDTH = 24;
+const BAR_GAP = 12;
+const CHART_HEIGHT = 120;
+const LABEL_HEIGHT = 20;
+const VALUE_HEIGHT = 16;
+
+/**
+ * Export formats offered on the page, keyed by button id.
+ */
+const EXPORT_FORMATS = {
+  "export-csv": { format: toCSV, extension: "csv", mimeType: "text/csv" },
+  "export-json": {
+    format: toJSON,
+    extension: "json",
+    mimeType: "application/json",
+  },
+  "export-ics": { format: toICS, extension: "ics", mimeType: "text/calendar" },
+};
+
+const OUTCOME_LABELS = {
+  completed: "Completed",
+  skipped: "Skipped",
+  reset: "Reset",
+};
+
+class StatsController {
+  constructor() {
+    this.bgClient = new BGClient();
+
+    // UI Elements
+    this.dailyChart = document.getElementById("daily-chart");
+    this.weeklyChart = document.getElementById("weekly-chart");
+    this.averagePause = document.getElementById("average-pause");
+    this.completionRate = document.getElementById("completion-rate");
+    this.outcomeChart = document.getElementById("outcome-chart");
+    this.outcomeLegend = document.getElementById("outcome-legend");
+    this.emptyMessage = document.getElementById("stats-empty");
+    this.importFile = document.getElementById("import-file");
+    this.importStatus = document.getElementById("import-status");
+
+    this.attachEventListeners();
+
+    this.load();
+  }
+
+  attachEventListeners() {
+    for (const [id, options] of Object.entries(EXPORT_FORMATS)) {
+      document
+        .getElementById(id)
+        .addEventListener("click", () => this.exportHistory(options));
+    }
+    this.importFile.addEventListener("change", () => this.importHistory());
+  }
+
+  /**
+   * Download the whole history log in one of EXPORT_FORMATS.
+   */
+  async exportHistory({ format, extension, mimeType }) {
+    const res = await this.bgClient.getHistory();
+    if (!res?.success) return;
+
+    const date = new Date().toISOString().slice(0, 10);
+    this.download(
+      `pomodoro-history-${date}.${extension}`,
+      format(res.history ?? []),
+      mimeType
+    );
+  }
+
+  /**
+   * Merge the selected JSON export into the history log and redraw.
+   */
+  async importHistory() {
+    const [file] = this.importFile.files;
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const res = await this.bgClient.importHistory(data);
+      if (!res?.success) {
+        this.importStatus.textContent = "履歴を読み込めませんでした";
+        return;
+      }
+      this.importStatus.textContent = `${res.imported}件を読み込みました（重複・期限切れ ${res.skipped}件）`;
+      await this.load();
+    } catch (error) {
+      console.error("Error importing history:", error);
+      this.importStatus.textContent = "履歴ファイルの形式が正しくありません";
+    } finally {
+      this.importFile.value = "";
+    }
+  }
+
+  download(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async load() {
+    const now = Date.now();
+    const res = await this.bgClient.getHistory({
+      from: getRangeStart({ now, days: CHART_DAYS, weeks: CHART_WEEKS }),
+    });
+    if (!res?.success) return;
+
+    const history = res.history ?? [];
+    this.emptyMessage.hidden = history.length > 0;
+    this.render(
+      summarizeHistory(history, { now, days: CHART_DAYS, weeks: CHART_WEEKS })
+    );
+  }
+
+  render({ daily, weekly, averagePauseMs, outcomes }) {
+    this.renderBarChart(
+      this.dailyChart,
+      daily.map(({ start, pomodoros }) => ({
+        label: this.formatDate(start),
+        value: pomodoros,
+      }))
+    );
+    this.renderBarChart(
+      this.weeklyChart,
+      weekly.map(({ start, focusMs }) => ({
+        label: this.formatDate(start),
+        value: Math.round(focusMs / 60000),
+      }))
+    );
+
+    this.averagePause.textContent = `${this.formatMinutes(averagePauseMs)} min`;
+    this.renderOutcomes(outcomes);
+  }
+
+  /**
+   * Draw a vertical bar chart as an inline SVG.
+   * @param {Element} container - Element whose content is replaced
+   * @param {Array<{label: string, value: number}>} bars
+   */
+  renderBarChart(container, bars) {
+    const max = Math.max(1, ...bars.map((bar) => bar.value));
+    const width = bars.length * (BAR_WIDTH + BAR_GAP);
+    const height = VALUE_HEIGHT + CHART_HEIGHT + LABEL_HEIGHT;
+
+    const svg = this.createSvg("svg", {
+      viewBox: `0 0 ${width} ${height}`,
+      class: "bar-chart",
+      role: "img",
+    });
+
+    bars.forEach(({ label, value }, i) => {
+      const x = i * (BAR_WIDTH + BAR_GAP) + BAR_GAP / 2;
+      const barHeight = (value / max) * CHART_HEIGHT;
+      const y = VALUE_HEIGHT + CHART_HEIGHT - barHeight;
+      const center = x + BAR_WIDTH / 2;
+
+      const rect = this.createSvg("rect", {
+        x,
+        y,
+        width: BAR_WIDTH,
+        height: barHeight,
+        class: "bar",
+      });
+      const title = this.createSvg("title");
+      title.textContent = `${label}: ${value}`;
+      rect.append(title);
+
+      const valueText = this.createSvg("text", {
+        x: center,
+        y: y - 4,
+        class: "bar-value",
+      });
+      valueText.textContent = String(value);
+
+      const labelText = this.createSvg("text", {
+        x: center,
+        y: height - 4,
+        class: "bar-label",
+      });
+      labelText.textContent = label;
+
+      svg.append(rect, valueText, labelText);
+    });
+
+    container.replaceChildren(svg);
+  }
+
+  /**
+   * Draw how sessions ended as a stacked horizontal bar with a legend.
+   * @param {{completed: number, skipped: number, reset: number}} outcomes
+   */
+  renderOutcomes(outcomes) {
+    const total = Object.values(outcomes).reduce((sum, n) => sum + n, 0);
+
+    const segments = [];
+    const legendItems = [];
+    for (const [key, label] of Object.entries(OUTCOME_LABELS)) {
+      const count = outcomes[key] ?? 0;
+      const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+
+      const segment = document.createElement("div");
+      segment.className = `outcome-segment outcome-${key}`;
+      segment.style.width = `${percent}%`;
+      segment.title = `${label}: ${count}`;
+      segments.push(segment);
+
+      const item = document.createElement("li");
+      item.className = `outcome-${key}`;
+      item.textContent = `${label}: ${count}`;
+      legendItems.push(item);
+    }
+
+    this.outcomeChart.replaceChildren(...segments);
+    this.outcomeLegend.replaceChildren(...legendItems);
+    this.completionRate.textContent =
+      total > 0 ? `${Math.round((outcomes.completed / total) * 100)}%` : "-";
+  }
+
+  createSvg(tag, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      el.setAttribute(name, String(value));
+    }
+    return el;
+  }
+
+  formatDate(time) {
+    const date = new Date(time);
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+  }
+
+  formatMinutes(ms) {
+    return (ms / 60000).toFixed(1);
+  }
+}
+
+new StatsController();
@@ -1,13 +1,19 @@
 import Constants from "../constants.js";
 const { DURATIONS, SESSION_TYPES } = Constants;
 
+const SESSION_LABELS = {
+  [SESSION_TYPES.WORK]: "Working",
+  [SESSION_TYPES.BREAK]: "Break time",
+  [SESSION_TYPES.LONG_BREAK]: "Long break",
+};
+
 export class TimerTicker {
   constructor(uiController) {
     this.uiController = uiController;
 
     this.interval = null;
 
-    this.sessionType = null; // 'work' or 'break'
+    this.sessionType = null; // 'work', 'break' or 'long_break'
     this.timeTotalMs = 0;
     this.timeSessionMs = 0;
 
@@ -16,10 +22,13 @@ export class TimerTicker {
     this.timeSessionView = document.getElementById("time-session");
   }
 
-  start(minutes) {
+  start(minutes, workMinutes = DURATIONS.DEFAULT_WORK_MINUTES) {
     if (!minutes || minutes < 0) throw new Error("Invalid minutes");
+    if (!workMinutes || workMinutes < 0) {
+      throw new Error("Invalid work minutes");
+    }
     this.timeTotalMs = minutes * 60 * 1000;
-    this.timeSessionMs = Math.min(this.timeTotalMs, DURATIONS.WORK_SESSION);
+    this.timeSessionMs = Math.min(this.timeTotalMs, workMinutes * 60 * 1000);
     this.resume();
   }
 
@@ -37,7 +46,7 @@ export class TimerTicker {
 
   applyBG(sessionType, timeTotalMs, timeSessionMs) {
     this.timeSessionLabel.textContent =
-      sessionType === SESSION_TYPES.WORK ? "Working" : "Break time";
+      SESSION_LABELS[sessionType] ?? SESSION_LABELS[SESSION_TYPES.BREAK];
     this.sessionType = sessionType;
     this.timeTotalMs = timeTotalMs;
     this.timeSessionMs = timeSessionMs;
@@ -65,6 +74,8 @@ export class TimerTicker {
   render() {
     this.renderElm(this.timeTotalMs, this.timeTotalView);
     this.renderElm(this.timeSessionMs, this.timeSessionView);
+    // Strict mode unlocks on the clock, not on the next sync
+    this.uiController.updateStrictLockView();
   }
 
   renderElm(ms, elm) {
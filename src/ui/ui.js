@@ -1,7 +1,18 @@
 import { TimerTicker } from "./timer-ticker.js";
 import { BGClient } from "./bg-client.js";
+import TimerState from "../timer-state.js";
 import Constants from "../constants.js";
-const { TIMER_MODES, SESSION_TYPES } = Constants;
+import { SOUND_TRACKS, DEFAULT_SOUND_TRACK } from "../sound-tracks.js";
+import { listUserTracks } from "../sound-library.js";
+const {
+  TIMER_MODES,
+  SESSION_TYPES,
+  DURATIONS,
+  CYCLES,
+  START_MODES,
+  BLOCK_MODES,
+  SETTINGS_CHANNEL,
+} = Constants;
 
 class UIController {
   constructor() {
@@ -10,6 +21,10 @@ class UIController {
     this.isProcessing = false;
     this.soundEnabled = false;
     this.soundVolume = 50;
+    this.soundTrack = DEFAULT_SOUND_TRACK;
+    this.lockedUntil = null; // when strict mode unlocks pause, reset and skip
+    this.presets = [];
+    this.presetId = null; // focus preset of the current run
 
     this.ticker = new TimerTicker(this);
     this.bgClient = new BGClient();
@@ -17,15 +32,35 @@ class UIController {
     // UI Elements
     // Setup Screen
     this.setupScreen = document.getElementById("setup-screen");
+    this.startModeSelect = document.getElementById("start-mode");
+    this.timerDurationField = document.getElementById("timer-duration-field");
     this.timerDurationInput = document.getElementById("timer-duration");
+    this.cycleCountField = document.getElementById("cycle-count-field");
+    this.cycleCountInput = document.getElementById("cycle-count");
+    this.workDurationInput = document.getElementById("work-duration");
+    this.breakDurationInput = document.getElementById("break-duration");
+    this.longBreakDurationInput = document.getElementById(
+      "long-break-duration"
+    );
+    this.longBreakIntervalInput = document.getElementById(
+      "long-break-interval"
+    );
+    this.blockModeSelect = document.getElementById("block-mode");
+    this.strictModeToggle = document.getElementById("strict-mode");
     this.timerDurationError = document.getElementById("timer-duration-error");
     this.startButton = document.getElementById("start-button");
+    this.presetsBox = document.getElementById("presets");
+    this.presetButtons = document.getElementById("preset-buttons");
 
     // Running Screen
     this.runningScreen = document.getElementById("running-screen");
     this.pauseButton = document.getElementById("pause-button");
     this.resetButton = document.getElementById("reset-button");
+    this.skipButton = document.getElementById("skip-button");
+    this.extendButton = document.getElementById("extend-button");
     this.timeDisplay = document.getElementById("time-display");
+    this.strictLockLabel = document.getElementById("strict-lock");
+    this.activePresetLabel = document.getElementById("active-preset");
 
     // Completed Screen
     this.completedScreen = document.getElementById("completed-screen");
@@ -34,12 +69,65 @@ class UIController {
     // Sound Setting
     this.soundToggle = document.getElementById("sound-toggle");
     this.soundRange = document.getElementById("sound-range");
+    this.soundTrackSelect = document.getElementById("sound-track");
+
+    // Closed tabs
+    this.closedTabsBar = document.getElementById("closed-tabs");
+    this.closedTabsCount = document.getElementById("closed-tabs-count");
+    this.restoreTabsButton = document.getElementById("restore-tabs-button");
 
+    // Daily site budgets
+    this.budgetsBox = document.getElementById("budgets");
+    this.budgetList = document.getElementById("budget-list");
+
+    this.renderSoundTracks();
     this.attachEventListeners();
 
+    // Loaded once and again only when the options page changes them, so
+    // the sync does not rebuild an open picker
+    this.updateSoundTracks();
+    this.updatePresets();
+    this.settingsChannel = new BroadcastChannel(SETTINGS_CHANNEL.NAME);
+    this.settingsChannel.addEventListener("message", ({ data }) => {
+      if (data === SETTINGS_CHANNEL.SOUNDS) this.updateSoundTracks();
+      if (data === SETTINGS_CHANNEL.PRESETS) this.updatePresets();
+    });
+
     this.syncFromBG();
   }
 
+  // The picker lists the catalog, so new tracks only need adding there,
+  // followed by the sounds uploaded on the options page
+  renderSoundTracks(userTracks = []) {
+    const options = [...SOUND_TRACKS, ...userTracks].map(({ id, name }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = name;
+      return option;
+    });
+    this.soundTrackSelect.replaceChildren(...options);
+    this.showSoundTrack();
+  }
+
+  // The background plays the default track in place of a deleted upload
+  showSoundTrack() {
+    const isListed = Array.from(this.soundTrackSelect.children).some(
+      ({ value }) => value === this.soundTrack
+    );
+    this.soundTrackSelect.value = isListed
+      ? this.soundTrack
+      : DEFAULT_SOUND_TRACK;
+  }
+
+  async updateSoundTracks() {
+    try {
+      this.renderSoundTracks(await listUserTracks());
+    } catch (error) {
+      console.error("Failed to load uploaded sounds:", error);
+      this.renderSoundTracks();
+    }
+  }
+
   withProcessingLock(handler) {
     return async (...args) => {
       if (this.isProcessing) return;
@@ -52,55 +140,222 @@ class UIController {
     };
   }
 
-  validateMinutes(value) {
+  validateMinutes(
+    value,
+    min = DURATIONS.MIN_TOTAL_MINUTES,
+    max = DURATIONS.MAX_TOTAL_MINUTES,
+    unit = "分"
+  ) {
     const minutes = parseInt(value, 10);
     if (isNaN(minutes)) {
       return { valid: false, error: "数値を入力してください" };
     }
-    if (minutes < Constants.DURATIONS.MIN_TOTAL_MINUTES) {
+    if (minutes < min) {
       return {
         valid: false,
-        error: `${Constants.DURATIONS.MIN_TOTAL_MINUTES}分以上を入力してください`,
+        error: `${min}${unit}以上を入力してください`,
       };
     }
-    if (minutes > Constants.DURATIONS.MAX_TOTAL_MINUTES) {
+    if (minutes > max) {
       return {
         valid: false,
-        error: `${Constants.DURATIONS.MAX_TOTAL_MINUTES}分以下を入力してください`,
+        error: `${max}${unit}以下を入力してください`,
       };
     }
     return { valid: true };
   }
 
-  attachEventListeners() {
-    this.startButton.addEventListener(
-      "click",
-      this.withProcessingLock(async () => {
-        const minutes = parseInt(this.timerDurationInput.value, 10);
-        const validation = this.validateMinutes(this.timerDurationInput.value);
+  /**
+   * Validate all setup inputs and collect them.
+   * In cycles mode, minutes is the total derived from the session lengths.
+   * A focus preset replaces the work and break inputs and the block mode.
+   * @param {Object|null} [preset=null] - Focus preset to start with
+   * @returns {{valid: boolean, error?: string, startMode?: string, blockMode?: string, strictMode?: boolean, minutes?: number, cycles?: number, sessionLengths?: object}}
+   */
+  readSetupInputs(preset = null) {
+    const startMode =
+      this.startModeSelect.value === START_MODES.CYCLES
+        ? START_MODES.CYCLES
+        : START_MODES.MINUTES;
+    const blockMode =
+      !preset && this.blockModeSelect.value === BLOCK_MODES.ALLOWLIST
+        ? BLOCK_MODES.ALLOWLIST
+        : BLOCK_MODES.BLOCKLIST;
+    const strictMode = this.strictModeToggle.checked === true;
+
+    const amountField =
+      startMode === START_MODES.CYCLES
+        ? {
+            key: "cycles",
+            label: "ポモドーロ数",
+            input: this.cycleCountInput,
+            min: CYCLES.MIN_TARGET_CYCLES,
+            max: CYCLES.MAX_TARGET_CYCLES,
+            unit: "回",
+          }
+        : {
+            key: "minutes",
+            label: "合計",
+            input: this.timerDurationInput,
+            min: DURATIONS.MIN_TOTAL_MINUTES,
+            max: DURATIONS.MAX_TOTAL_MINUTES,
+          };
+
+    const fields = [
+      amountField,
+      {
+        key: "workMinutes",
+        label: "作業",
+        input: this.workDurationInput,
+        min: DURATIONS.MIN_WORK_MINUTES,
+        max: DURATIONS.MAX_WORK_MINUTES,
+      },
+      {
+        key: "breakMinutes",
+        label: "休憩",
+        input: this.breakDurationInput,
+        min: DURATIONS.MIN_BREAK_MINUTES,
+        max: DURATIONS.MAX_BREAK_MINUTES,
+      },
+      {
+        key: "longBreakMinutes",
+        label: "長い休憩",
+        input: this.longBreakDurationInput,
+        min: DURATIONS.MIN_LONG_BREAK_MINUTES,
+        max: DURATIONS.MAX_LONG_BREAK_MINUTES,
+      },
+      {
+        key: "longBreakInterval",
+        label: "長い休憩の間隔",
+        input: this.longBreakIntervalInput,
+        min: CYCLES.MIN_LONG_BREAK_INTERVAL,
+        max: CYCLES.MAX_LONG_BREAK_INTERVAL,
+        unit: "回",
+      },
+    ];
+
+    const values = preset
+      ? { workMinutes: preset.workMinutes, breakMinutes: preset.breakMinutes }
+      : {};
+    for (const { key, label, input, min, max, unit } of fields) {
+      if (key in values) continue;
+      const validation = this.validateMinutes(input.value, min, max, unit);
+      if (!validation.valid) {
+        return { valid: false, error: `${label}: ${validation.error}` };
+      }
+      values[key] = parseInt(input.value, 10);
+    }
 
-        if (!validation.valid) {
-          this.timerDurationError.textContent = validation.error;
-          this.timerDurationError.style.display = "block";
-          return;
-        }
-        this.bgClient.start(minutes);
-        this.ticker.start(minutes);
+    const { minutes, cycles, ...sessionLengths } = values;
+    if (startMode === START_MODES.CYCLES) {
+      const totalMs = TimerState.computeCycleDuration(cycles, {
+        workDuration: sessionLengths.workMinutes * 60 * 1000,
+        breakDuration: sessionLengths.breakMinutes * 60 * 1000,
+        longBreakDuration: sessionLengths.longBreakMinutes * 60 * 1000,
+        longBreakInterval: sessionLengths.longBreakInterval,
+      });
+      return {
+        valid: true,
+        startMode,
+        blockMode,
+        strictMode,
+        cycles,
+        minutes: totalMs / 60000,
+        sessionLengths,
+      };
+    }
+    return {
+      valid: true,
+      startMode,
+      blockMode,
+      strictMode,
+      minutes,
+      sessionLengths,
+    };
+  }
 
-        this.mode = TIMER_MODES.RUNNING;
+  /**
+   * Show the input that matches the selected start mode.
+   */
+  updateStartModeView() {
+    const isCycles = this.startModeSelect.value === START_MODES.CYCLES;
+    this.timerDurationField.style.display = isCycles ? "none" : "block";
+    this.cycleCountField.style.display = isCycles ? "block" : "none";
+  }
 
-        this.timerDurationError.style.display = "none";
-        this.updateView();
+  /**
+   * Start a run from the setup inputs, or from a focus preset with its
+   * session lengths, block list and sound settings.
+   * @param {Object|null} [preset=null] - Focus preset to start with
+   */
+  startRun(preset = null) {
+    const setup = this.readSetupInputs(preset);
+
+    if (!setup.valid) {
+      this.timerDurationError.textContent = setup.error;
+      this.timerDurationError.style.display = "block";
+      return;
+    }
+    const {
+      startMode,
+      blockMode,
+      strictMode,
+      minutes,
+      cycles,
+      sessionLengths,
+    } = setup;
+    this.bgClient.start({
+      startMode,
+      ...(startMode === START_MODES.CYCLES ? { cycles } : { minutes }),
+      ...sessionLengths,
+      blockMode,
+      strictMode,
+      presetId: preset?.id,
+    });
+    if (preset) {
+      this.blockModeSelect.value = blockMode;
+      this.soundEnabled = preset.soundEnabled;
+      this.soundToggle.checked = preset.soundEnabled;
+      this.soundVolume = preset.soundVolume;
+      this.soundRange.value = preset.soundVolume.toString();
+      if (preset.soundTrack) {
+        this.soundTrack = preset.soundTrack;
+        this.soundTrackSelect.value = preset.soundTrack;
+      }
+    }
+    this.presetId = preset?.id ?? null;
+    this.ticker.start(minutes, sessionLengths.workMinutes);
+    // The first session is work, so a strict run is locked until it ends
+    this.lockedUntil = strictMode
+      ? Date.now() + this.ticker.timeSessionMs
+      : null;
 
-        this.setSyncInterval();
+    this.mode = TIMER_MODES.RUNNING;
+
+    this.timerDurationError.style.display = "none";
+    this.updateView();
+
+    this.setSyncInterval();
+  }
+
+  attachEventListeners() {
+    this.startButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        this.startRun();
       })
     );
 
+    this.startModeSelect.addEventListener("change", () => {
+      this.updateStartModeView();
+    });
+
     this.pauseButton.addEventListener(
       "click",
       this.withProcessingLock(async () => {
         if (this.mode === TIMER_MODES.RUNNING) {
-          this.bgClient.pause();
+          const res = await this.bgClient.pause();
+          if (this.handleStrictLock(res)) return;
           this.ticker.stop();
 
           this.mode = TIMER_MODES.PAUSED;
@@ -125,6 +380,24 @@ class UIController {
       })
     );
 
+    this.skipButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        if (this.mode !== TIMER_MODES.RUNNING) return;
+        await this.bgClient.skip();
+        await this.syncFromBG();
+      })
+    );
+
+    this.extendButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        if (this.mode !== TIMER_MODES.RUNNING) return;
+        await this.bgClient.extend(DURATIONS.DEFAULT_EXTEND_MINUTES);
+        await this.syncFromBG();
+      })
+    );
+
     this.newSessionButton.addEventListener(
       "click",
       this.withProcessingLock(async () => {
@@ -145,34 +418,152 @@ class UIController {
         await this.saveSoundSettings();
       })
     );
+
+    this.soundTrackSelect.addEventListener(
+      "change",
+      this.withProcessingLock(async () => {
+        await this.saveSoundSettings();
+      })
+    );
+
+    this.restoreTabsButton.addEventListener(
+      "click",
+      this.withProcessingLock(async () => {
+        await this.bgClient.restoreClosedTabs();
+        await this.syncFromBG();
+      })
+    );
   }
 
   async saveSoundSettings() {
     const preSoundEnabled = this.soundEnabled;
     const preSoundVolume = this.soundVolume;
+    const preSoundTrack = this.soundTrack;
     try {
       const result = await this.bgClient.saveSoundSettings({
         soundEnabled: this.soundToggle.checked,
         soundVolume: parseInt(this.soundRange.value, 10),
+        soundTrack: this.soundTrackSelect.value,
       });
       if (!result || !result.success) {
         throw new Error(result?.error || "Failed to save sound settings");
       }
       this.soundEnabled = this.soundToggle.checked;
       this.soundVolume = parseInt(this.soundRange.value, 10);
+      this.soundTrack = this.soundTrackSelect.value;
     } catch (error) {
       console.error("Error saving sound settings:", error);
       // Revert checkbox on error
       this.soundToggle.checked = preSoundEnabled;
       this.soundRange.value = preSoundVolume.toString();
+      this.soundTrackSelect.value = preSoundTrack;
     }
   }
 
+  /**
+   * Offer to reopen the tabs closed when blocking started, once the work
+   * session is over.
+   * @param {string} sessionType - One of Constants.SESSION_TYPES
+   */
+  async updateClosedTabs(sessionType) {
+    const isBlocking =
+      (this.mode === TIMER_MODES.RUNNING || this.mode === TIMER_MODES.PAUSED) &&
+      sessionType === SESSION_TYPES.WORK;
+    const res = isBlocking ? null : await this.bgClient.getClosedTabs();
+    const count = res?.success ? res.closedTabs.length : 0;
+
+    this.closedTabsBar.style.display = count > 0 ? "flex" : "none";
+    this.closedTabsCount.textContent = `${count} tab${
+      count === 1 ? "" : "s"
+    } closed during work`;
+  }
+
+  /**
+   * List the time left today on each site with a daily budget.
+   */
+  async updateBudgets() {
+    const res = await this.bgClient.getBudgets();
+    const budgets = res?.success ? res.budgets : [];
+
+    this.budgetsBox.style.display = budgets.length > 0 ? "block" : "none";
+    const items = budgets.map(({ domain, remainingMs, exhausted }) => {
+      const item = document.createElement("li");
+      if (exhausted) {
+        item.className = "budget-exhausted";
+        item.textContent = `${domain}: used up`;
+      } else {
+        item.textContent = `${domain}: ${Math.ceil(
+          remainingMs / 60000
+        )} min left`;
+      }
+      return item;
+    });
+    this.budgetList.replaceChildren(...items);
+  }
+
+  /**
+   * Show a one-click start button for each focus preset.
+   */
+  async updatePresets() {
+    const res = await this.bgClient.getPresets();
+    this.presets = res?.success ? res.presets : [];
+
+    this.presetsBox.style.display = this.presets.length > 0 ? "block" : "none";
+    const buttons = this.presets.map((preset) => {
+      const button = document.createElement("button");
+      button.className = "control-button preset-button";
+      button.textContent = preset.name;
+      button.title = `${preset.workMinutes} min work, ${preset.breakMinutes} min break, ${preset.blockList.length} sites blocked`;
+      button.addEventListener(
+        "click",
+        this.withProcessingLock(async () => {
+          this.startRun(preset);
+        })
+      );
+      return button;
+    });
+    this.presetButtons.replaceChildren(...buttons);
+    this.updateActivePresetView();
+  }
+
+  /**
+   * Keep the view as it is when strict mode rejected a control, and show
+   * until when it is locked.
+   * @param {Object} [res] - Response of pause or reset
+   * @returns {boolean} Whether the control was rejected
+   */
+  handleStrictLock(res) {
+    if (!res?.locked) return false;
+    this.lockedUntil = res.lockedUntil;
+    this.updateView();
+    return true;
+  }
+
+  /**
+   * Disable the controls strict mode locks and say when they come back.
+   */
+  updateStrictLockView() {
+    const isLocked = this.lockedUntil !== null && this.lockedUntil > Date.now();
+    this.pauseButton.disabled = isLocked;
+    this.resetButton.disabled = isLocked;
+    this.skipButton.disabled = isLocked || this.mode !== TIMER_MODES.RUNNING;
+
+    this.strictLockLabel.style.display = isLocked ? "block" : "none";
+    this.strictLockLabel.textContent = isLocked
+      ? `Locked until ${new Date(this.lockedUntil).toLocaleTimeString([], {
+          hour: "2-digit",
+          minute: "2-digit",
+        })}`
+      : "";
+  }
+
   async resetView() {
-    await this.bgClient.reset();
+    const res = await this.bgClient.reset();
+    if (this.handleStrictLock(res)) return;
     this.ticker.stop();
 
     this.mode = TIMER_MODES.SETUP;
+    this.lockedUntil = null;
     this.updateView();
 
     this.clearSyncInterval();
@@ -191,17 +582,30 @@ class UIController {
       case TIMER_MODES.RUNNING:
         this.runningScreen.style.display = "block";
         this.pauseButton.textContent = "Pause";
+        this.extendButton.disabled = false;
         break;
 
       case TIMER_MODES.PAUSED:
         this.runningScreen.style.display = "block";
         this.pauseButton.textContent = "Resume";
+        this.extendButton.disabled = true;
         break;
 
       case TIMER_MODES.COMPLETED:
         this.completedScreen.style.display = "block";
         break;
     }
+    this.updateStrictLockView();
+    this.updateActivePresetView();
+  }
+
+  /**
+   * Name the focus preset the run was started from.
+   */
+  updateActivePresetView() {
+    const preset = this.presets.find(({ id }) => id === this.presetId);
+    this.activePresetLabel.style.display = preset ? "block" : "none";
+    this.activePresetLabel.textContent = preset ? `Preset: ${preset.name}` : "";
   }
 
   setSyncInterval() {
@@ -221,10 +625,9 @@ class UIController {
     if (!state) return;
 
     this.mode = state.mode ?? TIMER_MODES.SETUP;
-    const sessionType =
-      state.sessionType === SESSION_TYPES.WORK
-        ? SESSION_TYPES.WORK
-        : SESSION_TYPES.BREAK;
+    const sessionType = Object.values(SESSION_TYPES).includes(state.sessionType)
+      ? state.sessionType
+      : SESSION_TYPES.BREAK;
     const timeTotalMs = state.totalRemaining;
     const timeSessionMs = state.sessionRemaining;
 
@@ -237,6 +640,36 @@ class UIController {
       this.clearSyncInterval();
     }
 
+    if (state.startMode && this.startModeSelect.value !== state.startMode) {
+      this.startModeSelect.value = state.startMode;
+      this.updateStartModeView();
+    }
+    if (state.blockMode) {
+      this.blockModeSelect.value = state.blockMode;
+    }
+    if (typeof state.strictMode === "boolean") {
+      this.strictModeToggle.checked = state.strictMode;
+    }
+    this.lockedUntil = state.lockedUntil ?? null;
+    this.presetId = state.presetId ?? null;
+    if (state.targetCycles) {
+      this.cycleCountInput.value = String(state.targetCycles);
+    }
+    if (state.workDuration) {
+      this.workDurationInput.value = String(state.workDuration / 60000);
+    }
+    if (state.breakDuration) {
+      this.breakDurationInput.value = String(state.breakDuration / 60000);
+    }
+    if (state.longBreakDuration) {
+      this.longBreakDurationInput.value = String(
+        state.longBreakDuration / 60000
+      );
+    }
+    if (state.longBreakInterval) {
+      this.longBreakIntervalInput.value = String(state.longBreakInterval);
+    }
+
     const soundEnabled = state.soundEnabled ?? false;
     if (this.soundToggle.checked !== soundEnabled) {
       this.soundEnabled = soundEnabled;
@@ -247,8 +680,15 @@ class UIController {
       this.soundVolume = soundVolume;
       this.soundRange.value = soundVolume.toString();
     }
+    const soundTrack = state.soundTrack ?? DEFAULT_SOUND_TRACK;
+    if (this.soundTrack !== soundTrack) {
+      this.soundTrack = soundTrack;
+      this.showSoundTrack();
+    }
 
     this.updateView();
+    await this.updateClosedTabs(sessionType);
+    await this.updateBudgets();
   }
 }
 